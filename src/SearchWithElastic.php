@@ -19,21 +19,35 @@ use craft\console\Application as ConsoleApplication;
 use craft\digitalproducts\elements\Product as DigitalProduct;
 use craft\elements\Asset;
 use craft\elements\Category;
+use craft\elements\conditions\ElementCondition;
 use craft\elements\Entry;
 use craft\errors\MissingComponentException;
 use craft\events\DefineHtmlEvent;
 use craft\events\ModelEvent;
 use craft\events\PluginEvent;
 use craft\events\RegisterComponentTypesEvent;
+use craft\events\RegisterConditionRuleTypesEvent;
+use craft\events\RegisterElementActionsEvent;
+use craft\events\RegisterElementSortOptionsEvent;
+use craft\events\RegisterElementTableAttributesEvent;
+use craft\events\RegisterGqlQueriesEvent;
+use craft\events\RegisterGqlSchemaComponentsEvent;
 use craft\events\RegisterUrlRulesEvent;
 use craft\events\RegisterUserPermissionsEvent;
+use craft\events\SetElementTableAttributeHtmlEvent;
 use craft\helpers\App;
 use craft\helpers\ArrayHelper;
+use craft\helpers\Cp;
 use craft\helpers\ElementHelper;
+use craft\helpers\Html;
 use craft\i18n\Locale;
 use craft\models\Section;
 use craft\queue\Queue;
+use craft\services\Dashboard;
+use craft\services\Gc;
+use craft\services\Gql;
 use craft\services\Plugins;
+use craft\services\ProjectConfig;
 use craft\services\UserPermissions;
 use craft\services\Utilities;
 use craft\web\Application;
@@ -42,27 +56,38 @@ use craft\web\UrlManager;
 use DateTime;
 use DateTimeZone;
 use Exception;
+use pennebaker\searchwithelastic\elements\actions\ReindexElements;
+use pennebaker\searchwithelastic\elements\actions\RemoveFromIndex;
+use pennebaker\searchwithelastic\elements\conditions\IndexStatusConditionRule;
 use pennebaker\searchwithelastic\exceptions\IndexElementException;
 use pennebaker\searchwithelastic\exceptions\IndexingException;
+use pennebaker\searchwithelastic\gql\queries\Search as SearchQueries;
+use pennebaker\searchwithelastic\jobs\IndexElementJob;
+use pennebaker\searchwithelastic\jobs\ReanalyzeIndexesJob;
 use pennebaker\searchwithelastic\models\SettingsModel;
 use pennebaker\searchwithelastic\services\CallbackValidator;
 use pennebaker\searchwithelastic\services\ElasticsearchService;
 use pennebaker\searchwithelastic\services\ElementIndexerService;
 use pennebaker\searchwithelastic\services\IndexManagementService;
+use pennebaker\searchwithelastic\services\IndexSnapshotService;
 use pennebaker\searchwithelastic\services\ModelService;
+use pennebaker\searchwithelastic\services\PinnedResultsService;
 use pennebaker\searchwithelastic\services\QueryService;
 use pennebaker\searchwithelastic\services\RateLimiterService;
 use pennebaker\searchwithelastic\services\RecordService;
+use pennebaker\searchwithelastic\services\SearchAnalyticsService;
 use pennebaker\searchwithelastic\services\ReindexQueueManagementService;
 use pennebaker\searchwithelastic\services\SearchableFieldsIndexer;
 use pennebaker\searchwithelastic\services\SearchTemplateService;
 use pennebaker\searchwithelastic\utilities\RefreshIndexUtility;
 use pennebaker\searchwithelastic\variables\SearchVariable;
+use pennebaker\searchwithelastic\widgets\SearchAnalyticsWidget;
 use Twig\Error\LoaderError;
 use Twig\Error\RuntimeError;
 use Twig\Error\SyntaxError;
 use yii\base\Event;
 use yii\base\InvalidConfigException;
+use yii\db\Expression;
 use yii\debug\Module as DebugModule;
 use yii\elasticsearch\Connection;
 use yii\elasticsearch\DebugPanel;
@@ -78,6 +103,7 @@ use yii\queue\ExecEvent;
  * @property  services\ReindexQueueManagementService reindexQueueManagement
  * @property  services\ElementIndexerService elementIndexer
  * @property  services\IndexManagementService indexManagement
+ * @property  services\IndexSnapshotService indexSnapshots
  * @property  services\RecordService records
  * @property  services\ModelService models
  * @property  services\QueryService queries
@@ -85,6 +111,8 @@ use yii\queue\ExecEvent;
  * @property  services\SearchTemplateService searchTemplates
  * @property  services\CallbackValidator callbackValidator
  * @property  services\SearchableFieldsIndexer searchableFieldsIndexer
+ * @property  services\SearchAnalyticsService searchAnalytics
+ * @property  services\PinnedResultsService pinnedResults
  * @property  SettingsModel settings
  * @property-read array $textBasedAssetKinds
  * @property-read array $allAssetKinds
@@ -110,6 +138,17 @@ class SearchWithElastic extends Plugin
      */
     public bool $hasCpSettings = true;
 
+    /**
+     * @var bool
+     * @since 4.2.0
+     */
+    public bool $hasCpSection = true;
+
+    /**
+     * @var bool Whether the settings being saved don't affect the indexes, so they aren't rebuilt
+     */
+    private bool $savingSettingsWithoutReindex = false;
+
     /**
      * @since 4.0.0
      */
@@ -125,6 +164,7 @@ class SearchWithElastic extends Plugin
                 'reindexQueueManagement'        => ReindexQueueManagementService::class,
                 'elementIndexer'                => ElementIndexerService::class,
                 'indexManagement'               => IndexManagementService::class,
+                'indexSnapshots'                => IndexSnapshotService::class,
                 'records'                       => RecordService::class,
                 'models'                        => ModelService::class,
                 'queries'                       => QueryService::class,
@@ -132,6 +172,8 @@ class SearchWithElastic extends Plugin
                 'searchTemplates'               => SearchTemplateService::class,
                 'callbackValidator'             => CallbackValidator::class,
                 'searchableFieldsIndexer'       => SearchableFieldsIndexer::class,
+                'searchAnalytics'               => SearchAnalyticsService::class,
+                'pinnedResults'                 => PinnedResultsService::class,
             ]
         );
 
@@ -142,6 +184,88 @@ class SearchWithElastic extends Plugin
             $this->controllerNamespace = 'pennebaker\searchwithelastic\console\controllers';
         }
 
+        // Apply synonyms and stopwords that changed with a project config deploy; the job skips sites that are up to date
+        Event::on(
+            ProjectConfig::class,
+            ProjectConfig::EVENT_AFTER_APPLY_CHANGES,
+            static function () {
+                Craft::$app->queue->push(new ReanalyzeIndexesJob());
+            }
+        );
+
+        // Delete logged searches older than the search analytics retention period
+        Event::on(
+            Gc::class,
+            Gc::EVENT_RUN,
+            function () {
+                $this->searchAnalytics->purgeExpiredSearches();
+            }
+        );
+
+        // Track the element index jobs the element sidebar waits for, wherever the queue runs
+        Event::on(
+            Queue::class,
+            Queue::EVENT_BEFORE_EXEC,
+            function (ExecEvent $event) {
+                if ($event->job instanceof IndexElementJob) {
+                    $this->reindexQueueManagement->updateElementJobStatus($event->job->elementId, $event->job->siteId, (string)$event->id, [
+                        'status' => ReindexQueueManagementService::STATUS_RUNNING,
+                        'startedAt' => time(),
+                    ]);
+                }
+            }
+        );
+        Event::on(
+            Queue::class,
+            Queue::EVENT_AFTER_EXEC,
+            function (ExecEvent $event) {
+                if ($event->job instanceof IndexElementJob) {
+                    $result = $event->job->getResult();
+                    $this->reindexQueueManagement->updateElementJobStatus($event->job->elementId, $event->job->siteId, (string)$event->id, [
+                        'status' => ReindexQueueManagementService::STATUS_COMPLETED,
+                        'result' => $result?->status,
+                        'reason' => $result?->reason,
+                        'message' => $result?->message,
+                        'error' => $result?->errorDetails,
+                        'finishedAt' => time(),
+                    ]);
+                }
+            }
+        );
+        Event::on(
+            Queue::class,
+            Queue::EVENT_AFTER_ERROR,
+            function (ExecEvent $event) {
+                if ($event->job instanceof IndexElementJob) {
+                    $this->reindexQueueManagement->updateElementJobStatus($event->job->elementId, $event->job->siteId, (string)$event->id, [
+                        'status' => ReindexQueueManagementService::STATUS_FAILED,
+                        'error' => $event->error?->getMessage(),
+                        'finishedAt' => time(),
+                    ]);
+                }
+            }
+        );
+
+        // Register the GraphQL search query and the schema component that allows it
+        Event::on(
+            Gql::class,
+            Gql::EVENT_REGISTER_GQL_QUERIES,
+            static function (RegisterGqlQueriesEvent $event) {
+                $event->queries = array_merge($event->queries, SearchQueries::getQueries());
+            }
+        );
+        Event::on(
+            Gql::class,
+            Gql::EVENT_REGISTER_GQL_SCHEMA_COMPONENTS,
+            static function (RegisterGqlSchemaComponentsEvent $event) {
+                $event->queries[Craft::t('search-with-elastic', 'Search with Elastic')] = [
+                    SearchQueries::SCHEMA_COMPONENT . ':read' => [
+                        'label' => Craft::t('search-with-elastic', 'Search the Elasticsearch indexes'),
+                    ],
+                ];
+            }
+        );
+
         if (Craft::$app->getRequest()->getIsCpRequest()) {
             // Remove entry from the index upon deletion
             Event::on(Entry::class, Entry::EVENT_AFTER_DELETE, [$this, 'onElementDelete']);
@@ -174,6 +298,41 @@ class SearchWithElastic extends Plugin
                 }
             }
 
+            // Add the bulk index actions, index status column and index status filter to element index pages
+            $indexPageElementTypes = [Entry::class, Asset::class, Category::class];
+            if ($isCommerceEnabled) {
+                $indexPageElementTypes[] = Product::class;
+
+                if ($isDigitalProductsEnabled) {
+                    $indexPageElementTypes[] = DigitalProduct::class;
+                }
+            }
+
+            foreach ($indexPageElementTypes as $elementType) {
+                Event::on($elementType, Element::EVENT_REGISTER_ACTIONS, [$this, 'registerElementActions']);
+                Event::on($elementType, Element::EVENT_REGISTER_TABLE_ATTRIBUTES, [$this, 'registerIndexStatusTableAttribute']);
+                Event::on($elementType, Element::EVENT_SET_TABLE_ATTRIBUTE_HTML, [$this, 'indexStatusTableAttributeHtml']);
+                Event::on(
+                    $elementType,
+                    Element::EVENT_REGISTER_SORT_OPTIONS,
+                    function (RegisterElementSortOptionsEvent $event) use ($elementType) {
+                        $this->registerIndexStatusSortOption($event, $elementType);
+                    }
+                );
+            }
+
+            Event::on(
+                ElementCondition::class,
+                ElementCondition::EVENT_REGISTER_CONDITION_RULE_TYPES,
+                static function (RegisterConditionRuleTypesEvent $event) use ($indexPageElementTypes) {
+                    /** @var ElementCondition $condition */
+                    $condition = $event->sender;
+                    if (in_array($condition->elementType, $indexPageElementTypes, true)) {
+                        $event->conditionRuleTypes[] = IndexStatusConditionRule::class;
+                    }
+                }
+            );
+
             // Re-index all entries when plugin settings are saved
             Event::on(
                 Plugins::class,
@@ -203,6 +362,15 @@ class SearchWithElastic extends Plugin
                 }
             );
 
+            // Register the search analytics dashboard widget
+            Event::on(
+                Dashboard::class,
+                Dashboard::EVENT_REGISTER_WIDGET_TYPES,
+                static function (RegisterComponentTypesEvent $event) {
+                    $event->types[] = SearchAnalyticsWidget::class;
+                }
+            );
+
             // Register custom permissions
             Event::on(
                 UserPermissions::class,
@@ -214,6 +382,21 @@ class SearchWithElastic extends Plugin
                             'search-with-elastic:index-element' => [
                                 'label' => Craft::t('search-with-elastic', 'Index individual elements'),
                             ],
+                            'search-with-elastic:search-playground' => [
+                                'label' => Craft::t('search-with-elastic', 'Use the search playground'),
+                            ],
+                            'search-with-elastic:view-search-analytics' => [
+                                'label' => Craft::t('search-with-elastic', 'View search analytics'),
+                            ],
+                            'search-with-elastic:inspect-searchable-fields' => [
+                                'label' => Craft::t('search-with-elastic', 'Inspect searchable fields'),
+                            ],
+                            'search-with-elastic:manage-pinned-results' => [
+                                'label' => Craft::t('search-with-elastic', 'Manage pinned results'),
+                            ],
+                            'search-with-elastic:manage-rate-limits' => [
+                                'label' => Craft::t('search-with-elastic', 'Monitor and manage rate limits'),
+                            ],
                         ],
                     ];
                 }
@@ -229,6 +412,15 @@ class SearchWithElastic extends Plugin
                     $event->rules['search-with-elastic/cp/reindex-single-element'] = 'search-with-elastic/cp/reindex-single-element';
                     $event->rules['search-with-elastic/cp/delete-single-element'] = 'search-with-elastic/cp/delete-single-element';
                     $event->rules['search-with-elastic/cp/get-element-status'] = 'search-with-elastic/cp/get-element-status';
+                    $event->rules['search-with-elastic/cp/get-indexed-document'] = 'search-with-elastic/cp/get-indexed-document';
+
+                    // Control Panel section pages
+                    $event->rules['search-with-elastic'] = 'search-with-elastic/cp/playground';
+                    $event->rules['search-with-elastic/playground'] = 'search-with-elastic/cp/playground';
+                    $event->rules['search-with-elastic/analytics'] = 'search-with-elastic/cp/analytics';
+                    $event->rules['search-with-elastic/inspector'] = 'search-with-elastic/cp/inspector';
+                    $event->rules['search-with-elastic/pinned-results'] = 'search-with-elastic/cp/pinned-results';
+                    $event->rules['search-with-elastic/rate-limits'] = 'search-with-elastic/cp/rate-limits';
                 }
             );
 
@@ -286,12 +478,96 @@ class SearchWithElastic extends Plugin
                 // Public search endpoints with rate limiting
                 $event->rules['search-with-elastic/search'] = 'search-with-elastic/search/search';
                 $event->rules['search-with-elastic/search-extra'] = 'search-with-elastic/search/search-extra';
+                $event->rules['search-with-elastic/faceted-search'] = 'search-with-elastic/search/faceted-search';
+                $event->rules['search-with-elastic/suggest'] = 'search-with-elastic/search/suggest';
+                $event->rules['search-with-elastic/click'] = 'search-with-elastic/search/click';
             }
         );
 
         Craft::info("$this->name plugin loaded", __METHOD__);
     }
 
+    /**
+     * Get the plugin's Control Panel navigation item
+     *
+     * Only the pages the current user has permission to see are listed, and the
+     * section is hidden when there are none.
+     *
+     * @return array|null The navigation item, or null to hide the section
+     * @since 4.2.0
+     */
+    public function getCpNavItem(): ?array
+    {
+        $user = Craft::$app->getUser();
+        $subnav = [];
+
+        if ($user->checkPermission('search-with-elastic:search-playground')) {
+            $subnav['playground'] = [
+                'label' => Craft::t(self::PLUGIN_HANDLE, 'Playground'),
+                'url' => 'search-with-elastic/playground',
+            ];
+        }
+
+        if ($user->checkPermission('search-with-elastic:view-search-analytics')) {
+            $subnav['analytics'] = [
+                'label' => Craft::t(self::PLUGIN_HANDLE, 'Analytics'),
+                'url' => 'search-with-elastic/analytics',
+            ];
+        }
+
+        if ($user->checkPermission('search-with-elastic:inspect-searchable-fields')) {
+            $subnav['inspector'] = [
+                'label' => Craft::t(self::PLUGIN_HANDLE, 'Field Inspector'),
+                'url' => 'search-with-elastic/inspector',
+            ];
+        }
+
+        if ($user->checkPermission('search-with-elastic:manage-pinned-results')) {
+            $subnav['pinned-results'] = [
+                'label' => Craft::t(self::PLUGIN_HANDLE, 'Pinned Results'),
+                'url' => 'search-with-elastic/pinned-results',
+            ];
+        }
+
+        if ($user->checkPermission('search-with-elastic:manage-rate-limits')) {
+            $subnav['rate-limits'] = [
+                'label' => Craft::t(self::PLUGIN_HANDLE, 'Rate Limits'),
+                'url' => 'search-with-elastic/rate-limits',
+            ];
+        }
+
+        if (empty($subnav)) {
+            return null;
+        }
+
+        $item = parent::getCpNavItem();
+        $item['url'] = reset($subnav)['url'];
+        $item['subnav'] = $subnav;
+
+        return $item;
+    }
+
+    /**
+     * Saves plugin settings that don't affect the indexes, without rebuilding them.
+     *
+     * Saving the plugin settings normally recreates the indexes and reindexes every
+     * element; that's not needed for settings such as the rate limiting ones.
+     *
+     * @param array $settings The settings to change
+     * @return bool Whether the settings were saved
+     * @since 4.2.0
+     */
+    public function saveSettingsWithoutReindex(array $settings): bool
+    {
+        $this->savingSettingsWithoutReindex = true;
+
+        try {
+            return Craft::$app->getPlugins()->savePluginSettings($this, $settings);
+        } finally {
+            $this->savingSettingsWithoutReindex = false;
+        }
+    }
+
     /**
      * Creates and returns the model used to store the plugin's settings.
      *
@@ -624,6 +900,10 @@ class SearchWithElastic extends Plugin
     {
         $this->initializeElasticConnector();
 
+        if ($this->savingSettingsWithoutReindex) {
+            return;
+        }
+
         Craft::debug('Search with Elastic plugin settings saved => re-index all elements', __METHOD__);
         try {
             $this->indexManagement->recreateIndexesForAllSites();
@@ -728,8 +1008,106 @@ class SearchWithElastic extends Plugin
                 'dateUpdated' => $dateUpdated ? $dateUpdated->format(Craft::$app->getLocale()->getDateTimeFormat('short', Locale::FORMAT_PHP)) : null,
                 'revisionNum' => $revisionNum,
                 'attributes' => $esRecord ? $esRecord->attributes : [],
+                'job' => $this->reindexQueueManagement->getElementJobStatus($element->id, $element->siteId),
                 'element' => $element,
             ]
         );
     }
+
+    /**
+     * Add the reindex and remove actions to element index pages
+     *
+     * @param RegisterElementActionsEvent $event The element actions event
+     * @since 4.2.0
+     */
+    public function registerElementActions(RegisterElementActionsEvent $event): void
+    {
+        if (!Craft::$app->getUser()->checkPermission('search-with-elastic:index-element')) {
+            return;
+        }
+
+        $event->actions[] = ReindexElements::class;
+        $event->actions[] = RemoveFromIndex::class;
+    }
+
+    /**
+     * Add the search index status column to element index pages
+     *
+     * @param RegisterElementTableAttributesEvent $event The table attributes event
+     * @since 4.2.0
+     */
+    public function registerIndexStatusTableAttribute(RegisterElementTableAttributesEvent $event): void
+    {
+        $event->tableAttributes['searchIndexStatus'] = [
+            'label' => Craft::t(self::PLUGIN_HANDLE, 'Search Index Status'),
+        ];
+    }
+
+    /**
+     * Render an element's search index status in the element index table
+     *
+     * Uses the same status and labels as the element sidebar. Statuses are looked up
+     * in bulk for the whole table rather than with a request per row.
+     *
+     * @param SetElementTableAttributeHtmlEvent $event The table attribute HTML event
+     * @throws Exception
+     * @since 4.2.0
+     */
+    public function indexStatusTableAttributeHtml(SetElementTableAttributeHtmlEvent $event): void
+    {
+        if ($event->attribute !== 'searchIndexStatus') {
+            return;
+        }
+
+        /** @var Element $element */
+        $element = $event->sender;
+
+        [$statusClass, $label] = match ($this->elasticsearch->getBulkElementIndexStatus($element)) {
+            'indexed' => ['enabled', Craft::t(self::PLUGIN_HANDLE, 'Indexed')],
+            'partial' => ['pending', Craft::t(self::PLUGIN_HANDLE, 'Partial Index')],
+            'outdated' => ['expired', Craft::t(self::PLUGIN_HANDLE, 'Outdated')],
+            default => ['off', Craft::t(self::PLUGIN_HANDLE, 'Not Indexed')],
+        };
+
+        $event->html = Html::tag('span', '', ['class' => ['status', $statusClass]]) . Html::encode($label);
+        $event->handled = true;
+    }
+
+    /**
+     * Make the search index status column sortable
+     *
+     * Elements are ordered not indexed, outdated, then indexed (ascending). The
+     * statuses come from [[ElasticsearchService::getIndexStatusElementIds()]] for
+     * the site being viewed, so partial indexes sort with the indexed elements.
+     *
+     * @param RegisterElementSortOptionsEvent $event The sort options event
+     * @param string $elementType The element class name the options are for
+     * @since 4.2.0
+     */
+    public function registerIndexStatusSortOption(RegisterElementSortOptionsEvent $event, string $elementType): void
+    {
+        $event->sortOptions[] = [
+            'label' => Craft::t(self::PLUGIN_HANDLE, 'Search Index Status'),
+            'orderBy' => function (int $dir) use ($elementType): array {
+                $siteId = Craft::$app->getRequest()->getBodyParam('siteId') ?? Cp::requestedSite()?->id ?? Craft::$app->getSites()->getCurrentSite()->id;
+                $statuses = $this->elasticsearch->getIndexStatusElementIds((int)$siteId, $elementType);
+
+                $cases = [];
+                foreach (['outdated' => 1, 'indexed' => 2] as $status => $rank) {
+                    if (!empty($statuses[$status])) {
+                        $cases[] = 'WHEN [[elements.id]] IN (' . implode(',', array_map('intval', $statuses[$status])) . ") THEN $rank";
+                    }
+                }
+
+                // Nothing is indexed, so every element has the same status
+                if (empty($cases)) {
+                    return ['elements.id' => $dir];
+                }
+
+                return [new Expression('CASE ' . implode(' ', $cases) . ' ELSE 0 END ' . ($dir === SORT_DESC ? 'DESC' : 'ASC'))];
+            },
+            'attribute' => 'searchIndexStatus',
+            'defaultDir' => 'asc',
+        ];
+    }
 }
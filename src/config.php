@@ -219,7 +219,51 @@ return [
     // 'rateLimitExemptIps' => ['127.0.0.1', '::1'], // Exempt localhost
     // 'rateLimitExemptIps' => ['192.168.1.0/24'], // Exempt internal network
     // 'rateLimitExemptIps' => ['$TRUSTED_IP_1', '$TRUSTED_IP_2'], // Use environment variables
-    
+
+    // Reindex Utility Configuration - The utility tunes its concurrency automatically up to this ceiling
+    'reindexMaxConcurrency' => 6, // Default: at most 6 parallel reindex requests
+    // 'reindexMaxConcurrency' => 2, // Small or shared clusters
+    // 'reindexMaxConcurrency' => 12, // Large hosted deployments
+
+    // Zero-Downtime Reindex Configuration - "Reset & Index" builds a new index behind the alias and swaps it in when done
+    'indexVersionsToKeep' => 2, // Default: keep the 2 previous index versions for `index/rollback`
+    // 'indexVersionsToKeep' => 0, // Delete the previous version as soon as a new one is live
+    'indexSwapMinDocumentRatio' => 0.9, // Default: only swap if the new index has at least 90% of the live index's documents
+    // 'indexSwapMinDocumentRatio' => 0, // Always swap, e.g. after removing a lot of content
+
+    // Autocomplete Configuration - Titles are always suggested; list other document fields to suggest too
+    'suggestFields' => [], // Default: titles only
+    // 'suggestFields' => ['sku', 'brand'], // Also suggest product SKUs and a 'brand' extra field
+
+    // Faceted Search Configuration - Fields the public endpoints and GraphQL may facet, filter and range on
+    'facetFields' => ['elementType'], // Default: element type only
+    // 'facetFields' => ['elementType', 'category', 'price'], // Also keyword and numeric extra fields
+
+    // Synonyms and Stopwords Configuration - Keyed by site UID or handle; usually managed in the plugin settings and
+    // deployed with the project config. Setting them here overrides the project config.
+    // 'analysis' => [
+    //     'default' => [
+    //         'synonyms' => [
+    //             'tv, television', // Equivalent terms
+    //             'sku-1042, sku 1042 => trailblazer 2', // Product codes searched as their marketing name
+    //         ],
+    //         'stopwords' => ['acme'], // Left out of searches, on top of the language's stopwords
+    //     ],
+    // ],
+
+    // Search Analytics Configuration - Log searches and result clicks for the Analytics report and dashboard widget
+    'searchAnalyticsEnabled' => false, // Default: disabled
+    // 'searchAnalyticsEnabled' => true, // Log searches made through the search endpoints and craft.searchWithElastic
+
+    'searchAnalyticsIpMode' => 'anonymize', // Default: store the network part of IP addresses only (e.g. 203.0.113.0)
+    // 'searchAnalyticsIpMode' => 'none', // Don't store IP addresses at all
+    // 'searchAnalyticsIpMode' => 'full', // Store full IP addresses
+
+    'searchAnalyticsRespectDoNotTrack' => true, // Default: don't log visitors sending a Do Not Track or Global Privacy Control header
+
+    'searchAnalyticsRetentionDays' => 90, // Default: delete logged searches after 90 days, on garbage collection
+    // 'searchAnalyticsRetentionDays' => 0, // Keep logged searches forever
+
     // SECURITY NOTES:
     // - Always use environment variables for sensitive credentials
     // - Environment variables are parsed using Craft's built-in parsing
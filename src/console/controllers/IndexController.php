@@ -12,7 +12,9 @@
 namespace pennebaker\searchwithelastic\console\controllers;
 
 use Craft;
+use craft\helpers\FileHelper;
 use Exception;
+use pennebaker\searchwithelastic\exceptions\IndexingException;
 use pennebaker\searchwithelastic\models\IndexableElementModel;
 use pennebaker\searchwithelastic\queries\IndexableAssetQuery;
 use pennebaker\searchwithelastic\queries\IndexableCategoryQuery;
@@ -41,6 +43,13 @@ class IndexController extends Controller
      */
     public $mode = 'reset';
 
+    /**
+     * @var string|null The index prefix to rename the indexes of an imported snapshot to,
+     * replacing the prefix they were exported with
+     * @since 4.2.0
+     */
+    public $prefix;
+
     /**
      * @inheritdoc
      */
@@ -52,6 +61,10 @@ class IndexController extends Controller
         if (strpos($actionID, 'reindex') === 0) {
             $options[] = 'mode';
         }
+
+        if ($actionID === 'import') {
+            $options[] = 'prefix';
+        }
         
         return $options;
     }
@@ -91,21 +104,57 @@ class IndexController extends Controller
     /**
      * Reindex all element types (entries, assets, categories, products & digital products) in Elasticsearch
      *
+     * In reset mode the indexes are rebuilt behind their aliases while the live
+     * indexes keep serving searches, and swapped in once every element has been
+     * indexed.
+     *
      * @return int Shell exit code (0 = success, non-zero = error)
      * @since 4.0.0
      */
     public function actionReindexAll(): int
     {
-        // Handle reset mode - recreate indexes first
-        if ($this->mode === 'reset') {
-            $this->stdout("Recreating indexes..." . PHP_EOL, Console::FG_YELLOW);
-            SearchWithElastic::getInstance()->indexManagement->recreateIndexesForAllSites();
-            $this->stdout("Indexes recreated." . PHP_EOL, Console::FG_GREEN);
+        if ($this->mode !== 'reset') {
+            $indexableElementModels = SearchWithElastic::getInstance()->elasticsearch->getIndexableElementModels([], [], $this->mode);
+
+            return $this->reindexElements($indexableElementModels, 'everything');
+        }
+
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $siteIds = Craft::$app->getSites()->getAllSiteIds();
+
+        $this->stdout("Creating new indexes..." . PHP_EOL, Console::FG_YELLOW);
+
+        try {
+            foreach ($siteIds as $siteId) {
+                foreach ($indexManagement->startIndexRebuild($siteId) as $rebuild) {
+                    $this->stdout("    - {$rebuild['alias']} => {$rebuild['index']}" . ($rebuild['live'] ? ' (live)' : '') . PHP_EOL);
+                }
+            }
+
+            $indexableElementModels = SearchWithElastic::getInstance()->elasticsearch->getIndexableElementModels([], [], $this->mode);
+            $exitCode = $this->reindexElements($indexableElementModels, 'everything');
+        } catch (Exception $e) {
+            foreach ($siteIds as $siteId) {
+                $indexManagement->abandonIndexRebuild($siteId);
+            }
+            $this->stderr("Reindex failed, the live indexes were kept: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
         }
 
-        $indexableElementModels = SearchWithElastic::getInstance()->elasticsearch->getIndexableElementModels([], [], $this->mode);
+        $this->stdout("Swapping indexes..." . PHP_EOL, Console::FG_YELLOW);
 
-        return $this->reindexElements($indexableElementModels, 'everything');
+        foreach ($siteIds as $siteId) {
+            foreach ($indexManagement->finishIndexRebuild($siteId) as $result) {
+                if ($result['swapped']) {
+                    $this->stdout("    - {$result['alias']} => {$result['index']} ({$result['documentCount']} documents)" . PHP_EOL, Console::FG_GREEN);
+                } else {
+                    $exitCode = ExitCode::UNSPECIFIED_ERROR;
+                    $this->stderr("    - {$result['alias']} not swapped: {$result['error']}" . PHP_EOL, Console::FG_RED);
+                }
+            }
+        }
+
+        return $exitCode;
     }
 
     /**
@@ -247,6 +296,212 @@ class IndexController extends Controller
         SearchWithElastic::getInstance()->indexManagement->recreateIndexesForAllSites();
     }
 
+    /**
+     * List the versions behind an index alias, newest first
+     *
+     * @param string $index The index name (alias) as returned by getIndexName()
+     * @return int Shell exit code (0 = success, non-zero = error)
+     * @since 4.2.0
+     */
+    public function actionVersions(string $index): int
+    {
+        try {
+            $versions = SearchWithElastic::getInstance()->indexManagement->getIndexVersions($index);
+        } catch (Exception $e) {
+            $this->stderr("Could not list the versions of $index: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        if (empty($versions)) {
+            $this->stdout("No versions found for $index." . PHP_EOL, Console::FG_YELLOW);
+            return ExitCode::OK;
+        }
+
+        foreach ($versions as $version) {
+            $this->stdout("    - {$version['index']} ({$version['documentCount']} documents)");
+            $this->stdout($version['live'] ? ' live' . PHP_EOL : PHP_EOL, Console::FG_GREEN);
+        }
+
+        return ExitCode::OK;
+    }
+
+    /**
+     * Point an index alias back at its previous version
+     *
+     * Undoes the last swap made by a "Reset & Index" run. The previous versions
+     * kept are set by the indexVersionsToKeep setting.
+     *
+     * @param string $index The index name (alias) as returned by getIndexName()
+     * @return int Shell exit code (0 = success, non-zero = error)
+     * @since 4.2.0
+     */
+    public function actionRollback(string $index): int
+    {
+        try {
+            $result = SearchWithElastic::getInstance()->indexManagement->rollbackIndex($index);
+        } catch (IndexingException $e) {
+            $this->stderr($e->getMessage() . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        } catch (Exception $e) {
+            $this->stderr("Could not roll back $index: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        $this->stdout("Rolled back $index from {$result['previous']} to {$result['index']}." . PHP_EOL, Console::FG_GREEN);
+        return ExitCode::OK;
+    }
+
+    /**
+     * Apply changed synonyms and stopwords to the indexes
+     *
+     * Rebuilds the indexes of each site whose synonyms or stopwords changed from
+     * their own documents, without rendering any element again, and swaps them in.
+     * Runs on the queue after project config changes are applied; this runs it now.
+     *
+     * @return int Shell exit code (0 = success, non-zero = error)
+     * @since 4.2.0
+     */
+    public function actionApplyAnalysis(): int
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+
+        try {
+            $siteIds = $indexManagement->getOutdatedAnalysisSiteIds();
+        } catch (Exception $e) {
+            $this->stderr("Could not check the indexes: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        if (empty($siteIds)) {
+            $this->stdout("The indexes are up to date." . PHP_EOL, Console::FG_GREEN);
+            return ExitCode::OK;
+        }
+
+        $exitCode = ExitCode::OK;
+
+        foreach ($siteIds as $siteId) {
+            $this->stdout("Rebuilding the indexes of site $siteId..." . PHP_EOL, Console::FG_YELLOW);
+
+            try {
+                $results = $indexManagement->reanalyzeSiteIndexes($siteId);
+            } catch (Exception $e) {
+                $exitCode = ExitCode::UNSPECIFIED_ERROR;
+                $this->stderr("    - failed, the live indexes were kept: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+                continue;
+            }
+
+            foreach ($results as $result) {
+                if ($result['swapped']) {
+                    $this->stdout("    - {$result['alias']} => {$result['index']} ({$result['documentCount']} documents)" . PHP_EOL, Console::FG_GREEN);
+                } else {
+                    $exitCode = ExitCode::UNSPECIFIED_ERROR;
+                    $this->stderr("    - {$result['alias']} not swapped: {$result['error']}" . PHP_EOL, Console::FG_RED);
+                }
+            }
+        }
+
+        return $exitCode;
+    }
+
+    /**
+     * Export the indexes of every site to an NDJSON snapshot
+     *
+     * The snapshot holds the settings, mappings and documents of each index, and
+     * can be imported with index/import in another environment instead of
+     * reindexing there.
+     *
+     * @param string|null $file The file to write the snapshot to, by default one in storage/search-with-elastic
+     * @return int Shell exit code (0 = success, non-zero = error)
+     * @since 4.2.0
+     */
+    public function actionExport(?string $file = null): int
+    {
+        if ($file === null) {
+            $file = Craft::$app->getPath()->getStoragePath() . '/search-with-elastic/snapshot-' . date('YmdHis') . '.ndjson';
+            FileHelper::createDirectory(dirname($file));
+        }
+
+        $stream = is_writable(file_exists($file) ? $file : dirname($file)) ? fopen($file, 'wb') : false;
+        if (!is_resource($stream)) {
+            $this->stderr("Could not open $file for writing." . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        $this->stdout("Exporting the indexes to $file..." . PHP_EOL, Console::FG_YELLOW);
+        Console::startProgress(0, 1);
+
+        try {
+            $result = SearchWithElastic::getInstance()->indexSnapshots->export($stream, static function (int $done, int $total) {
+                Console::updateProgress($done, max($done, $total));
+            });
+        } catch (Exception $e) {
+            Console::endProgress();
+            $this->stderr("Could not export the indexes: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        } finally {
+            fclose($stream);
+        }
+
+        Console::endProgress();
+
+        foreach ($result['indexes'] as $index) {
+            $this->stdout("    - {$index['name']} ({$index['documentCount']} documents)" . PHP_EOL);
+        }
+
+        $this->stdout("Exported {$result['documentCount']} documents." . PHP_EOL, Console::FG_GREEN);
+        return ExitCode::OK;
+    }
+
+    /**
+     * Import an NDJSON snapshot made with index/export
+     *
+     * Each index is restored into a new version and swapped in once all of its
+     * documents are written, so searches keep working while it runs. Use --prefix
+     * when the snapshot was exported with another indexPrefix setting, e.g.
+     * --prefix=staging-
+     *
+     * @param string $file The snapshot file
+     * @return int Shell exit code (0 = success, non-zero = error)
+     * @since 4.2.0
+     */
+    public function actionImport(string $file): int
+    {
+        $stream = is_file($file) && is_readable($file) ? fopen($file, 'rb') : false;
+        if (!is_resource($stream)) {
+            $this->stderr("Could not open $file." . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        $this->stdout("Importing $file..." . PHP_EOL, Console::FG_YELLOW);
+        Console::startProgress(0, 1);
+
+        try {
+            $results = SearchWithElastic::getInstance()->indexSnapshots->import($stream, $this->prefix, static function (int $done, int $total) {
+                Console::updateProgress($done, max($done, $total));
+            });
+        } catch (Exception $e) {
+            Console::endProgress();
+            $this->stderr("Could not import the snapshot: {$e->getMessage()}" . PHP_EOL, Console::FG_RED);
+            return ExitCode::UNSPECIFIED_ERROR;
+        } finally {
+            fclose($stream);
+        }
+
+        Console::endProgress();
+        $exitCode = ExitCode::OK;
+
+        foreach ($results as $result) {
+            if ($result['swapped']) {
+                $this->stdout("    - {$result['alias']} => {$result['index']} ({$result['documentCount']} documents)" . PHP_EOL, Console::FG_GREEN);
+            } else {
+                $exitCode = ExitCode::UNSPECIFIED_ERROR;
+                $this->stderr("    - {$result['alias']} not imported: {$result['error']}" . PHP_EOL, Console::FG_RED);
+            }
+        }
+
+        return $exitCode;
+    }
+
     /**
      * Test the connection to the configured Elasticsearch instance
      *
@@ -297,7 +552,7 @@ class IndexController extends Controller
 
         // Display mode information
         $modeDescriptions = [
-            'reset' => 'Reset & Index (recreating indexes)',
+            'reset' => 'Reset & Index (rebuilding indexes)',
             'all' => 'All elements',
             'missing' => 'Missing elements only',
             'updated' => 'Updated elements only',
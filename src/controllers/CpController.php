@@ -12,24 +12,32 @@
 namespace pennebaker\searchwithelastic\controllers;
 
 use Craft;
+use craft\base\Element;
 use craft\commerce\elements\Product;
 use craft\digitalproducts\elements\Product as DigitalProduct;
 use craft\elements\Asset;
 use craft\elements\Category;
 use craft\elements\Entry;
 use craft\helpers\App;
+use craft\helpers\StringHelper;
 use craft\helpers\UrlHelper;
 use craft\i18n\Locale;
 use craft\web\Controller;
 use craft\web\Request;
+use craft\web\UploadedFile;
 use DateTime;
 use DateTimeZone;
 use Exception;
 use pennebaker\searchwithelastic\behaviors\RateLimitBehavior;
 use pennebaker\searchwithelastic\exceptions\IndexableElementModelException;
+use pennebaker\searchwithelastic\exceptions\SearchException;
 use pennebaker\searchwithelastic\helpers\validation\ValidationHelper;
 use pennebaker\searchwithelastic\models\IndexableElementModel;
+use pennebaker\searchwithelastic\models\IndexingResult;
+use pennebaker\searchwithelastic\models\SearchTemplates;
 use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\ElasticsearchQueryBuilder;
+use pennebaker\searchwithelastic\services\SearchableFieldsIndexer;
 use yii\base\InvalidConfigException;
 use yii\web\BadRequestHttpException;
 use yii\web\ForbiddenHttpException;
@@ -136,8 +144,12 @@ class CpController extends Controller
      * Handle reindexing operations from the utility panel
      *
      * Processes bulk reindexing requests, supporting different modes (reset, all, missing, updated)
-     * and element type filtering. Can either return the queue of elements to process or
-     * process individual elements based on request parameters.
+     * and element type filtering. Can either return the queue of elements to process,
+     * process an individual element, or process a batch of elements (`params.elements`)
+     * with a single bulk request, returning a result for each element.
+     * When `params.dryRun` is set on the initial request, returns a preview of
+     * what the run would create, update, skip or delete instead. When
+     * `params.background` is set, the run is pushed onto the Craft queue.
      *
      * @return Response JSON response with queue data or processing results
      * @throws Exception If reindexing operations fail
@@ -171,11 +183,32 @@ class CpController extends Controller
                     throw new BadRequestHttpException('Invalid reindex mode specified');
                 }
 
+                // Preview what the run would do without touching the indexes
+                if (!empty($params['dryRun'])) {
+                    return $this->asJson([
+                        'preview' => SearchWithElastic::getInstance()->elasticsearch->getReindexPreview($siteIds, $elementTypes, $reindexMode),
+                    ]);
+                }
+
+                // Hand the whole run over to the queue; the utility polls actionReindexStatus() for progress
+                if (!empty($params['background'])) {
+                    $queueManagement = SearchWithElastic::getInstance()->reindexQueueManagement;
+                    if ($queueManagement->isBackgroundReindexActive()) {
+                        throw new BadRequestHttpException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'A background reindex is already running.'));
+                    }
+
+                    return $this->asJson([
+                        'background' => $queueManagement->startBackgroundReindex($siteIds, $elementTypes, $reindexMode),
+                    ]);
+                }
+
+                $rebuildIndexes = [];
+
                 switch ($reindexMode) {
                     case 'reset':
-                        // Full index recreation
+                        // Build new indexes behind the live ones; the utility swaps them in with actionReindexSwap()
                         foreach ($siteIds as $siteId) {
-                            SearchWithElastic::getInstance()->indexManagement->recreateSiteIndex($siteId);
+                            array_push($rebuildIndexes, ...SearchWithElastic::getInstance()->indexManagement->startIndexRebuild($siteId));
                         }
                         break;
 
@@ -192,68 +225,729 @@ class CpController extends Controller
                 return $this->asFailure($e->getMessage());
             }
 
-            return $this->getReindexQueue($siteIds, $elementTypes, $reindexMode);
+            return $this->getReindexQueue($siteIds, $elementTypes, $reindexMode, $rebuildIndexes);
+        }
+
+        // Handle a batch of elements indexed with a single bulk request
+        if (isset($params['elements'])) {
+            if (!is_array($params['elements'])) {
+                throw new BadRequestHttpException('Invalid elements format');
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'results' => $this->reindexElements($params['elements']),
+            ]);
         }
 
         // Handle individual element processing request
         $result = $this->reindexElement();
 
-        if ($result !== null) {
-            // Get element details for better error reporting
-            $request = Craft::$app->getRequest();
-            $elementId = $request->getBodyParam('params.elementId', 'Unknown');
-            $elementType = $request->getBodyParam('params.type', 'Unknown');
+        $request = Craft::$app->getRequest();
 
-            // Determine result type and format appropriate response
-            if (str_starts_with($result['reason'] ?? $result, 'Failed to index element:') || str_starts_with($result['reason'] ?? $result, 'Element not found')) {
-                // Extract detailed error information if available
-                $errorMessage = is_array($result) ? $result['reason'] : $result;
-                $errorDetails = '';
+        return $this->asJson($this->formatReindexResponse(
+            $result,
+            $request->getBodyParam('params.elementId', 'Unknown'),
+            (string)$request->getBodyParam('params.type', 'Unknown')
+        ));
+    }
 
-                // If there's additional error information, include it
-                if (is_array($result) && isset($result['errorDetails'])) {
-                    $errorDetails = $result['errorDetails'];
-                }
+    /**
+     * Get the status of the current or most recent background reindex run
+     *
+     * Polled by the Refresh Elasticsearch utility to show live progress and to
+     * reattach to a run that is still going when the utility is reopened.
+     *
+     * @return Response JSON response with the run status, or null if there is none
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionReindexStatus(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requireAcceptsJson();
 
-                // Log the full error for debugging
-                Craft::error("Indexing failed for element $elementId: $errorMessage" . ($errorDetails ? " Details: $errorDetails" : ''), __METHOD__);
+        return $this->asJson([
+            'status' => SearchWithElastic::getInstance()->reindexQueueManagement->getBackgroundReindexStatus(),
+        ]);
+    }
 
-                return $this->asJson([
-                    'success' => false,
-                    'error' => $errorMessage,
-                    'errorDetails' => $errorDetails,
-                    'elementId' => $elementId,
-                    'elementType' => $this->getElementTypeName($elementType),
-                ]);
+    /**
+     * Cancel the current background reindex run
+     *
+     * The job stops after the batch it is working on; elements that were
+     * already indexed stay in the index.
+     *
+     * @return Response JSON response with the updated run status
+     * @throws BadRequestHttpException If the request isn't a POST request
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionReindexCancel(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requirePostRequest();
+
+        $status = SearchWithElastic::getInstance()->reindexQueueManagement->cancelBackgroundReindex();
+        if ($status === null) {
+            return $this->asFailure(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'There is no background reindex to cancel.'));
+        }
+
+        return $this->asJson([
+            'status' => $status,
+        ]);
+    }
+
+    /**
+     * Swap in the indexes rebuilt by a "Reset & Index" run, or abandon them
+     *
+     * Called by the Refresh Elasticsearch utility once every element of a reset
+     * run has been sent. With `abandon` set, as when a run is cancelled, the new
+     * indexes are deleted and the live ones kept.
+     *
+     * @return Response JSON response with the swap result of each rebuilt index
+     * @throws BadRequestHttpException If the request isn't a POST request
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionReindexSwap(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requirePostRequest();
+
+        $request = Craft::$app->getRequest();
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $siteIds = array_map('intval', (array)$request->getBodyParam('siteIds', []));
+        $siteIds = array_values(array_intersect($siteIds ?: $indexManagement->getRebuildingSiteIds(), $indexManagement->getRebuildingSiteIds()));
+
+        if ($request->getBodyParam('abandon')) {
+            foreach ($siteIds as $siteId) {
+                $indexManagement->abandonIndexRebuild($siteId);
             }
 
-            if (is_array($result) && $result['status'] === 'partial') {
-                // This is a partial index (indexed with missing content)
-                $response = [
-                    'success' => true,
-                    'partial' => true,
-                    'reason' => $result['reason'],
-                    'elementId' => $elementId,
-                    'elementType' => $this->getElementTypeName($elementType),
-                ];
+            return $this->asJson(['indexes' => []]);
+        }
 
-                // Add debug information if available and enabled
-                if (isset($result['frontendFetchDebug'])) {
-                    $response['frontendFetchDebug'] = $result['frontendFetchDebug'];
+        $results = [];
+        foreach ($siteIds as $siteId) {
+            array_push($results, ...$indexManagement->finishIndexRebuild($siteId));
+        }
+
+        return $this->asJson(['indexes' => $results]);
+    }
+
+    /**
+     * Delete the new indexes of index rebuilds that were given up on
+     *
+     * @return Response Success response, redirecting back for non-JSON requests
+     * @throws BadRequestHttpException If the request isn't a POST request
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionAbandonOrphanedRebuilds(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requirePostRequest();
+
+        $count = SearchWithElastic::getInstance()->indexManagement->abandonOrphanedRebuilds();
+
+        return $this->asSuccess(Craft::t(SearchWithElastic::PLUGIN_HANDLE, '{count, plural, =1{# orphaned index} other{# orphaned indexes}} deleted.', ['count' => $count]));
+    }
+
+    /**
+     * Get the health of every index for the utility's index health dashboard
+     *
+     * @return Response JSON response with per-index counts, size and health
+     * @throws BadRequestHttpException If the request doesn't accept JSON
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @throws Exception If the element statuses can't be checked
+     * @since 4.2.0
+     */
+    public function actionIndexHealth(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requireAcceptsJson();
+
+        return $this->asJson(SearchWithElastic::getInstance()->elasticsearch->getIndexHealth());
+    }
+
+    /**
+     * Download a snapshot of the indexes of every site
+     *
+     * The snapshot is streamed as an NDJSON file while the documents are read, so
+     * it isn't held in memory or on disk, and can be imported in another environment.
+     * Once streaming has started, an error can only end the download early; it is
+     * logged, and the import of the cut-off file will fail.
+     *
+     * @return Response The snapshot file, or a redirect back to the utility if Elasticsearch can't be reached
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionExportSnapshot(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+
+        if (!SearchWithElastic::getInstance()->elasticsearch->testConnection()) {
+            Craft::$app->session->setError(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Couldn\'t export the indexes: Elasticsearch can\'t be reached.'));
+
+            return $this->redirect(UrlHelper::cpUrl('utilities/refresh-elasticsearch'));
+        }
+
+        $response = Craft::$app->getResponse();
+        $response->format = Response::FORMAT_RAW;
+        $response->setDownloadHeaders('search-with-elastic-snapshot-' . date('Y-m-d-His') . '.ndjson', 'application/x-ndjson');
+        $response->stream = static function (): array {
+            App::maxPowerCaptain();
+            $stream = fopen('php://output', 'wb');
+
+            try {
+                SearchWithElastic::getInstance()->indexSnapshots->export($stream);
+            } catch (Exception $e) {
+                Craft::error('Failed to export an index snapshot: ' . $e->getMessage(), __METHOD__);
+            } finally {
+                fclose($stream);
+            }
+
+            // The snapshot went straight to the output, so there are no chunks left to send
+            return [];
+        };
+
+        return $response;
+    }
+
+    /**
+     * Upload a snapshot and queue its import
+     *
+     * The import runs on the Craft queue; the utility polls
+     * actionImportSnapshotStatus() for its progress.
+     *
+     * @return Response JSON response with the import status
+     * @throws BadRequestHttpException If the request isn't a POST request, has no snapshot file
+     *                                 or an import is already running
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionImportSnapshot(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        $snapshots = SearchWithElastic::getInstance()->indexSnapshots;
+        if ($snapshots->isImportActive()) {
+            throw new BadRequestHttpException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'A snapshot import is already running.'));
+        }
+
+        $file = UploadedFile::getInstanceByName('snapshot');
+        if ($file === null || $file->getHasError()) {
+            throw new BadRequestHttpException('No snapshot file was uploaded');
+        }
+
+        // Keep the upload somewhere the queue runner can read it; the job deletes it when it's done
+        $filePath = $snapshots->getUploadPath() . '/snapshot-' . StringHelper::randomString(12) . '.ndjson';
+        if (!$file->saveAs($filePath)) {
+            return $this->asFailure(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Couldn\'t save the uploaded snapshot.'));
+        }
+
+        $indexPrefix = Craft::$app->getRequest()->getBodyParam('renamePrefix')
+            ? SearchWithElastic::getInstance()->getSettings()->indexPrefix
+            : null;
+
+        return $this->asJson([
+            'status' => $snapshots->startImport($filePath, $indexPrefix),
+        ]);
+    }
+
+    /**
+     * Get the status of the current or most recent snapshot import
+     *
+     * @return Response JSON response with the import status, or null if there is none
+     * @throws BadRequestHttpException If the request doesn't accept JSON
+     * @throws ForbiddenHttpException If user lacks utility:refresh-elasticsearch-index permission
+     * @since 4.2.0
+     */
+    public function actionImportSnapshotStatus(): Response
+    {
+        $this->requirePermission('utility:refresh-elasticsearch-index');
+        $this->requireAcceptsJson();
+
+        return $this->asJson([
+            'status' => SearchWithElastic::getInstance()->indexSnapshots->getImportStatus(),
+        ]);
+    }
+
+    /**
+     * Render the search playground
+     *
+     * Lets admins run the search templates against a site index with their own
+     * fields, boosts and fuzziness, and compare two configurations side by side.
+     *
+     * @return Response The rendered page
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:search-playground permission
+     * @since 4.2.0
+     */
+    public function actionPlayground(): Response
+    {
+        $this->requirePermission('search-with-elastic:search-playground');
+
+        $plugin = SearchWithElastic::getInstance();
+        $defaultFields = ['title', 'content'];
+
+        $sites = [];
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            $sites[] = [
+                'value' => $site->id,
+                'label' => $site->name . ' (' . $plugin->indexManagement->getIndexName($site->id) . ')',
+            ];
+        }
+
+        $templates = [];
+        foreach ($this->getPlaygroundTemplates() as $templateId => $description) {
+            $templates[] = ['value' => $templateId, 'label' => $templateId . ' – ' . $description];
+        }
+
+        return $this->renderTemplate('search-with-elastic/cp/playground', [
+            'isConnected' => $plugin->elasticsearch->testConnection(),
+            'sites' => $sites,
+            'templates' => $templates,
+            'defaultTemplateId' => SearchTemplates::TEMPLATE_BOOSTED_SEARCH,
+            'defaultFields' => $defaultFields,
+            'defaultBoosts' => (new ElasticsearchQueryBuilder())->getFieldBoosts($defaultFields),
+        ]);
+    }
+
+    /**
+     * Run a search from the search playground
+     *
+     * Accepts a JSON POST request with:
+     * - 'query' (required): The search query
+     * - 'siteId' (required): Site whose index is searched
+     * - 'templateId' (required): Search template to run
+     * - 'fields' (optional): Fields to search, default title and content
+     * - 'boosts' (optional): Boosts keyed by field name, default from ElasticsearchQueryBuilder::getFieldBoosts()
+     * - 'fuzzy' (optional): Whether to use fuzzy matching
+     * - 'size' (optional): Number of hits to return (1-50, default 10)
+     *
+     * @return Response JSON response with the rendered request and the explained hits
+     * @throws BadRequestHttpException If the request isn't a JSON POST request or the parameters are invalid
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:search-playground permission
+     * @since 4.2.0
+     */
+    public function actionPlaygroundSearch(): Response
+    {
+        $this->requirePermission('search-with-elastic:search-playground');
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        $request = Craft::$app->getRequest();
+
+        $query = $request->getRequiredBodyParam('query');
+        $templateId = $request->getRequiredBodyParam('templateId');
+        $siteId = $this->validatePositiveInteger($request->getRequiredBodyParam('siteId'), 'siteId');
+
+        if (!is_string($query) || !is_string($templateId) || !array_key_exists($templateId, $this->getPlaygroundTemplates())) {
+            throw new BadRequestHttpException('Invalid query or search template');
+        }
+
+        $fields = [];
+        foreach ((array)$request->getBodyParam('fields', ['title', 'content']) as $field) {
+            if (is_string($field) && preg_match('/^[a-zA-Z0-9_.\-]{1,100}$/', trim($field))) {
+                $fields[] = trim($field);
+            }
+        }
+
+        if (empty($fields)) {
+            throw new BadRequestHttpException('At least one valid field is required');
+        }
+
+        $options = [
+            'siteId' => $siteId,
+            'templateId' => $templateId,
+            'fields' => $fields,
+            'fuzzy' => (bool)$request->getBodyParam('fuzzy', false),
+            'size' => min(50, max(1, (int)$request->getBodyParam('size', 10))),
+        ];
+
+        $boosts = $request->getBodyParam('boosts');
+        if (is_array($boosts)) {
+            $options['boosts'] = [];
+            foreach ($boosts as $field => $boost) {
+                if (in_array($field, $fields, true) && is_numeric($boost)) {
+                    $options['boosts'][$field] = max(0.0, (float)$boost);
                 }
+            }
+        }
+
+        try {
+            return $this->asJson(SearchWithElastic::getInstance()->elasticsearch->explainSearch($query, $options));
+        } catch (SearchException $e) {
+            return $this->asFailure($e->getMessage());
+        }
+    }
+
+    /**
+     * Render the search analytics report
+     *
+     * Accepts optional query parameters:
+     * - 'siteId': Site to report on, all sites if omitted
+     * - 'days': Period to report on (7, 30 or 90 days, default 30)
+     *
+     * @return Response The rendered report
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:view-search-analytics permission
+     * @since 4.2.0
+     */
+    public function actionAnalytics(): Response
+    {
+        $this->requirePermission('search-with-elastic:view-search-analytics');
+
+        $request = Craft::$app->getRequest();
+        $plugin = SearchWithElastic::getInstance();
+
+        $siteId = $request->getQueryParam('siteId');
+        $siteId = is_numeric($siteId) && Craft::$app->getSites()->getSiteById((int)$siteId) ? (int)$siteId : null;
+
+        $periods = [7, 30, 90];
+        $days = (int)$request->getQueryParam('days', 30);
+        $days = in_array($days, $periods, true) ? $days : 30;
+
+        $sites = [['value' => '', 'label' => Craft::t('search-with-elastic', 'All sites')]];
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            $sites[] = ['value' => $site->id, 'label' => $site->name];
+        }
+
+        $periodOptions = [];
+        foreach ($periods as $period) {
+            $periodOptions[] = ['value' => $period, 'label' => Craft::t('search-with-elastic', 'Last {num} days', ['num' => $period])];
+        }
+
+        $report = null;
+        $error = null;
+        try {
+            $report = $plugin->searchAnalytics->getReport($siteId, $days);
+        } catch (Exception $e) {
+            Craft::error('Failed to get the search analytics report: ' . $e->getMessage(), __METHOD__);
+            $error = $e->getMessage();
+        }
+
+        return $this->renderTemplate('search-with-elastic/cp/analytics', [
+            'isEnabled' => $plugin->getSettings()->searchAnalyticsEnabled,
+            'report' => $report,
+            'error' => $error,
+            'sites' => $sites,
+            'siteId' => $siteId,
+            'periods' => $periodOptions,
+            'days' => $days,
+        ]);
+    }
+
+    /**
+     * Render the searchable fields inspector
+     *
+     * Lets admins pick an element and see what SearchableFieldsIndexer extracts
+     * from it, like the `test-searchable-fields` console commands do.
+     *
+     * @return Response The rendered page
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:inspect-searchable-fields permission
+     * @since 4.2.0
+     */
+    public function actionInspector(): Response
+    {
+        $this->requirePermission('search-with-elastic:inspect-searchable-fields');
+
+        $elementTypes = [];
+        foreach ($this->getReindexElementTypes() as $elementType) {
+            /** @var string|Element $elementType */
+            $elementTypes[] = ['value' => $elementType, 'label' => $elementType::pluralDisplayName()];
+        }
+
+        $sites = [];
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            $sites[] = ['value' => $site->id, 'label' => $site->name];
+        }
+
+        return $this->renderTemplate('search-with-elastic/cp/inspector', [
+            'elementTypes' => $elementTypes,
+            'sites' => $sites,
+            'siteId' => Craft::$app->getSites()->getPrimarySite()->id,
+        ]);
+    }
+
+    /**
+     * Inspect the searchable fields extracted from an element
+     *
+     * Accepts a JSON POST request with:
+     * - 'elementId' (required): The element to inspect
+     * - 'siteId' (required): Site of the element
+     * - 'elementType' (required): Element class name
+     * - 'compare' (optional): Whether to also fetch the element's frontend content
+     *   and return it next to the searchable content
+     *
+     * @return Response JSON response with the element, the searchable fields tree and, when
+     *         requested, the searchable and frontend content with their sizes and times
+     * @throws BadRequestHttpException If the request isn't a JSON POST request or the parameters are invalid
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:inspect-searchable-fields permission
+     * @since 4.2.0
+     */
+    public function actionInspectSearchableFields(): Response
+    {
+        $this->requirePermission('search-with-elastic:inspect-searchable-fields');
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        $request = Craft::$app->getRequest();
+        $plugin = SearchWithElastic::getInstance();
+
+        $element = $this->loadReindexElement(
+            $request->getRequiredBodyParam('elementId'),
+            $request->getRequiredBodyParam('siteId'),
+            $request->getRequiredBodyParam('elementType')
+        );
+
+        if (is_array($element)) {
+            return $this->asFailure($element['reason']);
+        }
+
+        try {
+            $inspection = $plugin->searchableFieldsIndexer->inspectSearchableFields($element);
+        } catch (Exception $e) {
+            Craft::error("Failed to inspect the searchable fields of element {$element->id}: " . $e->getMessage(), __METHOD__);
+            return $this->asFailure(Craft::t('search-with-elastic', 'Could not extract the searchable fields: {error}', ['error' => $e->getMessage()]));
+        }
+
+        $response = [
+            'element' => [
+                'id' => $element->id,
+                'title' => (string)$element,
+                'url' => $element->getUrl(),
+                'cpEditUrl' => $element->getCpEditUrl(),
+            ],
+            'fields' => $inspection['fields'],
+            'hasTransformHandlers' => $plugin->searchableFieldsIndexer->hasEventHandlers(SearchableFieldsIndexer::EVENT_TRANSFORM_FIELD_DATA),
+        ];
+
+        if ($request->getBodyParam('compare')) {
+            $searchableContent = $plugin->elementIndexer->getSearchableContent($inspection['data']);
+            $frontend = $plugin->elementIndexer->previewFrontendContent($element);
+
+            $response['compare'] = [
+                'searchable' => [
+                    'content' => $searchableContent,
+                    'size' => strlen($searchableContent),
+                    'time' => $inspection['time'],
+                ],
+                'frontend' => [
+                    'attempted' => $frontend['attempted'],
+                    'success' => $frontend['success'],
+                    'content' => $frontend['content'],
+                    'size' => strlen($frontend['content']),
+                    'time' => $frontend['time'],
+                    'error' => $frontend['debugInfo']['error'] ?? null,
+                ],
+            ];
+        }
+
+        return $this->asJson($response);
+    }
+
+    /**
+     * Render the pinned results rules of a site
+     *
+     * @return Response The rendered page
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-pinned-results permission
+     * @since 4.2.0
+     */
+    public function actionPinnedResults(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-pinned-results');
+
+        $siteId = Craft::$app->getRequest()->getQueryParam('siteId');
+        $siteId = is_numeric($siteId) && Craft::$app->getSites()->getSiteById((int)$siteId) ? (int)$siteId : Craft::$app->getSites()->getPrimarySite()->id;
+
+        $sites = [];
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            $sites[] = ['value' => $site->id, 'label' => $site->name];
+        }
+
+        $elementTypes = [];
+        foreach ($this->getReindexElementTypes() as $elementType) {
+            /** @var string|Element $elementType */
+            $elementTypes[] = ['value' => $elementType, 'label' => $elementType::pluralDisplayName()];
+        }
+
+        return $this->renderTemplate('search-with-elastic/cp/pinned-results', [
+            'rules' => $this->getPinnedRulesData(SearchWithElastic::getInstance()->pinnedResults->getRules($siteId), $siteId),
+            'sites' => $sites,
+            'siteId' => $siteId,
+            'elementTypes' => $elementTypes,
+            'readOnly' => !Craft::$app->getConfig()->getGeneral()->allowAdminChanges,
+        ]);
+    }
+
+    /**
+     * Save the pinned results rules of a site to the project config
+     *
+     * Accepts a JSON POST request with:
+     * - 'siteId' (required): The site the rules apply to
+     * - 'rules' (optional): The rules in their order, each with uid, terms, match,
+     *   elementIds, startDate and endDate; the site's rules left out are deleted
+     *
+     * @return Response JSON response with the saved rules, or the validation errors
+     * @throws BadRequestHttpException If the request isn't a JSON POST request or the site doesn't exist
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-pinned-results permission
+     * @since 4.2.0
+     */
+    public function actionSavePinnedResults(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-pinned-results');
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        if (!Craft::$app->getConfig()->getGeneral()->allowAdminChanges) {
+            return $this->asFailure(Craft::t('search-with-elastic', 'Pinned results can\'t be changed in this environment, as administrative changes are disallowed.'));
+        }
+
+        $request = Craft::$app->getRequest();
+        $siteId = (int)$request->getRequiredBodyParam('siteId');
+        if (Craft::$app->getSites()->getSiteById($siteId) === null) {
+            throw new BadRequestHttpException("Site $siteId doesn't exist");
+        }
+
+        $pinnedResults = SearchWithElastic::getInstance()->pinnedResults;
+        $rules = $pinnedResults->normalizeRules((array)$request->getBodyParam('rules', []));
+
+        $errors = $pinnedResults->validateRules($rules);
+        if (!empty($errors)) {
+            return $this->asFailure(Craft::t('search-with-elastic', 'Couldn\'t save the pinned results.'), ['errors' => $errors]);
+        }
+
+        $pinnedResults->saveRules($siteId, $rules);
+
+        return $this->asSuccess(Craft::t('search-with-elastic', 'Pinned results saved.'), [
+            'rules' => $this->getPinnedRulesData($pinnedResults->getRules($siteId), $siteId),
+        ]);
+    }
+
+    /**
+     * Render the rate limiting monitor
+     *
+     * Lists the clients with an active rate limit bucket, highlighting the
+     * throttled ones, and charts the allowed and rejected requests over a period.
+     *
+     * Accepts an optional 'hours' query parameter: the period to chart (1, 6 or 24, default 1)
+     *
+     * @return Response The rendered page
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-rate-limits permission
+     * @since 4.2.0
+     */
+    public function actionRateLimits(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-rate-limits');
+
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        $rateLimiter = SearchWithElastic::getInstance()->rateLimiter;
+
+        // Points of about the same width for each period
+        $intervals = [1 => 1, 6 => 5, 24 => 15];
+        $hours = (int)Craft::$app->getRequest()->getQueryParam('hours', 1);
+        $hours = isset($intervals[$hours]) ? $hours : 1;
+
+        $periodOptions = [];
+        foreach (array_keys($intervals) as $period) {
+            $periodOptions[] = ['value' => $period, 'label' => Craft::t('search-with-elastic', '{num, plural, =1{Last hour} other{Last # hours}}', ['num' => $period])];
+        }
+
+        $clients = $rateLimiter->getClients();
+        $counts = $rateLimiter->getRequestCounts($hours * 60, $intervals[$hours]);
+        $total = $counts['totals']['allowed'] + $counts['totals']['rejected'];
+
+        return $this->renderTemplate('search-with-elastic/cp/rate-limits', [
+            'settings' => $settings,
+            'clients' => $clients,
+            'counts' => $counts,
+            'rejectionRate' => $total ? $counts['totals']['rejected'] / $total : 0,
+            'throttledCount' => count(array_filter(array_column($clients, 'throttled'))),
+            'peakPerMinute' => $clients ? max(array_column($clients, 'peakPerMinute')) : 0,
+            'periods' => $periodOptions,
+            'hours' => $hours,
+            'canExempt' => Craft::$app->getConfig()->getGeneral()->allowAdminChanges && !$this->isSettingOverridden('rateLimitExemptIps'),
+        ]);
+    }
+
+    /**
+     * Reset the rate limit bucket of a client, giving it a full set of tokens
+     *
+     * @return Response Success response, redirecting back for non-JSON requests
+     * @throws BadRequestHttpException If the request isn't a POST request or has no identifier
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-rate-limits permission
+     * @since 4.2.0
+     */
+    public function actionResetRateLimit(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-rate-limits');
+        $this->requirePostRequest();
+
+        $identifier = Craft::$app->getRequest()->getRequiredBodyParam('identifier');
+        SearchWithElastic::getInstance()->rateLimiter->reset($identifier);
+
+        return $this->asSuccess(Craft::t('search-with-elastic', 'Rate limit of {identifier} reset.', ['identifier' => $identifier]));
+    }
+
+    /**
+     * Reset the rate limit buckets of every client
+     *
+     * @return Response Success response, redirecting back for non-JSON requests
+     * @throws BadRequestHttpException If the request isn't a POST request
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-rate-limits permission
+     * @since 4.2.0
+     */
+    public function actionClearRateLimits(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-rate-limits');
+        $this->requirePostRequest();
+
+        SearchWithElastic::getInstance()->rateLimiter->clearAll();
+
+        return $this->asSuccess(Craft::t('search-with-elastic', 'All rate limits reset.'));
+    }
+
+    /**
+     * Add an IP address to the rateLimitExemptIps setting
+     *
+     * The setting is saved without rebuilding the indexes, and the IP's bucket is
+     * reset.
+     *
+     * @return Response Success response, or a failure if the setting can't be changed
+     * @throws BadRequestHttpException If the request isn't a POST request or has no IP
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:manage-rate-limits permission
+     * @since 4.2.0
+     */
+    public function actionExemptIp(): Response
+    {
+        $this->requirePermission('search-with-elastic:manage-rate-limits');
+        $this->requirePostRequest();
+
+        $ip = trim((string)Craft::$app->getRequest()->getRequiredBodyParam('ip'));
+        $plugin = SearchWithElastic::getInstance();
+
+        if (filter_var($ip, FILTER_VALIDATE_IP) === false) {
+            return $this->asFailure(Craft::t('search-with-elastic', '{ip} isn\'t a valid IP address.', ['ip' => $ip]));
+        }
+
+        if (!Craft::$app->getConfig()->getGeneral()->allowAdminChanges || $this->isSettingOverridden('rateLimitExemptIps')) {
+            return $this->asFailure(Craft::t('search-with-elastic', 'The exempt IP addresses can\'t be changed in this environment.'));
+        }
 
-                return $this->asJson($response);
-            }
+        if (!$plugin->rateLimiter->isIpExempt($ip)) {
+            $exemptIps = array_merge($plugin->getSettings()->rateLimitExemptIps, [$ip]);
 
-            // This is a skip reason (like "Element has no URL" etc.)
-            return $this->asJson([
-                'success' => true,
-                'skipped' => true,
-                'reason' => is_array($result) ? $result['reason'] : $result,
-            ]);
+            if (!$plugin->saveSettingsWithoutReindex(['rateLimitExemptIps' => $exemptIps])) {
+                return $this->asFailure(Craft::t('search-with-elastic', 'Couldn\'t save the exempt IP addresses.'));
+            }
         }
 
-        return $this->asJson(['success' => true]);
+        $plugin->rateLimiter->reset('ip_' . $ip);
+
+        return $this->asSuccess(Craft::t('search-with-elastic', '{ip} is exempt from rate limiting.', ['ip' => $ip]));
     }
 
     /**
@@ -498,11 +1192,46 @@ class CpController extends Controller
         return $this->asJson(['success' => true]);
     }
 
+    /**
+     * Get an element's indexed document next to the document it would be indexed with now
+     *
+     * Used by the "View indexed document" modal in the element edit sidebar.
+     *
+     * @return Response JSON response with the field comparison, searchable fields and partial index reasons
+     * @throws BadRequestHttpException If required parameters are missing or invalid
+     * @throws ForbiddenHttpException If user lacks search-with-elastic:index-element permission
+     * @throws Exception If the index status can't be checked
+     * @since 4.2.0
+     */
+    public function actionGetIndexedDocument(): Response
+    {
+        $this->requirePermission('search-with-elastic:index-element');
+        $this->requirePostRequest();
+
+        $request = Craft::$app->getRequest();
+
+        $element = $this->loadReindexElement(
+            $request->getRequiredBodyParam('elementId'),
+            $request->getRequiredBodyParam('siteId'),
+            $request->getRequiredBodyParam('elementType')
+        );
+
+        if (is_array($element)) {
+            return $this->asFailure($element['reason']);
+        }
+
+        return $this->asJson(array_merge(
+            ['success' => true],
+            SearchWithElastic::getInstance()->elasticsearch->getIndexedDocumentComparison($element)
+        ));
+    }
+
     /**
      * Get the current status of an element's index
      *
-     * Returns the current indexing status and metadata for an element,
-     * used for live updates in the sidebar interface.
+     * Returns the current indexing status and metadata for an element, and
+     * the status of the latest index job queued for it, used for live updates
+     * in the sidebar interface.
      *
      * @return Response JSON response with element status data
      * @throws BadRequestHttpException If required parameters are missing
@@ -624,7 +1353,8 @@ class CpController extends Controller
             'disabledType' => $disabledType,
             'dateUpdated' => $dateUpdated ? $dateUpdated->format(Craft::$app->getLocale()->getDateTimeFormat('short', Locale::FORMAT_PHP)) : null,
             'revisionNum' => $revisionNum,
-            'attributes' => $esRecord ? $esRecord->attributes : []
+            'attributes' => $esRecord ? $esRecord->attributes : [],
+            'job' => $plugin->reindexQueueManagement->getElementJobStatus($elementId, $siteId),
         ]);
     }
 
@@ -637,10 +1367,11 @@ class CpController extends Controller
      * @param int[] $siteIds Site IDs to include in reindexing
      * @param array $elementTypes Element types to filter by
      * @param string $reindexMode Reindex mode (all, missing, updated, missing-updated, reset)
+     * @param array $rebuildIndexes Indexes being rebuilt by a reset run, from IndexManagementService::startIndexRebuild()
      * @return Response JSON response containing the element queue
      * @since 4.0.0
      */
-    protected function getReindexQueue(array $siteIds, array $elementTypes = [], string $reindexMode = 'reset'): Response
+    protected function getReindexQueue(array $siteIds, array $elementTypes = [], string $reindexMode = 'reset', array $rebuildIndexes = []): Response
     {
         /** @var SearchWithElastic $plugin */
         $plugin = SearchWithElastic::getInstance();
@@ -658,6 +1389,7 @@ class CpController extends Controller
         return $this->asJson(
             [
                 'entries' => [$indexableElementModels],
+                'rebuild' => $rebuildIndexes,
             ]
         );
     }
@@ -768,35 +1500,136 @@ class CpController extends Controller
     {
         $request = Craft::$app->getRequest();
 
-        // Validate required parameters
-        $elementId = $request->getRequiredBodyParam('params.elementId');
-        $siteId = $request->getRequiredBodyParam('params.siteId');
-        $elementType = $request->getRequiredBodyParam('params.type');
+        $element = $this->loadReindexElement(
+            $request->getRequiredBodyParam('params.elementId'),
+            $request->getRequiredBodyParam('params.siteId'),
+            $request->getRequiredBodyParam('params.type')
+        );
 
-        // Validate element ID
-        $elementId = $this->validatePositiveInteger($elementId, 'element ID');
+        if (is_array($element)) {
+            return $element;
+        }
 
-        // Validate site ID
-        $siteId = $this->validatePositiveInteger($siteId, 'site ID');
+        try {
+            $SearchWithElastic = SearchWithElastic::getInstance();
+            if (!$SearchWithElastic) {
+                return 'Failed to index element: SearchWithElastic instance not found.';
+            }
+            try {
+                $result = $SearchWithElastic->elementIndexer->indexElement($element);
+            } catch (\Exception $e) {
+                // Log the full exception for debugging
+                Craft::error("Exception during indexing of element {$element->id}: " . $e->getMessage() . "\nTrace: " . $e->getTraceAsString(), __METHOD__);
 
-        // Validate element type
-        $validElementTypes = [
-            Entry::class,
-            Asset::class,
-            Category::class,
-        ];
+                // Return detailed error information
+                return [
+                    'status' => 'failed',
+                    'reason' => 'Failed to index element: ' . $e->getMessage(),
+                    'errorDetails' => $e->getMessage()
+                ];
+            }
 
-        // Add Commerce element types if available
-        if (class_exists(Product::class)) {
-            $validElementTypes[] = Product::class;
+            return $this->getIndexingResultResponse($result);
+        } catch (Exception $e) {
+            // Log detailed error for debugging while providing user-friendly message
+            Craft::error("Error while re-indexing element $element->id: {$e->getMessage()}", __METHOD__);
+
+            // Provide safe error message without sensitive details
+            return 'Failed to index element: ' . $e->getMessage();
         }
+    }
 
-        // Add Digital Products element types if available
-        if (class_exists(DigitalProduct::class)) {
-            $validElementTypes[] = DigitalProduct::class;
+    /**
+     * Index a batch of elements from the utility panel
+     *
+     * Elements are sent to Elasticsearch with a single bulk request. Each item is
+     * validated on its own so one bad item doesn't fail the whole batch.
+     *
+     * @param array $items Element parameters, each with `elementId`, `siteId` and `type`
+     * @return array Utility responses in the same order as the items
+     * @since 4.2.0
+     */
+    protected function reindexElements(array $items): array
+    {
+        $responses = [];
+        $elements = [];
+
+        foreach (array_values($items) as $key => $item) {
+            $elementId = is_array($item) ? ($item['elementId'] ?? 'Unknown') : 'Unknown';
+            $elementType = is_array($item) && is_string($item['type'] ?? null) ? $item['type'] : 'Unknown';
+            $responses[$key] = null;
+
+            try {
+                if (!is_array($item)) {
+                    throw new BadRequestHttpException('Invalid element params');
+                }
+
+                $element = $this->loadReindexElement($elementId, $item['siteId'] ?? null, $elementType);
+            } catch (BadRequestHttpException $e) {
+                $element = [
+                    'status' => 'failed',
+                    'reason' => 'Failed to index element: ' . $e->getMessage(),
+                    'errorDetails' => $e->getMessage()
+                ];
+            }
+
+            if (is_array($element)) {
+                $responses[$key] = $this->formatReindexResponse($element, $elementId, $elementType);
+            } else {
+                $elements[$key] = $element;
+            }
         }
 
-        if (!is_string($elementType) || !in_array($elementType, $validElementTypes, true)) {
+        if (!empty($elements)) {
+            $results = [];
+            $bulkError = 'No result returned';
+
+            try {
+                $results = SearchWithElastic::getInstance()->elementIndexer->indexElements($elements);
+            } catch (\Exception $e) {
+                // Log the full exception for debugging
+                Craft::error('Exception during bulk indexing: ' . $e->getMessage() . "\nTrace: " . $e->getTraceAsString(), __METHOD__);
+                $bulkError = $e->getMessage();
+            }
+
+            foreach ($elements as $key => $element) {
+                $result = isset($results[$key])
+                    ? $this->getIndexingResultResponse($results[$key])
+                    : [
+                        'status' => 'failed',
+                        'reason' => 'Failed to index element: ' . $bulkError,
+                        'errorDetails' => $bulkError
+                    ];
+
+                $responses[$key] = $this->formatReindexResponse($result, $element->id, get_class($element));
+            }
+        }
+
+        ksort($responses);
+
+        return array_values($responses);
+    }
+
+    /**
+     * Validate reindex parameters and load the element
+     *
+     * @param mixed $elementId The element ID
+     * @param mixed $siteId The site ID
+     * @param mixed $elementType The element class name
+     * @return Element|array The element, or failure details if it couldn't be loaded
+     * @throws BadRequestHttpException If the parameters are invalid
+     * @since 4.2.0
+     */
+    protected function loadReindexElement(mixed $elementId, mixed $siteId, mixed $elementType): Element|array
+    {
+        // Validate element ID
+        $elementId = $this->validatePositiveInteger($elementId, 'element ID');
+
+        // Validate site ID
+        $siteId = $this->validatePositiveInteger($siteId, 'site ID');
+
+        // Validate element type
+        if (!is_string($elementType) || !in_array($elementType, $this->getReindexElementTypes(), true)) {
             throw new BadRequestHttpException('Invalid element type');
         }
 
@@ -825,72 +1658,203 @@ class CpController extends Controller
             ];
         }
 
-        try {
-            $SearchWithElastic = SearchWithElastic::getInstance();
-            if (!$SearchWithElastic) {
-                return 'Failed to index element: SearchWithElastic instance not found.';
-            }
-            try {
-                $result = $SearchWithElastic->elementIndexer->indexElement($element);
-            } catch (\Exception $e) {
-                // Log the full exception for debugging
-                Craft::error("Exception during indexing of element {$element->id}: " . $e->getMessage() . "\nTrace: " . $e->getTraceAsString(), __METHOD__);
+        return $element;
+    }
 
-                // Return detailed error information
-                return [
-                    'status' => 'failed',
-                    'reason' => 'Failed to index element: ' . $e->getMessage(),
-                    'errorDetails' => $e->getMessage()
+    /**
+     * Get the element types that can be reindexed and inspected from the Control Panel
+     *
+     * @return string[] Element class names
+     * @since 4.2.0
+     */
+    protected function getReindexElementTypes(): array
+    {
+        $elementTypes = [
+            Entry::class,
+            Asset::class,
+            Category::class,
+        ];
+
+        // Add Commerce element types if available
+        if (class_exists(Product::class)) {
+            $elementTypes[] = Product::class;
+        }
+
+        // Add Digital Products element types if available
+        if (class_exists(DigitalProduct::class)) {
+            $elementTypes[] = DigitalProduct::class;
+        }
+
+        return $elementTypes;
+    }
+
+    /**
+     * Check whether a plugin setting is set in the config/search-with-elastic.php file,
+     * which takes precedence over the value saved in the Control Panel
+     *
+     * @param string $name The setting name
+     * @return bool
+     * @since 4.2.0
+     */
+    protected function isSettingOverridden(string $name): bool
+    {
+        return array_key_exists($name, Craft::$app->getConfig()->getConfigFromFile(SearchWithElastic::PLUGIN_HANDLE));
+    }
+
+    /**
+     * Prepare pinned results rules for the pinned results editor
+     *
+     * @param array $rules Rules from PinnedResultsService::getRules()
+     * @param int $siteId The site of the rules
+     * @return array The rules, with their pinned elements and dates formatted for date-time inputs
+     * @since 4.2.0
+     */
+    protected function getPinnedRulesData(array $rules, int $siteId): array
+    {
+        $data = [];
+
+        foreach ($rules as $rule) {
+            $elements = [];
+            foreach ($rule['elementIds'] as $elementId) {
+                $element = Craft::$app->getElements()->getElementById($elementId, null, $siteId);
+                $elements[] = [
+                    'id' => $elementId,
+                    'title' => $element ? (string)$element : null,
+                    'typeName' => $element ? $element::displayName() : null,
+                    'status' => $element?->getStatus(),
+                    'cpEditUrl' => $element?->getCpEditUrl(),
                 ];
             }
 
-            // Process indexing result and format appropriate response
-            if ($result->isSuccess()) {
-                return null; // Complete success
-            }
+            $data[] = [
+                'uid' => $rule['uid'],
+                'terms' => $rule['terms'],
+                'match' => $rule['match'],
+                'elements' => $elements,
+                'startDate' => $rule['startDate']?->format('Y-m-d\\TH:i'),
+                'endDate' => $rule['endDate']?->format('Y-m-d\\TH:i'),
+            ];
+        }
 
-            if ($result->isPartial()) {
-                $settings = $SearchWithElastic->getSettings();
-                $response = [
-                    'status' => 'partial',
-                    'reason' => $result->reason,
-                    'message' => $result->message
-                ];
+        return $data;
+    }
 
-                // Add debug information if enabled
-                if ($settings->enableFrontendFetchDebug && $result->frontendFetchAttempted) {
-                    $response['frontendFetchDebug'] = [
-                        'url' => $result->frontendFetchUrl,
-                        'statusCode' => $result->frontendFetchStatusCode,
-                        'error' => $result->frontendFetchError,
-                        'headers' => $result->frontendFetchHeaders
-                    ];
-                }
+    /**
+     * Convert an indexing result to the format returned by reindexElement()
+     *
+     * @param IndexingResult $result The indexing result
+     * @return array|string|null Null on success, a skip reason, or partial/failure details
+     * @since 4.2.0
+     */
+    protected function getIndexingResultResponse(IndexingResult $result): array|string|null
+    {
+        // Process indexing result and format appropriate response
+        if ($result->isSuccess()) {
+            return null; // Complete success
+        }
 
-                return $response;
-            }
+        if ($result->isPartial()) {
+            $settings = SearchWithElastic::getInstance()->getSettings();
+            $response = [
+                'status' => 'partial',
+                'reason' => $result->reason,
+                'message' => $result->message
+            ];
 
-            if ($result->isSkipped() || $result->isDisabled()) {
-                return $result->reason; // Element was skipped
+            // Add debug information if enabled
+            if ($settings->enableFrontendFetchDebug && $result->frontendFetchAttempted) {
+                $response['frontendFetchDebug'] = [
+                    'url' => $result->frontendFetchUrl,
+                    'statusCode' => $result->frontendFetchStatusCode,
+                    'error' => $result->frontendFetchError,
+                    'headers' => $result->frontendFetchHeaders
+                ];
             }
 
-            // For failed results, return detailed error information
-            if ($result->isFailed()) {
+            return $response;
+        }
+
+        if ($result->isSkipped() || $result->isDisabled()) {
+            return $result->reason; // Element was skipped
+        }
+
+        // For failed results, return detailed error information
+        if ($result->isFailed()) {
+            return [
+                'status' => 'failed',
+                'reason' => 'Failed to index element: ' . $result->reason,
+                'errorDetails' => $result->errorDetails ?? $result->reason
+            ];
+        }
+
+        return 'Failed to index element: ' . $result->reason; // Indexing failed
+    }
+
+    /**
+     * Format the result of reindexing an element as a utility response
+     *
+     * Shared by single element and batch requests so the utility can report
+     * errors, partial indexes and skips the same way for both.
+     *
+     * @param array|string|null $result The result returned by reindexElement() or getIndexingResultResponse()
+     * @param mixed $elementId The element ID, for error reporting
+     * @param string $elementType The element class name, for error reporting
+     * @return array The response data
+     * @since 4.2.0
+     */
+    protected function formatReindexResponse(array|string|null $result, mixed $elementId, string $elementType): array
+    {
+        if ($result !== null) {
+            // Determine result type and format appropriate response
+            if (str_starts_with($result['reason'] ?? $result, 'Failed to index element:') || str_starts_with($result['reason'] ?? $result, 'Element not found')) {
+                // Extract detailed error information if available
+                $errorMessage = is_array($result) ? $result['reason'] : $result;
+                $errorDetails = '';
+
+                // If there's additional error information, include it
+                if (is_array($result) && isset($result['errorDetails'])) {
+                    $errorDetails = $result['errorDetails'];
+                }
+
+                // Log the full error for debugging
+                Craft::error("Indexing failed for element $elementId: $errorMessage" . ($errorDetails ? " Details: $errorDetails" : ''), __METHOD__);
+
                 return [
-                    'status' => 'failed',
-                    'reason' => 'Failed to index element: ' . $result->reason,
-                    'errorDetails' => $result->errorDetails ?? $result->reason
+                    'success' => false,
+                    'error' => $errorMessage,
+                    'errorDetails' => $errorDetails,
+                    'elementId' => $elementId,
+                    'elementType' => $this->getElementTypeName($elementType),
                 ];
             }
 
-            return 'Failed to index element: ' . $result->reason; // Indexing failed
-        } catch (Exception $e) {
-            // Log detailed error for debugging while providing user-friendly message
-            Craft::error("Error while re-indexing element $element->id: {$e->getMessage()}", __METHOD__);
+            if (is_array($result) && $result['status'] === 'partial') {
+                // This is a partial index (indexed with missing content)
+                $response = [
+                    'success' => true,
+                    'partial' => true,
+                    'reason' => $result['reason'],
+                    'elementId' => $elementId,
+                    'elementType' => $this->getElementTypeName($elementType),
+                ];
 
-            // Provide safe error message without sensitive details
-            return 'Failed to index element: ' . $e->getMessage();
+                // Add debug information if available and enabled
+                if (isset($result['frontendFetchDebug'])) {
+                    $response['frontendFetchDebug'] = $result['frontendFetchDebug'];
+                }
+
+                return $response;
+            }
+
+            // This is a skip reason (like "Element has no URL" etc.)
+            return [
+                'success' => true,
+                'skipped' => true,
+                'reason' => is_array($result) ? $result['reason'] : $result,
+            ];
         }
+
+        return ['success' => true];
     }
 
     /**
@@ -978,6 +1942,28 @@ class CpController extends Controller
         }
     }
 
+    /**
+     * Get the search templates the playground can run
+     *
+     * Only templates whose required parameters the playground fills in (query text,
+     * search fields and field boosts) are offered.
+     *
+     * @return array<string, string> Template descriptions keyed by template ID
+     */
+    private function getPlaygroundTemplates(): array
+    {
+        $templates = [];
+
+        foreach (array_keys(SearchTemplates::getAllTemplates()) as $templateId) {
+            $required = SearchTemplates::getRequiredParameters($templateId);
+            if (empty(array_diff($required, ['query_text', 'search_fields', 'field_boosts']))) {
+                $templates[$templateId] = SearchTemplates::getTemplateDescription($templateId);
+            }
+        }
+
+        return $templates;
+    }
+
     /**
      * Validate that a value is a positive integer
      *
@@ -13,9 +13,11 @@ namespace pennebaker\searchwithelastic\controllers;
 
 use Craft;
 use craft\errors\SiteNotFoundException;
+use craft\helpers\UrlHelper;
 use craft\web\Controller;
 use pennebaker\searchwithelastic\behaviors\RateLimitBehavior;
 use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\SearchAnalyticsService;
 use yii\web\BadRequestHttpException;
 use yii\web\Response;
 
@@ -30,11 +32,29 @@ use yii\web\Response;
  */
 class SearchController extends Controller
 {
+    /**
+     * @var int Maximum number of facets a faceted search can count
+     * @since 4.2.0
+     */
+    public const MAX_FACETS = 20;
+
+    /**
+     * @var int Maximum number of sites or element types a federated search can list
+     * @since 4.2.0
+     */
+    public const MAX_FEDERATED_SOURCES = 20;
+
+    /**
+     * @var int Maximum offset plus size of a search-extra page, Elasticsearch's default `max_result_window`
+     * @since 4.2.0
+     */
+    public const MAX_RESULT_WINDOW = 10000;
+
     /**
      * @var array|bool|int Allow anonymous access to search endpoints
      * @since 4.0.0
      */
-    protected array|bool|int $allowAnonymous = ['search', 'search-extra'];
+    protected array|bool|int $allowAnonymous = ['search', 'search-extra', 'faceted-search', 'suggest', 'click'];
 
     /**
      * @inheritdoc
@@ -51,7 +71,7 @@ class SearchController extends Controller
             $behaviors['rateLimiter'] = [
                 'class' => RateLimitBehavior::class,
                 'usePluginSettings' => true,
-                'actions' => ['search', 'search-extra'], // Apply to all search actions
+                'actions' => ['search', 'search-extra', 'faceted-search', 'suggest', 'click'], // Apply to all anonymous actions
             ];
         }
         
@@ -84,17 +104,25 @@ class SearchController extends Controller
         
         try {
             // Perform search using the Elasticsearch service
+            $startTime = microtime(true);
             $results = SearchWithElastic::getInstance()->elasticsearch->search($query, $siteId);
+
+            $meta = [
+                'query' => $query,
+                'siteId' => $siteId,
+                'timestamp' => time(),
+            ];
+
+            $searchId = $this->logSearch($query, $siteId, $results, $startTime);
+            if ($searchId !== null) {
+                $meta['searchId'] = $searchId;
+            }
             
             // Return JSON response
             return $this->asJson([
                 'success' => true,
                 'results' => $results,
-                'meta' => [
-                    'query' => $query,
-                    'siteId' => $siteId,
-                    'timestamp' => time(),
-                ],
+                'meta' => $meta,
             ]);
         } catch (\Exception $e) {
             Craft::error('Search error: ' . $e->getMessage(), __METHOD__);
@@ -120,10 +148,17 @@ class SearchController extends Controller
      * - 'fields' (optional): Array of fields to search in
      * - 'siteId' (optional): Site ID to search within
      * - 'size' (optional): Number of results to return
-     * - 'from' (optional): Offset for pagination
+     * - 'from' (optional): Offset for pagination; with the size it can't go past MAX_RESULT_WINDOW
+     * - 'siteIds' (optional): Site IDs to search together, as a list or comma-separated
+     * - 'elementTypes' (optional): Element types to search together, as class names or
+     *   reference handles such as `entry`, in a list or comma-separated
+     *
+     * With 'siteIds' or 'elementTypes' the search is federated: every matching index is
+     * searched in one request, and the results hold the merged hits, each tagged with
+     * its site and element type, the total and the hit count of each index.
      *
      * @return Response JSON response with search results
-     * @throws BadRequestHttpException if query parameter is missing
+     * @throws BadRequestHttpException if query parameter is missing, a site doesn't exist or the page is past MAX_RESULT_WINDOW
      * @throws SiteNotFoundException if specified site doesn't exist
      * @since 4.0.0
      */
@@ -164,10 +199,40 @@ class SearchController extends Controller
         if ($request->getParam('from') !== null) {
             $options['from'] = max(0, (int) $request->getParam('from'));
         }
+
+        $siteIds = $this->parseList($request->getParam('siteIds'), 'Site IDs');
+        foreach ($siteIds as $siteId) {
+            if (!ctype_digit($siteId) || Craft::$app->getSites()->getSiteById((int) $siteId) === null) {
+                throw new BadRequestHttpException("Site '$siteId' doesn't exist");
+            }
+        }
+        if ($siteIds) {
+            $options['siteIds'] = array_map('intval', $siteIds);
+        }
+
+        $elementTypes = $this->parseList($request->getParam('elementTypes'), 'Element types');
+        if ($elementTypes) {
+            $options['elementTypes'] = $elementTypes;
+        }
+
+        $isFederated = $siteIds || $elementTypes;
+        if ($isFederated && !$siteIds && isset($options['siteId'])) {
+            $options['siteIds'] = [$options['siteId']];
+        }
+
+        // Federated searches fetch every hit up to the end of the page from each index
+        $pageEnd = ($options['from'] ?? 0) + ($options['size'] ?? ($isFederated ? 20 : 50));
+        if ($pageEnd > self::MAX_RESULT_WINDOW) {
+            throw new BadRequestHttpException('From and size can\'t add up to more than ' . self::MAX_RESULT_WINDOW);
+        }
         
         try {
             // Perform advanced search using the Elasticsearch service
-            $results = SearchWithElastic::getInstance()->elasticsearch->advancedSearch($query, $options);
+            $startTime = microtime(true);
+            $elasticsearch = SearchWithElastic::getInstance()->elasticsearch;
+            $results = $isFederated
+                ? $elasticsearch->federatedSearch($query, $options)
+                : $elasticsearch->advancedSearch($query, $options);
             
             // Add rate limit info to response if enabled
             $meta = [
@@ -175,15 +240,21 @@ class SearchController extends Controller
                 'options' => $options,
                 'timestamp' => time(),
             ];
+
+            // A search across several sites is logged on the current site
+            $logSiteId = $options['siteId'] ?? null;
+            if (isset($options['siteIds'])) {
+                $logSiteId = count($options['siteIds']) === 1 ? $options['siteIds'][0] : null;
+            }
+
+            $searchId = $this->logSearch($query, $logSiteId, $results, $startTime);
+            if ($searchId !== null) {
+                $meta['searchId'] = $searchId;
+            }
             
-            $settings = SearchWithElastic::getInstance()->getSettings();
-            if ($settings->rateLimitingEnabled) {
-                $rateLimiter = SearchWithElastic::getInstance()->rateLimiter;
-                $meta['rateLimit'] = [
-                    'remaining' => $rateLimiter->getRemainingTokens(),
-                    'limit' => $settings->rateLimitRequestsPerMinute,
-                    'reset' => time() + 60,
-                ];
+            $rateLimit = $this->getRateLimitMeta();
+            if ($rateLimit !== null) {
+                $meta['rateLimit'] = $rateLimit;
             }
             
             // Return JSON response
@@ -206,4 +277,361 @@ class SearchController extends Controller
             ]);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Perform a faceted search with term and range filters
+     *
+     * Accepts GET or POST requests with:
+     * - 'query' (optional): The search query string; omit to list everything
+     * - 'facets' (optional): Facets to count, as a list of field names or as
+     *   name => {field, type ('terms' or 'range'), size}
+     * - 'filters' (optional): Term filters, as field => value or list of values
+     * - 'ranges' (optional): Range filters, as field => {min, max}
+     * - 'fuzzy', 'fields', 'siteId', 'size' and 'from' as for search-extra
+     *
+     * @return Response JSON response with search results, the total and facet values
+     * @throws BadRequestHttpException if the facets, filters or ranges are malformed
+     * @throws SiteNotFoundException if specified site doesn't exist
+     * @since 4.2.0
+     */
+    public function actionFacetedSearch(): Response
+    {
+        $request = Craft::$app->getRequest();
+
+        $query = $request->getParam('query');
+        if ($query !== null && !is_string($query)) {
+            throw new BadRequestHttpException('Query parameter must be a string');
+        }
+
+        $options = [
+            'facets' => $this->parseFacets($request->getParam('facets', [])),
+            'filters' => $this->parseFilters($request->getParam('filters', [])),
+            'ranges' => $this->parseRanges($request->getParam('ranges', [])),
+            'size' => min(100, max(1, (int) $request->getParam('size', 20))),
+            'from' => max(0, (int) $request->getParam('from', 0)),
+        ];
+
+        if ($request->getParam('fuzzy') !== null) {
+            $options['fuzzy'] = filter_var($request->getParam('fuzzy'), FILTER_VALIDATE_BOOLEAN);
+        }
+
+        if ($request->getParam('fields') !== null) {
+            $fields = $request->getParam('fields');
+            if (is_string($fields)) {
+                $fields = explode(',', $fields);
+            }
+            $options['fields'] = array_map('trim', (array) $fields);
+        }
+
+        if ($request->getParam('siteId') !== null) {
+            $options['siteId'] = (int) $request->getParam('siteId');
+        }
+
+        $meta = [
+            'query' => $query,
+            'options' => $options,
+            'timestamp' => time(),
+        ];
+
+        try {
+            $startTime = microtime(true);
+            $result = SearchWithElastic::getInstance()->elasticsearch->facetedSearch($query, $options);
+
+            $searchId = $this->logSearch($query, $options['siteId'] ?? null, $result, $startTime);
+            if ($searchId !== null) {
+                $meta['searchId'] = $searchId;
+            }
+
+            $rateLimit = $this->getRateLimitMeta();
+            if ($rateLimit !== null) {
+                $meta['rateLimit'] = $rateLimit;
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'results' => $result['hits'],
+                'total' => $result['total'],
+                'facets' => $result['facets'],
+                'meta' => $meta,
+            ]);
+        } catch (\Exception $e) {
+            Craft::error('Faceted search error: ' . $e->getMessage(), __METHOD__);
+
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Search failed. Please try again later.',
+                'meta' => $meta,
+            ]);
+        }
+    }
+
+    /**
+     * Get autocomplete suggestions for a partial query
+     *
+     * Accepts GET or POST requests with:
+     * - 'query' (required): The text typed so far; an empty query returns no suggestions
+     * - 'siteId' (optional): Site ID to suggest from
+     * - 'size' (optional): Number of suggestions to return (1-20, default 8)
+     *
+     * @return Response JSON response with the suggestions
+     * @throws BadRequestHttpException if the specified site doesn't exist
+     * @since 4.2.0
+     */
+    public function actionSuggest(): Response
+    {
+        $request = Craft::$app->getRequest();
+
+        $query = $request->getParam('query');
+        $query = is_string($query) ? $query : '';
+
+        $options = [
+            'size' => min(20, max(1, (int) $request->getParam('size', 8))),
+        ];
+
+        if ($request->getParam('siteId') !== null) {
+            $siteId = $request->getParam('siteId');
+            if (!is_string($siteId) || !ctype_digit($siteId) || Craft::$app->getSites()->getSiteById((int) $siteId) === null) {
+                throw new BadRequestHttpException('Site doesn\'t exist');
+            }
+            $options['siteId'] = (int) $siteId;
+        }
+
+        $meta = [
+            'query' => $query,
+            'timestamp' => time(),
+        ];
+
+        $rateLimit = $this->getRateLimitMeta();
+        if ($rateLimit !== null) {
+            $meta['rateLimit'] = $rateLimit;
+        }
+
+        return $this->asJson([
+            'success' => true,
+            'suggestions' => SearchWithElastic::getInstance()->elasticsearch->suggest($query, $options),
+            'meta' => $meta,
+        ]);
+    }
+
+    /**
+     * Record a click on a search result
+     *
+     * Accepts GET or POST requests with:
+     * - 'searchId' (required): The search ID returned in a search response's meta data
+     * - 'elementId' (required): ID of the element clicked
+     * - 'redirect' (optional): Hashed URL to redirect to, as created by `craft.searchWithElastic.clickUrl()`
+     *
+     * Requests that accept JSON get a JSON response; others are redirected to
+     * the redirect URL, or the site's home page if it's missing or invalid.
+     * Clicks are ignored when search analytics are disabled.
+     *
+     * @return Response JSON response with whether the click was logged, or a redirect
+     * @since 4.2.0
+     */
+    public function actionClick(): Response
+    {
+        $request = Craft::$app->getRequest();
+
+        $searchId = $request->getParam('searchId');
+        $elementId = $request->getParam('elementId');
+
+        $logged = false;
+        if (is_string($searchId) && is_numeric($elementId)) {
+            $logged = SearchWithElastic::getInstance()->searchAnalytics->logClick($searchId, (int) $elementId);
+        }
+
+        if ($request->getAcceptsJson()) {
+            return $this->asJson([
+                'success' => $logged,
+            ]);
+        }
+
+        $redirect = $request->getQueryParam('redirect');
+        $url = is_string($redirect) ? Craft::$app->getSecurity()->validateData($redirect) : false;
+
+        return $this->redirect($url !== false && $url !== '' ? $url : UrlHelper::siteUrl());
+    }
+
+    /**
+     * Normalize the facets parameter to name => {field, type, size}
+     *
+     * @param mixed $facets List of field names, or facet definitions keyed by name
+     * @return array The facets
+     * @throws BadRequestHttpException if the facets are malformed
+     */
+    private function parseFacets(mixed $facets): array
+    {
+        if (!is_array($facets) || count($facets) > self::MAX_FACETS) {
+            throw new BadRequestHttpException('Facets must be a list of at most ' . self::MAX_FACETS . ' fields');
+        }
+
+        $parsed = [];
+        foreach ($facets as $name => $facet) {
+            if (is_string($facet)) {
+                $facet = ['field' => $facet];
+            }
+
+            if (!is_array($facet) || empty($facet['field']) || !is_string($facet['field'])) {
+                throw new BadRequestHttpException('Each facet needs a field');
+            }
+
+            $this->requireFacetField($facet['field']);
+
+            $parsed[is_string($name) ? $name : $facet['field']] = [
+                'field' => $facet['field'],
+                'type' => ($facet['type'] ?? 'terms') === 'range' ? 'range' : 'terms',
+                'size' => min(100, max(1, (int) ($facet['size'] ?? 10))),
+            ];
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Normalize the filters parameter to field => list of values
+     *
+     * @param mixed $filters Values keyed by field name
+     * @return array The filters
+     * @throws BadRequestHttpException if the filters are malformed
+     */
+    private function parseFilters(mixed $filters): array
+    {
+        if (!is_array($filters)) {
+            throw new BadRequestHttpException('Filters must be an object of field names and values');
+        }
+
+        $parsed = [];
+        foreach ($filters as $field => $values) {
+            $this->requireFacetField((string) $field);
+            $values = array_filter((array) $values, static fn($value) => is_scalar($value) && $value !== '');
+            if ($values) {
+                $parsed[$field] = array_slice(array_map('strval', array_values($values)), 0, 50);
+            }
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Normalize the ranges parameter to field => {min, max}
+     *
+     * @param mixed $ranges Ranges keyed by field name
+     * @return array The ranges
+     * @throws BadRequestHttpException if the ranges are malformed
+     */
+    private function parseRanges(mixed $ranges): array
+    {
+        if (!is_array($ranges)) {
+            throw new BadRequestHttpException('Ranges must be an object of field names and bounds');
+        }
+
+        $parsed = [];
+        foreach ($ranges as $field => $range) {
+            if (!is_array($range)) {
+                throw new BadRequestHttpException("Range for '$field' must have a min and/or max");
+            }
+
+            $this->requireFacetField((string) $field);
+
+            $bounds = [];
+            foreach (['min', 'max'] as $bound) {
+                if (isset($range[$bound]) && $range[$bound] !== '' && is_scalar($range[$bound])) {
+                    $bounds[$bound] = is_numeric($range[$bound]) ? $range[$bound] + 0 : (string) $range[$bound];
+                }
+            }
+
+            if ($bounds) {
+                $parsed[$field] = $bounds;
+            }
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Check that a field may be faceted, filtered or ranged on
+     *
+     * @param string $field The document field
+     * @throws BadRequestHttpException if the field isn't listed in the `facetFields` setting
+     */
+    private function requireFacetField(string $field): void
+    {
+        if (!in_array($field, SearchWithElastic::getInstance()->getSettings()->facetFields, true)) {
+            throw new BadRequestHttpException("Field '$field' can't be used for facets or filters");
+        }
+    }
+
+    /**
+     * Normalize a list parameter given as an array or a comma-separated string
+     *
+     * @param mixed $value The parameter value
+     * @param string $label What the list holds, for the error message
+     * @return string[] The non-empty values
+     * @throws BadRequestHttpException if the list is malformed or too long
+     */
+    private function parseList(mixed $value, string $label): array
+    {
+        if ($value === null || $value === '') {
+            return [];
+        }
+
+        if (is_string($value)) {
+            $value = explode(',', $value);
+        }
+
+        if (!is_array($value) || count($value) > self::MAX_FEDERATED_SOURCES) {
+            throw new BadRequestHttpException("$label must be a list of at most " . self::MAX_FEDERATED_SOURCES . ' values');
+        }
+
+        $values = [];
+        foreach ($value as $item) {
+            if (!is_scalar($item)) {
+                throw new BadRequestHttpException("$label must be a list of values");
+            }
+            if (trim((string) $item) !== '') {
+                $values[] = trim((string) $item);
+            }
+        }
+
+        return array_values(array_unique($values));
+    }
+
+    /**
+     * Log a search made through the search endpoints
+     *
+     * @param string|null $query The search query
+     * @param mixed $siteId The site searched, or null for the current site
+     * @param array $results The results, as returned by ElasticsearchService
+     * @param float $startTime When the search started, from `microtime(true)`
+     * @return string|null The search ID to include in the response's meta data, or null if the search wasn't logged
+     */
+    private function logSearch(?string $query, mixed $siteId, array $results, float $startTime): ?string
+    {
+        return SearchWithElastic::getInstance()->searchAnalytics->logSearch(
+            $query,
+            $siteId !== null ? (int) $siteId : null,
+            $results,
+            $startTime,
+            SearchAnalyticsService::SOURCE_API
+        );
+    }
+
+    /**
+     * Get the rate limit details to include in a response's meta data
+     *
+     * @return array|null The remaining requests, limit and reset time, or null if rate limiting is disabled
+     */
+    private function getRateLimitMeta(): ?array
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        if (!$settings->rateLimitingEnabled) {
+            return null;
+        }
+
+        return [
+            'remaining' => SearchWithElastic::getInstance()->rateLimiter->getRemainingTokens(),
+            'limit' => $settings->rateLimitRequestsPerMinute,
+            'reset' => time() + 60,
+        ];
+    }
+}
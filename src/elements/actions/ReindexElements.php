@@ -0,0 +1,72 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\elements\actions;
+
+use Craft;
+use craft\base\ElementAction;
+use craft\elements\db\ElementQueryInterface;
+use craft\helpers\ElementHelper;
+use pennebaker\searchwithelastic\SearchWithElastic;
+
+/**
+ * Element action that reindexes the selected elements in Elasticsearch
+ *
+ * Each element is queued with an IndexElementJob, the same way it is when the
+ * element is saved, so large selections don't hold up the element index page.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class ReindexElements extends ElementAction
+{
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public static function displayName(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Reindex in Elasticsearch');
+    }
+
+    /**
+     * Queue the selected elements for reindexing
+     *
+     * @param ElementQueryInterface $query The query for the selected elements
+     * @return bool Whether any element was queued
+     * @since 4.2.0
+     */
+    public function performAction(ElementQueryInterface $query): bool
+    {
+        $reindexQueueManagement = SearchWithElastic::getInstance()->reindexQueueManagement;
+        $queued = 0;
+
+        foreach ($query->all() as $element) {
+            if (ElementHelper::isDraftOrRevision($element)) {
+                continue;
+            }
+
+            $reindexQueueManagement->enqueueJob($element->id, $element->siteId, get_class($element));
+            $queued++;
+        }
+
+        if ($queued === 0) {
+            $this->setMessage(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'No elements could be queued for reindexing.'));
+            return false;
+        }
+
+        $this->setMessage(Craft::t(SearchWithElastic::PLUGIN_HANDLE, '{count, plural, =1{# element} other{# elements}} queued for reindexing.', [
+            'count' => $queued,
+        ]));
+
+        return true;
+    }
+}
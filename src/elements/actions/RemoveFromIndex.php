@@ -0,0 +1,95 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\elements\actions;
+
+use Craft;
+use craft\base\ElementAction;
+use craft\elements\db\ElementQueryInterface;
+use pennebaker\searchwithelastic\exceptions\IndexElementException;
+use pennebaker\searchwithelastic\SearchWithElastic;
+
+/**
+ * Element action that removes the selected elements from Elasticsearch
+ *
+ * The elements themselves are left untouched; they are indexed again the next
+ * time they are saved or reindexed.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class RemoveFromIndex extends ElementAction
+{
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public static function displayName(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Remove from Elasticsearch');
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public static function isDestructive(): bool
+    {
+        return true;
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public function getConfirmationMessage(): ?string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Are you sure you want to remove the selected elements from the search index?');
+    }
+
+    /**
+     * Remove the selected elements from the index
+     *
+     * @param ElementQueryInterface $query The query for the selected elements
+     * @return bool Whether every element was removed
+     * @since 4.2.0
+     */
+    public function performAction(ElementQueryInterface $query): bool
+    {
+        $elementIndexer = SearchWithElastic::getInstance()->elementIndexer;
+        $removed = 0;
+        $failed = 0;
+
+        foreach ($query->all() as $element) {
+            try {
+                $elementIndexer->deleteElement($element);
+                $removed++;
+            } catch (IndexElementException $e) {
+                Craft::error("Failed to remove element #$element->id from the index: " . $e->getMessage(), __METHOD__);
+                $failed++;
+            }
+        }
+
+        if ($failed > 0) {
+            $this->setMessage(Craft::t(SearchWithElastic::PLUGIN_HANDLE, '{removed, plural, =1{# element} other{# elements}} removed from the index, {failed} failed. Check the Craft logs for details.', [
+                'removed' => $removed,
+                'failed' => $failed,
+            ]));
+            return false;
+        }
+
+        $this->setMessage(Craft::t(SearchWithElastic::PLUGIN_HANDLE, '{count, plural, =1{# element} other{# elements}} removed from the index.', [
+            'count' => $removed,
+        ]));
+
+        return true;
+    }
+}
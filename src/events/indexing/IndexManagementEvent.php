@@ -36,6 +36,12 @@ class IndexManagementEvent extends Event
      */
     public string $indexName;
 
+    /**
+     * @var string|null The versioned index behind the index name (for swap operations)
+     * @since 4.2.0
+     */
+    public ?string $versionedIndexName = null;
+
     /**
      * @var array The index configuration (for create/recreate operations)
      * @since 4.0.0
@@ -43,7 +49,7 @@ class IndexManagementEvent extends Event
     public array $indexConfig = [];
 
     /**
-     * @var string The operation type: 'create', 'delete', or 'recreate'
+     * @var string The operation type: 'create', 'delete', 'recreate' or 'swap'
      * @since 4.0.0
      */
     public string $operation;
@@ -0,0 +1,76 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\arguments;
+
+use craft\gql\base\Arguments;
+use GraphQL\Type\Definition\Type;
+use pennebaker\searchwithelastic\gql\types\input\FacetInput;
+use pennebaker\searchwithelastic\gql\types\input\FilterInput;
+
+/**
+ * Arguments of the `searchWithElastic` GraphQL query
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchArguments extends Arguments
+{
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public static function getArguments(): array
+    {
+        return array_merge(parent::getArguments(), [
+            'query' => [
+                'name' => 'query',
+                'type' => Type::string(),
+                'description' => 'The search query. Omit it to list everything, for example to browse facets.',
+            ],
+            'siteId' => [
+                'name' => 'siteId',
+                'type' => Type::int(),
+                'description' => 'The site to search. Defaults to the current site.',
+            ],
+            'fields' => [
+                'name' => 'fields',
+                'type' => Type::listOf(Type::string()),
+                'description' => 'The fields to search in. Defaults to `title` and `content`.',
+            ],
+            'fuzzy' => [
+                'name' => 'fuzzy',
+                'type' => Type::boolean(),
+                'description' => 'Whether to match terms with typos. Defaults to `true`.',
+            ],
+            'size' => [
+                'name' => 'size',
+                'type' => Type::int(),
+                'description' => 'The number of hits to return, from 1 to 100. Defaults to 20.',
+            ],
+            'from' => [
+                'name' => 'from',
+                'type' => Type::int(),
+                'description' => 'The number of hits to skip, for pagination.',
+            ],
+            'facets' => [
+                'name' => 'facets',
+                'type' => Type::listOf(FacetInput::getType()),
+                'description' => 'The facets to return buckets or bounds for.',
+            ],
+            'filters' => [
+                'name' => 'filters',
+                'type' => Type::listOf(FilterInput::getType()),
+                'description' => 'Term filters the hits must match.',
+            ],
+        ]);
+    }
+}
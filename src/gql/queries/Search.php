@@ -0,0 +1,53 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\queries;
+
+use craft\gql\base\Query;
+use craft\helpers\Gql as GqlHelper;
+use pennebaker\searchwithelastic\gql\arguments\SearchArguments;
+use pennebaker\searchwithelastic\gql\resolvers\SearchResolver;
+use pennebaker\searchwithelastic\gql\types\SearchResponse;
+
+/**
+ * GraphQL queries for searching the Elasticsearch indexes
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class Search extends Query
+{
+    /**
+     * @var string Schema component that allows the search queries
+     * @since 4.2.0
+     */
+    public const SCHEMA_COMPONENT = 'searchWithElastic.all';
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    public static function getQueries(bool $checkToken = true): array
+    {
+        if ($checkToken && !GqlHelper::canSchema(self::SCHEMA_COMPONENT)) {
+            return [];
+        }
+
+        return [
+            'searchWithElastic' => [
+                'type' => SearchResponse::getType(),
+                'args' => SearchArguments::getArguments(),
+                'resolve' => SearchResolver::class . '::resolve',
+                'description' => 'Searches the Elasticsearch index of a site, with highlights, scores, the matching elements and facet buckets.',
+            ],
+        ];
+    }
+}
@@ -0,0 +1,242 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\resolvers;
+
+use Craft;
+use craft\base\ElementInterface;
+use craft\commerce\elements\Product;
+use craft\elements\Asset;
+use craft\elements\Category;
+use craft\elements\Entry;
+use craft\errors\GqlException;
+use craft\gql\base\Resolver;
+use craft\helpers\Gql as GqlHelper;
+use GraphQL\Type\Definition\ResolveInfo;
+use pennebaker\searchwithelastic\controllers\SearchController;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\SearchAnalyticsService;
+use yii\web\TooManyRequestsHttpException;
+
+/**
+ * Resolver for the `searchWithElastic` GraphQL query
+ *
+ * Runs the search through the faceted search template path, so field names and
+ * values are sanitized like any other template search, and applies the same rate
+ * limit as the search endpoints. Only hits whose element is live and in a
+ * section, volume, group or product type the schema can query are returned, so
+ * nothing of other documents is exposed; `total` and the facet counts still
+ * count every matching document.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchResolver extends Resolver
+{
+    /**
+     * @inheritdoc
+     * @throws GqlException if the rate limit is exceeded or the site doesn't exist
+     * @since 4.2.0
+     */
+    public static function resolve(mixed $source, array $arguments, mixed $context, ResolveInfo $resolveInfo): mixed
+    {
+        $plugin = SearchWithElastic::getInstance();
+
+        if ($plugin->getSettings()->rateLimitingEnabled) {
+            try {
+                $plugin->rateLimiter->consumeTokens();
+            } catch (TooManyRequestsHttpException $e) {
+                throw new GqlException(Craft::t('search-with-elastic', 'Too many search requests. Please wait {seconds} seconds before searching again.', [
+                    'seconds' => $e->retryAfter,
+                ]));
+            }
+        }
+
+        $siteId = $arguments['siteId'] ?? Craft::$app->getSites()->getCurrentSite()->id;
+        if (Craft::$app->getSites()->getSiteById($siteId) === null) {
+            throw new GqlException("Site $siteId doesn't exist");
+        }
+
+        $query = $arguments['query'] ?? null;
+        $options = [
+            'siteId' => $siteId,
+            'facets' => self::normalizeFacets($arguments['facets'] ?? []),
+            'filters' => self::normalizeFilters($arguments['filters'] ?? []),
+            'size' => min(100, max(1, (int)($arguments['size'] ?? 20))),
+            'from' => max(0, (int)($arguments['from'] ?? 0)),
+        ];
+
+        if (!empty($arguments['fields'])) {
+            $options['fields'] = array_values(array_filter(array_map('trim', $arguments['fields'])));
+        }
+        if (isset($arguments['fuzzy'])) {
+            $options['fuzzy'] = (bool)$arguments['fuzzy'];
+        }
+
+        $startTime = microtime(true);
+        $results = $plugin->elasticsearch->facetedSearch($query, $options);
+        $searchId = $plugin->searchAnalytics->logSearch($query, $siteId, $results, $startTime, SearchAnalyticsService::SOURCE_GRAPHQL);
+
+        $elements = self::loadElements($results['hits'], $siteId);
+
+        $hits = [];
+        foreach ($results['hits'] as $hit) {
+            $document = $hit['_source'] ?? [];
+            $elementId = isset($document['elementId']) ? (int)$document['elementId'] : null;
+
+            // The schema can't query the element, so none of its document is returned either
+            if (!isset($elements[$elementId])) {
+                continue;
+            }
+
+            $highlights = [];
+            foreach (array_filter($hit['highlight'] ?? []) as $field => $fragments) {
+                $highlights[] = ['field' => $field, 'fragments' => array_values($fragments)];
+            }
+
+            $hits[] = [
+                'id' => $hit['_id'] ?? null,
+                'score' => $hit['_score'] ?? null,
+                'elementId' => $elementId,
+                'elementType' => $document['elementType'] ?? null,
+                'siteId' => $document['siteId'] ?? $siteId,
+                'title' => $document['title'] ?? null,
+                'url' => $document['url'] ?? null,
+                'highlights' => $highlights,
+                'element' => $elements[$elementId],
+            ];
+        }
+
+        $facets = [];
+        foreach ($results['facets'] as $name => $facet) {
+            $facets[] = array_merge(['name' => $name], $facet);
+        }
+
+        return [
+            'hits' => $hits,
+            'total' => $results['total'],
+            'facets' => $facets,
+            'searchId' => $searchId,
+        ];
+    }
+
+    /**
+     * Normalize the facets argument to name => {field, type, size}
+     *
+     * @param array $facets Facet inputs
+     * @return array The facets
+     * @throws GqlException if there are too many facets, or one isn't a facet field
+     */
+    private static function normalizeFacets(array $facets): array
+    {
+        if (count($facets) > SearchController::MAX_FACETS) {
+            throw new GqlException('Searches can count at most ' . SearchController::MAX_FACETS . ' facets');
+        }
+
+        $normalized = [];
+        foreach ($facets as $facet) {
+            self::requireFacetField($facet['field']);
+            $normalized[$facet['name'] ?? $facet['field']] = [
+                'field' => $facet['field'],
+                'type' => ($facet['type'] ?? 'terms') === 'range' ? 'range' : 'terms',
+                'size' => min(100, max(1, (int)($facet['size'] ?? 10))),
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Normalize the filters argument to field => list of values
+     *
+     * @param array $filters Filter inputs
+     * @return array The filters
+     * @throws GqlException if a filter isn't on a facet field
+     */
+    private static function normalizeFilters(array $filters): array
+    {
+        $normalized = [];
+        foreach ($filters as $filter) {
+            self::requireFacetField($filter['field']);
+            $values = array_filter($filter['values'] ?? [], static fn($value) => $value !== null && $value !== '');
+            if ($values) {
+                $normalized[$filter['field']] = array_slice(array_values($values), 0, 50);
+            }
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Check that a field may be faceted or filtered on
+     *
+     * @param string $field The document field
+     * @throws GqlException if the field isn't listed in the `facetFields` setting
+     */
+    private static function requireFacetField(string $field): void
+    {
+        if (!in_array($field, SearchWithElastic::getInstance()->getSettings()->facetFields, true)) {
+            throw new GqlException("Field '$field' can't be used for facets or filters");
+        }
+    }
+
+    /**
+     * Load the live elements of the hits that the schema can query
+     *
+     * @param array $hits Elasticsearch hits
+     * @param int $siteId The site searched
+     * @return ElementInterface[] The elements, indexed by ID
+     */
+    private static function loadElements(array $hits, int $siteId): array
+    {
+        $idsByType = [];
+        foreach ($hits as $hit) {
+            $elementType = $hit['_source']['elementType'] ?? null;
+            if (isset($hit['_source']['elementId']) && is_string($elementType) && is_subclass_of($elementType, ElementInterface::class)) {
+                $idsByType[$elementType][] = (int)$hit['_source']['elementId'];
+            }
+        }
+
+        $allowedEntities = GqlHelper::extractAllowedEntitiesFromSchema();
+
+        $elements = [];
+        foreach ($idsByType as $elementType => $ids) {
+            /** @var string|ElementInterface $elementType */
+            foreach ($elementType::find()->id($ids)->siteId($siteId)->all() as $element) {
+                if (self::isElementAllowed($element, $allowedEntities)) {
+                    $elements[$element->id] = $element;
+                }
+            }
+        }
+
+        return $elements;
+    }
+
+    /**
+     * Whether the schema can query an element
+     *
+     * Element types without a schema component this resolver knows about aren't exposed.
+     *
+     * @param ElementInterface $element The element
+     * @param array $allowedEntities The entity UIDs the schema can read, by schema component prefix
+     * @return bool
+     */
+    private static function isElementAllowed(ElementInterface $element, array $allowedEntities): bool
+    {
+        return match (true) {
+            $element instanceof Entry => in_array($element->getSection()->uid, $allowedEntities['sections'] ?? [], true),
+            $element instanceof Asset => in_array($element->getVolume()->uid, $allowedEntities['volumes'] ?? [], true),
+            $element instanceof Category => in_array($element->getGroup()->uid, $allowedEntities['categorygroups'] ?? [], true),
+            $element instanceof Product => in_array($element->getType()->uid, $allowedEntities['productTypes'] ?? [], true),
+            default => false,
+        };
+    }
+}
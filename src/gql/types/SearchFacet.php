@@ -0,0 +1,91 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types;
+
+use craft\gql\base\ObjectType;
+use craft\gql\GqlEntityRegistry;
+use GraphQL\Type\Definition\ResolveInfo;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL type for the buckets or bounds of a facet
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchFacet extends ObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticFacet';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The object type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => static fn() => [
+                'name' => [
+                    'name' => 'name',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The name of the facet.',
+                ],
+                'field' => [
+                    'name' => 'field',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The field the facet counts.',
+                ],
+                'type' => [
+                    'name' => 'type',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => '`terms` or `range`.',
+                ],
+                'buckets' => [
+                    'name' => 'buckets',
+                    'type' => Type::listOf(SearchFacetBucket::getType()),
+                    'description' => 'The values and their hit counts, for terms facets.',
+                ],
+                'min' => [
+                    'name' => 'min',
+                    'type' => Type::float(),
+                    'description' => 'The lowest value, for range facets.',
+                ],
+                'max' => [
+                    'name' => 'max',
+                    'type' => Type::float(),
+                    'description' => 'The highest value, for range facets.',
+                ],
+            ],
+        ]));
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    protected function resolve(mixed $source, array $arguments, mixed $context, ResolveInfo $resolveInfo): mixed
+    {
+        return $source[$resolveInfo->fieldName] ?? null;
+    }
+}
@@ -0,0 +1,71 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types;
+
+use craft\gql\base\ObjectType;
+use craft\gql\GqlEntityRegistry;
+use GraphQL\Type\Definition\ResolveInfo;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL type for a value of a terms facet
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchFacetBucket extends ObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticFacetBucket';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The object type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => static fn() => [
+                'value' => [
+                    'name' => 'value',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The value.',
+                ],
+                'count' => [
+                    'name' => 'count',
+                    'type' => Type::nonNull(Type::int()),
+                    'description' => 'The number of hits with the value.',
+                ],
+            ],
+        ]));
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    protected function resolve(mixed $source, array $arguments, mixed $context, ResolveInfo $resolveInfo): mixed
+    {
+        return $source[$resolveInfo->fieldName] ?? null;
+    }
+}
@@ -0,0 +1,71 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types;
+
+use craft\gql\base\ObjectType;
+use craft\gql\GqlEntityRegistry;
+use GraphQL\Type\Definition\ResolveInfo;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL type for the highlighted fragments of a field in a search hit
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchHighlight extends ObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticHighlight';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The object type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => static fn() => [
+                'field' => [
+                    'name' => 'field',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The field that matched.',
+                ],
+                'fragments' => [
+                    'name' => 'fragments',
+                    'type' => Type::nonNull(Type::listOf(Type::string())),
+                    'description' => 'The fragments with the matches wrapped in the configured highlight tags.',
+                ],
+            ],
+        ]));
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    protected function resolve(mixed $source, array $arguments, mixed $context, ResolveInfo $resolveInfo): mixed
+    {
+        return $source[$resolveInfo->fieldName] ?? null;
+    }
+}
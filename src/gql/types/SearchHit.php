@@ -0,0 +1,107 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types;
+
+use craft\gql\base\ObjectType;
+use craft\gql\GqlEntityRegistry;
+use craft\gql\interfaces\Element as ElementInterface;
+use GraphQL\Type\Definition\ResolveInfo;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL type for a search hit
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchHit extends ObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticHit';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The object type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => static fn() => [
+                'id' => [
+                    'name' => 'id',
+                    'type' => Type::string(),
+                    'description' => 'The ID of the Elasticsearch document.',
+                ],
+                'score' => [
+                    'name' => 'score',
+                    'type' => Type::float(),
+                    'description' => 'The relevance score.',
+                ],
+                'elementId' => [
+                    'name' => 'elementId',
+                    'type' => Type::int(),
+                    'description' => 'The ID of the element.',
+                ],
+                'elementType' => [
+                    'name' => 'elementType',
+                    'type' => Type::string(),
+                    'description' => 'The class name of the element.',
+                ],
+                'siteId' => [
+                    'name' => 'siteId',
+                    'type' => Type::int(),
+                    'description' => 'The ID of the site the element was indexed for.',
+                ],
+                'title' => [
+                    'name' => 'title',
+                    'type' => Type::string(),
+                    'description' => 'The indexed title.',
+                ],
+                'url' => [
+                    'name' => 'url',
+                    'type' => Type::string(),
+                    'description' => 'The indexed URL.',
+                ],
+                'highlights' => [
+                    'name' => 'highlights',
+                    'type' => Type::listOf(SearchHighlight::getType()),
+                    'description' => 'The highlighted fragments of each field that matched.',
+                ],
+                'element' => [
+                    'name' => 'element',
+                    'type' => ElementInterface::getType(),
+                    'description' => 'The element, resolved to its native GraphQL type.',
+                ],
+            ],
+        ]));
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    protected function resolve(mixed $source, array $arguments, mixed $context, ResolveInfo $resolveInfo): mixed
+    {
+        return $source[$resolveInfo->fieldName] ?? null;
+    }
+}
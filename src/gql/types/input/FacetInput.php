@@ -0,0 +1,71 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types\input;
+
+use craft\gql\GqlEntityRegistry;
+use GraphQL\Type\Definition\InputObjectType;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL input type for a facet to count in a search
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class FacetInput extends InputObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticFacetInput';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The input type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => [
+                'field' => [
+                    'name' => 'field',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The field to count values of.',
+                ],
+                'name' => [
+                    'name' => 'name',
+                    'type' => Type::string(),
+                    'description' => 'The name the facet is returned with. Defaults to the field.',
+                ],
+                'type' => [
+                    'name' => 'type',
+                    'type' => Type::string(),
+                    'description' => '`terms` for value buckets, or `range` for the lowest and highest values. Defaults to `terms`.',
+                ],
+                'size' => [
+                    'name' => 'size',
+                    'type' => Type::int(),
+                    'description' => 'The number of buckets to return, from 1 to 100. Defaults to 10.',
+                ],
+            ],
+        ]));
+    }
+}
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\gql\types\input;
+
+use craft\gql\GqlEntityRegistry;
+use GraphQL\Type\Definition\InputObjectType;
+use GraphQL\Type\Definition\Type;
+
+/**
+ * GraphQL input type for a term filter in a search
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class FilterInput extends InputObjectType
+{
+    /**
+     * Get the name of the type
+     *
+     * @return string The type name
+     * @since 4.2.0
+     */
+    public static function getName(): string
+    {
+        return 'SearchWithElasticFilterInput';
+    }
+
+    /**
+     * Get the type, creating it the first time
+     *
+     * @return mixed The input type
+     * @since 4.2.0
+     */
+    public static function getType(): mixed
+    {
+        return GqlEntityRegistry::getEntity(self::getName()) ?: GqlEntityRegistry::createEntity(self::getName(), new self([
+            'name' => self::getName(),
+            'fields' => [
+                'field' => [
+                    'name' => 'field',
+                    'type' => Type::nonNull(Type::string()),
+                    'description' => 'The field to filter on.',
+                ],
+                'values' => [
+                    'name' => 'values',
+                    'type' => Type::nonNull(Type::listOf(Type::string())),
+                    'description' => 'The values to keep; hits must have one of them.',
+                ],
+            ],
+        ]));
+    }
+}
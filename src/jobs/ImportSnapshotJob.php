@@ -0,0 +1,163 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\jobs;
+
+use Craft;
+use craft\queue\BaseJob;
+use pennebaker\searchwithelastic\exceptions\IndexingException;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\IndexSnapshotService;
+use Throwable;
+use yii\queue\RetryableJobInterface;
+
+/**
+ * Job for importing an index snapshot uploaded in the Refresh Elasticsearch utility
+ *
+ * Progress and the result of each index are written to the import status that
+ * the utility polls. The snapshot file is deleted once the job is done with it,
+ * or by [[IndexSnapshotService::getImportStatus()]] when the job dies before that.
+ * The job isn't retried, as the file is gone by then.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class ImportSnapshotJob extends BaseJob implements RetryableJobInterface
+{
+    /**
+     * Seconds the job may run before the queue considers it dead
+     *
+     * @since 4.2.0
+     */
+    public const TTR = 21600;
+
+    /**
+     * @var string Identifier of the import this job belongs to
+     * @since 4.2.0
+     */
+    public string $importId;
+
+    /**
+     * @var string Path of the snapshot file
+     * @since 4.2.0
+     */
+    public string $filePath;
+
+    /**
+     * @var string|null The index prefix to rename the indexes to, or null to keep their names
+     * @since 4.2.0
+     */
+    public ?string $indexPrefix = null;
+
+    /**
+     * Execute the import
+     *
+     * @param mixed $queue The queue instance
+     * @return void
+     * @throws IndexingException When an index couldn't be imported
+     * @throws Throwable When the snapshot couldn't be read
+     * @since 4.2.0
+     */
+    public function execute($queue): void
+    {
+        $snapshots = SearchWithElastic::getInstance()->indexSnapshots;
+
+        $status = $snapshots->getImportStatus();
+        if ($status === null || $status['importId'] !== $this->importId || $status['status'] !== IndexSnapshotService::STATUS_QUEUED) {
+            // The import was replaced by a newer one, or given up on
+            $snapshots->deleteUpload($this->filePath);
+            return;
+        }
+
+        $snapshots->updateImportStatus($this->importId, [
+            'status' => IndexSnapshotService::STATUS_RUNNING,
+            'startedAt' => time(),
+        ]);
+
+        try {
+            $stream = is_file($this->filePath) && is_readable($this->filePath) ? fopen($this->filePath, 'rb') : false;
+            if (!is_resource($stream)) {
+                throw new IndexingException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The snapshot file {path} can\'t be read.', [
+                    'path' => $this->filePath,
+                ]));
+            }
+
+            try {
+                $indexes = $snapshots->import($stream, $this->indexPrefix, function (int $processed, int $total) use ($queue, $snapshots) {
+                    $this->setProgress($queue, $total > 0 ? min(1, $processed / $total) : 0);
+                    $snapshots->updateImportStatus($this->importId, [
+                        'processed' => $processed,
+                        'total' => $total,
+                    ]);
+                });
+            } finally {
+                fclose($stream);
+            }
+
+            $errors = [];
+            foreach ($indexes as $index) {
+                if ($index['error'] !== null) {
+                    $errors[] = "{$index['alias']}: {$index['error']}";
+                }
+            }
+
+            $snapshots->updateImportStatus($this->importId, [
+                'status' => empty($errors) ? IndexSnapshotService::STATUS_COMPLETED : IndexSnapshotService::STATUS_FAILED,
+                'indexes' => $indexes,
+                'error' => empty($errors) ? null : implode(' ', $errors),
+                'finishedAt' => time(),
+            ]);
+        } catch (Throwable $e) {
+            Craft::error('Snapshot import failed: ' . $e->getMessage(), __METHOD__);
+
+            $snapshots->updateImportStatus($this->importId, [
+                'status' => IndexSnapshotService::STATUS_FAILED,
+                'error' => $e->getMessage(),
+                'finishedAt' => time(),
+            ]);
+
+            throw $e;
+        } finally {
+            $snapshots->deleteUpload($this->filePath);
+        }
+
+        if (!empty($errors)) {
+            throw new IndexingException(implode(' ', $errors));
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function getTtr(): int
+    {
+        return self::TTR;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function canRetry($attempt, $error): bool
+    {
+        return false;
+    }
+
+    /**
+     * Get the default job description for display in the queue
+     *
+     * @return string The job description
+     * @since 4.2.0
+     */
+    protected function defaultDescription(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Importing an Elasticsearch index snapshot');
+    }
+}
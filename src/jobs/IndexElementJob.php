@@ -17,6 +17,7 @@ use craft\helpers\ElementHelper;
 use craft\queue\BaseJob;
 use pennebaker\searchwithelastic\exceptions\IndexableElementModelException;
 use pennebaker\searchwithelastic\models\IndexableElementModel;
+use pennebaker\searchwithelastic\models\IndexingResult;
 use pennebaker\searchwithelastic\SearchWithElastic;
 use yii\base\InvalidConfigException;
 
@@ -49,6 +50,11 @@ class IndexElementJob extends BaseJob
      */
     public string $elementType;
 
+    /**
+     * @var IndexingResult|null The result of indexing the element, once the job has run
+     */
+    private ?IndexingResult $result = null;
+
     /**
      * Execute the indexing job
      *
@@ -77,10 +83,22 @@ class IndexElementJob extends BaseJob
         // Skip if element is a draft or revision
         if (ElementHelper::isDraftOrRevision($element)) {
             Craft::info("Skipping draft/revision element #{$this->elementId} in site #{$this->siteId}", 'search-with-elastic');
+            $this->result = IndexingResult::skipped('Element is a draft or revision');
             return;
         }
         
-        SearchWithElastic::getInstance()->elementIndexer->indexElement($element);
+        $this->result = SearchWithElastic::getInstance()->elementIndexer->indexElement($element);
+    }
+
+    /**
+     * Get the result of indexing the element
+     *
+     * @return IndexingResult|null The indexing result, or null if the job hasn't run
+     * @since 4.2.0
+     */
+    public function getResult(): ?IndexingResult
+    {
+        return $this->result;
     }
 
     /**
@@ -0,0 +1,108 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\jobs;
+
+use Craft;
+use craft\queue\BaseJob;
+use pennebaker\searchwithelastic\exceptions\IndexingException;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use yii\queue\RetryableJobInterface;
+
+/**
+ * Job for applying changed synonyms and stopwords to the indexes
+ *
+ * Queued after project config changes are applied, e.g. on deploy. Sites whose
+ * indexes were built with other synonym rules or stopwords than the current
+ * ones are rebuilt from their own documents and swapped in without downtime.
+ *
+ * Each index is copied by an Elasticsearch task that is cancelled after an hour,
+ * and the job gets a long time to run, since it waits for every copy.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class ReanalyzeIndexesJob extends BaseJob implements RetryableJobInterface
+{
+    /**
+     * Seconds the job may run before the queue considers it dead
+     *
+     * @since 4.2.0
+     */
+    public const TTR = 21600;
+
+    /**
+     * Execute the job
+     *
+     * @param mixed $queue The queue instance
+     * @return void
+     * @throws IndexingException When an index couldn't be swapped in
+     * @throws \Exception When an index couldn't be rebuilt
+     * @since 4.2.0
+     */
+    public function execute($queue): void
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $rebuildingSiteIds = $indexManagement->getRebuildingSiteIds();
+        $siteIds = $indexManagement->getOutdatedAnalysisSiteIds();
+        $errors = [];
+
+        foreach ($siteIds as $i => $siteId) {
+            // A "Reset & Index" run in progress would lose its new indexes
+            if (in_array($siteId, $rebuildingSiteIds, true)) {
+                Craft::warning("Not applying the synonyms and stopwords of site $siteId: its indexes are being rebuilt", __METHOD__);
+                continue;
+            }
+
+            $results = $indexManagement->reanalyzeSiteIndexes($siteId, function (float $progress) use ($queue, $i, $siteIds) {
+                $this->setProgress($queue, ($i + $progress) / count($siteIds));
+            });
+
+            foreach ($results as $result) {
+                if (!$result['swapped']) {
+                    $errors[] = "{$result['alias']}: {$result['error']}";
+                }
+            }
+        }
+
+        if (!empty($errors)) {
+            throw new IndexingException(implode(' ', $errors));
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function getTtr(): int
+    {
+        return self::TTR;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function canRetry($attempt, $error): bool
+    {
+        // A copy that failed or timed out would most likely do so again
+        return false;
+    }
+
+    /**
+     * Get the default job description for display in the queue
+     *
+     * @return string The job description
+     * @since 4.2.0
+     */
+    protected function defaultDescription(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Applying synonyms and stopwords to Elasticsearch indexes');
+    }
+}
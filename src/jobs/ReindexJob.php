@@ -0,0 +1,303 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\jobs;
+
+use Craft;
+use craft\queue\BaseJob;
+use pennebaker\searchwithelastic\models\IndexableElementModel;
+use pennebaker\searchwithelastic\models\IndexingResult;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\ReindexQueueManagementService;
+use Throwable;
+use yii\queue\RetryableJobInterface;
+
+/**
+ * Job for reindexing a selection of sites and element types in the background
+ *
+ * Runs the same reindex as the Refresh Elasticsearch utility, but on the Craft
+ * queue so it keeps going when the browser tab is closed. Progress, failures and
+ * partial indexes are written to the background run status that the utility polls.
+ *
+ * The whole run happens in one job, so it gets a long time to run and isn't
+ * retried; a run whose job dies is marked as failed instead.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class ReindexJob extends BaseJob implements RetryableJobInterface
+{
+    /**
+     * Seconds the job may run before the queue considers it dead
+     *
+     * @since 4.2.0
+     */
+    public const TTR = 21600;
+
+    /**
+     * @var string Identifier of the background run this job belongs to
+     * @since 4.2.0
+     */
+    public string $runId;
+
+    /**
+     * @var int[] Site IDs to reindex
+     * @since 4.2.0
+     */
+    public array $siteIds = [];
+
+    /**
+     * @var array Element types to reindex, keyed by site ID
+     * @since 4.2.0
+     */
+    public array $elementTypes = [];
+
+    /**
+     * @var string Reindex mode: 'reset', 'all', 'missing', 'updated' or 'missing-updated'
+     * @since 4.2.0
+     */
+    public string $reindexMode = 'reset';
+
+    /**
+     * @var int Number of elements indexed per bulk request
+     * @since 4.2.0
+     */
+    public int $batchSize = 25;
+
+    /**
+     * Execute the reindex
+     *
+     * @param mixed $queue The queue instance
+     * @return void
+     * @throws Throwable
+     * @since 4.2.0
+     */
+    public function execute($queue): void
+    {
+        $plugin = SearchWithElastic::getInstance();
+        $runs = $plugin->reindexQueueManagement;
+
+        $status = $runs->getBackgroundReindexStatus();
+        if ($status === null || $status['runId'] !== $this->runId || $status['status'] !== ReindexQueueManagementService::STATUS_QUEUED) {
+            // The run was discarded, or an earlier attempt of this job died part-way through it
+            if ($status !== null && $status['runId'] === $this->runId && $this->isActive($status)) {
+                $runs->failBackgroundReindex($this->runId);
+            }
+            return;
+        }
+
+        try {
+            if ($this->reindexMode === 'reset') {
+                // Fill new indexes behind the live ones, which are swapped in once the run completes
+                foreach ($this->siteIds as $siteId) {
+                    $plugin->indexManagement->startIndexRebuild($siteId);
+                }
+            }
+
+            $models = $plugin->elasticsearch->getIndexableElementModels($this->siteIds, $this->elementTypes, $this->reindexMode);
+            $total = count($models);
+
+            $runs->updateBackgroundReindexStatus($this->runId, [
+                'status' => ReindexQueueManagementService::STATUS_RUNNING,
+                'total' => $total,
+                'startedAt' => time(),
+            ]);
+
+            foreach (array_chunk($models, max(1, $this->batchSize)) as $i => $chunk) {
+                $status = $runs->getBackgroundReindexStatus();
+                if ($status === null || $status['runId'] !== $this->runId || !$this->isActive($status)) {
+                    // The run was discarded, or given up on, while the job was running
+                    return;
+                }
+
+                if ($status['status'] === ReindexQueueManagementService::STATUS_CANCELLING) {
+                    $this->abandonIndexRebuilds();
+                    $runs->updateBackgroundReindexStatus($this->runId, [
+                        'status' => ReindexQueueManagementService::STATUS_CANCELLED,
+                        'finishedAt' => time(),
+                    ]);
+                    return;
+                }
+
+                $this->indexChunk($chunk, $status);
+
+                $processed = min($total, ($i + 1) * $this->batchSize);
+                $this->setProgress($queue, $total ? $processed / $total : 1, Craft::t(
+                    SearchWithElastic::PLUGIN_HANDLE,
+                    '{processed} of {total} elements',
+                    ['processed' => $processed, 'total' => $total]
+                ));
+            }
+
+            $indexes = [];
+            if ($this->reindexMode === 'reset') {
+                foreach ($this->siteIds as $siteId) {
+                    array_push($indexes, ...$plugin->indexManagement->finishIndexRebuild($siteId));
+                }
+            }
+
+            $runs->updateBackgroundReindexStatus($this->runId, [
+                'status' => ReindexQueueManagementService::STATUS_COMPLETED,
+                'indexes' => $indexes,
+                'finishedAt' => time(),
+            ]);
+        } catch (Throwable $e) {
+            Craft::error('Background reindex failed: ' . $e->getMessage(), __METHOD__);
+            $this->abandonIndexRebuilds();
+
+            $runs->updateBackgroundReindexStatus($this->runId, [
+                'status' => ReindexQueueManagementService::STATUS_FAILED,
+                'error' => $e->getMessage(),
+                'finishedAt' => time(),
+            ]);
+
+            throw $e;
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function getTtr(): int
+    {
+        return self::TTR;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    public function canRetry($attempt, $error): bool
+    {
+        // Rerunning would start the whole reindex over
+        return false;
+    }
+
+    /**
+     * Check whether the run is running or being cancelled
+     *
+     * @param array $status The run status
+     * @return bool
+     */
+    protected function isActive(array $status): bool
+    {
+        return in_array($status['status'], [ReindexQueueManagementService::STATUS_RUNNING, ReindexQueueManagementService::STATUS_CANCELLING], true);
+    }
+
+    /**
+     * Delete the new indexes of a reset run that won't complete, keeping the live ones
+     *
+     * @return void
+     */
+    protected function abandonIndexRebuilds(): void
+    {
+        if ($this->reindexMode !== 'reset') {
+            return;
+        }
+
+        foreach ($this->siteIds as $siteId) {
+            SearchWithElastic::getInstance()->indexManagement->abandonIndexRebuild($siteId);
+        }
+    }
+
+    /**
+     * Index a chunk of elements with a single bulk request and record the results
+     *
+     * @param IndexableElementModel[] $models The elements to index
+     * @param array $status The current run status
+     * @return void
+     * @throws Throwable
+     */
+    protected function indexChunk(array $models, array $status): void
+    {
+        $elements = [];
+        $failedEntries = [];
+        $partialEntries = [];
+
+        foreach ($models as $key => $model) {
+            try {
+                $element = $model->getElement();
+            } catch (Throwable $e) {
+                $element = null;
+            }
+
+            if (!$element) {
+                $failedEntries[] = $this->buildEntry($model, [
+                    'error' => 'Element not found',
+                    'errorDetails' => 'Element ID ' . $model->elementId . ' does not exist in site ' . $model->siteId,
+                ]);
+                continue;
+            }
+
+            $elements[$key] = $element;
+        }
+
+        $results = $elements ? SearchWithElastic::getInstance()->elementIndexer->indexElements($elements) : [];
+
+        /** @var IndexingResult $result */
+        foreach ($results as $key => $result) {
+            if ($result->isFailed()) {
+                $failedEntries[] = $this->buildEntry($models[$key], [
+                    'error' => 'Failed to index element: ' . $result->reason,
+                    'errorDetails' => $result->errorDetails ?? $result->reason,
+                ]);
+            } elseif ($result->isPartial()) {
+                $partialEntries[] = $this->buildEntry($models[$key], [
+                    'reason' => $result->reason,
+                ]);
+            }
+        }
+
+        $limit = ReindexQueueManagementService::MAX_TRACKED_ENTRIES;
+
+        SearchWithElastic::getInstance()->reindexQueueManagement->updateBackgroundReindexStatus($this->runId, [
+            'processed' => $status['processed'] + count($models),
+            'failed' => $status['failed'] + count($failedEntries),
+            'partial' => $status['partial'] + count($partialEntries),
+            'failedEntries' => array_slice(array_merge($status['failedEntries'], $failedEntries), 0, $limit),
+            'partialEntries' => array_slice(array_merge($status['partialEntries'], $partialEntries), 0, $limit),
+        ]);
+    }
+
+    /**
+     * Build a failure or warning entry in the format the utility reports on
+     *
+     * @param IndexableElementModel $model The element the entry is for
+     * @param array $details The error or partial reason
+     * @return array The entry
+     */
+    protected function buildEntry(IndexableElementModel $model, array $details): array
+    {
+        $type = ($pos = strrpos($model->type, '\\')) ? substr($model->type, $pos + 1) : $model->type;
+
+        return array_merge([
+            'elementId' => $model->elementId,
+            'elementType' => $type,
+            'params' => [
+                'elementId' => $model->elementId,
+                'siteId' => $model->siteId,
+                'type' => $model->type,
+            ],
+        ], $details);
+    }
+
+    /**
+     * Get the default job description for display in the queue
+     *
+     * @return string The job description
+     * @since 4.2.0
+     */
+    protected function defaultDescription(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Reindexing Elasticsearch ({mode})', [
+            'mode' => $this->reindexMode,
+        ]);
+    }
+}
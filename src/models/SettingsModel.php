@@ -23,6 +23,7 @@ use craft\helpers\App;
 use Exception;
 use pennebaker\searchwithelastic\helpers\validation\ValidationHelper;
 use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\validators\AnalysisValidator;
 use pennebaker\searchwithelastic\validators\IndexValidator;
 use yii\base\InvalidConfigException;
 
@@ -210,6 +211,58 @@ class SettingsModel extends Model
     /** @var array List of IP addresses exempt from rate limiting */
     public array $rateLimitExemptIps = [];
 
+    /** @var int Maximum number of parallel requests the Refresh Elasticsearch utility may ramp up to */
+    public int $reindexMaxConcurrency = 6;
+
+    /** @var int Number of earlier index versions kept for rollback after a "Reset & Index" swaps in a rebuilt index */
+    public int $indexVersionsToKeep = 2;
+
+    /** @var float Share of the live index's documents a rebuilt index must hold before it is swapped in (0 to skip the check) */
+    public float $indexSwapMinDocumentRatio = 0.9;
+
+    /** @var string[] Document fields whose values are suggested by the autocomplete endpoint alongside titles, e.g. extra fields */
+    public array $suggestFields = [];
+
+    /**
+     * @var string[] Document fields the public search endpoints and the GraphQL query may facet, filter and range on.
+     * Use keyword, numeric or date fields: terms facets on text fields fail or are expensive.
+     */
+    public array $facetFields = ['elementType'];
+
+    /**
+     * @var array Synonym rules and stopwords applied to the indexes of each site, keyed by site UID or handle.
+     * Each site has:
+     * - `synonyms`: rules with comma-separated `terms` and an optional `replacement`. Without a replacement the
+     *   terms are equivalent (`tv, television`); with one, the terms are replaced by it (`i-pod, i pod => ipod`)
+     * - `stopwords`: words left out of searches, on top of the language's own stopwords
+     *
+     * For example:
+     *   ```php
+     *   [
+     *       'default' => [
+     *           'synonyms' => [
+     *               ['terms' => 'tv, television', 'replacement' => ''],
+     *               ['terms' => 'sku-1042', 'replacement' => 'trailblazer 2'],
+     *           ],
+     *           'stopwords' => [['word' => 'acme']],
+     *       ],
+     *   ]
+     *   ```
+     */
+    public array $analysis = [];
+
+    /** @var bool Whether searches made through the public search endpoints and the template variable are logged for the search analytics report */
+    public bool $searchAnalyticsEnabled = false;
+
+    /** @var string How visitors' IP addresses are stored with logged searches: 'anonymize' (network part only), 'full' or 'none' */
+    public string $searchAnalyticsIpMode = 'anonymize';
+
+    /** @var bool Whether searches by visitors sending a Do Not Track or Global Privacy Control header are left out of the search analytics */
+    public bool $searchAnalyticsRespectDoNotTrack = true;
+
+    /** @var int Number of days logged searches are kept for (0 to keep them forever) */
+    public int $searchAnalyticsRetentionDays = 90;
+
     /**
      * @var array An associative array passed to the yii2-elasticsearch component Connection class constructor.
      * @note If this is set, the $elasticsearchEndpoint, $username, $password and $isAuthEnabled properties will be ignored.
@@ -289,6 +342,24 @@ class SettingsModel extends Model
             ['rateLimitTrackingMethod', 'default', 'value' => 'ip'],
             ['rateLimitExemptIps', 'each', 'rule' => ['ip', 'subnet' => null]],
             ['rateLimitExemptIps', 'default', 'value' => []],
+            ['reindexMaxConcurrency', 'integer', 'min' => 1, 'max' => 20],
+            ['reindexMaxConcurrency', 'default', 'value' => 6],
+            ['indexVersionsToKeep', 'integer', 'min' => 0, 'max' => 10],
+            ['indexVersionsToKeep', 'default', 'value' => 2],
+            ['indexSwapMinDocumentRatio', 'number', 'min' => 0, 'max' => 1],
+            ['indexSwapMinDocumentRatio', 'default', 'value' => 0.9],
+            ['suggestFields', 'each', 'rule' => ['match', 'pattern' => '/^[a-zA-Z0-9_]+$/']],
+            ['suggestFields', 'default', 'value' => []],
+            ['facetFields', 'each', 'rule' => ['match', 'pattern' => '/^[a-zA-Z0-9_.\-]+$/']],
+            ['facetFields', 'default', 'value' => []],
+            ['analysis', 'filter', 'filter' => [$this, 'normalizeAnalysis']],
+            ['analysis', 'validateAnalysis'],
+            ['searchAnalyticsEnabled', 'boolean'],
+            ['searchAnalyticsIpMode', 'in', 'range' => ['anonymize', 'full', 'none']],
+            ['searchAnalyticsIpMode', 'default', 'value' => 'anonymize'],
+            ['searchAnalyticsRespectDoNotTrack', 'boolean'],
+            ['searchAnalyticsRetentionDays', 'integer', 'min' => 0, 'max' => 3650],
+            ['searchAnalyticsRetentionDays', 'default', 'value' => 90],
         ];
     }
 
@@ -346,6 +417,22 @@ class SettingsModel extends Model
             'rateLimitBurstSize' => Craft::t('search-with-elastic', 'Burst Size'),
             'rateLimitTrackingMethod' => Craft::t('search-with-elastic', 'Tracking Method'),
             'rateLimitExemptIps' => Craft::t('search-with-elastic', 'Exempt IP Addresses'),
+
+            // Reindex Utility Configuration
+            'reindexMaxConcurrency' => Craft::t('search-with-elastic', 'Max Concurrent Reindex Requests'),
+            'indexVersionsToKeep' => Craft::t('search-with-elastic', 'Index Versions to Keep'),
+            'indexSwapMinDocumentRatio' => Craft::t('search-with-elastic', 'Minimum Document Ratio for Index Swaps'),
+
+            // Autocomplete Configuration
+            'suggestFields' => Craft::t('search-with-elastic', 'Suggestion Fields'),
+            'facetFields' => Craft::t('search-with-elastic', 'Facet Fields'),
+            'analysis' => Craft::t('search-with-elastic', 'Synonyms and Stopwords'),
+
+            // Search Analytics Configuration
+            'searchAnalyticsEnabled' => Craft::t('search-with-elastic', 'Enable Search Analytics'),
+            'searchAnalyticsIpMode' => Craft::t('search-with-elastic', 'IP Addresses'),
+            'searchAnalyticsRespectDoNotTrack' => Craft::t('search-with-elastic', 'Respect Do Not Track'),
+            'searchAnalyticsRetentionDays' => Craft::t('search-with-elastic', 'Retention Period'),
         ];
     }
 
@@ -466,6 +553,89 @@ class SettingsModel extends Model
         }
     }
 
+    /**
+     * Normalizes the synonym rules and stopwords
+     *
+     * Drops empty rows and sites without rules, and accepts rules written as
+     * `terms => replacement` strings and stopwords written as plain strings, as
+     * is convenient in the configuration file.
+     *
+     * @param mixed $value The submitted or configured value
+     * @return array The normalized rules, keyed by site UID or handle
+     * @since 4.2.0
+     */
+    public function normalizeAnalysis(mixed $value): array
+    {
+        if (!is_array($value)) {
+            return [];
+        }
+
+        $normalized = [];
+
+        foreach ($value as $siteKey => $siteAnalysis) {
+            $synonyms = [];
+            foreach ((array)($siteAnalysis['synonyms'] ?? []) as $rule) {
+                if (is_string($rule)) {
+                    [$terms, $replacement] = array_pad(explode('=>', $rule, 2), 2, '');
+                } else {
+                    $terms = $rule['terms'] ?? '';
+                    $replacement = $rule['replacement'] ?? '';
+                }
+
+                $terms = trim((string)$terms);
+                $replacement = trim((string)$replacement);
+                if ($terms !== '' || $replacement !== '') {
+                    $synonyms[] = ['terms' => $terms, 'replacement' => $replacement];
+                }
+            }
+
+            $stopwords = [];
+            foreach ((array)($siteAnalysis['stopwords'] ?? []) as $stopword) {
+                $word = trim((string)(is_array($stopword) ? ($stopword['word'] ?? '') : $stopword));
+                if ($word !== '') {
+                    $stopwords[] = ['word' => mb_strtolower($word)];
+                }
+            }
+
+            if (!empty($synonyms) || !empty($stopwords)) {
+                $normalized[$siteKey] = ['synonyms' => $synonyms, 'stopwords' => $stopwords];
+            }
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Validates the synonym rules and stopwords of each site
+     *
+     * @param string $attribute The attribute being validated
+     * @return void
+     * @since 4.2.0
+     */
+    public function validateAnalysis(string $attribute): void
+    {
+        foreach ($this->$attribute as $siteKey => $siteAnalysis) {
+            $site = Craft::$app->getSites()->getSiteByUid((string)$siteKey) ?? Craft::$app->getSites()->getSiteByHandle((string)$siteKey);
+
+            if ($site === null) {
+                $this->addError($attribute, Craft::t('search-with-elastic', 'There is no site with the UID or handle "{site}".', ['site' => $siteKey]));
+                continue;
+            }
+
+            $errors = [];
+            foreach ($siteAnalysis['synonyms'] as $rule) {
+                array_push($errors, ...AnalysisValidator::validateSynonymRule($rule['terms'], $rule['replacement']));
+            }
+            foreach ($siteAnalysis['stopwords'] as $stopword) {
+                array_push($errors, ...AnalysisValidator::validateStopword($stopword['word']));
+            }
+
+            foreach ($errors as $error) {
+                $this->addError($attribute, Craft::t('search-with-elastic', '{site}: {error}', ['site' => $site->name, 'error' => $error]));
+            }
+        }
+    }
+
     /**
      * Performs additional validation after the standard validation rules
      *
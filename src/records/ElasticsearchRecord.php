@@ -424,16 +424,22 @@ class ElasticsearchRecord extends ActiveRecord
     {
         if ($this->_queryParams === null) {
             $currentTimeDb = Db::prepareDateForDb(new DateTime());
+            $multiMatch = [
+                'fields'   => $this->getSearchFields(),
+                'query'    => $query,
+                'operator' => 'and',
+            ];
+
+            // Sites with synonyms or stopwords search with each field's own search analyzer
+            if (!SearchWithElastic::getInstance()->indexManagement->hasCustomAnalysis(static::$siteId)) {
+                $multiMatch['analyzer'] = self::siteAnalyzer();
+            }
+
             $this->_queryParams = [
                 'bool' => [
                     'must'   => [
                         [
-                            'multi_match' => [
-                                'fields'   => $this->getSearchFields(),
-                                'query'    => $query,
-                                'analyzer' => self::siteAnalyzer(),
-                                'operator' => 'and',
-                            ],
+                            'multi_match' => $multiMatch,
                         ],
                     ],
                     'filter' => [
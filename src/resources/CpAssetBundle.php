@@ -18,7 +18,9 @@ use craft\web\assets\cp\CpAsset;
  * Asset bundle for Control Panel resources
  *
  * Provides JavaScript and CSS assets for the Search w/Elastic plugin's
- * Control Panel interface, including the reindexing utility.
+ * Control Panel interface, including the reindexing utility, the search
+ * playground, the search analytics report and dashboard widget, and the
+ * searchable fields inspector.
  * 
  * @since 4.0.0
  */
@@ -43,10 +45,20 @@ class CpAssetBundle extends AssetBundle
 
         $this->js = [
             'js/utilities/reindex.js',
+            'js/utilities/snapshots.js',
+            'js/playground.js',
+            'js/analytics.js',
+            'js/inspector.js',
+            'js/pinned-results.js',
         ];
 
         $this->css = [
             'css/utility.css',
+            'css/playground.css',
+            'css/analytics.css',
+            'css/inspector.css',
+            'css/pinned-results.css',
+            'css/rate-limits.css',
         ];
 
         parent::init();
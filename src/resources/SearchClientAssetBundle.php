@@ -0,0 +1,48 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\resources;
+
+use craft\web\AssetBundle;
+
+/**
+ * Asset bundle for the frontend search client
+ *
+ * Provides the `SearchWithElastic.client()` JavaScript client for calling the
+ * public search endpoints from site templates, and the `SearchWithElastic.facets()`
+ * facet and filter component and `SearchWithElastic.autocomplete()` widget built
+ * on it. They have no dependencies, so they can be used on any frontend.
+ *
+ * @since 4.2.0
+ */
+class SearchClientAssetBundle extends AssetBundle
+{
+    /**
+     * Initialize the asset bundle
+     *
+     * Sets up the source path and the search client script.
+     *
+     * @return void
+     * @since 4.2.0
+     */
+    public function init(): void
+    {
+        $this->sourcePath = '@pennebaker/searchwithelastic/resources/site';
+
+        $this->js = [
+            'js/search-client.js',
+            'js/faceted-search.js',
+            'js/autocomplete.js',
+        ];
+
+        parent::init();
+    }
+}
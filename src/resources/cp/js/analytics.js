@@ -0,0 +1,250 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function ($) {
+      var SVG_NS = 'http://www.w3.org/2000/svg';
+
+      /**
+       * Search w/Elastic Search Analytics Chart
+       *
+       * Draws the daily searches and searches without results of the search analytics
+       * report as an SVG line chart, with a tooltip for the day under the pointer. Used
+       * by the Analytics page and the Search Analytics dashboard widget, and with other
+       * series and points in time by the Rate Limits page.
+       */
+      Craft.SearchWithElasticAnalyticsChart = Garnish.Base.extend({
+        // UI Elements
+        $container: null, // Chart container element
+        $tooltip:   null, // Tooltip for the hovered day
+        svg:        null, // Chart SVG element
+
+        // State
+        trend:      null, // Points of the chart, each with a date and a value per series
+        settings:   null, // Chart settings, see `defaults`
+
+        /**
+         * Initialize the chart
+         * @param {string} containerId - ID of the chart container
+         * @param {Object[]} trend - Points of the chart, oldest first
+         * @param {Object} [settings] - Chart settings: height, series, labels
+         */
+        init: function (containerId, trend, settings) {
+          this.$container = $('#' + containerId);
+          this.trend = trend || [];
+          this.settings = $.extend({}, Craft.SearchWithElasticAnalyticsChart.defaults, settings);
+
+          this.render();
+          this.addListener(Garnish.$win, 'resize', 'render');
+        },
+
+        /**
+         * Draw the chart at the container's current width
+         */
+        render: function () {
+          this.$container.empty();
+
+          if (!this.trend.length) {
+            this.$container.append($('<p class="zilch"/>').text(this.settings.labels.empty));
+            return;
+          }
+
+          var width = Math.max(this.$container.width(), 200);
+          var height = this.settings.height;
+          var padding = { top: 10, right: 10, bottom: 24, left: 40 };
+          var plotWidth = width - padding.left - padding.right;
+          var plotHeight = height - padding.top - padding.bottom;
+          var max = this.getAxisMax();
+          var step = this.trend.length > 1 ? plotWidth / (this.trend.length - 1) : 0;
+
+          var x = function (i) {
+            return padding.left + (this.trend.length > 1 ? i * step : plotWidth / 2);
+          }.bind(this);
+          var y = function (value) {
+            return padding.top + plotHeight - (value / max) * plotHeight;
+          };
+
+          this.svg = this.createElement('svg', {
+            'class': 'search-analytics-chart-svg',
+            width: width,
+            height: height,
+            viewBox: '0 0 ' + width + ' ' + height,
+            role: 'img',
+            'aria-label': this.settings.labels.title,
+          });
+
+          // Horizontal grid lines with their values
+          for (var tick = 0; tick <= 4; tick++) {
+            var value = Math.round(max * tick / 4);
+            this.svg.appendChild(this.createElement('line', {
+              'class': 'search-analytics-chart-grid',
+              x1: padding.left,
+              x2: width - padding.right,
+              y1: y(value),
+              y2: y(value),
+            }));
+            this.svg.appendChild(this.createText(value, padding.left - 6, y(value) + 4, 'end'));
+          }
+
+          // Dates of the first, middle and last day
+          var labelIndexes = [0, Math.floor((this.trend.length - 1) / 2), this.trend.length - 1].filter(function (index, i, indexes) {
+            return indexes.indexOf(index) === i;
+          });
+          $.each(labelIndexes, function (i, index) {
+            var anchor = index === 0 ? 'start' : (index === this.trend.length - 1 ? 'end' : 'middle');
+            this.svg.appendChild(this.createText(this.formatDate(this.trend[index].date), x(index), height - 6, anchor));
+          }.bind(this));
+
+          $.each(this.settings.series, function (i, series) {
+            this.svg.appendChild(this.createLine(series, x, y));
+          }.bind(this));
+
+          this.$container.append(this.svg);
+          this.$container.append(this.createLegend());
+
+          this.$tooltip = $('<div class="search-analytics-chart-tooltip hidden"/>').appendTo(this.$container);
+          this.addListener($(this.svg), 'mousemove', function (ev) {
+            var offset = ev.clientX - this.svg.getBoundingClientRect().left - padding.left;
+            var index = step ? Math.min(this.trend.length - 1, Math.max(0, Math.round(offset / step))) : 0;
+            this.showTooltip(index, x(index));
+          });
+          this.addListener($(this.svg), 'mouseleave', function () {
+            this.$tooltip.addClass('hidden');
+          });
+        },
+
+        /**
+         * Get the value at the top of the chart, rounded up to a number that divides into 4 grid lines
+         * @returns {number}
+         */
+        getAxisMax: function () {
+          var max = 0;
+          $.each(this.trend, function (i, day) {
+            $.each(this.settings.series, function (j, series) {
+              max = Math.max(max, day[series]);
+            });
+          }.bind(this));
+
+          return Math.max(4, Math.ceil(max / 4) * 4);
+        },
+
+        /**
+         * Create the line and points of a series
+         * @param {string} series - Key of the series' values, e.g. 'searches'
+         * @param {Function} x - Maps a day's index to its x coordinate
+         * @param {Function} y - Maps a value to its y coordinate
+         * @returns {SVGGElement}
+         */
+        createLine: function (series, x, y) {
+          var group = this.createElement('g', { 'class': 'search-analytics-chart-series ' + series });
+          var points = $.map(this.trend, function (day, i) {
+            return x(i) + ',' + y(day[series]);
+          });
+
+          group.appendChild(this.createElement('polyline', { points: points.join(' ') }));
+
+          if (this.trend.length <= 31) {
+            $.each(this.trend, function (i, day) {
+              group.appendChild(this.createElement('circle', { cx: x(i), cy: y(day[series]), r: 3 }));
+            }.bind(this));
+          }
+
+          return group;
+        },
+
+        /**
+         * Create the legend naming each series
+         * @returns {jQuery}
+         */
+        createLegend: function () {
+          var $legend = $('<div class="search-analytics-chart-legend"/>');
+
+          $.each(this.settings.series, function (i, series) {
+            $('<span class="search-analytics-chart-key"/>')
+              .addClass(series)
+              .text(this.settings.labels[series])
+              .appendTo($legend);
+          }.bind(this));
+
+          return $legend;
+        },
+
+        /**
+         * Show the tooltip for a day
+         * @param {number} index - Index of the day
+         * @param {number} left - X coordinate of the day
+         */
+        showTooltip: function (index, left) {
+          var day = this.trend[index];
+          var lines = $.map(this.settings.series, function (series) {
+            return Craft.escapeHtml(this.settings.labels[series]) + ': ' + day[series];
+          }.bind(this));
+
+          this.$tooltip
+            .html('<strong>' + Craft.escapeHtml(this.formatDate(day.date)) + '</strong><br>' + lines.join('<br>'))
+            .removeClass('hidden')
+            .css('left', Math.min(left, this.$container.width() - this.$tooltip.outerWidth()));
+        },
+
+        /**
+         * Format a report date for display
+         * @param {string} date - Date as YYYY-MM-DD, or an ISO 8601 date and time for points in time
+         * @returns {string}
+         */
+        formatDate: function (date) {
+          if (date.length > 10) {
+            return new Date(date).toLocaleTimeString(Craft.language, { hour: '2-digit', minute: '2-digit' });
+          }
+
+          var parts = date.split('-');
+          return new Date(parts[0], parts[1] - 1, parts[2]).toLocaleDateString(Craft.language, { month: 'short', day: 'numeric' });
+        },
+
+        /**
+         * Create a text label
+         * @param {string|number} text - Label text
+         * @param {number} x - X coordinate
+         * @param {number} y - Baseline y coordinate
+         * @param {string} anchor - 'start', 'middle' or 'end'
+         * @returns {SVGTextElement}
+         */
+        createText: function (text, x, y, anchor) {
+          var element = this.createElement('text', { 'class': 'search-analytics-chart-label', x: x, y: y, 'text-anchor': anchor });
+          element.textContent = text;
+          return element;
+        },
+
+        /**
+         * Create an SVG element
+         * @param {string} name - Element name
+         * @param {Object} attributes - Attribute values
+         * @returns {SVGElement}
+         */
+        createElement: function (name, attributes) {
+          var element = document.createElementNS(SVG_NS, name);
+          $.each(attributes, function (attribute, value) {
+            element.setAttribute(attribute, value);
+          });
+          return element;
+        },
+      }, {
+        defaults: {
+          height: 220,
+          series: ['searches', 'zeroResults'],
+          labels: {
+            title: 'Searches per day',
+            searches: 'Searches',
+            zeroResults: 'No results',
+            empty: 'No searches were logged in this period.',
+          },
+        },
+      });
+    }
+)(jQuery);
@@ -0,0 +1,354 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function ($) {
+      var WORD_PATTERN = /([\p{L}\p{N}]+)/u;
+
+      /**
+       * Search w/Elastic Searchable Fields Inspector
+       *
+       * Lets the user choose an element with an element selector and shows the searchable
+       * fields extracted from it as a tree: each field's keywords, Elasticsearch mapping and
+       * transformed data, with Matrix, Neo and Super Table block fields nested under their
+       * blocks. With comparison on, the element's searchable content is shown next to its
+       * frontend content, with the words found in only one of them highlighted and the
+       * times and sizes compared like the `test-searchable-fields/compare` command does.
+       */
+      Craft.SearchWithElasticInspector = Garnish.Base.extend({
+        // UI Elements
+        $container:     null, // Inspector container element
+        $elementType:   null, // Element type select
+        $site:          null, // Site select
+        $compareToggle: null, // "Compare with frontend content" checkbox
+        $chooseBtn:     null, // Button opening the element selector
+        $refreshBtn:    null, // Button inspecting the chosen element again
+        $results:       null, // Results container
+
+        // State
+        element:        null, // Chosen element, with id, siteId and elementType
+        loading:        false, // Whether an inspection is running
+
+        /**
+         * Initialize the inspector
+         * @param {string} containerId - ID of the inspector container
+         */
+        init: function (containerId) {
+          this.$container = $('#' + containerId);
+          this.$elementType = this.$container.find('.search-inspector-element-type');
+          this.$site = this.$container.find('.search-inspector-site');
+          this.$compareToggle = this.$container.find('.search-inspector-compare');
+          this.$chooseBtn = this.$container.find('.search-inspector-choose');
+          this.$refreshBtn = this.$container.find('.search-inspector-refresh');
+          this.$results = this.$container.find('.search-inspector-results');
+
+          this.addListener(this.$chooseBtn, 'click', 'openSelector');
+          this.addListener(this.$refreshBtn, 'click', 'inspect');
+          this.addListener(this.$compareToggle, 'change', function () {
+            if (this.element) {
+              this.inspect();
+            }
+          });
+        },
+
+        /**
+         * Open the element selector for the selected element type and site
+         */
+        openSelector: function () {
+          var elementType = this.$elementType.val();
+          var siteId = parseInt(this.$site.val(), 10);
+
+          Craft.createElementSelectorModal(elementType, {
+            criteria: { siteId: siteId },
+            multiSelect: false,
+            onSelect: $.proxy(function (elements) {
+              if (!elements.length) {
+                return;
+              }
+
+              this.element = {
+                id: elements[0].id,
+                siteId: siteId,
+                elementType: elementType,
+              };
+              this.inspect();
+            }, this),
+          });
+        },
+
+        /**
+         * Inspect the chosen element
+         */
+        inspect: function () {
+          if (!this.element || this.loading) {
+            return;
+          }
+
+          this.loading = true;
+          this.$chooseBtn.addClass('disabled');
+          this.$refreshBtn.removeClass('hidden').addClass('loading disabled');
+          this.$results.html('<div class="spinner"></div>');
+
+          Craft.postActionRequest(
+              'search-with-elastic/cp/inspect-searchable-fields',
+              {
+                elementId: this.element.id,
+                siteId: this.element.siteId,
+                elementType: this.element.elementType,
+                compare: this.$compareToggle.prop('checked') ? 1 : 0,
+              },
+              $.proxy(function (response, textStatus) {
+                this.loading = false;
+                this.$chooseBtn.removeClass('disabled');
+                this.$refreshBtn.removeClass('loading disabled');
+
+                if (textStatus === 'success' && response && response.fields) {
+                  this.renderResults(response);
+                } else {
+                  this.$results.html('<p class="error">' + Craft.escapeHtml((response && response.message) || 'The element could not be inspected. Check the Craft logs for details.') + '</p>');
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Render the inspection of an element
+         * @param {Object} response - Response of the inspect-searchable-fields action
+         */
+        renderResults: function (response) {
+          var element = response.element;
+          var title = Craft.escapeHtml(element.title || ('#' + element.id));
+
+          var html = '<div class="search-inspector-element">' +
+            '<h2>' + (element.cpEditUrl ? '<a href="' + Craft.escapeHtml(element.cpEditUrl) + '">' + title + '</a>' : title) + '</h2>' +
+            '<p class="light">ID ' + Craft.escapeHtml(element.id) +
+              (element.url ? ' · <a href="' + Craft.escapeHtml(element.url) + '" target="_blank" rel="noopener">' + Craft.escapeHtml(element.url) + '</a>' : '') +
+            '</p>' +
+          '</div>';
+
+          if (response.hasTransformHandlers) {
+            html += '<p class="notice with-icon">Field data transform event handlers are registered. Fields they changed are marked, with their data before the event.</p>';
+          }
+
+          html += '<h2>Searchable fields</h2>';
+          html += response.fields.length
+              ? this.renderTree(response.fields)
+              : '<p class="zilch">No searchable fields were extracted from this element.</p>';
+
+          if (response.compare) {
+            html += this.renderComparison(response.compare);
+          }
+
+          this.$results.html(html);
+        },
+
+        /**
+         * Render a list of fields
+         * @param {Object[]} fields - Field nodes
+         * @returns {string} HTML
+         */
+        renderTree: function (fields) {
+          return '<ul class="search-inspector-tree">' + fields.map(this.renderField, this).join('') + '</ul>';
+        },
+
+        /**
+         * Render a field with its details and blocks
+         * @param {Object} field - Field node
+         * @returns {string} HTML
+         */
+        renderField: function (field) {
+          var badges = '';
+          if (!field.searchable) {
+            badges += '<span class="search-inspector-badge">Not searchable</span>';
+          }
+          if (field.beforeEvent !== null) {
+            badges += '<span class="search-inspector-badge changed">Changed by transform event</span>';
+          }
+
+          var body = this.renderSection('Keywords', field.keywords !== ''
+              ? '<pre class="search-inspector-keywords">' + Craft.escapeHtml(field.keywords) + '</pre>'
+              : '<p class="light">None</p>');
+
+          if (field.mapping) {
+            body += this.renderSection('Mapping', this.renderJson(field.mapping));
+          }
+
+          if (field.value !== null) {
+            body += this.renderSection(field.beforeEvent !== null ? 'Data after transform event' : 'Data', this.renderJson(field.value));
+          }
+
+          if (field.beforeEvent !== null) {
+            body += this.renderSection('Data before transform event', this.renderJson(field.beforeEvent));
+          }
+
+          if (field.blocks.length) {
+            body += this.renderSection('Blocks', field.blocks.map(this.renderBlock, this).join(''));
+          }
+
+          return '<li><details class="search-inspector-field">' +
+            '<summary>' +
+              '<span class="search-inspector-name">' + Craft.escapeHtml(field.name) + '</span> ' +
+              '<code>' + Craft.escapeHtml(field.handle) + '</code> ' +
+              '<span class="light">' + Craft.escapeHtml(this.formatType(field.type)) + '</span>' +
+              badges +
+            '</summary>' +
+            '<div class="search-inspector-field-body">' + body + '</div>' +
+          '</details></li>';
+        },
+
+        /**
+         * Render a Matrix, Neo or Super Table block with its fields
+         * @param {Object} block - Block with id, type, position and fields
+         * @returns {string} HTML
+         */
+        renderBlock: function (block) {
+          return '<details class="search-inspector-block" open>' +
+            '<summary>Block ' + block.position +
+              (block.type ? ' · <code>' + Craft.escapeHtml(block.type) + '</code>' : '') +
+              (block.id ? ' <span class="light">#' + Craft.escapeHtml(block.id) + '</span>' : '') +
+            '</summary>' +
+            this.renderTree(block.fields) +
+          '</details>';
+        },
+
+        /**
+         * Render a labelled section of a field
+         * @param {string} label - Section label
+         * @param {string} content - Section HTML
+         * @returns {string} HTML
+         */
+        renderSection: function (label, content) {
+          return '<div class="search-inspector-section"><h4>' + Craft.escapeHtml(label) + '</h4>' + content + '</div>';
+        },
+
+        /**
+         * Render a value as formatted JSON
+         * @param {*} value - Value to render
+         * @returns {string} HTML
+         */
+        renderJson: function (value) {
+          return '<pre class="code">' + Craft.escapeHtml(JSON.stringify(value, null, 2)) + '</pre>';
+        },
+
+        /**
+         * Render the searchable content next to the frontend content
+         * @param {Object} compare - Searchable and frontend content with their sizes and times
+         * @returns {string} HTML
+         */
+        renderComparison: function (compare) {
+          var searchable = compare.searchable;
+          var frontend = compare.frontend;
+          var html = '<h2>Searchable fields vs frontend content</h2>';
+
+          if (!frontend.attempted) {
+            return html + '<p class="warning with-icon">This element has no URL, so there is no frontend content to compare with.</p>' +
+              this.renderContentColumns(searchable, null);
+          }
+
+          if (!frontend.success) {
+            return html + '<p class="error">Fetching the frontend content failed' + (frontend.error ? ': ' + Craft.escapeHtml(frontend.error) : '.') + '</p>' +
+              this.renderContentColumns(searchable, null);
+          }
+
+          var speedImprovement = frontend.time > 0 ? Math.round((frontend.time - searchable.time) / frontend.time * 1000) / 10 : 0;
+          var sizeRatio = frontend.size > 0 ? Math.round(searchable.size / frontend.size * 1000) / 10 : 0;
+
+          html += '<div class="search-inspector-metrics">' +
+            '<div>' +
+              '<h4>Performance</h4>' +
+              '<p>Searchable fields: ' + Craft.formatNumber(searchable.time) + ' ms<br>Frontend fetching: ' + Craft.formatNumber(frontend.time) + ' ms</p>' +
+              (speedImprovement > 0
+                  ? '<p class="success">Searchable fields is ' + speedImprovement + '% faster</p>'
+                  : '<p class="warning">Frontend fetching is ' + Math.abs(speedImprovement) + '% faster</p>') +
+            '</div>' +
+            '<div>' +
+              '<h4>Content size</h4>' +
+              '<p>Searchable fields: ' + Craft.formatNumber(searchable.size) + ' bytes<br>Frontend fetching: ' + Craft.formatNumber(frontend.size) + ' bytes</p>' +
+              '<p>Searchable fields captures ' + sizeRatio + '% of frontend content</p>' +
+            '</div>' +
+          '</div>';
+
+          return html + this.renderContentColumns(searchable, frontend);
+        },
+
+        /**
+         * Render the searchable and frontend content side by side, highlighting the words only one of them has
+         * @param {Object} searchable - Searchable content with its size
+         * @param {Object|null} frontend - Frontend content with its size, or null if there is none
+         * @returns {string} HTML
+         */
+        renderContentColumns: function (searchable, frontend) {
+          var searchableWords = this.getWords(searchable.content);
+          var frontendWords = frontend ? this.getWords(frontend.content) : null;
+
+          var renderColumn = function (label, content, words, otherWords) {
+            var onlyHere = otherWords ? Object.keys(words).filter(function (word) {
+              return !otherWords.hasOwnProperty(word);
+            }).length : 0;
+
+            return '<div class="search-inspector-content">' +
+              '<h4>' + label + '</h4>' +
+              (otherWords ? '<p class="light">' + Craft.formatNumber(onlyHere) + ' words not found in the other source are highlighted.</p>' : '') +
+              (content !== ''
+                  ? '<div class="search-inspector-text">' + this.highlightWords(content, otherWords) + '</div>'
+                  : '<p class="zilch">No content.</p>') +
+            '</div>';
+          }.bind(this);
+
+          return '<div class="search-inspector-columns">' +
+            renderColumn('Searchable content', searchable.content, searchableWords, frontendWords) +
+            (frontend ? renderColumn('Frontend content', frontend.content, frontendWords, searchableWords) : '') +
+          '</div>';
+        },
+
+        /**
+         * Get the distinct lowercase words of a text
+         * @param {string} text - The text
+         * @returns {Object} Words as keys
+         */
+        getWords: function (text) {
+          var words = {};
+          String(text).split(WORD_PATTERN).forEach(function (part, i) {
+            if (i % 2 === 1) {
+              words[part.toLowerCase()] = true;
+            }
+          });
+          return words;
+        },
+
+        /**
+         * Escape a text and highlight the words missing from another source
+         * @param {string} text - The text
+         * @param {Object|null} otherWords - Words of the other source, or null to highlight nothing
+         * @returns {string} HTML
+         */
+        highlightWords: function (text, otherWords) {
+          return String(text).split(WORD_PATTERN).map(function (part, i) {
+            if (i % 2 === 1 && otherWords && !otherWords.hasOwnProperty(part.toLowerCase())) {
+              return '<mark>' + Craft.escapeHtml(part) + '</mark>';
+            }
+            return Craft.escapeHtml(part);
+          }).join('');
+        },
+
+        /**
+         * Format a field class name for display
+         * @param {string|null} type - Field class name, or 'attribute'
+         * @returns {string}
+         */
+        formatType: function (type) {
+          return type ? String(type).split('\\').pop() : '';
+        },
+      });
+    }
+)(jQuery);
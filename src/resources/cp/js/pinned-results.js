@@ -0,0 +1,286 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function ($) {
+      var MATCH_OPTIONS = [
+        { value: 'exact', label: 'Exact' },
+        { value: 'contains', label: 'Contains' },
+        { value: 'pattern', label: 'Pattern' },
+      ];
+
+      /**
+       * Search w/Elastic Pinned Results editor
+       *
+       * Editable table of a site's pinned results rules. Rows and the elements of each row
+       * are reordered by dragging, elements are added with an element selector for the
+       * chosen element type, and the whole table is saved at once, replacing the site's
+       * rules in the project config.
+       */
+      Craft.SearchWithElasticPinnedResults = Garnish.Base.extend({
+        // UI Elements
+        $container:     null, // Editor container element
+        $tbody:         null, // Table body holding a row per rule
+        $empty:         null, // Message shown when there are no rules
+        $addBtn:        null, // "Add a rule" button
+        $saveBtn:       null, // "Save" button
+        $errors:        null, // List of validation errors
+
+        // State
+        settings:       null, // siteId, rules, elementTypes and readOnly
+        sorter:         null, // Sorter of the table rows
+        saving:         false, // Whether the rules are being saved
+
+        /**
+         * Initialize the editor
+         * @param {string} containerId - ID of the editor container
+         * @param {Object} settings - siteId, rules, elementTypes and readOnly
+         */
+        init: function (containerId, settings) {
+          this.settings = settings;
+          this.$container = $('#' + containerId);
+          this.$tbody = this.$container.find('.search-pinned-table tbody');
+          this.$empty = this.$container.find('.search-pinned-empty');
+          this.$addBtn = this.$container.find('.search-pinned-add');
+          this.$saveBtn = this.$container.find('.search-pinned-save');
+          this.$errors = this.$container.find('.search-pinned-errors');
+
+          if (!this.settings.readOnly) {
+            this.sorter = new Craft.DataTableSorter(this.$container.find('.search-pinned-table'), {
+              helperClass: 'editabletablesorthelper',
+              copyDraggeeInputValuesToHelper: true,
+            });
+
+            this.addListener(this.$addBtn, 'click', function () {
+              this.addRow({ match: 'exact', elements: [] }).find('.search-pinned-terms').trigger('focus');
+            });
+            this.addListener(this.$saveBtn, 'click', 'save');
+          }
+
+          this.renderRules(this.settings.rules);
+        },
+
+        /**
+         * Replace the table rows with rules
+         * @param {Array} rules - Rules with uid, terms, match, elements, startDate and endDate
+         */
+        renderRules: function (rules) {
+          this.$tbody.empty();
+
+          if (this.sorter) {
+            this.sorter.removeAllItems();
+          }
+
+          for (var i = 0; i < rules.length; i++) {
+            this.addRow(rules[i]);
+          }
+
+          this.updateEmptyState();
+        },
+
+        /**
+         * Add a row for a rule
+         * @param {Object} rule - The rule
+         * @returns {jQuery} The row
+         */
+        addRow: function (rule) {
+          var disabled = this.settings.readOnly ? ' disabled' : '';
+
+          var matchOptions = MATCH_OPTIONS.map(function (option) {
+            return '<option value="' + option.value + '"' + (option.value === rule.match ? ' selected' : '') + '>' + Craft.escapeHtml(option.label) + '</option>';
+          }).join('');
+
+          var typeOptions = this.settings.elementTypes.map(function (option) {
+            return '<option value="' + Craft.escapeHtml(option.value) + '">' + Craft.escapeHtml(option.label) + '</option>';
+          }).join('');
+
+          var $row = $(
+            '<tr data-uid="' + Craft.escapeHtml(rule.uid || '') + '">' +
+              '<td class="thin action">' + (this.settings.readOnly ? '' : '<a class="move icon" title="Reorder" role="button"></a>') + '</td>' +
+              '<td><input type="text" class="text fullwidth search-pinned-terms" placeholder="summer sale, summer deals"' + disabled + '></td>' +
+              '<td><div class="select"><select class="search-pinned-match"' + disabled + '>' + matchOptions + '</select></div></td>' +
+              '<td>' +
+                '<ul class="search-pinned-elements"></ul>' +
+                (this.settings.readOnly ? '' :
+                  '<div class="flex search-pinned-element-add">' +
+                    '<div class="select small"><select class="search-pinned-element-type">' + typeOptions + '</select></div>' +
+                    '<button type="button" class="btn small add icon search-pinned-choose">Add</button>' +
+                  '</div>') +
+              '</td>' +
+              '<td><input type="datetime-local" class="text search-pinned-start"' + disabled + '></td>' +
+              '<td><input type="datetime-local" class="text search-pinned-end"' + disabled + '></td>' +
+              '<td class="thin action">' + (this.settings.readOnly ? '' : '<a class="delete icon" title="Delete" role="button"></a>') + '</td>' +
+            '</tr>'
+          ).appendTo(this.$tbody);
+
+          // Values are set as properties so they're never parsed as HTML
+          $row.find('.search-pinned-terms').val(rule.terms || '');
+          $row.find('.search-pinned-start').val(rule.startDate || '');
+          $row.find('.search-pinned-end').val(rule.endDate || '');
+
+          var $elements = $row.find('.search-pinned-elements');
+          var elementSorter = this.settings.readOnly ? null : new Garnish.DragSort({
+            container: $elements,
+            handle: '.move',
+            axis: Garnish.Y_AXIS,
+          });
+          $row.data('elementSorter', elementSorter);
+
+          for (var i = 0; i < rule.elements.length; i++) {
+            this.addElement($row, rule.elements[i]);
+          }
+
+          if (!this.settings.readOnly) {
+            this.sorter.addItems($row);
+            this.addListener($row.find('.search-pinned-choose'), 'click', function () {
+              this.openSelector($row);
+            });
+            this.addListener($row.find('.delete'), 'click', function () {
+              this.sorter.removeItems($row);
+              $row.remove();
+              this.updateEmptyState();
+            });
+          }
+
+          this.updateEmptyState();
+
+          return $row;
+        },
+
+        /**
+         * Add a pinned element to a row
+         * @param {jQuery} $row - The row
+         * @param {Object} element - The element, with id, title, typeName, status and cpEditUrl
+         */
+        addElement: function ($row, element) {
+          var $elements = $row.find('.search-pinned-elements');
+          if ($elements.children('[data-id="' + element.id + '"]').length) {
+            return;
+          }
+
+          var title = Craft.escapeHtml(element.title || ('#' + element.id));
+          var $item = $(
+            '<li class="search-pinned-element" data-id="' + parseInt(element.id, 10) + '">' +
+              (this.settings.readOnly ? '' : '<a class="move icon" title="Reorder" role="button"></a>') +
+              (element.status ? '<span class="status ' + Craft.escapeHtml(element.status) + '"></span>' : '') +
+              (element.cpEditUrl ? '<a href="' + Craft.escapeHtml(element.cpEditUrl) + '" target="_blank">' + title + '</a>' : '<span>' + title + '</span>') +
+              (element.title === null ? ' <span class="error">(missing)</span>' : '') +
+              (element.typeName ? ' <span class="light">' + Craft.escapeHtml(element.typeName) + '</span>' : '') +
+              (this.settings.readOnly ? '' : '<a class="delete icon" title="Remove" role="button"></a>') +
+            '</li>'
+          ).appendTo($elements);
+
+          var elementSorter = $row.data('elementSorter');
+          if (elementSorter) {
+            elementSorter.addItems($item);
+            this.addListener($item.find('.delete'), 'click', function () {
+              elementSorter.removeItems($item);
+              $item.remove();
+            });
+          }
+        },
+
+        /**
+         * Open the element selector for the element type chosen in a row
+         * @param {jQuery} $row - The row to add the chosen elements to
+         */
+        openSelector: function ($row) {
+          var $typeSelect = $row.find('.search-pinned-element-type');
+          var typeName = $typeSelect.find('option:selected').text();
+
+          Craft.createElementSelectorModal($typeSelect.val(), {
+            criteria: { siteId: this.settings.siteId },
+            multiSelect: true,
+            onSelect: $.proxy(function (elements) {
+              for (var i = 0; i < elements.length; i++) {
+                this.addElement($row, {
+                  id: elements[i].id,
+                  title: elements[i].label,
+                  typeName: typeName,
+                  status: elements[i].status,
+                  cpEditUrl: null,
+                });
+              }
+            }, this),
+          });
+        },
+
+        /**
+         * Show or hide the message for a site without rules
+         */
+        updateEmptyState: function () {
+          this.$empty.toggleClass('hidden', this.$tbody.children().length > 0);
+        },
+
+        /**
+         * Get the rules from the table rows, in their order
+         * @returns {Array} Rules with uid, terms, match, elementIds, startDate and endDate
+         */
+        getRules: function () {
+          return this.$tbody.children().map(function () {
+            var $row = $(this);
+
+            return {
+              uid: $row.data('uid') || null,
+              terms: $row.find('.search-pinned-terms').val(),
+              match: $row.find('.search-pinned-match').val(),
+              elementIds: $row.find('.search-pinned-element').map(function () {
+                return $(this).data('id');
+              }).get(),
+              startDate: $row.find('.search-pinned-start').val() || null,
+              endDate: $row.find('.search-pinned-end').val() || null,
+            };
+          }).get();
+        },
+
+        /**
+         * Save the rules of the site
+         */
+        save: function () {
+          if (this.saving) {
+            return;
+          }
+
+          this.saving = true;
+          this.$saveBtn.addClass('loading disabled');
+          this.$errors.addClass('hidden').empty();
+
+          Craft.postActionRequest(
+              'search-with-elastic/cp/save-pinned-results',
+              {
+                siteId: this.settings.siteId,
+                rules: this.getRules(),
+              },
+              $.proxy(function (response, textStatus) {
+                this.saving = false;
+                this.$saveBtn.removeClass('loading disabled');
+
+                if (textStatus === 'success' && response && response.rules) {
+                  this.renderRules(response.rules);
+                  Craft.cp.displayNotice(response.message || 'Pinned results saved.');
+                  return;
+                }
+
+                Craft.cp.displayError((response && response.message) || 'The pinned results could not be saved. Check the Craft logs for details.');
+
+                var errors = (response && response.errors) || [];
+                for (var i = 0; i < errors.length; i++) {
+                  $('<li/>').text(errors[i]).appendTo(this.$errors);
+                }
+                this.$errors.toggleClass('hidden', !errors.length);
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+      });
+    }
+)(jQuery);
@@ -0,0 +1,345 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function ($) {
+      /**
+       * Search w/Elastic Search Playground
+       *
+       * Runs a query through the search templates with the fields, boosts and fuzziness
+       * set in the page and shows the ranked hits with their scores, highlights and
+       * Elasticsearch explanations, plus the request that was sent. With comparison on,
+       * a second configuration runs alongside the first and its hits show how far they
+       * moved relative to the first configuration's ranking.
+       */
+      Craft.SearchWithElasticPlayground = Garnish.Base.extend({
+        // UI Elements
+        $container:     null, // Playground container element
+        $form:          null, // Query form element
+        $searchBtn:     null, // Search button
+        $compareToggle: null, // "Compare two configurations" checkbox
+        $columns:       null, // Configuration columns, keyed by configuration key
+
+        // State
+        defaultBoosts:  null, // Boosts for the default fields, from ElasticsearchQueryBuilder::getFieldBoosts()
+        results:        null, // Latest results, keyed by configuration key
+        pending:        0, // Number of searches still running
+
+        /**
+         * Initialize the playground
+         * @param {string} containerId - ID of the playground container
+         * @param {Object} settings - Default boosts
+         */
+        init: function (containerId, settings) {
+          this.$container = $('#' + containerId);
+          this.$form = this.$container.find('.search-playground-form');
+          this.$searchBtn = this.$form.find('.search-playground-submit');
+          this.$compareToggle = this.$form.find('.search-playground-compare');
+          this.defaultBoosts = settings.defaultBoosts || {};
+          this.results = {};
+          this.$columns = {};
+
+          this.$container.find('.search-playground-column').each($.proxy(function (i, column) {
+            var $column = $(column);
+            this.$columns[$column.data('config')] = $column;
+            this.renderBoosts($column);
+          }, this));
+
+          this.addListener(this.$form, 'submit', 'onSubmit');
+          this.addListener(this.$compareToggle, 'change', 'onCompareToggle');
+          this.addListener(this.$container.find('.search-playground-fields'), 'change', function (ev) {
+            this.renderBoosts($(ev.currentTarget).closest('.search-playground-column'));
+          });
+          this.addListener(this.$container.find('.search-playground-copy'), 'click', 'onCopyConfig');
+        },
+
+        /**
+         * Show or hide the second configuration
+         */
+        onCompareToggle: function () {
+          var comparing = this.$compareToggle.prop('checked');
+
+          this.$columns.b.toggleClass('hidden', !comparing);
+          this.$container.find('.search-playground-columns').toggleClass('comparing', comparing);
+
+          if (!comparing) {
+            delete this.results.b;
+            this.renderResults('a');
+          }
+        },
+
+        /**
+         * Copy the first configuration into the second, as a starting point for changes
+         */
+        onCopyConfig: function () {
+          var config = this.getConfig(this.$columns.a);
+          var $column = this.$columns.b;
+
+          $column.find('.search-playground-template').val(config.templateId);
+          $column.find('.search-playground-fields').val(config.fields.join(', '));
+          $column.find('.search-playground-fuzzy').prop('checked', config.fuzzy);
+          this.renderBoosts($column, config.boosts);
+        },
+
+        /**
+         * Render a boost input for each field of a configuration
+         * Keeps the boosts already entered for fields that are still listed
+         * @param {jQuery} $column - Configuration column
+         * @param {Object} [boosts] - Boosts to use instead of the current ones
+         */
+        renderBoosts: function ($column, boosts) {
+          var current = boosts || this.getConfig($column).boosts;
+          var $boosts = $column.find('.search-playground-boosts').empty();
+
+          this.parseFields($column.find('.search-playground-fields').val()).forEach(function (field) {
+            var boost = current.hasOwnProperty(field) ? current[field] : (this.defaultBoosts.hasOwnProperty(field) ? this.defaultBoosts[field] : 1);
+
+            $('<label class="search-playground-boost"/>')
+                .append($('<span class="code"/>').text(field))
+                .append($('<input type="number" class="text" min="0" step="0.1"/>').attr('data-field', field).val(boost))
+                .appendTo($boosts);
+          }, this);
+        },
+
+        /**
+         * Split a comma-separated field list
+         * @param {string} value - Field list
+         * @returns {string[]} Field names
+         */
+        parseFields: function (value) {
+          return String(value || '').split(',').map(function (field) {
+            return field.trim();
+          }).filter(function (field, i, fields) {
+            return field !== '' && fields.indexOf(field) === i;
+          });
+        },
+
+        /**
+         * Read a configuration column
+         * @param {jQuery} $column - Configuration column
+         * @returns {{templateId: string, fields: string[], boosts: Object, fuzzy: boolean}}
+         */
+        getConfig: function ($column) {
+          var boosts = {};
+
+          $column.find('.search-playground-boosts input').each(function () {
+            var value = parseFloat(this.value);
+            boosts[$(this).data('field')] = isNaN(value) ? 1 : value;
+          });
+
+          return {
+            templateId: $column.find('.search-playground-template').val(),
+            fields: this.parseFields($column.find('.search-playground-fields').val()),
+            boosts: boosts,
+            fuzzy: $column.find('.search-playground-fuzzy').prop('checked'),
+          };
+        },
+
+        /**
+         * Run the search for each visible configuration
+         * @param {Event} ev - Submit event
+         */
+        onSubmit: function (ev) {
+          ev.preventDefault();
+
+          if (this.pending) {
+            return;
+          }
+
+          var keys = this.$compareToggle.prop('checked') ? ['a', 'b'] : ['a'];
+
+          this.results = {};
+          this.pending = keys.length;
+          this.$searchBtn.addClass('loading disabled');
+
+          keys.forEach(function (key) {
+            this.$columns[key].find('.search-playground-results').html('<div class="spinner"></div>');
+            this.search(key);
+          }, this);
+        },
+
+        /**
+         * Run the search for one configuration
+         * @param {string} key - Configuration key
+         */
+        search: function (key) {
+          var config = this.getConfig(this.$columns[key]);
+
+          Craft.postActionRequest(
+              'search-with-elastic/cp/playground-search',
+              {
+                query: this.$form.find('.search-playground-query').val(),
+                siteId: this.$form.find('.search-playground-site').val(),
+                size: this.$form.find('.search-playground-size').val(),
+                templateId: config.templateId,
+                fields: config.fields,
+                boosts: config.boosts,
+                fuzzy: config.fuzzy ? 1 : 0,
+              },
+              $.proxy(function (response, textStatus) {
+                if (textStatus === 'success' && response && response.hits) {
+                  this.results[key] = response;
+                } else {
+                  this.results[key] = { error: (response && response.message) || 'The search failed. Check the Craft logs for details.' };
+                }
+
+                if (--this.pending === 0) {
+                  this.$searchBtn.removeClass('loading disabled');
+                }
+
+                // Both columns depend on each other's ranking for the position changes
+                Object.keys(this.results).forEach(this.renderResults, this);
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Render the results of a configuration
+         * @param {string} key - Configuration key
+         */
+        renderResults: function (key) {
+          var result = this.results[key];
+          var $results = this.$columns[key].find('.search-playground-results');
+
+          if (!result) {
+            return;
+          }
+
+          if (result.error) {
+            $results.html('<p class="error">' + this.escapeHtml(result.error) + '</p>');
+            return;
+          }
+
+          var otherKey = key === 'a' ? 'b' : 'a';
+          var other = this.results[otherKey] && this.results[otherKey].hits ? this.results[otherKey] : null;
+          var summary = Craft.formatNumber(result.total) + ' hits' + (result.took !== null ? ' in ' + result.took + ' ms' : '');
+
+          var items = result.hits.map(function (hit, i) {
+            return '<li class="search-playground-hit">' +
+              '<div class="search-playground-hit-header">' +
+                '<span class="search-playground-rank">' + (i + 1) + '</span>' +
+                (other ? this.renderRankChange(hit, i, other.hits) : '') +
+                '<span class="search-playground-title">' + (hit.url
+                    ? '<a href="' + this.escapeHtml(hit.url) + '" target="_blank" rel="noopener">' + this.escapeHtml(hit.title || hit.id) + '</a>'
+                    : this.escapeHtml(hit.title || hit.id)) + '</span>' +
+                '<span class="search-playground-score code">' + (hit.score !== null ? hit.score.toFixed(4) : '–') + '</span>' +
+              '</div>' +
+              '<div class="light">' + this.escapeHtml(this.formatElementType(hit.elementType)) + (hit.elementId ? ' #' + this.escapeHtml(hit.elementId) : '') + '</div>' +
+              this.renderHighlights(hit.highlight) +
+              (hit.explanation
+                  ? '<details class="search-playground-explain"><summary>Explain</summary>' + this.renderExplanation(hit.explanation) + '</details>'
+                  : '') +
+            '</li>';
+          }, this);
+
+          $results.html(
+            '<p class="light">' + summary + '</p>' +
+            (items.length ? '<ol class="search-playground-hits">' + items.join('') + '</ol>' : '<p>No hits.</p>') +
+            '<details class="search-playground-request"><summary>Rendered query</summary>' +
+              '<pre class="code">' + this.escapeHtml(JSON.stringify(result.request, null, 2)) + '</pre>' +
+            '</details>'
+          );
+        },
+
+        /**
+         * Render how far a hit moved compared with the other configuration's ranking
+         * @param {Object} hit - The hit
+         * @param {number} rank - Zero-based rank of the hit in this configuration
+         * @param {Object[]} otherHits - Hits of the other configuration
+         * @returns {string} HTML
+         */
+        renderRankChange: function (hit, rank, otherHits) {
+          var otherRank = -1;
+          for (var i = 0; i < otherHits.length; i++) {
+            if (otherHits[i].id === hit.id) {
+              otherRank = i;
+              break;
+            }
+          }
+
+          if (otherRank === -1) {
+            return '<span class="search-playground-change new" title="Not in the other configuration\'s results">new</span>';
+          }
+
+          if (otherRank === rank) {
+            return '<span class="search-playground-change same" title="Same position in both configurations">=</span>';
+          }
+
+          var up = otherRank > rank;
+          return '<span class="search-playground-change ' + (up ? 'up' : 'down') + '" title="Position ' + (otherRank + 1) + ' in the other configuration">' +
+            (up ? '▲' : '▼') + Math.abs(otherRank - rank) +
+          '</span>';
+        },
+
+        /**
+         * Render a hit's highlighted fragments
+         * The playground asks for <mark> tags, which are the only markup kept
+         * @param {Object} highlight - Fragments keyed by field
+         * @returns {string} HTML
+         */
+        renderHighlights: function (highlight) {
+          var fields = Object.keys(highlight || {});
+
+          if (!fields.length) {
+            return '';
+          }
+
+          return '<dl class="search-playground-highlights">' + fields.map(function (field) {
+            return '<dt class="code">' + this.escapeHtml(field) + '</dt>' + highlight[field].map(function (fragment) {
+              return '<dd>' + this.escapeHtml(fragment).replace(/&lt;(\/?)mark&gt;/g, '<$1mark>') + '</dd>';
+            }, this).join('');
+          }, this).join('') + '</dl>';
+        },
+
+        /**
+         * Render an Elasticsearch explanation as a nested list
+         * @param {Object} explanation - Explanation with value, description and details
+         * @returns {string} HTML
+         */
+        renderExplanation: function (explanation) {
+          var details = explanation.details || [];
+
+          return '<ul class="search-playground-explanation"><li>' +
+            '<span class="code">' + this.escapeHtml(Math.round(explanation.value * 10000) / 10000) + '</span> ' +
+            this.escapeHtml(explanation.description) +
+            details.map(this.renderExplanation, this).join('') +
+          '</li></ul>';
+        },
+
+        /**
+         * Get the short name of an element class
+         * @param {string|null} elementType - Element class name
+         * @returns {string} Short name
+         */
+        formatElementType: function (elementType) {
+          return elementType ? String(elementType).split('\\').pop() : 'Element';
+        },
+
+        /**
+         * Escape HTML to prevent XSS
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped HTML
+         */
+        escapeHtml: function (text) {
+          var map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+          };
+          return String(text).replace(/[&<>"']/g, function (m) { return map[m]; });
+        },
+      });
+    }
+)(jQuery);
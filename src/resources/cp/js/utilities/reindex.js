@@ -41,6 +41,38 @@
         processedSinceLastUpdate: null, // Items processed since last speed update
         speedSamples:     null, // Rolling array of processing speed samples
 
+        // Adaptive Concurrency
+        concurrency:      null, // Number of requests currently allowed in parallel
+        maxConcurrency:   null, // Ceiling for the concurrency, from the utility form
+        latencySamples:   null, // Response times (ms) collected in the current tuning window
+        windowStartTime:  null, // Timestamp the current tuning window started
+        bestLatency:      null, // Lowest average response time seen in a tuning window
+        lastWindowSpeed:  null, // Throughput (requests/s) of the previous tuning window
+
+        // Run Control
+        running:          false, // Whether a reindex run is in progress
+        paused:           false, // Whether the run is paused (or pausing)
+        cancelled:        false, // Whether the run has been cancelled (or is cancelling)
+        pausedAt:         null, // Timestamp the run was paused at
+
+        // Run Persistence
+        runId:            null, // Identifier of the current run, set once the queue is loaded
+        inFlightActions:  null, // Actions sent to the server that haven't responded yet
+        lastSavedAt:      null, // Timestamp the run state was last saved
+        lastSavedProgress: null, // Completed and total actions when the run state was last saved
+        retryActions:     null, // Actions waiting to be retried after a transient failure
+        rebuilding:       false, // Whether a reset run has new indexes waiting to be swapped in
+
+        // Background Runs
+        background:       false, // Whether the current run is a queue job rather than browser requests
+        backgroundStatus: null, // Latest status of the background run
+        pollTimer:        null, // Timer for the next background status poll
+
+        // Index Health
+        indexHealth:      null, // Indexes from the latest health check
+        healthTimer:      null, // Timer for the next health check
+        healthLoading:    false, // Whether a health check is in progress
+
         /**
          * Initialize the reindex utility interface
          * Sets up form elements, progress tracking, and event listeners
@@ -58,7 +90,51 @@
           this.$progressStatus = $('<div class="progress-status-text" style="font-size: 12px; color: #666; margin-top: 8px; text-align: center;"></div>');
           this.$status.after(this.$progressStatus);
 
+          // Pause, resume and cancel controls shown next to the progress bar
+          this.$runControls = $('.reindex-run-controls', this.$form);
+          this.$pauseBtn = $('.reindex-pause-btn', this.$runControls);
+          this.$resumeBtn = $('.reindex-resume-btn', this.$runControls);
+          this.$cancelBtn = $('.reindex-cancel-btn', this.$runControls);
+
+          // Notice offering to resume a run interrupted by a reload or crash
+          this.$resumeNotice = $('.reindex-resume-notice', this.$form);
+          this.$resumeRunBtn = $('.reindex-resume-run-btn', this.$resumeNotice);
+          this.$discardRunBtn = $('.reindex-discard-run-btn', this.$resumeNotice);
+
+          // Dry-run preview of what the selected run would do
+          this.$previewBtn = $('.reindex-preview-btn', this.$form);
+          this.$previewCells = $('.reindex-preview-cell', this.$form);
+
+          // Option to run the reindex on the Craft queue
+          this.$backgroundInput = $('input[name="background"]', this.$form);
+
+          // Index health dashboard above the form
+          this.$healthPanel = $('.index-health-panel');
+          this.$healthTable = $('.index-health-table', this.$healthPanel);
+          this.$healthCheckedAt = $('.index-health-checked-at', this.$healthPanel);
+          this.$healthRefreshBtn = $('.index-health-refresh-btn', this.$healthPanel);
+
           this.addListener(this.$form, 'submit', this.onSubmit);
+          this.addListener(this.$pauseBtn, 'click', this.onPause);
+          this.addListener(this.$resumeBtn, 'click', this.onResume);
+          this.addListener(this.$cancelBtn, 'click', this.onCancel);
+          this.addListener(this.$resumeRunBtn, 'click', this.onResumeSavedRun);
+          this.addListener(this.$discardRunBtn, 'click', this.onDiscardSavedRun);
+          this.addListener(this.$previewBtn, 'click', this.onPreview);
+          this.addListener(this.$healthRefreshBtn, 'click', this.refreshIndexHealth);
+          this.addListener(document, 'visibilitychange', this.onVisibilityChange);
+          this.addListener(this.$form, 'change', this.clearPreview);
+          this.addListener(Garnish.$win, 'beforeunload', this.onBeforeUnload);
+
+          // The retry button is rendered with the grouped issues, so listen on the container
+          this.$failedContainer.on('click', '.retry-failed-btn', $.proxy(this, 'onRetryFailed'));
+          this.$failedContainer.on('click', '.export-report-btn', $.proxy(this, 'onExportReport'));
+          this.$healthTable.on('click', '.index-health-action-btn', $.proxy(this, 'onIndexHealthAction'));
+
+          this.showResumeNotice();
+          this.checkBackgroundRun();
+
+          this.refreshIndexHealth();
         },
 
         /**
@@ -71,297 +147,1676 @@
           ev.stopPropagation();
 
           if (!this.$trigger.hasClass('disabled')) {
-            if (!this.progressBar) {
-              this.progressBar = new Craft.ProgressBar(this.$status);
-            } else {
-              this.progressBar.resetProgressBar();
+            this.startNewRun();
+          }
+        },
+
+        /**
+         * Start a fresh run for the current form selection
+         */
+        startNewRun: function () {
+          if (!this.confirmReset()) {
+            return;
+          }
+
+          // Starting a fresh run replaces any interrupted one
+          this.clearSavedRun();
+          this.$resumeNotice.addClass('hidden');
+
+          this.beginRun(null);
+        },
+
+        /**
+         * Get the reindex mode currently selected in the form
+         * @returns {string} The reindex mode
+         */
+        getReindexMode: function () {
+          return $('input[name="reindexMode"]:checked', this.$form).val() || 'reset';
+        },
+
+        /**
+         * Get the names of the indexes a reset would drop for the current selection
+         * Mirrors the controller: sites with selected element types, or every site when nothing is selected
+         * @returns {string[]} Index names
+         */
+        getIndexesToDrop: function () {
+          var selectedSites = $('.element-type-checkbox:checked', this.$form).map(function () {
+            return String($(this).data('site-id'));
+          }).get();
+
+          var indexes = [];
+          $('.site-header-row', this.$form).each(function () {
+            var $row = $(this);
+            var indexName = $row.data('index-name');
+            if ((!selectedSites.length || selectedSites.indexOf(String($row.data('site-id'))) !== -1) &&
+                indexName && indexes.indexOf(indexName) === -1) {
+              indexes.push(indexName);
+            }
+          });
+
+          return indexes;
+        },
+
+        /**
+         * Ask for confirmation before a destructive reset
+         * @returns {boolean} Whether the run may start
+         */
+        confirmReset: function () {
+          if (this.getReindexMode() !== 'reset') {
+            return true;
+          }
+
+          var indexes = this.getIndexesToDrop();
+          if (!indexes.length) {
+            return true;
+          }
+
+          return confirm(
+            'Reset & Index will rebuild the following indexes:\n\n' +
+            indexes.join('\n') +
+            '\n\nThe current indexes keep serving searches until the run finishes, when the rebuilt indexes replace them. Element types that are not selected won\'t be in the rebuilt indexes. Continue?'
+          );
+        },
+
+        /**
+         * Handle preview button clicks
+         * Sends the current selection as a dry run and shows the counts in the table
+         */
+        onPreview: function () {
+          if (this.running || this.$previewBtn.hasClass('disabled')) {
+            return;
+          }
+
+          var params = Craft.expandPostArray(Garnish.getPostData(this.$form));
+          params.start = true;
+          params.dryRun = true;
+
+          this.clearPreview();
+          this.$previewBtn.addClass('disabled');
+          this.$trigger.addClass('disabled');
+
+          Craft.postActionRequest(
+              this.formAction,
+              { params: params },
+              $.proxy(function (response, textStatus) {
+                this.$previewBtn.removeClass('disabled');
+                if (!this.running) {
+                  this.$trigger.removeClass('disabled');
+                }
+
+                if (textStatus === 'success' && response && response.preview) {
+                  this.renderPreview(response.preview);
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Render dry-run counts in the utility table
+         * @param {Object} preview - Preview data returned by the controller
+         */
+        renderPreview: function (preview) {
+          this.$previewCells.removeClass('hidden');
+
+          for (var siteId in preview.sites) {
+            if (!preview.sites.hasOwnProperty(siteId)) {
+              continue;
+            }
+
+            var site = preview.sites[siteId];
+            this.$previewCells.filter('[data-site-id="' + siteId + '"]:not([data-element-type])')
+              .html(this.formatPreviewCounts(site.totals));
+
+            for (var type in site.types) {
+              if (site.types.hasOwnProperty(type)) {
+                this.$previewCells.filter('[data-site-id="' + siteId + '"][data-element-type="' + type + '"]')
+                  .html(this.formatPreviewCounts(site.types[type]));
+              }
             }
+          }
+
+          var $summary = $('<div class="reindex-preview-summary">').append(
+            $('<p>').html('<strong>Preview:</strong> ' + this.formatPreviewCounts(preview.totals))
+          );
 
-            this.totalActions = 1;
-            this.completedActions = 0;
-            this.failedActions = 0;
-            this.partialActions = 0;
-            this.failedEntries = [];
-            this.partialEntries = [];
-            this.queue = [];
-            this.startTime = Date.now();
-            this.lastUpdateTime = Date.now();
-            this.processedSinceLastUpdate = 0;
-            this.speedSamples = [];
-            this.expandedGroups = {}; // Track which detail sections are expanded
-
-            this.loadingActions = 0;
-            this.currentEntryQueue = [];
-
-            // Reset error display from previous runs
-            this.$failedContainer.empty().hide();
-
-            // Hide progress status until indexing begins
-            this.$progressStatus.text('').hide();
-
-            this.progressBar.$progressBar.css({
-              top: Math.round(this.$status.outerHeight() / 2) - 6,
-            }).removeClass('hidden');
-
-            this.progressBar.$progressBar.velocity('stop').velocity(
-                {
-                  opacity: 1,
-                },
-                {
-                  complete: $.proxy(function () {
-                    var postData = Garnish.getPostData(this.$form);
-                    var params = Craft.expandPostArray(postData);
-                    params.start = true;
-
-                    this.loadAction({
-                      params: params,
-                    });
-                  }, this),
-                },
+          if (preview.indexesToRebuild && preview.indexesToRebuild.length) {
+            var aliases = preview.indexesToRebuild.map(function (index) {
+              return index.current ? index.alias + ' (now ' + index.current + ')' : index.alias;
+            });
+
+            $summary.append(
+              $('<p class="notice with-icon">').text(
+                'Reset & Index will build a new version of ' + aliases.join(', ') +
+                ' and swap it in once it\'s filled. Nothing is deleted before the swap, and the current version is kept for rollback.'
+              )
             );
+          }
+
+          this.$status.before($summary);
+        },
+
+        /**
+         * Format dry-run counts for display
+         * @param {Object} counts - Counts of elements to create, update and skip, and documents to delete
+         * @returns {string} HTML summary of the counts
+         */
+        formatPreviewCounts: function (counts) {
+          var labels = {
+            create: ['new', 'success'],
+            update: ['updated', ''],
+            skip: ['skipped', 'light'],
+            delete: ['deleted', 'error'],
+          };
+
+          var parts = [];
+          for (var action in labels) {
+            if (labels.hasOwnProperty(action) && counts[action] > 0) {
+              parts.push(
+                '<span class="preview-count ' + labels[action][1] + '">' +
+                Craft.formatNumber(counts[action]) + ' ' + labels[action][0] +
+                '</span>'
+              );
+            }
+          }
+
+          return parts.length ? parts.join('') : '<span class="light">Nothing to do</span>';
+        },
+
+        /**
+         * Remove a previous preview once the selection changes or a run starts
+         */
+        clearPreview: function () {
+          this.$previewCells.addClass('hidden').filter('td').empty();
+          $('.reindex-preview-summary', this.$form).remove();
+        },
+
+        /**
+         * Fetch the health of every index and render the dashboard
+         * Runs periodically while the tab is visible, after each run and from the Refresh button;
+         * skipped while a run is going or a check is still loading
+         */
+        refreshIndexHealth: function () {
+          if (!this.$healthPanel.length) {
+            return;
+          }
+
+          this.scheduleIndexHealth();
+
+          if (this.healthLoading || this.running) {
+            return;
+          }
+
+          this.healthLoading = true;
+          this.$healthRefreshBtn.addClass('disabled');
+
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.healthAction,
+              {},
+              $.proxy(function (response, textStatus, jqXHR) {
+                this.healthLoading = false;
+                this.$healthRefreshBtn.removeClass('disabled');
+
+                if (textStatus === 'success' && response && response.indexes) {
+                  this.renderIndexHealth(response);
+                } else {
+                  var message = (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.message) || 'Could not check the indexes.';
+                  this.$healthTable.html($('<p class="error">').text(message));
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Schedule the next health check, unless the tab is hidden
+         */
+        scheduleIndexHealth: function () {
+          clearTimeout(this.healthTimer);
+          this.healthTimer = null;
+
+          if (!document.hidden) {
+            this.healthTimer = setTimeout($.proxy(this, 'refreshIndexHealth'), Craft.SearchWithElasticUtility.healthInterval);
+          }
+        },
+
+        /**
+         * Pause the health checks while the tab is hidden, and check straight away when it is shown again
+         */
+        onVisibilityChange: function () {
+          if (document.hidden) {
+            clearTimeout(this.healthTimer);
+            this.healthTimer = null;
+          } else {
+            this.refreshIndexHealth();
+          }
+        },
+
+        /**
+         * Render the index health table
+         * @param {Object} health - Health data returned by the controller
+         */
+        renderIndexHealth: function (health) {
+          this.indexHealth = health.indexes;
+          this.$healthCheckedAt.text('Checked ' + new Date(health.checkedAt).toLocaleTimeString());
+
+          if (!health.indexes.length) {
+            this.$healthTable.html('<p class="light">No indexes are configured.</p>');
+            return;
+          }
+
+          var rows = health.indexes.map($.proxy(function (index, i) {
+            var documents = Craft.formatNumber(index.documentCount) + ' / ' + Craft.formatNumber(index.craftCount);
+            var documentsClass = index.documentCount === index.craftCount ? '' : 'warning';
+            var healthLabel = index.exists ? (index.health || 'unknown') : 'not created';
+            var disabled = this.running ? ' disabled' : '';
+
+            return '<tr>' +
+              '<td><span class="code">' + this.escapeHtml(index.indexName) + '</span><br><span class="light">' + this.escapeHtml(index.siteName) + '</span></td>' +
+              '<td class="nowrap ' + documentsClass + '">' + documents + '</td>' +
+              '<td class="nowrap">' + (index.size ? this.escapeHtml(index.size) : '–') + '</td>' +
+              '<td class="nowrap"><span class="health-status ' + this.escapeHtml(index.health || '') + '">' + this.escapeHtml(healthLabel) + '</span></td>' +
+              '<td class="nowrap">' + (index.lastIndexed ? this.escapeHtml(new Date(index.lastIndexed).toLocaleString()) : '–') + '</td>' +
+              '<td class="nowrap' + (index.missing ? ' error' : '') + '">' + Craft.formatNumber(index.missing) + '</td>' +
+              '<td class="nowrap' + (index.outdated ? ' warning' : '') + '">' + Craft.formatNumber(index.outdated) + '</td>' +
+              '<td class="nowrap">' + Craft.formatNumber(index.partial) + '</td>' +
+              '<td class="nowrap"><div class="btngroup">' +
+                (index.missing ? '<button type="button" class="btn small index-health-action-btn' + disabled + '" data-index="' + i + '" data-mode="missing">Index missing</button>' : '') +
+                (index.outdated ? '<button type="button" class="btn small index-health-action-btn' + disabled + '" data-index="' + i + '" data-mode="updated">Reindex outdated</button>' : '') +
+              '</div></td>' +
+            '</tr>';
+          }, this));
+
+          this.$healthTable.html(
+            '<table class="data fullwidth"><thead><tr>' +
+              '<th>Index</th>' +
+              '<th class="nowrap" title="Documents in the index / indexable elements in Craft">Documents</th>' +
+              '<th class="nowrap">Size</th>' +
+              '<th class="nowrap">Health</th>' +
+              '<th class="nowrap" title="When a document was last written to the index">Last indexed</th>' +
+              '<th class="nowrap">Missing</th>' +
+              '<th class="nowrap">Outdated</th>' +
+              '<th class="nowrap">Partial</th>' +
+              '<th></th>' +
+            '</tr></thead><tbody>' + rows.join('') + '</tbody></table>'
+          );
+        },
+
+        /**
+         * Handle "Index missing" and "Reindex outdated" clicks on an index health row
+         * Selects just that index's site and element types and the matching mode, then starts the run
+         * @param {Event} ev - Click event
+         */
+        onIndexHealthAction: function (ev) {
+          var $btn = $(ev.currentTarget);
+          var index = this.indexHealth && this.indexHealth[$btn.data('index')];
+
+          if (!index || this.running || $btn.hasClass('disabled') || this.$trigger.hasClass('disabled')) {
+            return;
+          }
+
+          // Go through the DOM so the selection and mode controls update their own state
+          $('.element-type-checkbox', this.$form).each(function () {
+            var checked = String($(this).data('site-id')) === String(index.siteId) &&
+              index.elementTypes.indexOf($(this).data('element-type')) !== -1;
+
+            if (this.checked !== checked) {
+              this.checked = checked;
+              this.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+          });
+
+          $('.mode-btn[data-mode="' + $btn.data('mode') + '"]', this.$form)[0].click();
+
+          this.startNewRun();
+          this.$status[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        },
+
+        /**
+         * Reset run state and bring up the progress bar
+         * Starts a fresh run by requesting the queue, continues a saved run from its pending queue,
+         * or follows a background run on the Craft queue
+         * @param {Object|null} savedRun - Saved run state to continue, or null to start a new run
+         * @param {Object|null} [backgroundStatus] - Status of a background run to reattach to
+         */
+        beginRun: function (savedRun, backgroundStatus) {
+          if (!this.progressBar) {
+            this.progressBar = new Craft.ProgressBar(this.$status);
+          } else {
+            this.progressBar.resetProgressBar();
+          }
+
+          this.totalActions = 1;
+          this.completedActions = 0;
+          this.failedActions = 0;
+          this.partialActions = 0;
+          this.failedEntries = [];
+          this.partialEntries = [];
+          this.queue = [];
+          this.startTime = Date.now();
+          this.lastUpdateTime = Date.now();
+          this.processedSinceLastUpdate = 0;
+          this.speedSamples = [];
+          this.resetConcurrency();
+          this.expandedGroups = {}; // Track which detail sections are expanded
+
+          this.loadingActions = 0;
+          this.currentEntryQueue = [];
+
+          this.running = true;
+          this.paused = false;
+          this.cancelled = false;
+          this.pausedAt = null;
+          this.runId = null;
+          this.inFlightActions = [];
+          this.lastSavedAt = 0;
+          this.lastSavedProgress = null;
+          this.retryActions = [];
+          this.rebuilding = false;
+
+          this.background = !!backgroundStatus || (!savedRun && this.$backgroundInput.is(':checked'));
+          this.backgroundStatus = null;
+          clearTimeout(this.pollTimer);
+
+          this.showRunControls();
+          this.clearPreview();
+          this.$previewBtn.addClass('disabled');
+          $('.index-health-action-btn', this.$healthTable).addClass('disabled');
+
+          // Reset error display from previous runs
+          this.$failedContainer.empty().hide();
+
+          if (savedRun) {
+            this.restoreRunState(savedRun);
+          }
+
+          // Hide progress status until indexing begins
+          this.$progressStatus.text('').hide();
+
+          this.progressBar.$progressBar.css({
+            top: Math.round(this.$status.outerHeight() / 2) - 6,
+          }).removeClass('hidden');
+
+          this.progressBar.$progressBar.velocity('stop').velocity(
+              {
+                opacity: 1,
+              },
+              {
+                complete: $.proxy(function () {
+                  if (backgroundStatus) {
+                    this.updateBackgroundRun(backgroundStatus);
+                    return;
+                  }
+
+                  if (savedRun) {
+                    // Continue from the saved queue without requesting (and resetting) the indexes again
+                    this.updateProgressBar();
+                    this.processQueue();
+                    return;
+                  }
+
+                  var postData = Garnish.getPostData(this.$form);
+                  var params = Craft.expandPostArray(postData);
+                  params.start = true;
+
+                  if (this.background) {
+                    this.startBackgroundRun(params);
+                    return;
+                  }
+
+                  this.loadAction({
+                    params: params,
+                  });
+                }, this),
+              },
+          );
+
+          if (this.$allDone) {
+            this.$allDone.css('opacity', 0);
+          }
+
+          this.$trigger.addClass('disabled');
+          this.$trigger.trigger('blur');
+        },
+
+        /**
+         * Update the visual progress bar based on completion percentage
+         * Calculates width from completed vs total actions
+         */
+        updateProgressBar: function () {
+          var width = (
+              100 * this.completedActions / this.totalActions
+          );
+          this.progressBar.setProgressPercentage(width);
+          this.updateProgressStatus();
+        },
+
+        /**
+         * Updates the progress status display with current indexing statistics
+         * Shows processed count, failures, warnings, processing speed, and ETA
+         */
+        updateProgressStatus: function() {
+          var currentTime = Date.now();
+          var totalProcessed = this.completedActions - 1; // Subtract initial action
+          var remaining = this.totalActions - this.completedActions;
 
-            if (this.$allDone) {
-              this.$allDone.css('opacity', 0);
+          // Calculate processing speed only after initial progress
+          if (totalProcessed > 0) {
+            var timeSinceLastUpdate = currentTime - this.lastUpdateTime;
+
+            if (timeSinceLastUpdate >= 1000 && this.processedSinceLastUpdate > 0) { // Update speed calculation every second
+              var currentSpeed = this.processedSinceLastUpdate / (timeSinceLastUpdate / 1000);
+              this.speedSamples.push(currentSpeed);
+
+              // Maintain rolling average of last 5 speed samples
+              if (this.speedSamples.length > 5) {
+                this.speedSamples.shift();
+              }
+
+              this.lastUpdateTime = currentTime;
+              this.processedSinceLastUpdate = 0;
+            }
+          }
+
+          // Calculate average processing speed from samples
+          var avgSpeed = 0;
+          if (this.speedSamples.length > 0) {
+            avgSpeed = this.speedSamples.reduce(function(a, b) { return a + b; }) / this.speedSamples.length;
+          } else if (totalProcessed > 0) {
+            // Use overall average if no recent samples available
+            var totalTime = (currentTime - this.startTime) / 1000;
+            if (totalTime > 0) {
+              avgSpeed = totalProcessed / totalTime;
+            }
+          }
+
+          // Calculate estimated time to completion
+          var eta = '';
+          if (avgSpeed > 0 && remaining > 0) {
+            var etaSeconds = Math.ceil(remaining / avgSpeed);
+            eta = this.formatTime(etaSeconds);
+          }
+
+          // Construct progress status message with statistics
+          var statusParts = [];
+
+          if (this.failedActions > 0) {
+            statusParts.push(this.failedActions + ' failures');
+          }
+          if (this.partialActions > 0) {
+            statusParts.push(this.partialActions + ' warnings');
+          }
+
+          var statusText = totalProcessed + ' / ' + (this.totalActions - 1);
+          if (statusParts.length > 0) {
+            statusText += ' (' + statusParts.join(', ') + ')';
+          }
+
+          // Include speed and ETA after initial processing
+          if (avgSpeed > 0 && totalProcessed > 2) { // Only show speed after a few elements
+            statusText += ' • ' + Math.round(avgSpeed) + '/s';
+            if (eta && remaining > 1) { // Only show ETA if more than 1 item remaining
+              statusText += ' • ETA ' + eta;
+            }
+          }
+
+          if (this.background) {
+            if (!this.backgroundStatus || this.backgroundStatus.status === 'queued') {
+              statusText = 'Waiting for the queue to pick up the reindex job…';
+            } else {
+              statusText += ' • running in the background';
             }
+          } else if (totalProcessed > 0) {
+            statusText += ' • ' + this.concurrency + ' parallel';
+          }
 
-            this.$trigger.addClass('disabled');
-            this.$trigger.trigger('blur');
+          if (this.retryActions.length > 0) {
+            statusText += ' • retrying ' + this.retryActions.length;
           }
+
+          // Let the user know we're waiting for in-flight requests to drain
+          if (this.cancelled) {
+            statusText += ' • Cancelling…';
+          } else if (this.paused) {
+            statusText += ' • Pausing…';
+          }
+
+          this.$progressStatus.text(statusText).show();
+        },
+
+        /**
+         * Formats elapsed time in seconds to human-readable format with precision
+         * @param {number} seconds - Total elapsed time in seconds
+         * @returns {string} Formatted time string (e.g., "45.2s", "2m 30s", "1h 5m 12s")
+         */
+        formatElapsedTime: function(seconds) {
+          if (seconds < 60) {
+            // Show decimal for times under a minute
+            return seconds.toFixed(1) + 's';
+          } else if (seconds < 3600) {
+            var minutes = Math.floor(seconds / 60);
+            var secs = Math.round(seconds % 60);
+            return minutes + 'm' + (secs > 0 ? ' ' + secs + 's' : '');
+          } else {
+            var hours = Math.floor(seconds / 3600);
+            var minutes = Math.floor((seconds % 3600) / 60);
+            var secs = Math.round(seconds % 60);
+            var result = hours + 'h';
+            if (minutes > 0) result += ' ' + minutes + 'm';
+            if (secs > 0) result += ' ' + secs + 's';
+            return result;
+          }
+        },
+        
+        /**
+         * Formats time duration in seconds to human-readable format
+         * @param {number} seconds - Duration in seconds
+         * @returns {string} Formatted time string (e.g., "2m 30s", "1h 5m")
+         */
+        formatTime: function(seconds) {
+          if (seconds < 60) {
+            return seconds + 's';
+          } else if (seconds < 3600) {
+            var minutes = Math.floor(seconds / 60);
+            var secs = seconds % 60;
+            return minutes + 'm' + (secs > 0 ? ' ' + secs + 's' : '');
+          } else {
+            var hours = Math.floor(seconds / 3600);
+            var minutes = Math.floor((seconds % 3600) / 60);
+            return hours + 'h' + (minutes > 0 ? ' ' + minutes + 'm' : '');
+          }
+        },
+
+        /**
+         * Load and execute an indexing action
+         * @param {Object} data - Action data containing parameters
+         */
+        loadAction: function (data) {
+          data.sentAt = Date.now();
+          this.loadingActions++;
+          this.inFlightActions.push(data);
+          this.postActionRequest(data);
+        },
+
+        /**
+         * Send AJAX request to perform indexing action
+         * @param {Object} action - Action data containing request parameters for indexing
+         */
+        postActionRequest: function (action) {
+          var data = {
+            params: action.params,
+          };
+          data[Craft.csrfTokenName] = Craft.csrfTokenValue;
+
+          // $.ajax rather than Craft.postActionRequest, which never calls back on network errors
+          // and shows an error notice for failures that are about to be retried
+          $.ajax({
+            url: this.formAction,
+            type: 'POST',
+            dataType: 'json',
+            data: data,
+            success: $.proxy(function (response, textStatus, jqXHR) {
+              this.onActionResponse(response, 'success', jqXHR, action);
+            }, this),
+            error: $.proxy(function (jqXHR, textStatus) {
+              this.onActionResponse(null, textStatus || 'error', jqXHR, action);
+            }, this),
+          });
+        },
+
+        /**
+         * Handle response from indexing action
+         * Updates progress, handles errors, and manages batching
+         * @param {Object} response - Server response data
+         * @param {string} textStatus - HTTP status text
+         * @param {Object} jqXHR - The jQuery XHR object for the request
+         * @param {Object} action - The action the response belongs to
+         */
+        onActionResponse: function (response, textStatus, jqXHR, action) {
+          this.loadingActions--;
+
+          var inFlightIndex = this.inFlightActions.indexOf(action);
+          if (inFlightIndex !== -1) {
+            this.inFlightActions.splice(inFlightIndex, 1);
+          }
+
+          // Network errors, 5xx and 429 responses are retried rather than counted as failures
+          if (textStatus !== 'success') {
+            if (this.isTransientFailure(jqXHR) && (action.attempts || 0) < Craft.SearchWithElasticUtility.maxRetries) {
+              this.reduceConcurrency();
+
+              if (this.cancelled) {
+                this.processQueue();
+              } else if (this.paused) {
+                this.requeueAction(action);
+                this.processQueue();
+              } else {
+                this.scheduleRetry(action, jqXHR);
+                this.updateProgressStatus();
+                this.processQueue();
+              }
+              return;
+            }
+
+            response = null;
+            this.reduceConcurrency();
+          }
+
+          // Batches return a result per element; single actions are treated as a batch of one
+          var items = action.items || [action];
+          var results = [];
+          for (var r = 0; r < items.length; r++) {
+            if (!response) {
+              results.push(this.getRequestFailureResponse(jqXHR, action, items[r]));
+            } else if (action.items) {
+              results.push(response.results && response.results[r] ? response.results[r] : {
+                success: false,
+                error: 'No result returned for this element',
+                elementId: items[r].params.elementId || 'Unknown',
+                elementType: this.getShortTypeName(items[r].params.type),
+              });
+            } else {
+              results.push(response);
+            }
+          }
+
+          if (response && !action.params.start) {
+            var hasErrors = results.some(function(result) { return !!result.error; });
+            if (hasErrors) {
+              // Indexing errors can be the cluster pushing back, so ease off a little
+              this.setConcurrency(this.concurrency - 1);
+            } else {
+              this.recordLatency(Date.now() - action.sentAt);
+            }
+          }
+
+          this.completedActions += items.length;
+          if (!action.params.start) {
+            this.processedSinceLastUpdate += items.length;
+          }
+
+          // Process response and add new entries to indexing queue
+          if (textStatus === 'success' && response && response.entries) {
+            for (var i = 0; i < response.entries.length; i++) {
+              if (response.entries[ i ].length) {
+                this.totalActions += response.entries[ i ].length;
+                this.queue.push(response.entries[ i ]);
+              }
+            }
+
+            // The queue is known from here on, so the run can be saved and resumed
+            this.runId = Date.now().toString(36);
+            this.rebuilding = !!(response.rebuild && response.rebuild.length);
+          }
+
+          for (var j = 0; j < results.length; j++) {
+            this.trackResult(results[j], items[j]);
+          }
+
+          this.updateProgressBar();
+          this.saveRunState(false);
+          this.processQueue();
+        },
+
+        /**
+         * Track the result for a single element in the error and warning summaries
+         * @param {Object} result - Response data for the element
+         * @param {Object} item - The action the result belongs to
+         */
+        trackResult: function (result, item) {
+          // Track indexing errors for display in completion summary
+          if (result.error) {
+            this.failedActions++;
+            var errorEntry = {
+              error: result.error,
+              errorDetails: result.errorDetails || '',
+              elementId: result.elementId || 'Unknown',
+              elementType: result.elementType || 'Unknown',
+              params: item && !item.params.start ? item.params : null
+            };
+            this.failedEntries.push(errorEntry);
+
+            // Display error immediately in live container
+            this.displayLiveError(errorEntry);
+          }
+
+          // Track partial indexing results (basic metadata only)
+          if (result.partial) {
+            this.partialActions++;
+            var partialEntry = {
+              reason: result.reason,
+              elementId: result.elementId || 'Unknown',
+              elementType: result.elementType || 'Unknown',
+              params: item && !item.params.start ? item.params : null
+            };
+            this.partialEntries.push(partialEntry);
+
+            // Display warning immediately in live container
+            this.displayLiveWarning(partialEntry);
+          }
+        },
+
+        /**
+         * Put an action back at the front of the current queue
+         * Batches are split back into their elements so they can be regrouped later
+         * @param {Object} action - The action to requeue
+         */
+        requeueAction: function (action) {
+          Array.prototype.unshift.apply(this.currentEntryQueue, action.items || [action]);
+        },
+
+        /**
+         * Dispatch pending actions up to the concurrency limit
+         * Stops dispatching while paused or cancelled and settles the run once in-flight requests drain
+         */
+        processQueue: function () {
+          if (this.paused || this.cancelled) {
+            if (!this.loadingActions) {
+              if (this.cancelled) {
+                this.onCancelled();
+              } else {
+                this.onPaused();
+              }
+            }
+            return;
+          }
+
+          // Process next batch items up to concurrency limit
+          while (this.loadingActions < this.concurrency &&
+                 this.currentEntryQueue.length) {
+            this.loadNextAction();
+          }
+
+          // Check if current batch is complete
+          if (!this.loadingActions) {
+            // Start next batch if available
+            if (this.queue.length > 0) {
+              this.currentEntryQueue = this.queue.shift();
+              this.loadNextAction();
+            } else if (!this.retryActions.length) {
+              // Brief delay to prevent jarring UI transitions
+              setTimeout($.proxy(this, 'onComplete'), 300);
+            }
+          }
+        },
+
+        /**
+         * Reset adaptive concurrency for a new run
+         * Reads the ceiling from the utility form, falling back to the default
+         */
+        resetConcurrency: function () {
+          var ceiling = parseInt($('.reindex-max-concurrency', this.$form).val(), 10);
+          if (isNaN(ceiling) || ceiling < 1) {
+            ceiling = Craft.SearchWithElasticUtility.maxConcurrentActions;
+          }
+
+          // Keep to the range the reindexMaxConcurrency setting allows
+          this.maxConcurrency = Math.min(Craft.SearchWithElasticUtility.concurrencyLimit, ceiling);
+          this.concurrency = Math.min(Craft.SearchWithElasticUtility.initialConcurrentActions, this.maxConcurrency);
+          this.latencySamples = [];
+          this.windowStartTime = Date.now();
+          this.bestLatency = null;
+          this.lastWindowSpeed = null;
+        },
+
+        /**
+         * Change the concurrency, keeping it between 1 and the ceiling
+         * Starts a new tuning window so the next decision is based on the new setting
+         * @param {number} concurrency - The requested concurrency
+         */
+        setConcurrency: function (concurrency) {
+          this.concurrency = Math.max(1, Math.min(this.maxConcurrency, concurrency));
+          this.latencySamples = [];
+          this.windowStartTime = Date.now();
+        },
+
+        /**
+         * Halve the concurrency after a rate limited or failed request
+         */
+        reduceConcurrency: function () {
+          this.setConcurrency(Math.floor(this.concurrency / 2));
+          this.lastWindowSpeed = null;
+        },
+
+        /**
+         * Record a successful response time and tune the concurrency once the window is full
+         * Adds a request while throughput keeps improving without latency degrading,
+         * and drops one when responses get much slower than the best seen so far
+         * @param {number} latency - Response time in milliseconds
+         */
+        recordLatency: function (latency) {
+          this.latencySamples.push(latency);
+
+          // Each window needs enough responses at the current concurrency to be meaningful
+          if (this.latencySamples.length < Math.max(Craft.SearchWithElasticUtility.concurrencyWindow, this.concurrency * 2)) {
+            return;
+          }
+
+          var avgLatency = this.latencySamples.reduce(function(a, b) { return a + b; }) / this.latencySamples.length;
+          var windowTime = (Date.now() - this.windowStartTime) / 1000;
+          var windowSpeed = windowTime > 0 ? this.latencySamples.length / windowTime : 0;
+          var lastWindowSpeed = this.lastWindowSpeed;
+
+          if (this.bestLatency === null || avgLatency < this.bestLatency) {
+            this.bestLatency = avgLatency;
+          }
+          this.lastWindowSpeed = windowSpeed;
+
+          if (avgLatency > this.bestLatency * 2) {
+            this.setConcurrency(this.concurrency - 1);
+          } else if ((lastWindowSpeed === null || windowSpeed > lastWindowSpeed * 1.05) &&
+                     avgLatency <= this.bestLatency * 1.5) {
+            this.setConcurrency(this.concurrency + 1);
+          } else {
+            this.setConcurrency(this.concurrency);
+          }
+        },
+
+        /**
+         * Determine whether a failed request is worth retrying
+         * Network errors, timeouts, rate limiting and server errors are usually transient
+         * @param {Object} jqXHR - The jQuery XHR object for the failed request
+         * @returns {boolean} Whether the failure is transient
+         */
+        isTransientFailure: function (jqXHR) {
+          var status = jqXHR ? jqXHR.status : 0;
+          return status === 0 || status === 429 || status >= 500;
+        },
+
+        /**
+         * Schedule an action to be retried with exponential backoff
+         * Honours the Retry-After header on 429 responses
+         * @param {Object} action - The action to retry
+         * @param {Object} jqXHR - The jQuery XHR object for the failed request
+         */
+        scheduleRetry: function (action, jqXHR) {
+          action.attempts = (action.attempts || 0) + 1;
+
+          var delay = Math.min(
+              Craft.SearchWithElasticUtility.retryBaseDelay * Math.pow(2, action.attempts - 1),
+              Craft.SearchWithElasticUtility.retryMaxDelay
+          );
+
+          var retryAfter = jqXHR ? parseInt(jqXHR.getResponseHeader('Retry-After'), 10) : NaN;
+          if (!isNaN(retryAfter) && retryAfter > 0) {
+            delay = Math.max(delay, retryAfter * 1000);
+          }
+
+          // Add some jitter so concurrent retries don't hit the server at the same moment
+          delay += Math.round(Math.random() * delay * 0.2);
+
+          var retry = { action: action, timer: null };
+          retry.timer = setTimeout($.proxy(function () {
+            var index = this.retryActions.indexOf(retry);
+            if (index === -1) {
+              return;
+            }
+            this.retryActions.splice(index, 1);
+            this.loadAction(action);
+          }, this), delay);
+
+          this.retryActions.push(retry);
+        },
+
+        /**
+         * Stop any pending retries
+         * @param {boolean} requeue - Put the actions back on the queue (pause) rather than dropping them (cancel)
+         */
+        flushRetries: function (requeue) {
+          for (var i = this.retryActions.length - 1; i >= 0; i--) {
+            clearTimeout(this.retryActions[i].timer);
+            if (requeue) {
+              this.requeueAction(this.retryActions[i].action);
+            }
+          }
+          this.retryActions = [];
+        },
+
+        /**
+         * Build an error response for a request that failed at the HTTP level
+         * @param {Object} jqXHR - The jQuery XHR object for the failed request
+         * @param {Object} action - The action that failed
+         * @param {Object} item - The element within the action to report on
+         * @returns {Object} Response data in the same shape as a server-side indexing error
+         */
+        getRequestFailureResponse: function (jqXHR, action, item) {
+          var status = jqXHR ? jqXHR.status : 0;
+          var statusLabel = status ? 'HTTP ' + status + (jqXHR.statusText ? ' ' + jqXHR.statusText : '') : 'network error';
+          var attempts = (action.attempts || 0) + 1;
+
+          var details = jqXHR && jqXHR.responseJSON ? (jqXHR.responseJSON.message || jqXHR.responseJSON.error || '') : '';
+
+          return {
+            error: 'Request failed after ' + attempts + ' attempt' + (attempts > 1 ? 's' : '') + ' (' + statusLabel + ')',
+            errorDetails: details,
+            elementId: item.params.elementId || 'Unknown',
+            elementType: this.getShortTypeName(item.params.type),
+          };
+        },
+
+        /**
+         * Get the short class name for an element type
+         * @param {string} type - Fully-qualified element class name
+         * @returns {string} The class name without its namespace
+         */
+        getShortTypeName: function (type) {
+          return type ? String(type).split('\\').pop() : 'Unknown';
+        },
+
+        /**
+         * Handle retry failed only button clicks
+         * Starts a new run with just the elements that failed in the last run
+         */
+        onRetryFailed: function () {
+          if (this.running || this.$trigger.hasClass('disabled')) {
+            return;
+          }
+
+          var actions = [];
+          for (var i = 0; i < this.failedEntries.length; i++) {
+            if (this.failedEntries[i].params) {
+              actions.push({ params: this.failedEntries[i].params });
+            }
+          }
+
+          if (!actions.length) {
+            return;
+          }
+
+          this.clearSavedRun();
+          this.$resumeNotice.addClass('hidden');
+
+          this.beginRun({
+            runId: Date.now().toString(36),
+            totalActions: actions.length + 1,
+            pending: actions,
+          });
+        },
+
+        /**
+         * Build the error and warning report for the last run
+         * @returns {Array} One row per failed or partially indexed element
+         */
+        getReportRows: function () {
+          var sites = {};
+          $('.site-header-row', this.$form).each(function () {
+            var $row = $(this);
+            sites[$row.data('site-id')] = {
+              handle: $row.data('site-handle'),
+              name: $row.data('site-name'),
+            };
+          });
+
+          var buildRow = function (status, entry) {
+            var params = entry.params || {};
+            var site = sites[params.siteId] || null;
+            var editUrl = '';
+
+            if (entry.elementId && entry.elementId !== 'Unknown') {
+              editUrl = Craft.getCpUrl('edit/' + entry.elementId, site ? { site: site.handle } : {});
+            }
+
+            return {
+              status: status,
+              elementId: entry.elementId || 'Unknown',
+              elementType: entry.elementType || 'Unknown',
+              siteId: params.siteId || '',
+              site: site ? site.name : '',
+              error: entry.error || '',
+              errorDetails: entry.errorDetails || '',
+              partialReason: entry.reason || '',
+              editUrl: editUrl,
+            };
+          };
+
+          return this.failedEntries.map(function (entry) {
+            return buildRow('error', entry);
+          }).concat(this.partialEntries.map(function (entry) {
+            return buildRow('warning', entry);
+          }));
+        },
+
+        /**
+         * Handle download report button clicks
+         * Generates a CSV or JSON file in the browser from the run data
+         * @param {Event} ev - Click event
+         */
+        onExportReport: function (ev) {
+          var format = $(ev.currentTarget).data('format');
+          var rows = this.getReportRows();
+          var content, type;
+
+          if (format === 'json') {
+            content = JSON.stringify(rows, null, 2);
+            type = 'application/json';
+          } else {
+            var columns = ['status', 'elementId', 'elementType', 'siteId', 'site', 'error', 'errorDetails', 'partialReason', 'editUrl'];
+            var headers = ['Status', 'Element ID', 'Element Type', 'Site ID', 'Site', 'Error', 'Error Details', 'Partial Reason', 'Edit URL'];
+            var lines = [headers.map(this.escapeCsv).join(',')];
+
+            for (var i = 0; i < rows.length; i++) {
+              lines.push(columns.map(function (column) {
+                return this.escapeCsv(rows[i][column]);
+              }, this).join(','));
+            }
+
+            content = lines.join('\r\n');
+            type = 'text/csv';
+          }
+
+          var date = new Date().toISOString().slice(0, 10);
+          this.downloadFile('reindex-report-' + date + '.' + (format === 'json' ? 'json' : 'csv'), content, type);
+        },
+
+        /**
+         * Escape a value for use in a CSV cell
+         * Values that spreadsheets would treat as formulas are prefixed with a quote
+         * @param {*} value - The value to escape
+         * @returns {string} The escaped value
+         */
+        escapeCsv: function (value) {
+          var str = value === null || value === undefined ? '' : String(value);
+          if (/^[=+\-@\t\r]/.test(str)) {
+            str = "'" + str;
+          }
+          return '"' + str.replace(/"/g, '""') + '"';
+        },
+
+        /**
+         * Offer generated content as a file download
+         * @param {string} filename - Name of the downloaded file
+         * @param {string} content - File contents
+         * @param {string} type - MIME type of the file
+         */
+        downloadFile: function (filename, content, type) {
+          var blob = new Blob([content], { type: type + ';charset=utf-8' });
+          var url = URL.createObjectURL(blob);
+          var $link = $('<a>').attr({ href: url, download: filename }).appendTo(Garnish.$bod);
+
+          $link[0].click();
+          $link.remove();
+          setTimeout(function () {
+            URL.revokeObjectURL(url);
+          }, 1000);
+        },
+
+        /**
+         * Look for a background run that is still going and reattach to it
+         * Called when the utility is opened so closing the tab doesn't lose track of the run
+         */
+        checkBackgroundRun: function () {
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.statusAction,
+              {},
+              $.proxy(function (response, textStatus) {
+                if (textStatus !== 'success' || !response || !this.isBackgroundRunActive(response.status) || this.running) {
+                  return;
+                }
+
+                this.$resumeNotice.addClass('hidden');
+                this.beginRun(null, response.status);
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Push the run onto the Craft queue
+         * @param {Object} params - Site, element type and mode selection from the form
+         */
+        startBackgroundRun: function (params) {
+          params.background = true;
+
+          Craft.postActionRequest(
+              this.formAction,
+              { params: params },
+              $.proxy(function (response, textStatus, jqXHR) {
+                if (textStatus === 'success' && response && response.background) {
+                  this.updateBackgroundRun(response.background);
+                  return;
+                }
+
+                // The job couldn't be queued; Craft has already shown the error
+                this.onBackgroundStartFailed(jqXHR ? jqXHR.responseJSON : null);
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Reset the interface when a background run couldn't be queued
+         * @param {Object|null} response - Error response from the server, if any
+         */
+        onBackgroundStartFailed: function (response) {
+          this.running = false;
+          this.background = false;
+          this.hideRunControls();
+
+          var message = response && response.message ? response.message : 'The background reindex could not be started.';
+
+          this.progressBar.$progressBar.velocity({ opacity: 0 }, {
+            duration: 'fast', complete: $.proxy(function () {
+              this.$progressStatus.html('<span class="error" style="font-weight: bold;">' + this.escapeHtml(message) + '</span>').show();
+
+              this.$trigger.removeClass('disabled');
+              this.$previewBtn.removeClass('disabled');
+            }, this),
+          });
+        },
+
+        /**
+         * Determine whether a background run status is still in progress
+         * @param {Object|null} status - Background run status
+         * @returns {boolean} Whether the run is queued, running or being cancelled
+         */
+        isBackgroundRunActive: function (status) {
+          return !!status && ['queued', 'running', 'cancelling'].indexOf(status.status) !== -1;
+        },
+
+        /**
+         * Show the latest state of a background run and schedule the next poll
+         * @param {Object} status - Background run status returned by the server
+         */
+        updateBackgroundRun: function (status) {
+          if (!this.running || !this.background) {
+            return;
+          }
+
+          if (this.backgroundStatus && this.backgroundStatus.runId !== status.runId) {
+            // Another run replaced the one we were following
+            this.finishBackgroundRun(null);
+            return;
+          }
+
+          var processed = status.processed || 0;
+          this.processedSinceLastUpdate += Math.max(0, processed - (this.completedActions - 1));
+
+          this.backgroundStatus = status;
+          this.totalActions = Math.max(status.total || 0, processed) + 1;
+          this.completedActions = processed + 1;
+          this.failedActions = status.failed || 0;
+          this.partialActions = status.partial || 0;
+          this.failedEntries = status.failedEntries || [];
+          this.partialEntries = status.partialEntries || [];
+          this.cancelled = status.status === 'cancelling';
+
+          if (status.startedAt) {
+            this.startTime = status.startedAt * 1000;
+          }
+
+          this.updateProgressBar();
+
+          if (this.failedEntries.length || this.partialEntries.length) {
+            this.renderGroupedIssues(true);
+          }
+
+          if (!this.isBackgroundRunActive(status)) {
+            this.finishBackgroundRun(status);
+            return;
+          }
+
+          this.pollTimer = setTimeout($.proxy(this, 'pollBackgroundRun'), Craft.SearchWithElasticUtility.pollInterval);
+        },
+
+        /**
+         * Fetch the status of the background run
+         */
+        pollBackgroundRun: function () {
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.statusAction,
+              {},
+              $.proxy(function (response, textStatus) {
+                if (textStatus === 'success' && response && response.status) {
+                  this.updateBackgroundRun(response.status);
+                } else if (this.running && this.background) {
+                  // Keep trying; the server may just be busy
+                  this.pollTimer = setTimeout($.proxy(this, 'pollBackgroundRun'), Craft.SearchWithElasticUtility.pollInterval);
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Ask the server to stop the background run after its current batch
+         */
+        cancelBackgroundRun: function () {
+          this.cancelled = true;
+          this.$cancelBtn.addClass('disabled');
+          this.updateProgressStatus();
+
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.cancelAction,
+              {},
+              $.proxy(function (response, textStatus) {
+                if (textStatus === 'success' && response && response.status) {
+                  clearTimeout(this.pollTimer);
+                  this.updateBackgroundRun(response.status);
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Show the outcome of a background run once it has stopped
+         * @param {Object|null} status - Final run status, or null if the run couldn't be followed
+         */
+        finishBackgroundRun: function (status) {
+          clearTimeout(this.pollTimer);
+
+          if (!status || status.status === 'cancelled') {
+            this.onCancelled();
+            return;
+          }
+
+          if (status.status === 'failed') {
+            this.failedActions++;
+            this.failedEntries.push({
+              error: 'Background reindex failed: ' + (status.error || 'Unknown error'),
+              errorDetails: '',
+              elementId: 'Unknown',
+              elementType: 'Unknown',
+              params: null,
+            });
+          }
+
+          this.trackSwapResults(status.indexes || []);
+          this.onComplete();
+        },
+
+        /**
+         * Show the run controls in their initial (running) state
+         */
+        showRunControls: function () {
+          // Background runs can only be cancelled
+          this.$pauseBtn.toggleClass('hidden', this.background).removeClass('disabled');
+          this.$resumeBtn.addClass('hidden').removeClass('disabled');
+          this.$cancelBtn.removeClass('disabled');
+          this.$runControls.removeClass('hidden');
+        },
+
+        /**
+         * Hide the run controls once the run has finished or been cancelled
+         */
+        hideRunControls: function () {
+          this.$runControls.addClass('hidden');
+        },
+
+        /**
+         * Handle pause button clicks
+         * Stops dispatching new actions; in-flight requests are left to finish
+         */
+        onPause: function () {
+          if (!this.running || this.paused || this.cancelled) {
+            return;
+          }
+
+          this.paused = true;
+          this.$pauseBtn.addClass('disabled');
+          this.flushRetries(true);
+
+          if (this.loadingActions) {
+            this.updateProgressStatus();
+          } else {
+            this.onPaused();
+          }
+        },
+
+        /**
+         * Called once all in-flight requests have drained after a pause
+         * The queue and current entry queue are kept so the run can be resumed
+         */
+        onPaused: function () {
+          if (this.pausedAt) {
+            return;
+          }
+
+          this.pausedAt = Date.now();
+          this.$pauseBtn.addClass('hidden').removeClass('disabled');
+          this.$resumeBtn.removeClass('hidden');
+
+          var statusText = 'Paused at ' + (this.completedActions - 1) + ' / ' + (this.totalActions - 1);
+          if (this.failedActions > 0 || this.partialActions > 0) {
+            statusText += ' (' + this.failedActions + ' failures, ' + this.partialActions + ' warnings)';
+          }
+          this.$progressStatus.text(statusText).show();
+
+          this.saveRunState(true);
         },
 
         /**
-         * Update the visual progress bar based on completion percentage
-         * Calculates width from completed vs total actions
+         * Handle resume button clicks
+         * Picks the run back up from the retained queue
          */
-        updateProgressBar: function () {
-          var width = (
-              100 * this.completedActions / this.totalActions
-          );
-          this.progressBar.setProgressPercentage(width);
+        onResume: function () {
+          if (!this.running || !this.paused || this.cancelled || !this.pausedAt) {
+            return;
+          }
+
+          // Leave the paused time out of elapsed time and speed calculations
+          var pausedFor = Date.now() - this.pausedAt;
+          this.startTime += pausedFor;
+          this.lastUpdateTime = Date.now();
+          this.processedSinceLastUpdate = 0;
+          this.setConcurrency(this.concurrency);
+
+          this.paused = false;
+          this.pausedAt = null;
+          this.$resumeBtn.addClass('hidden');
+          this.$pauseBtn.removeClass('hidden disabled');
+
           this.updateProgressStatus();
+          this.processQueue();
         },
 
         /**
-         * Updates the progress status display with current indexing statistics
-         * Shows processed count, failures, warnings, processing speed, and ETA
+         * Handle cancel button clicks
+         * Discards the remaining queue once in-flight requests have finished
          */
-        updateProgressStatus: function() {
-          var currentTime = Date.now();
-          var totalProcessed = this.completedActions - 1; // Subtract initial action
-          var remaining = this.totalActions - this.completedActions;
+        onCancel: function () {
+          if (!this.running || this.cancelled) {
+            return;
+          }
 
-          // Calculate processing speed only after initial progress
-          if (totalProcessed > 0) {
-            this.processedSinceLastUpdate++;
-            var timeSinceLastUpdate = currentTime - this.lastUpdateTime;
+          if (!confirm('Cancel this reindex run? Elements that were already processed stay in the index.')) {
+            return;
+          }
 
-            if (timeSinceLastUpdate >= 1000 && this.processedSinceLastUpdate > 0) { // Update speed calculation every second
-              var currentSpeed = this.processedSinceLastUpdate / (timeSinceLastUpdate / 1000);
-              this.speedSamples.push(currentSpeed);
+          if (this.background) {
+            this.cancelBackgroundRun();
+            return;
+          }
 
-              // Maintain rolling average of last 5 speed samples
-              if (this.speedSamples.length > 5) {
-                this.speedSamples.shift();
-              }
+          this.cancelled = true;
+          this.$pauseBtn.addClass('disabled');
+          this.$resumeBtn.addClass('disabled');
+          this.$cancelBtn.addClass('disabled');
+          this.flushRetries(false);
 
-              this.lastUpdateTime = currentTime;
-              this.processedSinceLastUpdate = 0;
-            }
+          if (this.loadingActions) {
+            this.updateProgressStatus();
+          } else {
+            this.onCancelled();
           }
+        },
 
-          // Calculate average processing speed from samples
-          var avgSpeed = 0;
-          if (this.speedSamples.length > 0) {
-            avgSpeed = this.speedSamples.reduce(function(a, b) { return a + b; }) / this.speedSamples.length;
-          } else if (totalProcessed > 0) {
-            // Use overall average if no recent samples available
-            var totalTime = (currentTime - this.startTime) / 1000;
-            if (totalTime > 0) {
-              avgSpeed = totalProcessed / totalTime;
-            }
+        /**
+         * Called once all in-flight requests have drained after a cancel
+         * Reports how far the run got and shows any errors or warnings collected so far
+         */
+        onCancelled: function () {
+          if (!this.running) {
+            return;
           }
 
-          // Calculate estimated time to completion
-          var eta = '';
-          if (avgSpeed > 0 && remaining > 0) {
-            var etaSeconds = Math.ceil(remaining / avgSpeed);
-            eta = this.formatTime(etaSeconds);
-          }
+          this.running = false;
+          this.queue = [];
+          this.currentEntryQueue = [];
+          this.hideRunControls();
+          this.clearSavedRun();
 
-          // Construct progress status message with statistics
-          var statusParts = [];
+          // Background runs abandon their own rebuilt indexes
+          if (this.rebuilding && !this.background) {
+            this.abandonIndexRebuilds();
+          }
 
+          var totalProcessed = this.completedActions - 1;
+          var statusText = 'Cancelled after ' + Math.max(totalProcessed, 0) + ' of ' + Math.max(this.totalActions - 1, 0) + ' elements';
           if (this.failedActions > 0) {
-            statusParts.push(this.failedActions + ' failures');
+            statusText += ' • ' + this.failedActions + ' failed';
           }
           if (this.partialActions > 0) {
-            statusParts.push(this.partialActions + ' warnings');
+            statusText += ' • ' + this.partialActions + ' warnings';
           }
 
-          var statusText = totalProcessed + ' / ' + (this.totalActions - 1);
-          if (statusParts.length > 0) {
-            statusText += ' (' + statusParts.join(', ') + ')';
+          if (this.partialEntries.length > 0 || this.failedEntries.length > 0) {
+            this.renderGroupedIssues(false);
           }
 
-          // Include speed and ETA after initial processing
-          if (avgSpeed > 0 && totalProcessed > 2) { // Only show speed after a few elements
-            statusText += ' • ' + Math.round(avgSpeed) + '/s';
-            if (eta && remaining > 1) { // Only show ETA if more than 1 item remaining
-              statusText += ' • ETA ' + eta;
+          this.progressBar.$progressBar.velocity({ opacity: 0 }, {
+            duration: 'fast', complete: $.proxy(function () {
+              this.$progressStatus.html('<span class="warning" style="font-weight: bold;">' + this.escapeHtml(statusText) + '</span>');
+
+              this.$trigger.removeClass('disabled');
+              this.$previewBtn.removeClass('disabled');
+              this.$trigger.trigger('focus');
+              this.refreshIndexHealth();
+            }, this),
+          });
+        },
+
+        /**
+         * Save the pending queue and progress to localStorage so the run survives reloads
+         * Writes are throttled and skipped while nothing has completed, since the queue can
+         * hold tens of thousands of elements
+         * @param {boolean} force - Save even if the last save was recent
+         */
+        saveRunState: function (force) {
+          if (!this.running || this.cancelled || !this.runId) {
+            return;
+          }
+
+          var now = Date.now();
+          var progress = this.completedActions + '/' + this.totalActions;
+          if (progress === this.lastSavedProgress ||
+              (!force && now - this.lastSavedAt < Craft.SearchWithElasticUtility.saveInterval)) {
+            return;
+          }
+          this.lastSavedAt = now;
+          this.lastSavedProgress = progress;
+
+          // Requests still in flight haven't been confirmed, so they're resumed as well
+          var pending = [];
+          var unconfirmed = this.inFlightActions.concat(this.retryActions.map(function (retry) {
+            return retry.action;
+          }));
+          for (var u = 0; u < unconfirmed.length; u++) {
+            pending = pending.concat(unconfirmed[u].items || [unconfirmed[u]]);
+          }
+          pending = pending.concat(this.currentEntryQueue);
+          for (var i = 0; i < this.queue.length; i++) {
+            pending = pending.concat(this.queue[i]);
+          }
+
+          var state = {
+            runId: this.runId,
+            formAction: this.formAction,
+            savedAt: now,
+            elapsed: (this.pausedAt || now) - this.startTime,
+            totalActions: this.totalActions,
+            completedActions: this.completedActions,
+            failedActions: this.failedActions,
+            partialActions: this.partialActions,
+            failedEntries: this.failedEntries,
+            partialEntries: this.partialEntries,
+            rebuilding: this.rebuilding,
+            pendingCount: pending.length,
+            pending: this.compactPending(pending),
+          };
+
+          try {
+            localStorage.setItem(Craft.SearchWithElasticUtility.storageKey, JSON.stringify(state));
+          } catch (e) {
+            // Storage may be full or unavailable; the run carries on without being resumable
+          }
+        },
+
+        /**
+         * Group pending actions into runs of element IDs sharing a site and element type
+         * @param {Array} pending - Pending actions
+         * @returns {Array} Groups of `siteId`, `type` and `ids`
+         */
+        compactPending: function (pending) {
+          var groups = [];
+          var group = null;
+
+          for (var i = 0; i < pending.length; i++) {
+            var params = pending[i].params;
+            if (!group || group.siteId !== params.siteId || group.type !== params.type) {
+              group = { siteId: params.siteId, type: params.type, ids: [] };
+              groups.push(group);
             }
+            group.ids.push(params.elementId);
           }
 
-          this.$progressStatus.text(statusText).show();
+          return groups;
         },
 
         /**
-         * Formats elapsed time in seconds to human-readable format with precision
-         * @param {number} seconds - Total elapsed time in seconds
-         * @returns {string} Formatted time string (e.g., "45.2s", "2m 30s", "1h 5m 12s")
+         * Turn groups saved by compactPending back into actions
+         * @param {Array} groups - Groups of `siteId`, `type` and `ids`
+         * @returns {Array} Pending actions
          */
-        formatElapsedTime: function(seconds) {
-          if (seconds < 60) {
-            // Show decimal for times under a minute
-            return seconds.toFixed(1) + 's';
-          } else if (seconds < 3600) {
-            var minutes = Math.floor(seconds / 60);
-            var secs = Math.round(seconds % 60);
-            return minutes + 'm' + (secs > 0 ? ' ' + secs + 's' : '');
-          } else {
-            var hours = Math.floor(seconds / 3600);
-            var minutes = Math.floor((seconds % 3600) / 60);
-            var secs = Math.round(seconds % 60);
-            var result = hours + 'h';
-            if (minutes > 0) result += ' ' + minutes + 'm';
-            if (secs > 0) result += ' ' + secs + 's';
-            return result;
+        expandPending: function (groups) {
+          var pending = [];
+
+          for (var i = 0; i < groups.length; i++) {
+            for (var j = 0; j < groups[i].ids.length; j++) {
+              pending.push({
+                params: { elementId: groups[i].ids[j], siteId: groups[i].siteId, type: groups[i].type },
+              });
+            }
           }
+
+          return pending;
         },
-        
+
         /**
-         * Formats time duration in seconds to human-readable format
-         * @param {number} seconds - Duration in seconds
-         * @returns {string} Formatted time string (e.g., "2m 30s", "1h 5m")
+         * Get the saved state of an interrupted run, if there is one for this form
+         * @returns {Object|null} The saved run state
          */
-        formatTime: function(seconds) {
-          if (seconds < 60) {
-            return seconds + 's';
-          } else if (seconds < 3600) {
-            var minutes = Math.floor(seconds / 60);
-            var secs = seconds % 60;
-            return minutes + 'm' + (secs > 0 ? ' ' + secs + 's' : '');
-          } else {
-            var hours = Math.floor(seconds / 3600);
-            var minutes = Math.floor((seconds % 3600) / 60);
-            return hours + 'h' + (minutes > 0 ? ' ' + minutes + 'm' : '');
+        getSavedRun: function () {
+          var state;
+
+          try {
+            state = JSON.parse(localStorage.getItem(Craft.SearchWithElasticUtility.storageKey));
+          } catch (e) {
+            return null;
+          }
+
+          if (!state || state.formAction !== this.formAction || !$.isArray(state.pending) || !state.pendingCount) {
+            return null;
           }
+
+          return state;
         },
 
         /**
-         * Load and execute an indexing action
-         * @param {Object} data - Action data containing parameters
+         * Remove any saved run state
          */
-        loadAction: function (data) {
-          this.loadingActions++;
-          this.postActionRequest(data.params);
+        clearSavedRun: function () {
+          try {
+            localStorage.removeItem(Craft.SearchWithElasticUtility.storageKey);
+          } catch (e) {
+            // Nothing to clear
+          }
         },
 
         /**
-         * Send AJAX request to perform indexing action
-         * @param {Object} params - Request parameters for indexing
+         * Restore counters, reported issues and the pending queue from a saved run
+         * @param {Object} state - Saved run state
          */
-        postActionRequest: function (params) {
-          var data = {
-            params: params,
-          };
+        restoreRunState: function (state) {
+          this.totalActions = state.totalActions;
+          this.completedActions = state.totalActions - state.pendingCount;
+          this.failedActions = state.failedActions || 0;
+          this.partialActions = state.partialActions || 0;
+          this.failedEntries = state.failedEntries || [];
+          this.partialEntries = state.partialEntries || [];
+          this.queue = [this.expandPending(state.pending)];
+          this.startTime = Date.now() - (state.elapsed || 0);
+          this.runId = state.runId;
+          this.rebuilding = !!state.rebuilding;
 
-          Craft.postActionRequest(
-              this.formAction,
-              data,
-              $.proxy(this, 'onActionResponse'),
-              {
-                complete: $.noop,
-              },
-          );
+          if (this.failedEntries.length || this.partialEntries.length) {
+            this.renderGroupedIssues(true);
+          }
         },
 
         /**
-         * Handle response from indexing action
-         * Updates progress, handles errors, and manages batching
-         * @param {Object} response - Server response data
-         * @param {string} textStatus - HTTP status text
+         * Offer to resume an interrupted run when the utility is opened
          */
-        onActionResponse: function (response, textStatus) {
-          this.loadingActions--;
-          this.completedActions++;
+        showResumeNotice: function () {
+          var state = this.getSavedRun();
 
-          // Process response and add new entries to indexing queue
-          if (textStatus === 'success' && response && response.entries) {
-            for (var i = 0; i < response.entries.length; i++) {
-              if (response.entries[ i ].length) {
-                this.totalActions += response.entries[ i ].length;
-                this.queue.push(response.entries[ i ]);
-              }
-            }
+          if (!state) {
+            this.$resumeNotice.addClass('hidden');
+            return;
           }
 
-          // Track indexing errors for display in completion summary
-          if (response && response.error) {
-            this.failedActions++;
-            var errorEntry = {
-              error: response.error,
-              errorDetails: response.errorDetails || '',
-              elementId: response.elementId || 'Unknown',
-              elementType: response.elementType || 'Unknown'
-            };
-            this.failedEntries.push(errorEntry);
-            
-            // Display error immediately in live container
-            this.displayLiveError(errorEntry);
-          }
+          this.$resumeRunBtn.text(
+              'Resume previous run (' + Craft.formatNumber(state.pendingCount) + ' of ' +
+              Craft.formatNumber(state.totalActions - 1) + ' remaining)'
+          );
+          this.$resumeNotice.removeClass('hidden');
+        },
 
-          // Track partial indexing results (basic metadata only)
-          if (response && response.partial) {
-            this.partialActions++;
-            var partialEntry = {
-              reason: response.reason,
-              elementId: response.elementId || 'Unknown',
-              elementType: response.elementType || 'Unknown'
-            };
-            this.partialEntries.push(partialEntry);
-            
-            // Display warning immediately in live container
-            this.displayLiveWarning(partialEntry);
+        /**
+         * Handle resume previous run button clicks
+         */
+        onResumeSavedRun: function () {
+          var state = this.getSavedRun();
+
+          this.$resumeNotice.addClass('hidden');
+
+          if (!state || this.running || this.$trigger.hasClass('disabled')) {
+            return;
           }
 
-          this.updateProgressBar();
+          this.beginRun(state);
+        },
 
-          // Process next batch items up to concurrency limit
-          while (this.loadingActions < Craft.SearchWithElasticUtility.maxConcurrentActions &&
-                 this.currentEntryQueue.length) {
-            this.loadNextAction();
+        /**
+         * Handle discard previous run button clicks
+         */
+        onDiscardSavedRun: function () {
+          var state = this.getSavedRun();
+
+          if (state && state.rebuilding) {
+            this.abandonIndexRebuilds();
           }
 
-          // Check if current batch is complete
-          if (!this.loadingActions) {
-            // Start next batch if available
-            if (this.queue.length > 0) {
-              this.currentEntryQueue = this.queue.shift();
-              this.loadNextAction();
-            } else {
-              // Brief delay to prevent jarring UI transitions
-              setTimeout($.proxy(this, 'onComplete'), 300);
-            }
+          this.clearSavedRun();
+          this.$resumeNotice.addClass('hidden');
+        },
+
+        /**
+         * Save progress one last time before the page goes away
+         */
+        onBeforeUnload: function () {
+          if (this.running) {
+            this.saveRunState(true);
           }
         },
 
         /**
-         * Load the next action from the current entry queue
-         * Removes first item from queue and processes it
+         * Load the next batch of actions from the current entry queue
+         * Removes up to batchSize items from the queue and sends them in a single request
          */
         loadNextAction: function () {
-          var data = this.currentEntryQueue.shift();
-          this.loadAction(data);
+          var items = this.currentEntryQueue.splice(0, Craft.SearchWithElasticUtility.batchSize);
+
+          this.loadAction({
+            params: {
+              elements: items.map(function (item) {
+                return item.params;
+              }),
+            },
+            items: items,
+          });
         },
 
         /**
@@ -389,6 +1844,16 @@
               isLive
             );
             
+            // Offer to retry just the failed elements once the run is over
+            if (!isLive && !this.running) {
+              var retryable = this.failedEntries.filter(function(entry) { return !!entry.params; }).length;
+              if (retryable > 0) {
+                $errorSection.append(
+                  $('<button type="button" class="btn small retry-failed-btn">').text('Retry failed only (' + retryable + ')')
+                );
+              }
+            }
+
             if (isLive) {
               // For live display, replace or add the live errors section
               var $existingLive = this.$failedContainer.find('.live-errors');
@@ -433,6 +1898,16 @@
             }
           }
           
+          // Let the report be downloaded once the run is over
+          if (hasContent && !isLive && !this.running) {
+            this.$failedContainer.prepend(
+              $('<div class="btngroup reindex-report-export">').append(
+                $('<button type="button" class="btn small export-report-btn" data-format="csv">').text('Download CSV'),
+                $('<button type="button" class="btn small export-report-btn" data-format="json">').text('Download JSON')
+              )
+            );
+          }
+
           if (hasContent) {
             this.$failedContainer.show();
           } else {
@@ -568,6 +2043,21 @@
          * Shows completion status and any error/warning summaries
          */
         onComplete: function () {
+          // The run may have been cancelled during the completion delay
+          if (!this.running) {
+            return;
+          }
+
+          // Swap in the rebuilt indexes before reporting the run as done
+          if (this.rebuilding) {
+            this.swapIndexRebuilds();
+            return;
+          }
+
+          this.running = false;
+          this.hideRunControls();
+          this.clearSavedRun();
+
           // Calculate total time taken
           var totalTime = (Date.now() - this.startTime) / 1000;
           var timeDisplay = this.formatElapsedTime(totalTime);
@@ -613,11 +2103,82 @@
               this.$progressStatus.html('<span class="' + statusClass + '" style="font-weight: bold;">' + statusText + '</span>');
               
               this.$trigger.removeClass('disabled');
+              this.$previewBtn.removeClass('disabled');
               this.$trigger.trigger('focus');
+              this.refreshIndexHealth();
             }, this),
           });
         },
 
+        /**
+         * Swap the indexes rebuilt by a reset run in for the live ones
+         * The server checks each new index's document count before swapping it in
+         */
+        swapIndexRebuilds: function () {
+          this.rebuilding = false;
+          this.$cancelBtn.addClass('disabled');
+          this.$pauseBtn.addClass('disabled');
+          this.$progressStatus.text('Swapping indexes…').show();
+
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.swapAction,
+              {},
+              $.proxy(function (response, textStatus) {
+                if (textStatus === 'success' && response && response.indexes) {
+                  this.trackSwapResults(response.indexes);
+                } else {
+                  this.trackSwapResults([{
+                    alias: 'Unknown',
+                    swapped: false,
+                    error: (response && response.message) || 'The rebuilt indexes could not be swapped in. Check the Craft logs for details.',
+                  }]);
+                }
+
+                this.onComplete();
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Delete the indexes rebuilt by a reset run that won't complete, keeping the live ones
+         */
+        abandonIndexRebuilds: function () {
+          this.rebuilding = false;
+
+          Craft.postActionRequest(
+              Craft.SearchWithElasticUtility.swapAction,
+              { abandon: 1 },
+              $.noop,
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Report rebuilt indexes that weren't swapped in as failures
+         * @param {Object[]} indexes - Swap results from IndexManagementService::finishIndexRebuild()
+         */
+        trackSwapResults: function (indexes) {
+          for (var i = 0; i < indexes.length; i++) {
+            if (indexes[i].swapped) {
+              continue;
+            }
+
+            this.failedActions++;
+            this.failedEntries.push({
+              error: 'Index ' + indexes[i].alias + ' was not swapped: ' + (indexes[i].error || 'Unknown error'),
+              errorDetails: indexes[i].index ? 'The rebuilt index ' + indexes[i].index + ' was kept for inspection.' : '',
+              elementId: 'Unknown',
+              elementType: 'Unknown',
+              params: null,
+            });
+          }
+        },
+
         /**
          * Display error summary for elements that failed to index
          */
@@ -637,7 +2198,22 @@
           }
         },
       }, {
-        maxConcurrentActions: 3,
+        maxConcurrentActions: 6,
+        concurrencyLimit: 20,
+        initialConcurrentActions: 2,
+        batchSize: 25,
+        concurrencyWindow: 10,
+        storageKey: 'search-with-elastic:reindex-run',
+        saveInterval: 2000,
+        maxRetries: 4,
+        retryBaseDelay: 1000,
+        retryMaxDelay: 30000,
+        pollInterval: 2000,
+        healthInterval: 60000,
+        healthAction: 'search-with-elastic/cp/index-health',
+        swapAction: 'search-with-elastic/cp/reindex-swap',
+        statusAction: 'search-with-elastic/cp/reindex-status',
+        cancelAction: 'search-with-elastic/cp/reindex-cancel',
       });
     }
 )(jQuery);
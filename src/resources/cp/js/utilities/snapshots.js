@@ -0,0 +1,230 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function ($) {
+      /**
+       * Search w/Elastic Index Snapshots panel
+       *
+       * Uploads a snapshot to be imported on the Craft queue, showing the upload
+       * progress and then the import's, polled from its status. An import that is
+       * still going when the utility is opened is picked up again.
+       */
+      Craft.SearchWithElasticSnapshots = Garnish.Base.extend({
+        // UI Elements
+        $container:     null, // Panel element
+        $file:          null, // Snapshot file input
+        $rename:        null, // "Rename the indexes" checkbox
+        $importBtn:     null, // "Import snapshot" button
+        $status:        null, // Container of the progress bar
+        $message:       null, // Outcome of the upload or import
+        progressBar:    null, // Progress bar of the upload and import
+
+        // State
+        importing:      false, // Whether an upload or import is in progress
+        pollTimer:      null, // Timer for the next status poll
+
+        /**
+         * Initialize the panel
+         * @param {string} containerId - ID of the panel element
+         */
+        init: function (containerId) {
+          this.$container = $('#' + containerId);
+          if (!this.$container.length) {
+            return;
+          }
+
+          this.$file = this.$container.find('.index-snapshot-file');
+          this.$rename = this.$container.find('.index-snapshot-rename input[type="checkbox"]');
+          this.$importBtn = this.$container.find('.index-snapshot-import-btn');
+          this.$status = this.$container.find('.index-snapshot-status');
+          this.$message = this.$container.find('.index-snapshot-message');
+
+          this.addListener(this.$file, 'change', 'updateImportButton');
+          this.addListener(this.$importBtn, 'click', 'onImport');
+
+          this.pollStatus();
+        },
+
+        /**
+         * Enable the import button once a file is chosen
+         */
+        updateImportButton: function () {
+          this.$importBtn.toggleClass('disabled', this.importing || !this.$file[0].files.length);
+        },
+
+        /**
+         * Upload the chosen snapshot and follow its import
+         */
+        onImport: function () {
+          var file = this.$file[0].files[0];
+          if (this.importing || !file) {
+            return;
+          }
+
+          if (!confirm('Importing replaces the documents of every index in the snapshot. Continue?')) {
+            return;
+          }
+
+          var data = new FormData();
+          data.append(Craft.csrfTokenName, Craft.csrfTokenValue);
+          data.append('snapshot', file);
+          data.append('renamePrefix', this.$rename.prop('checked') ? '1' : '');
+
+          this.startProgress('Uploading ' + file.name + '…');
+
+          // XMLHttpRequest rather than Craft.postActionRequest, for the upload progress
+          var xhr = new XMLHttpRequest();
+          xhr.open('POST', Craft.getActionUrl(Craft.SearchWithElasticSnapshots.importAction));
+          xhr.setRequestHeader('Accept', 'application/json');
+          xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+
+          xhr.upload.addEventListener('progress', $.proxy(function (ev) {
+            if (ev.lengthComputable) {
+              this.setProgress(ev.loaded / ev.total);
+            }
+          }, this));
+
+          xhr.addEventListener('load', $.proxy(function () {
+            var response = null;
+            try {
+              response = JSON.parse(xhr.responseText);
+            } catch (e) {
+              // Handled below
+            }
+
+            if (xhr.status === 200 && response && response.status) {
+              this.$file.val('');
+              this.updateStatus(response.status);
+              return;
+            }
+
+            this.finish('error', (response && (response.message || response.error)) || 'The snapshot could not be uploaded.');
+          }, this));
+
+          xhr.addEventListener('error', $.proxy(function () {
+            this.finish('error', 'The snapshot could not be uploaded.');
+          }, this));
+
+          xhr.send(data);
+        },
+
+        /**
+         * Fetch the import status
+         */
+        pollStatus: function () {
+          Craft.postActionRequest(
+              Craft.SearchWithElasticSnapshots.statusAction,
+              {},
+              $.proxy(function (response, textStatus) {
+                if (textStatus === 'success' && response && response.status) {
+                  // On load, only pick up an import that is still going
+                  if (this.importing || this.isActive(response.status)) {
+                    this.updateStatus(response.status);
+                  }
+                } else if (this.importing) {
+                  // Keep trying; the server may just be busy
+                  this.pollTimer = setTimeout($.proxy(this, 'pollStatus'), Craft.SearchWithElasticSnapshots.pollInterval);
+                }
+              }, this),
+              {
+                complete: $.noop,
+              }
+          );
+        },
+
+        /**
+         * Show the latest state of the import and schedule the next poll
+         * @param {Object} status - Import status returned by the server
+         */
+        updateStatus: function (status) {
+          if (!this.importing) {
+            this.startProgress('');
+          }
+
+          if (!this.isActive(status)) {
+            if (status.status === 'completed') {
+              this.finish('success', 'Imported ' + Craft.formatNumber(status.processed || 0) + ' documents into ' + status.indexes.length + ' indexes.');
+            } else {
+              this.finish('error', status.error || 'The snapshot could not be imported.');
+            }
+            return;
+          }
+
+          if (status.status === 'queued') {
+            this.setProgress(0, 'Waiting for the queue to start the import…');
+          } else {
+            this.setProgress(
+              status.total ? status.processed / status.total : 0,
+              'Imported ' + Craft.formatNumber(status.processed || 0) + ' of ' + Craft.formatNumber(status.total || 0) + ' documents…'
+            );
+          }
+
+          clearTimeout(this.pollTimer);
+          this.pollTimer = setTimeout($.proxy(this, 'pollStatus'), Craft.SearchWithElasticSnapshots.pollInterval);
+        },
+
+        /**
+         * Determine whether an import status is still in progress
+         * @param {Object|null} status - Import status
+         * @returns {boolean} Whether the import is queued or running
+         */
+        isActive: function (status) {
+          return !!status && ['queued', 'running'].indexOf(status.status) !== -1;
+        },
+
+        /**
+         * Bring up the progress bar
+         * @param {string} message - Message to show below it
+         */
+        startProgress: function (message) {
+          if (!this.progressBar) {
+            this.progressBar = new Craft.ProgressBar(this.$status);
+          }
+
+          this.importing = true;
+          this.updateImportButton();
+          this.progressBar.resetProgressBar();
+          this.progressBar.$progressBar.css({ opacity: 1 }).removeClass('hidden');
+          this.$message.removeClass('error success').text(message);
+        },
+
+        /**
+         * Update the progress bar
+         * @param {number} progress - Progress, from 0 to 1
+         * @param {string} [message] - Message to show below it
+         */
+        setProgress: function (progress, message) {
+          this.progressBar.setProgressPercentage(Math.round(progress * 100));
+
+          if (message !== undefined) {
+            this.$message.text(message);
+          }
+        },
+
+        /**
+         * Hide the progress bar and show the outcome
+         * @param {string} type - 'success' or 'error'
+         * @param {string} message - The outcome
+         */
+        finish: function (type, message) {
+          clearTimeout(this.pollTimer);
+          this.importing = false;
+          this.updateImportButton();
+          this.progressBar.$progressBar.addClass('hidden');
+          this.$message.removeClass('error success').addClass(type).text(message);
+        },
+      }, {
+        pollInterval: 2000,
+        importAction: 'search-with-elastic/cp/import-snapshot',
+        statusAction: 'search-with-elastic/cp/import-snapshot-status',
+      });
+    }
+)(jQuery);
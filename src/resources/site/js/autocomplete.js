@@ -0,0 +1,393 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function (window, document) {
+      var SearchWithElastic = window.SearchWithElastic = window.SearchWithElastic || {};
+      var instanceCount = 0;
+
+      /**
+       * Search w/Elastic Autocomplete
+       *
+       * Turns a text input into an ARIA 1.2 combobox with a listbox of suggestions from
+       * the suggest endpoint. Typing is debounced and stale requests are cancelled; the
+       * arrow keys, Home, End, Enter and Escape work as in the WAI-ARIA combobox pattern,
+       * and the number of suggestions is announced to screen readers.
+       *
+       * @param {HTMLInputElement|string} input - Input (or selector) to attach to
+       * @param {Object} [options] - Widget options
+       * @param {SearchClient} [options.client] - Client to fetch suggestions with, defaults to a new client
+       * @param {number} [options.minLength] - Characters needed before suggestions are fetched
+       * @param {number} [options.debounce] - Milliseconds to wait after typing stops
+       * @param {number} [options.size] - Number of suggestions to show
+       * @param {number} [options.siteId] - Site to suggest from
+       * @param {Function} [options.onSelect] - Called with the chosen Suggestion; by default its URL is opened,
+       *        or the text is filled in and the input's form submitted if it has no URL
+       * @param {Function} [options.renderItem] - Returns the content (string or Node) of a suggestion's option
+       * @constructor
+       */
+      function Autocomplete(input, options) {
+        this.input = typeof input === 'string' ? document.querySelector(input) : input;
+        this.options = Object.assign({
+          client: null,
+          minLength: 2,
+          debounce: 200,
+          size: 8,
+          siteId: null,
+          onSelect: null,
+          renderItem: null,
+        }, options || {});
+
+        this.client = this.options.client || SearchWithElastic.client();
+        this.id = 'swe-autocomplete-' + (++instanceCount);
+        this.suggestions = []; // Suggestions currently listed
+        this.activeIndex = -1; // Index of the highlighted suggestion, or -1
+        this.timer = null; // Debounce timer
+        this.lastQuery = null; // Query the listed suggestions are for
+
+        this.listbox = document.createElement('ul');
+        this.listbox.id = this.id + '-listbox';
+        this.listbox.className = 'swe-autocomplete-listbox';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.hidden = true;
+
+        var label = this.input.labels && this.input.labels.length ? this.input.labels[0] : null;
+        if (label) {
+          if (!label.id) {
+            label.id = this.id + '-label';
+          }
+          this.listbox.setAttribute('aria-labelledby', label.id);
+        } else {
+          this.listbox.setAttribute('aria-label', 'Suggestions');
+        }
+
+        this.status = document.createElement('div');
+        this.status.className = 'swe-autocomplete-status';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        this.status.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', this.listbox.id);
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.insertAdjacentElement('afterend', this.listbox);
+        this.listbox.insertAdjacentElement('afterend', this.status);
+
+        this.onInput = this.onInput.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+
+        this.input.addEventListener('input', this.onInput);
+        this.input.addEventListener('keydown', this.onKeyDown);
+        this.input.addEventListener('blur', this.onBlur);
+        this.listbox.addEventListener('mousedown', this.onMouseDown);
+      }
+
+      /**
+       * Fetch suggestions once typing has paused
+       */
+      Autocomplete.prototype.onInput = function () {
+        var query = this.input.value.trim();
+
+        clearTimeout(this.timer);
+
+        if (query.length < this.options.minLength) {
+          this.client.cancel('suggest');
+          this.close();
+          this.lastQuery = null;
+          return;
+        }
+
+        this.timer = setTimeout(this.fetch.bind(this, query), this.options.debounce);
+      };
+
+      /**
+       * Fetch and list suggestions for a query
+       * @param {string} query - The text typed so far
+       */
+      Autocomplete.prototype.fetch = function (query) {
+        this.client.suggest(query, {
+          siteId: this.options.siteId,
+          size: this.options.size,
+        }).then(function (suggestions) {
+          // The input may have changed or lost focus while the request was pending
+          if (this.input.value.trim() !== query || document.activeElement !== this.input) {
+            return;
+          }
+
+          this.lastQuery = query;
+          this.suggestions = suggestions;
+          this.render();
+        }.bind(this), function (error) {
+          if (!SearchWithElastic.isAbortError(error)) {
+            console.error(error);
+            this.close();
+          }
+        }.bind(this));
+      };
+
+      /**
+       * Render the suggestions into the listbox and open it
+       */
+      Autocomplete.prototype.render = function () {
+        this.listbox.innerHTML = '';
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        this.suggestions.forEach(function (suggestion, i) {
+          var option = document.createElement('li');
+          var content = typeof this.options.renderItem === 'function'
+            ? this.options.renderItem(suggestion, this.lastQuery)
+            : this.highlight(suggestion.text, this.lastQuery);
+
+          option.id = this.id + '-option-' + i;
+          option.className = 'swe-autocomplete-option';
+          option.setAttribute('role', 'option');
+          option.setAttribute('aria-selected', 'false');
+          option.setAttribute('data-index', i);
+
+          if (typeof content === 'string') {
+            option.textContent = content;
+          } else {
+            option.appendChild(content);
+          }
+
+          this.listbox.appendChild(option);
+        }, this);
+
+        if (this.suggestions.length) {
+          this.open();
+          this.status.textContent = this.suggestions.length === 1
+            ? '1 suggestion available.'
+            : this.suggestions.length + ' suggestions available.';
+        } else {
+          this.close();
+          this.status.textContent = 'No suggestions.';
+        }
+      };
+
+      /**
+       * Wrap the parts of a suggestion that match the query in <mark> elements
+       * @param {string} text - Suggestion text
+       * @param {string} query - The text typed so far
+       * @returns {DocumentFragment}
+       */
+      Autocomplete.prototype.highlight = function (text, query) {
+        var fragment = document.createDocumentFragment();
+        var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (!words.length) {
+          fragment.appendChild(document.createTextNode(text));
+          return fragment;
+        }
+
+        var pattern = new RegExp('(' + words.map(function (word) {
+          return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('|') + ')', 'gi');
+
+        // split() with a capturing group puts the matches at the odd indexes
+        text.split(pattern).forEach(function (part, i) {
+          if (!part) {
+            return;
+          }
+
+          if (i % 2 === 1) {
+            var mark = document.createElement('mark');
+            mark.textContent = part;
+            fragment.appendChild(mark);
+          } else {
+            fragment.appendChild(document.createTextNode(part));
+          }
+        });
+
+        return fragment;
+      };
+
+      /**
+       * Handle keyboard navigation
+       * @param {KeyboardEvent} ev - Keydown event
+       */
+      Autocomplete.prototype.onKeyDown = function (ev) {
+        var isOpen = !this.listbox.hidden;
+        var count = this.suggestions.length;
+
+        switch (ev.key) {
+          case 'ArrowDown':
+            ev.preventDefault();
+            if (!isOpen) {
+              if (count) {
+                this.open();
+                this.setActive(ev.altKey ? -1 : 0);
+              }
+            } else if (!ev.altKey) {
+              this.setActive(this.activeIndex + 1 >= count ? 0 : this.activeIndex + 1);
+            }
+            break;
+
+          case 'ArrowUp':
+            if (isOpen && count) {
+              ev.preventDefault();
+              this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+            }
+            break;
+
+          case 'Home':
+          case 'End':
+            if (isOpen && this.activeIndex !== -1) {
+              ev.preventDefault();
+              this.setActive(ev.key === 'Home' ? 0 : count - 1);
+            }
+            break;
+
+          case 'Enter':
+            if (isOpen && this.activeIndex !== -1) {
+              ev.preventDefault();
+              this.select(this.suggestions[this.activeIndex]);
+            }
+            break;
+
+          case 'Escape':
+            if (isOpen) {
+              ev.preventDefault();
+              this.close();
+            } else if (this.input.value) {
+              ev.preventDefault();
+              this.input.value = '';
+              this.client.cancel('suggest');
+            }
+            break;
+
+          case 'Tab':
+            this.close();
+            break;
+        }
+      };
+
+      /**
+       * Highlight a suggestion and point the input's active descendant at it
+       * @param {number} index - Index of the suggestion, or -1 for none
+       */
+      Autocomplete.prototype.setActive = function (index) {
+        var options = this.listbox.querySelectorAll('[role="option"]');
+
+        if (options[this.activeIndex]) {
+          options[this.activeIndex].setAttribute('aria-selected', 'false');
+          options[this.activeIndex].classList.remove('swe-autocomplete-option-active');
+        }
+
+        this.activeIndex = index;
+
+        if (options[index]) {
+          options[index].setAttribute('aria-selected', 'true');
+          options[index].classList.add('swe-autocomplete-option-active');
+          options[index].scrollIntoView({ block: 'nearest' });
+          this.input.setAttribute('aria-activedescendant', options[index].id);
+        } else {
+          this.input.removeAttribute('aria-activedescendant');
+        }
+      };
+
+      /**
+       * Select a suggestion clicked with the mouse
+       * The default is prevented so the input keeps focus
+       * @param {MouseEvent} ev - Mousedown event
+       */
+      Autocomplete.prototype.onMouseDown = function (ev) {
+        var option = ev.target.closest('[role="option"]');
+
+        ev.preventDefault();
+
+        if (option) {
+          this.select(this.suggestions[parseInt(option.getAttribute('data-index'), 10)]);
+        }
+      };
+
+      /**
+       * Close the listbox when focus leaves the input
+       */
+      Autocomplete.prototype.onBlur = function () {
+        clearTimeout(this.timer);
+        this.close();
+      };
+
+      /**
+       * Use a suggestion
+       * @param {Suggestion} suggestion - The chosen suggestion
+       */
+      Autocomplete.prototype.select = function (suggestion) {
+        if (!suggestion) {
+          return;
+        }
+
+        this.input.value = suggestion.text;
+        this.close();
+
+        if (typeof this.options.onSelect === 'function') {
+          this.options.onSelect(suggestion, this);
+        } else if (suggestion.url) {
+          window.location.href = suggestion.url;
+        } else if (this.input.form) {
+          this.input.form.requestSubmit ? this.input.form.requestSubmit() : this.input.form.submit();
+        }
+      };
+
+      /**
+       * Show the listbox
+       */
+      Autocomplete.prototype.open = function () {
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+      };
+
+      /**
+       * Hide the listbox
+       */
+      Autocomplete.prototype.close = function () {
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+      };
+
+      /**
+       * Remove the widget and restore the input
+       */
+      Autocomplete.prototype.destroy = function () {
+        clearTimeout(this.timer);
+        this.client.cancel('suggest');
+
+        this.input.removeEventListener('input', this.onInput);
+        this.input.removeEventListener('keydown', this.onKeyDown);
+        this.input.removeEventListener('blur', this.onBlur);
+
+        ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant', 'autocomplete'].forEach(function (name) {
+          this.input.removeAttribute(name);
+        }, this);
+
+        this.listbox.remove();
+        this.status.remove();
+      };
+
+      /**
+       * Attach an autocomplete widget to an input
+       * @param {HTMLInputElement|string} input - Input (or selector) to attach to
+       * @param {Object} [options] - Widget options, see Autocomplete
+       * @returns {Autocomplete}
+       */
+      SearchWithElastic.autocomplete = function (input, options) {
+        return new Autocomplete(input, options);
+      };
+
+      SearchWithElastic.Autocomplete = Autocomplete;
+    }
+)(window, document);
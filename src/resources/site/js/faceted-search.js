@@ -0,0 +1,524 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function (window, document) {
+      var SearchWithElastic = window.SearchWithElastic = window.SearchWithElastic || {};
+
+      /**
+       * Search w/Elastic Faceted Search
+       *
+       * Renders facet checkboxes with counts and range sliders into a container, runs
+       * faceted searches as they change, and keeps the query, filters and page in the
+       * URL query string so filtered listings can be shared and navigated with the back
+       * button. Results are handed to `onResults`; rendering them is up to the page.
+       *
+       * @param {Element|string} container - Element (or selector) the facets are rendered into
+       * @param {Object} options - Component options
+       * @param {Object} options.facets - Facets keyed by name: {field, label, type: 'terms'|'range', size, step}
+       * @param {SearchClient} [options.client] - Client to search with, defaults to a new client
+       * @param {Element|string} [options.queryInput] - Text input kept in sync with the `q` URL parameter
+       * @param {number} [options.size] - Results per page
+       * @param {Object} [options.searchOptions] - Extra options for each search, e.g. fields or fuzzy
+       * @param {Function} [options.onResults] - Called with each SearchResponse
+       * @param {Function} [options.onError] - Called with errors other than cancelled searches
+       * @constructor
+       */
+      function FacetedSearch(container, options) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        this.options = Object.assign({
+          facets: {},
+          client: null,
+          queryInput: null,
+          size: 20,
+          searchOptions: {},
+          onResults: null,
+          onError: null,
+        }, options || {});
+
+        this.client = this.options.client || SearchWithElastic.client();
+        this.queryInput = typeof this.options.queryInput === 'string'
+          ? document.querySelector(this.options.queryInput)
+          : this.options.queryInput;
+
+        this.state = null; // Current query, filters, ranges and page
+        this.response = null; // Latest search response
+
+        this.onChange = this.onChange.bind(this);
+        this.onInput = this.onInput.bind(this);
+        this.onPopState = this.onPopState.bind(this);
+
+        this.container.addEventListener('change', this.onChange);
+        this.container.addEventListener('input', this.onInput);
+        window.addEventListener('popstate', this.onPopState);
+
+        if (this.queryInput) {
+          this.onQueryInput = this.onQueryInput.bind(this);
+          this.queryInput.addEventListener('input', this.onQueryInput);
+        }
+
+        this.state = this.readUrl();
+        this.syncQueryInput();
+        this.search();
+      }
+
+      /**
+       * Read the search state from the URL query string
+       * Terms facets are repeated parameters (`?category=a&category=b`) and range facets are `min..max`
+       * @returns {Object} The state
+       */
+      FacetedSearch.prototype.readUrl = function () {
+        var params = new URLSearchParams(window.location.search);
+        var state = {
+          query: params.get('q') || '',
+          filters: {},
+          ranges: {},
+          page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+        };
+
+        this.eachFacet(function (name, facet) {
+          if (facet.type === 'range') {
+            var bounds = (params.get(name) || '').split('..');
+            var range = {};
+
+            if (bounds[0] !== '' && !isNaN(parseFloat(bounds[0]))) {
+              range.min = parseFloat(bounds[0]);
+            }
+            if (bounds.length > 1 && bounds[1] !== '' && !isNaN(parseFloat(bounds[1]))) {
+              range.max = parseFloat(bounds[1]);
+            }
+            if (range.min !== undefined || range.max !== undefined) {
+              state.ranges[name] = range;
+            }
+          } else {
+            var values = params.getAll(name).filter(function (value) {
+              return value !== '';
+            });
+
+            if (values.length) {
+              state.filters[name] = values;
+            }
+          }
+        });
+
+        return state;
+      };
+
+      /**
+       * Write the search state to the URL query string, keeping unrelated parameters
+       * @param {boolean} replace - Replace the current history entry instead of adding one
+       */
+      FacetedSearch.prototype.writeUrl = function (replace) {
+        var params = new URLSearchParams(window.location.search);
+        var state = this.state;
+
+        params.delete('q');
+        params.delete('page');
+
+        if (state.query) {
+          params.set('q', state.query);
+        }
+        if (state.page > 1) {
+          params.set('page', state.page);
+        }
+
+        this.eachFacet(function (name, facet) {
+          params.delete(name);
+
+          if (facet.type === 'range' && state.ranges[name]) {
+            var range = state.ranges[name];
+            params.set(name, (range.min !== undefined ? range.min : '') + '..' + (range.max !== undefined ? range.max : ''));
+          } else if (state.filters[name]) {
+            state.filters[name].forEach(function (value) {
+              params.append(name, value);
+            });
+          }
+        });
+
+        var search = params.toString();
+        var url = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+      };
+
+      /**
+       * Call a function for each configured facet
+       * @param {Function} callback - Called with the facet name and its definition
+       */
+      FacetedSearch.prototype.eachFacet = function (callback) {
+        for (var name in this.options.facets) {
+          if (this.options.facets.hasOwnProperty(name)) {
+            callback.call(this, name, this.options.facets[name]);
+          }
+        }
+      };
+
+      /**
+       * Run a faceted search for the current state
+       * @returns {Promise<SearchResponse|null>} The response, or null if the search failed or was replaced
+       */
+      FacetedSearch.prototype.search = function () {
+        var facets = {};
+        var filters = {};
+        var ranges = {};
+        var state = this.state;
+
+        this.eachFacet(function (name, facet) {
+          facets[name] = {
+            field: facet.field || name,
+            type: facet.type === 'range' ? 'range' : 'terms',
+            size: facet.size || 10,
+          };
+
+          if (state.filters[name]) {
+            filters[facets[name].field] = state.filters[name];
+          }
+          if (state.ranges[name]) {
+            ranges[facets[name].field] = state.ranges[name];
+          }
+        });
+
+        this.container.classList.add('swe-loading');
+
+        return this.client.facetedSearch(state.query || null, Object.assign({}, this.options.searchOptions, {
+          facets: facets,
+          filters: filters,
+          ranges: ranges,
+          size: this.options.size,
+          page: state.page,
+        })).then(function (response) {
+          this.container.classList.remove('swe-loading');
+          this.response = response;
+          this.render();
+
+          if (typeof this.options.onResults === 'function') {
+            this.options.onResults(response, this);
+          }
+
+          this.container.dispatchEvent(new CustomEvent('searchwithelastic:results', {
+            detail: { response: response },
+          }));
+
+          return response;
+        }.bind(this), function (error) {
+          if (SearchWithElastic.isAbortError(error)) {
+            return null;
+          }
+
+          this.container.classList.remove('swe-loading');
+
+          if (typeof this.options.onError === 'function') {
+            this.options.onError(error, this);
+          } else {
+            console.error(error);
+          }
+
+          return null;
+        }.bind(this));
+      };
+
+      /**
+       * Render the facets from the latest response
+       * Focus is moved back to the control that had it, since the controls are rebuilt
+       */
+      FacetedSearch.prototype.render = function () {
+        var active = document.activeElement;
+        var focusKey = active && this.container.contains(active) ? active.getAttribute('data-key') : null;
+        var fragment = document.createDocumentFragment();
+
+        this.eachFacet(function (name, facet) {
+          var data = this.response.facets && this.response.facets[name];
+          var fieldset = document.createElement('fieldset');
+          var legend = document.createElement('legend');
+
+          fieldset.className = 'swe-facet swe-facet-' + (facet.type === 'range' ? 'range' : 'terms');
+          fieldset.setAttribute('data-facet', name);
+          legend.textContent = facet.label || name;
+          fieldset.appendChild(legend);
+
+          if (facet.type === 'range') {
+            this.renderRange(fieldset, name, facet, data);
+          } else {
+            this.renderTerms(fieldset, name, data);
+          }
+
+          fragment.appendChild(fieldset);
+        });
+
+        this.container.innerHTML = '';
+        this.container.appendChild(fragment);
+
+        if (focusKey) {
+          var control = this.container.querySelector('[data-key="' + CSS.escape(focusKey) + '"]');
+          if (control) {
+            control.focus();
+          }
+        }
+      };
+
+      /**
+       * Render the checkboxes of a terms facet
+       * Selected values missing from the buckets are still listed so they can be cleared
+       * @param {HTMLFieldSetElement} fieldset - Facet fieldset
+       * @param {string} name - Facet name
+       * @param {Object|undefined} data - Facet buckets from the response
+       */
+      FacetedSearch.prototype.renderTerms = function (fieldset, name, data) {
+        var selected = this.state.filters[name] || [];
+        var buckets = (data && data.buckets ? data.buckets : []).slice();
+        var listed = buckets.map(function (bucket) {
+          return String(bucket.value);
+        });
+
+        selected.forEach(function (value) {
+          if (listed.indexOf(value) === -1) {
+            buckets.push({ value: value, count: 0 });
+          }
+        });
+
+        if (!buckets.length) {
+          var empty = document.createElement('p');
+          empty.className = 'swe-facet-empty';
+          empty.textContent = 'No options';
+          fieldset.appendChild(empty);
+          return;
+        }
+
+        buckets.forEach(function (bucket) {
+          var value = String(bucket.value);
+          var label = document.createElement('label');
+          var input = document.createElement('input');
+          var text = document.createElement('span');
+          var count = document.createElement('span');
+
+          label.className = 'swe-facet-option';
+          input.type = 'checkbox';
+          input.value = value;
+          input.checked = selected.indexOf(value) !== -1;
+          input.setAttribute('data-facet', name);
+          input.setAttribute('data-key', name + ':' + value);
+          text.className = 'swe-facet-value';
+          text.textContent = value;
+          count.className = 'swe-facet-count';
+          count.textContent = '(' + bucket.count.toLocaleString() + ')';
+
+          label.appendChild(input);
+          label.appendChild(text);
+          label.appendChild(count);
+          fieldset.appendChild(label);
+        });
+      };
+
+      /**
+       * Render the minimum and maximum sliders of a range facet
+       * @param {HTMLFieldSetElement} fieldset - Facet fieldset
+       * @param {string} name - Facet name
+       * @param {Object} facet - Facet definition
+       * @param {Object|undefined} data - Facet bounds from the response
+       */
+      FacetedSearch.prototype.renderRange = function (fieldset, name, facet, data) {
+        var range = this.state.ranges[name] || {};
+        var min = data && data.min !== null && data.min !== undefined ? Math.floor(data.min) : null;
+        var max = data && data.max !== null && data.max !== undefined ? Math.ceil(data.max) : null;
+
+        if (min === null || max === null) {
+          var empty = document.createElement('p');
+          empty.className = 'swe-facet-empty';
+          empty.textContent = 'No values';
+          fieldset.appendChild(empty);
+          return;
+        }
+
+        var output = document.createElement('output');
+        output.className = 'swe-facet-range-output';
+
+        ['min', 'max'].forEach(function (bound) {
+          var label = document.createElement('label');
+          var input = document.createElement('input');
+
+          label.className = 'swe-facet-range-' + bound;
+          label.textContent = bound === 'min' ? 'Minimum' : 'Maximum';
+          input.type = 'range';
+          input.min = min;
+          input.max = max;
+          input.step = facet.step || 1;
+          input.value = range[bound] !== undefined ? range[bound] : (bound === 'min' ? min : max);
+          input.setAttribute('data-facet', name);
+          input.setAttribute('data-bound', bound);
+          input.setAttribute('data-key', name + ':' + bound);
+
+          label.appendChild(input);
+          fieldset.appendChild(label);
+        });
+
+        fieldset.appendChild(output);
+        this.updateRangeOutput(fieldset);
+      };
+
+      /**
+       * Show the selected range of a range facet next to its sliders
+       * @param {HTMLFieldSetElement} fieldset - Facet fieldset
+       */
+      FacetedSearch.prototype.updateRangeOutput = function (fieldset) {
+        var minInput = fieldset.querySelector('input[data-bound="min"]');
+        var maxInput = fieldset.querySelector('input[data-bound="max"]');
+        var output = fieldset.querySelector('output');
+
+        if (minInput && maxInput && output) {
+          output.textContent = parseFloat(minInput.value).toLocaleString() + ' – ' + parseFloat(maxInput.value).toLocaleString();
+        }
+      };
+
+      /**
+       * Handle checkbox changes and released range sliders
+       * @param {Event} ev - Change event
+       */
+      FacetedSearch.prototype.onChange = function (ev) {
+        var input = ev.target;
+        var name = input.getAttribute('data-facet');
+
+        if (!name || !this.options.facets[name]) {
+          return;
+        }
+
+        if (input.type === 'checkbox') {
+          var values = (this.state.filters[name] || []).filter(function (value) {
+            return value !== input.value;
+          });
+
+          if (input.checked) {
+            values.push(input.value);
+          }
+
+          if (values.length) {
+            this.state.filters[name] = values;
+          } else {
+            delete this.state.filters[name];
+          }
+        } else if (input.type === 'range') {
+          var fieldset = input.closest('fieldset');
+          var minInput = fieldset.querySelector('input[data-bound="min"]');
+          var maxInput = fieldset.querySelector('input[data-bound="max"]');
+          var low = Math.min(parseFloat(minInput.value), parseFloat(maxInput.value));
+          var high = Math.max(parseFloat(minInput.value), parseFloat(maxInput.value));
+          var range = {};
+
+          // Leave out bounds at the ends of the slider so the range follows the data
+          if (low > parseFloat(minInput.min)) {
+            range.min = low;
+          }
+          if (high < parseFloat(maxInput.max)) {
+            range.max = high;
+          }
+
+          if (range.min !== undefined || range.max !== undefined) {
+            this.state.ranges[name] = range;
+          } else {
+            delete this.state.ranges[name];
+          }
+        } else {
+          return;
+        }
+
+        this.state.page = 1;
+        this.writeUrl(false);
+        this.search();
+      };
+
+      /**
+       * Update a range facet's label while its slider is dragged
+       * @param {Event} ev - Input event
+       */
+      FacetedSearch.prototype.onInput = function (ev) {
+        if (ev.target.type === 'range') {
+          this.updateRangeOutput(ev.target.closest('fieldset'));
+        }
+      };
+
+      /**
+       * Search as the query input changes
+       * The history entry is replaced so each keystroke doesn't add one
+       */
+      FacetedSearch.prototype.onQueryInput = function () {
+        this.state.query = this.queryInput.value.trim();
+        this.state.page = 1;
+        this.writeUrl(true);
+        this.search();
+      };
+
+      /**
+       * Restore the state when navigating back or forward
+       */
+      FacetedSearch.prototype.onPopState = function () {
+        this.state = this.readUrl();
+        this.syncQueryInput();
+        this.search();
+      };
+
+      /**
+       * Copy the query from the state to the query input
+       */
+      FacetedSearch.prototype.syncQueryInput = function () {
+        if (this.queryInput && this.queryInput.value !== this.state.query) {
+          this.queryInput.value = this.state.query;
+        }
+      };
+
+      /**
+       * Go to a page of results
+       * @param {number} page - Page number, starting at 1
+       * @returns {Promise<SearchResponse|null>}
+       */
+      FacetedSearch.prototype.goToPage = function (page) {
+        this.state.page = Math.max(1, page);
+        this.writeUrl(false);
+        return this.search();
+      };
+
+      /**
+       * Clear all filters and ranges, keeping the query
+       * @returns {Promise<SearchResponse|null>}
+       */
+      FacetedSearch.prototype.clear = function () {
+        this.state.filters = {};
+        this.state.ranges = {};
+        this.state.page = 1;
+        this.writeUrl(false);
+        return this.search();
+      };
+
+      /**
+       * Remove the event listeners and cancel any pending search
+       */
+      FacetedSearch.prototype.destroy = function () {
+        this.container.removeEventListener('change', this.onChange);
+        this.container.removeEventListener('input', this.onInput);
+        window.removeEventListener('popstate', this.onPopState);
+
+        if (this.queryInput) {
+          this.queryInput.removeEventListener('input', this.onQueryInput);
+        }
+
+        this.client.cancel('faceted-search');
+      };
+
+      /**
+       * Create a faceted search component
+       * @param {Element|string} container - Element (or selector) the facets are rendered into
+       * @param {Object} options - Component options, see FacetedSearch
+       * @returns {FacetedSearch}
+       */
+      SearchWithElastic.facets = function (container, options) {
+        return new FacetedSearch(container, options);
+      };
+
+      SearchWithElastic.FacetedSearch = FacetedSearch;
+    }
+)(window, document);
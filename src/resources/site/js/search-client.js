@@ -0,0 +1,511 @@
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+(
+    function (window) {
+      var SearchWithElastic = window.SearchWithElastic = window.SearchWithElastic || {};
+
+      /**
+       * Default client options, extended by SearchWithElastic.configure()
+       */
+      var defaults = {
+        endpoint: '/search-with-elastic', // Base URL of the public search routes
+        siteId: null, // Site to search, or null for the site the endpoint is requested on
+        csrfToken: null, // CSRF token sent with each request, if CSRF protection is enabled
+        debounce: 0, // Milliseconds to wait for further calls before sending a request
+        maxRetries: 2, // Number of times a rate-limited request is retried
+        maxRetryDelay: 30000, // Longest wait (ms) before retrying a rate-limited request
+        onRateLimit: null, // Called with {retryAfter, attempt} before a rate-limited request is retried
+      };
+
+      /**
+       * Create an AbortError for searches replaced by a newer call or cancelled by the caller
+       * @returns {DOMException} The error
+       */
+      function createAbortError() {
+        return new DOMException('The search was cancelled.', 'AbortError');
+      }
+
+      /**
+       * Wait for a delay, stopping early if the signal is aborted
+       * @param {number} ms - Milliseconds to wait
+       * @param {AbortSignal} signal - Signal that cancels the wait
+       * @returns {Promise} Resolves after the delay, rejects with an AbortError if cancelled
+       */
+      function wait(ms, signal) {
+        return new Promise(function (resolve, reject) {
+          if (signal.aborted) {
+            reject(createAbortError());
+            return;
+          }
+
+          var timer = setTimeout(function () {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+          }, ms);
+
+          function onAbort() {
+            clearTimeout(timer);
+            reject(createAbortError());
+          }
+
+          signal.addEventListener('abort', onAbort);
+        });
+      }
+
+      /**
+       * Get the delay a Retry-After header asks for
+       * @param {string|null} header - Retry-After value, in seconds or as an HTTP date
+       * @returns {number} Delay in milliseconds
+       */
+      function getRetryDelay(header) {
+        if (header) {
+          var seconds = parseInt(header, 10);
+          if (!isNaN(seconds)) {
+            return seconds * 1000;
+          }
+
+          var date = Date.parse(header);
+          if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+          }
+        }
+
+        return 1000;
+      }
+
+      /**
+       * Error thrown when a search request fails
+       * @param {string} message - Error message
+       * @param {number} status - HTTP status code, or 0 for network errors
+       * @param {Object|null} data - Response body, if there was one
+       * @constructor
+       */
+      function SearchError(message, status, data) {
+        this.name = 'SearchError';
+        this.message = message;
+        this.status = status;
+        this.data = data || null;
+        this.stack = (new Error(message)).stack;
+      }
+
+      SearchError.prototype = Object.create(Error.prototype);
+      SearchError.prototype.constructor = SearchError;
+
+      /**
+       * A single search hit
+       * @param {Object} hit - Elasticsearch hit returned by the search endpoints
+       * @constructor
+       */
+      function SearchResult(hit) {
+        var source = hit._source || {};
+
+        this.id = hit._id || null;
+        this.score = typeof hit._score === 'number' ? hit._score : null;
+        this.normalizedScore = typeof hit._normalizedScore === 'number' ? hit._normalizedScore : null; // Set by federated searches, from 0 to 1
+        this.pinned = hit._pinned === true; // Whether a pinned results rule put the hit first
+        this.elementId = source.elementId || null;
+        this.siteId = source.siteId || hit._siteId || null;
+        this.elementType = source.elementType || hit._elementType || null;
+        this.title = source.title || '';
+        this.url = source.url || null;
+        this.highlights = hit.highlight || {};
+        this.source = source;
+      }
+
+      /**
+       * Get the highlighted fragments for a field
+       * @param {string} field - Field name, e.g. 'content'
+       * @param {string} [separator] - Text placed between fragments
+       * @returns {string} HTML with the matches wrapped in the configured highlight tags
+       */
+      SearchResult.prototype.getHighlight = function (field, separator) {
+        var fragments = this.highlights[field] || [];
+        return fragments.join(separator === undefined ? ' … ' : separator);
+      };
+
+      /**
+       * An autocomplete suggestion
+       * @param {Object} data - Suggestion returned by the suggest endpoint
+       * @constructor
+       */
+      function Suggestion(data) {
+        this.text = data.text || '';
+        this.elementId = data.elementId || null;
+        this.elementType = data.elementType || null;
+        this.url = data.url || null;
+      }
+
+      /**
+       * A page of search results
+       * @param {Object} data - JSON returned by the search endpoint
+       * @param {SearchClient} client - Client that made the request
+       * @param {string} method - Client method that made the request
+       * @param {Object} options - Options the request was made with
+       * @constructor
+       */
+      function SearchResponse(data, client, method, options) {
+        var results = data.results || [];
+        var hits = Array.isArray(results) ? results : (results.hits || []);
+        var total = data.total !== undefined ? data.total : (Array.isArray(results) ? null : results.total);
+
+        this.results = hits.map(function (hit) {
+          return new SearchResult(hit);
+        });
+        this.total = total && typeof total === 'object' ? total.value : (typeof total === 'number' ? total : null);
+        this.aggregations = Array.isArray(results) ? null : (results.aggregations || null);
+        this.facets = data.facets || null;
+        this.sources = Array.isArray(results) ? null : (results.sources || null); // Indexes a federated search covered, with their hit counts
+        this.meta = data.meta || {};
+        this.query = this.meta.query || null;
+        this.rateLimit = this.meta.rateLimit || null;
+        this.searchId = this.meta.searchId || null; // Set when the search was logged for the search analytics
+        this.from = options.from || 0;
+        this.size = options.size || null;
+
+        this.client = client;
+        this.method = method;
+        this.options = options;
+      }
+
+      /**
+       * Whether there are more results after this page
+       * Without a total from the server, a full page is taken to mean there may be more
+       * @returns {boolean}
+       */
+      SearchResponse.prototype.hasMore = function () {
+        if (this.total !== null) {
+          return this.from + this.results.length < this.total;
+        }
+
+        return !!this.size && this.results.length === this.size;
+      };
+
+      /**
+       * Fetch the page after this one
+       * @returns {Promise<SearchResponse>}
+       */
+      SearchResponse.prototype.next = function () {
+        var options = Object.assign({}, this.options, {
+          from: this.from + (this.size || this.results.length),
+          page: null,
+        });
+
+        if (this.method === 'faceted-search') {
+          return this.client.facetedSearch(this.query, options);
+        }
+
+        return this.client.searchExtra(this.query, options);
+      };
+
+      /**
+       * Record a click on one of this page's results for the search analytics
+       * Call it when the visitor follows the result's link; does nothing if the search wasn't logged
+       * @param {SearchResult} result - The result clicked
+       * @returns {Promise<boolean>} Whether the click was logged
+       */
+      SearchResponse.prototype.trackClick = function (result) {
+        return this.client.trackClick(this.searchId, result);
+      };
+
+      /**
+       * Client for the public search endpoints
+       *
+       * Sends the CSRF token, debounces calls, cancels requests made stale by a newer
+       * call to the same method, and retries rate-limited requests after the delay
+       * given in their Retry-After header.
+       *
+       * @param {Object} [options] - Client options, see `defaults`
+       * @constructor
+       */
+      function SearchClient(options) {
+        this.options = Object.assign({}, defaults, options || {});
+        this.options.endpoint = this.options.endpoint.replace(/\/+$/, '');
+
+        this.controllers = {}; // Abort controllers of the pending request for each method
+      }
+
+      /**
+       * Perform a basic search
+       * @param {string} query - The search query
+       * @param {Object} [options] - Request options: siteId
+       * @returns {Promise<SearchResponse>}
+       */
+      SearchClient.prototype.search = function (query, options) {
+        options = options || {};
+
+        return this.request('search', {
+          query: query,
+          siteId: options.siteId || this.options.siteId,
+        }).then(this.createResponse('search', options));
+      };
+
+      /**
+       * Perform an advanced search
+       * Giving siteIds or elementTypes (class names or reference handles such as 'entry')
+       * federates the search across their indexes, with results merged by normalized score.
+       * @param {string} query - The search query
+       * @param {Object} [options] - Request options: fuzzy, fields, siteId, siteIds, elementTypes, size (1–100), and from or page (1-based)
+       * @returns {Promise<SearchResponse>}
+       */
+      SearchClient.prototype.searchExtra = function (query, options) {
+        options = Object.assign({}, options || {});
+
+        if (options.page && options.size) {
+          options.from = (options.page - 1) * options.size;
+        }
+
+        var params = {
+          query: query,
+          siteId: options.siteId || this.options.siteId,
+        };
+
+        ['fuzzy', 'fields', 'siteIds', 'elementTypes', 'size', 'from'].forEach(function (name) {
+          if (options[name] !== undefined && options[name] !== null) {
+            params[name] = options[name];
+          }
+        });
+
+        return this.request('search-extra', params).then(this.createResponse('search-extra', options));
+      };
+
+      /**
+       * Perform a faceted search
+       * @param {string|null} query - The search query, or null to list everything
+       * @param {Object} [options] - Request options: facets, filters, ranges, fuzzy, fields, siteId, size (1–100), and from or page (1-based)
+       * @returns {Promise<SearchResponse>} Response with `facets` holding the buckets or bounds of each facet
+       */
+      SearchClient.prototype.facetedSearch = function (query, options) {
+        options = Object.assign({}, options || {});
+
+        if (options.page && options.size) {
+          options.from = (options.page - 1) * options.size;
+        }
+
+        var params = {
+          query: query || null,
+          siteId: options.siteId || this.options.siteId,
+        };
+
+        ['facets', 'filters', 'ranges', 'fuzzy', 'fields', 'size', 'from'].forEach(function (name) {
+          if (options[name] !== undefined && options[name] !== null) {
+            params[name] = options[name];
+          }
+        });
+
+        return this.request('faceted-search', params).then(this.createResponse('faceted-search', options));
+      };
+
+      /**
+       * Get autocomplete suggestions for the text typed so far
+       * @param {string} query - The partial query
+       * @param {Object} [options] - Request options: siteId, size (1–20)
+       * @returns {Promise<Suggestion[]>}
+       */
+      SearchClient.prototype.suggest = function (query, options) {
+        options = options || {};
+
+        return this.request('suggest', {
+          query: query,
+          siteId: options.siteId || this.options.siteId,
+          size: options.size || null,
+        }).then(function (data) {
+          return (data.suggestions || []).map(function (suggestion) {
+            return new Suggestion(suggestion);
+          });
+        });
+      };
+
+      /**
+       * Record a click on a search result for the search analytics
+       * The request outlives the page, so it can be sent as the visitor follows the result's link
+       * @param {string|null} searchId - The search ID from a response's meta data, e.g. `response.searchId`
+       * @param {SearchResult|Object|number} result - The result clicked, or its element ID
+       * @returns {Promise<boolean>} Whether the click was logged; never rejects
+       */
+      SearchClient.prototype.trackClick = function (searchId, result) {
+        var elementId = result && typeof result === 'object' ? (result.elementId || (result._source && result._source.elementId)) : result;
+
+        if (!searchId || !elementId) {
+          return Promise.resolve(false);
+        }
+
+        return fetch(this.options.endpoint + '/click', {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify({ searchId: searchId, elementId: elementId }),
+          credentials: 'same-origin',
+          keepalive: true,
+        }).then(function (response) {
+          return response.json().then(function (data) {
+            return !!(data && data.success);
+          });
+        }).catch(function () {
+          return false;
+        });
+      };
+
+      /**
+       * Get a callback that wraps response data in a SearchResponse
+       * @param {string} method - Endpoint the request was sent to
+       * @param {Object} options - Options the request was made with
+       * @returns {Function}
+       */
+      SearchClient.prototype.createResponse = function (method, options) {
+        var client = this;
+
+        return function (data) {
+          return new SearchResponse(data, client, method, options);
+        };
+      };
+
+      /**
+       * Cancel pending requests
+       * @param {string} [method] - 'search', 'search-extra', 'faceted-search' or 'suggest', or all methods if omitted
+       */
+      SearchClient.prototype.cancel = function (method) {
+        for (var key in this.controllers) {
+          if (this.controllers.hasOwnProperty(key) && (!method || key === method)) {
+            this.controllers[key].abort();
+            delete this.controllers[key];
+          }
+        }
+      };
+
+      /**
+       * Send a request, replacing any pending request for the same method
+       * @param {string} method - Endpoint name: 'search', 'search-extra', 'faceted-search' or 'suggest'
+       * @param {Object} params - Request body
+       * @returns {Promise<Object>} The response body
+       */
+      SearchClient.prototype.request = function (method, params) {
+        this.cancel(method);
+
+        var controller = new AbortController();
+        this.controllers[method] = controller;
+
+        var client = this;
+        var ready = this.options.debounce ? wait(this.options.debounce, controller.signal) : Promise.resolve();
+
+        return ready
+          .then(function () {
+            return client.send(client.options.endpoint + '/' + method, params, controller.signal, 0);
+          })
+          .then(function (data) {
+            if (client.controllers[method] === controller) {
+              delete client.controllers[method];
+            }
+
+            return data;
+          });
+      };
+
+      /**
+       * POST a request, retrying it if it's rate limited
+       * @param {string} url - Endpoint URL
+       * @param {Object} params - Request body
+       * @param {AbortSignal} signal - Signal that cancels the request
+       * @param {number} attempt - Number of retries made so far
+       * @returns {Promise<Object>} The response body
+       */
+      SearchClient.prototype.send = function (url, params, signal, attempt) {
+        var client = this;
+
+        return fetch(url, {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify(params),
+          credentials: 'same-origin',
+          signal: signal,
+        }).then(function (response) {
+          if (response.status === 429 && attempt < client.options.maxRetries) {
+            var retryAfter = Math.min(getRetryDelay(response.headers.get('Retry-After')), client.options.maxRetryDelay);
+
+            if (typeof client.options.onRateLimit === 'function') {
+              client.options.onRateLimit({ retryAfter: retryAfter, attempt: attempt + 1 });
+            }
+
+            return wait(retryAfter, signal).then(function () {
+              return client.send(url, params, signal, attempt + 1);
+            });
+          }
+
+          return response.json().catch(function () {
+            return null;
+          }).then(function (data) {
+            if (!response.ok || !data || data.success === false) {
+              var message = (data && (data.error || data.message)) || 'Search failed with status ' + response.status + '.';
+              throw new SearchError(message, response.status, data);
+            }
+
+            return data;
+          });
+        }, function (error) {
+          if (error && error.name === 'AbortError') {
+            throw error;
+          }
+
+          throw new SearchError(error && error.message ? error.message : 'Search request failed.', 0, null);
+        });
+      };
+
+      /**
+       * Get the headers sent with each request
+       * @returns {Object}
+       */
+      SearchClient.prototype.getHeaders = function () {
+        var headers = {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest',
+        };
+
+        if (this.options.csrfToken) {
+          headers['X-CSRF-Token'] = this.options.csrfToken;
+        }
+
+        return headers;
+      };
+
+      /**
+       * Create a search client
+       * @param {Object} [options] - Client options, see `defaults`
+       * @returns {SearchClient}
+       */
+      SearchWithElastic.client = function (options) {
+        return new SearchClient(options);
+      };
+
+      /**
+       * Set default options for clients created after this call
+       * Called by craft.searchWithElastic.registerClient() with the site's endpoint, site ID and CSRF token
+       * @param {Object} options - Client options, see `defaults`
+       */
+      SearchWithElastic.configure = function (options) {
+        Object.assign(defaults, options || {});
+      };
+
+      /**
+       * Whether an error is from a search that was cancelled or replaced by a newer one
+       * Callers usually ignore these rather than showing an error
+       * @param {*} error - The rejection reason
+       * @returns {boolean}
+       */
+      SearchWithElastic.isAbortError = function (error) {
+        return !!error && error.name === 'AbortError';
+      };
+
+      SearchWithElastic.SearchClient = SearchClient;
+      SearchWithElastic.SearchResponse = SearchResponse;
+      SearchWithElastic.SearchResult = SearchResult;
+      SearchWithElastic.Suggestion = Suggestion;
+      SearchWithElastic.SearchError = SearchError;
+    }
+)(window);
@@ -30,49 +30,11 @@ class ElasticsearchDirectService extends Component
             // Build the URL - parse environment variables
             $endpoint = App::parseEnv($settings->elasticsearchEndpoint);
             $endpoint = rtrim($endpoint, '/');
-            $index = $params['index'] ?? '_all';
-            $url = "{$endpoint}/{$index}/_search";
-
-            // Build the query body
-            $body = [];
-            if (isset($params['body']['query'])) {
-                $body['query'] = $params['body']['query'];
-            } elseif (isset($params['body'])) {
-                $body = $params['body'];
-            } elseif (isset($params['query'])) {
-                // Handle direct query parameter (from searchExtra)
-                $body['query'] = $params['query'];
-            }
-
-            // Fix match_all queries that have empty arrays instead of empty objects
-            if (isset($body['query']['match_all']) && is_array($body['query']['match_all']) && empty($body['query']['match_all'])) {
-                $body['query']['match_all'] = new \stdClass();
-            }
-
-            // Add highlighting to the body
-            if (isset($params['highlight'])) {
-                $body['highlight'] = $params['highlight'];
-            } else {
-                // Default highlighting for content field (as shown in the index)
-                $body['highlight'] = [
-                    'fields' => [
-                        'content' => (object)[],
-                        'title' => (object)[]
-                    ],
-                    'pre_tags' => ['<mark>'],
-                    'post_tags' => ['</mark>'],
-                    'fragment_size' => 150,
-                    'number_of_fragments' => 3
-                ];
-            }
-
-            // Build URL parameters
-            $urlParams = [];
-            if (isset($params['size'])) {
-                $urlParams['size'] = $params['size'];
-            }
-            if (!empty($urlParams)) {
-                $url .= '?' . http_build_query($urlParams);
+            $request = self::buildRequest($params);
+            $body = $request['body'];
+            $url = "{$endpoint}/{$request['index']}/_search";
+            if (!empty($request['params'])) {
+                $url .= '?' . http_build_query($request['params']);
             }
 
             // Make the request
@@ -135,4 +97,133 @@ class ElasticsearchDirectService extends Component
             return ['hits' => ['hits' => []]];
         }
     }
+
+    /**
+     * Perform several searches in one `_msearch` request
+     *
+     * Indexes that don't exist are searched as if they were empty, and a search
+     * that fails doesn't affect the others; its response holds the error instead.
+     *
+     * @param array $requests Requests built by buildRequest(), each with 'index', 'params' and 'body'
+     * @return array The responses, in the order of the requests, or an empty array if the request failed
+     * @since 4.2.0
+     */
+    public static function msearch(array $requests): array
+    {
+        if (empty($requests)) {
+            return [];
+        }
+
+        try {
+            $settings = \pennebaker\searchwithelastic\SearchWithElastic::getInstance()->getSettings();
+
+            $endpoint = rtrim(App::parseEnv($settings->elasticsearchEndpoint), '/');
+            $url = "{$endpoint}/_msearch";
+
+            // Newline-delimited header and body pairs; paging moves from the URL into each body
+            $lines = [];
+            foreach ($requests as $request) {
+                $lines[] = json_encode(['index' => $request['index'], 'ignore_unavailable' => true], JSON_THROW_ON_ERROR);
+                $lines[] = json_encode(array_merge($request['body'], $request['params'] ?? []), JSON_THROW_ON_ERROR);
+            }
+
+            $ch = curl_init($url);
+            curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+            curl_setopt($ch, CURLOPT_POST, true);
+            curl_setopt($ch, CURLOPT_POSTFIELDS, implode("\n", $lines) . "\n");
+            curl_setopt($ch, CURLOPT_HTTPHEADER, [
+                'Content-Type: application/x-ndjson'
+            ]);
+
+            // Add authentication if needed
+            if ($settings->isAuthEnabled && $settings->username && $settings->password) {
+                $username = App::parseEnv($settings->username);
+                $password = App::parseEnv($settings->password);
+                curl_setopt($ch, CURLOPT_USERPWD, $username . ':' . $password);
+            }
+
+            $response = curl_exec($ch);
+            $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            $curlError = curl_error($ch);
+            curl_close($ch);
+
+            if ($curlError) {
+                Craft::error("CURL Error: $curlError", __METHOD__);
+                return [];
+            }
+
+            if ($httpCode !== 200) {
+                Craft::error("Elasticsearch returned status {$httpCode}: {$response}", __METHOD__);
+                return [];
+            }
+
+            $result = json_decode($response, true);
+
+            return $result['responses'] ?? [];
+        } catch (\Exception $e) {
+            Craft::error("Direct Elasticsearch multi search failed: " . $e->getMessage(), __METHOD__);
+            return [];
+        }
+    }
+
+    /**
+     * Build the `_search` request for a set of search parameters
+     *
+     * @param array $params Search parameters
+     * @return array The index, URL parameters and body of the request
+     * @since 4.2.0
+     */
+    public static function buildRequest(array $params): array
+    {
+        // Build the query body
+        $body = [];
+        if (isset($params['body']['query'])) {
+            // Keep aggregations, post filters, sorting and paging that come with the query
+            $body = array_intersect_key($params['body'], array_flip([
+                'query', 'aggs', 'aggregations', 'post_filter', 'sort', 'from', 'size', '_source', 'explain',
+            ]));
+        } elseif (isset($params['body'])) {
+            $body = $params['body'];
+        } elseif (isset($params['query'])) {
+            // Handle direct query parameter (from searchExtra)
+            $body['query'] = $params['query'];
+        }
+
+        // Fix match_all queries that have empty arrays instead of empty objects
+        if (isset($body['query']['match_all']) && is_array($body['query']['match_all']) && empty($body['query']['match_all'])) {
+            $body['query']['match_all'] = new \stdClass();
+        }
+
+        // Add highlighting to the body
+        if (isset($params['highlight'])) {
+            $body['highlight'] = $params['highlight'];
+        } else {
+            // Default highlighting for content field (as shown in the index)
+            $body['highlight'] = [
+                'fields' => [
+                    'content' => (object)[],
+                    'title' => (object)[]
+                ],
+                'pre_tags' => ['<mark>'],
+                'post_tags' => ['</mark>'],
+                'fragment_size' => 150,
+                'number_of_fragments' => 3
+            ];
+        }
+
+        // Build URL parameters
+        $urlParams = [];
+        if (isset($params['size'])) {
+            $urlParams['size'] = $params['size'];
+        }
+        if (!empty($params['from'])) {
+            $urlParams['from'] = $params['from'];
+        }
+
+        return [
+            'index' => $params['index'] ?? '_all',
+            'params' => $urlParams,
+            'body' => $body,
+        ];
+    }
 }
@@ -127,6 +127,9 @@ class ElasticsearchQueryBuilder extends Component
     /**
      * Build aggregation template parameters for faceted search
      *
+     * Facets are `terms` aggregations unless their `type` is `stats`, which
+     * returns the minimum and maximum values used for range filters.
+     *
      * @param array $facets The facets to aggregate on
      * @return array Template parameters for aggregation
      * @since 4.0.0
@@ -138,7 +141,7 @@ class ElasticsearchQueryBuilder extends Component
         foreach ($facets as $name => $config) {
             $aggregations[] = [
                 'name' => is_string($name) ? $name : 'agg_' . $config['field'],
-                'type' => 'terms',
+                'type' => ($config['type'] ?? 'terms') === 'stats' ? 'stats' : 'terms',
                 'field' => $config['field'],
                 'size' => $config['size'] ?? 10
             ];
@@ -212,11 +215,13 @@ class ElasticsearchQueryBuilder extends Component
     /**
      * Get field boosts based on field names
      *
+     * Public since 4.2.0 so the search playground can show the default boosts.
+     *
      * @param array $fields The fields to get boosts for
      * @return array Field boost mapping
      * @since 4.0.0
      */
-    protected function getFieldBoosts(array $fields): array
+    public function getFieldBoosts(array $fields): array
     {
         $boosts = [];
         
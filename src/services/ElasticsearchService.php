@@ -14,16 +14,21 @@ namespace pennebaker\searchwithelastic\services;
 use Craft;
 use craft\base\Component;
 use craft\base\Element;
+use craft\base\ElementInterface;
+use craft\db\Query;
+use craft\db\Table;
 use craft\elements\Asset;
 use craft\elements\Category;
 use craft\elements\Entry;
 use craft\errors\SiteNotFoundException;
 use craft\helpers\App;
+use craft\helpers\DateTimeHelper;
 use craft\helpers\Db;
 use DateTime;
 use Exception;
 use pennebaker\searchwithelastic\events\connection\ConnectionTestEvent;
 use pennebaker\searchwithelastic\events\search\SearchEvent;
+use pennebaker\searchwithelastic\exceptions\SearchException;
 use pennebaker\searchwithelastic\models\SearchTemplates;
 use pennebaker\searchwithelastic\SearchWithElastic;
 
@@ -45,6 +50,16 @@ class ElasticsearchService extends Component
     public const EVENT_BEFORE_CONNECTION_TEST = 'beforeConnectionTest';
     public const EVENT_AFTER_CONNECTION_TEST = 'afterConnectionTest';
 
+    /**
+     * @var array Results of [[getIndexStatusElementIds()]] for this request, keyed by site ID and element type
+     */
+    private array $indexStatusElementIds = [];
+
+    /**
+     * @var array Statuses looked up by [[getBulkElementIndexStatus()]] for this request, keyed by site ID and element type
+     */
+    private array $bulkIndexStatuses = [];
+
     /**
      * Test the connection to the Elasticsearch server
      *
@@ -157,6 +172,40 @@ class ElasticsearchService extends Component
      * @since 4.0.0
      */
     protected function isPartialIndex(Element $element, object $record): bool
+    {
+        if (!$this->shouldHaveFrontendContent($element)) {
+            return false;
+        }
+
+        // Get the actual document from Elasticsearch to check content
+        try {
+            $connection = SearchWithElastic::getConnection();
+            $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($element->siteId, get_class($element));
+            $documentId = $element->id . '_' . $element->siteId;
+
+            $response = $connection->createCommand()->get($indexName, '_doc', $documentId);
+
+            if ($response && isset($response['found']) && $response['found']) {
+                $source = $response['_source'];
+                // Check if content field is missing or empty
+                return empty($source['content']);
+            }
+        } catch (Exception) {
+            // If we can't check, assume it's not partial
+            return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether an element's document is expected to hold frontend content
+     *
+     * @param Element $element The element to check
+     * @return bool Whether frontend fetching applies to the element
+     * @since 4.2.0
+     */
+    protected function shouldHaveFrontendContent(Element $element): bool
     {
         $settings = SearchWithElastic::getInstance()->getSettings();
 
@@ -190,29 +239,258 @@ class ElasticsearchService extends Component
                 break;
         }
 
-        if (!$shouldHaveFrontendContent) {
-            return false;
+        return $shouldHaveFrontendContent;
+    }
+
+    /**
+     * Get the IDs of the indexed and outdated elements of a type in a site's index
+     *
+     * The bulk counterpart of [[getElementIndexStatus()]], used to filter and sort
+     * element index pages by index status without a request per element. Indexed
+     * dates are read from Elasticsearch and compared with the elements' dates in the
+     * database. Partial indexes can't be told apart in bulk, so they count as
+     * indexed; elements in neither list are not indexed.
+     *
+     * @param int $siteId The site ID
+     * @param string $elementType The element class name
+     * @return array{indexed: int[], outdated: int[]} Element IDs by status
+     * @since 4.2.0
+     */
+    public function getIndexStatusElementIds(int $siteId, string $elementType): array
+    {
+        $cacheKey = "$siteId:$elementType";
+        if (isset($this->indexStatusElementIds[$cacheKey])) {
+            return $this->indexStatusElementIds[$cacheKey];
         }
 
-        // Get the actual document from Elasticsearch to check content
+        $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId, $elementType);
+        $indexedDates = [];
+
         try {
             $connection = SearchWithElastic::getConnection();
-            $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($element->siteId, get_class($element));
-            $documentId = $element->id . '_' . $element->siteId;
 
-            $response = $connection->createCommand()->get($indexName, '_doc', $documentId);
+            if ($connection->createCommand()->indexExists($indexName)) {
+                $body = [
+                    'size' => 1000,
+                    '_source' => ['elementId', 'dateUpdated'],
+                    'query' => [
+                        'bool' => [
+                            'filter' => [
+                                ['term' => ['siteId' => $siteId]],
+                                ['term' => ['elementType' => $elementType]],
+                            ],
+                        ],
+                    ],
+                    'sort' => [['elementId' => 'asc']],
+                ];
 
-            if ($response && isset($response['found']) && $response['found']) {
-                $source = $response['_source'];
-                // Check if content field is missing or empty
-                return empty($source['content']);
+                // Page through the documents with search_after, which isn't limited by max_result_window
+                do {
+                    $response = $connection->post([$indexName, '_search'], [], json_encode($body, JSON_THROW_ON_ERROR));
+                    $hits = $response['hits']['hits'] ?? [];
+
+                    foreach ($hits as $hit) {
+                        if (isset($hit['_source']['elementId'])) {
+                            $indexedDates[(int)$hit['_source']['elementId']] = $hit['_source']['dateUpdated'] ?? null;
+                        }
+                    }
+
+                    $body['search_after'] = end($hits)['sort'] ?? null;
+                } while (count($hits) === $body['size'] && $body['search_after'] !== null);
             }
-        } catch (Exception) {
-            // If we can't check, assume it's not partial
-            return false;
+        } catch (Exception $e) {
+            Craft::warning("Failed to get the indexed elements of $indexName: " . $e->getMessage(), __METHOD__);
         }
 
-        return false;
+        $statuses = ['indexed' => [], 'outdated' => []];
+
+        foreach (array_chunk(array_keys($indexedDates), 1000) as $elementIds) {
+            $rows = (new Query())
+                ->select(['id', 'dateUpdated', 'dateCreated'])
+                ->from(Table::ELEMENTS)
+                ->where(['id' => $elementIds])
+                ->all();
+
+            foreach ($rows as $row) {
+                $elementId = (int)$row['id'];
+                $indexUpdated = $indexedDates[$elementId] ? DateTimeHelper::toDateTime($indexedDates[$elementId]) : false;
+
+                if (!$indexUpdated) {
+                    continue;
+                }
+
+                $elementUpdated = DateTimeHelper::toDateTime($row['dateUpdated'] ?? $row['dateCreated']);
+                $statuses[$elementUpdated > $indexUpdated ? 'outdated' : 'indexed'][] = $elementId;
+            }
+        }
+
+        return $this->indexStatusElementIds[$cacheKey] = $statuses;
+    }
+
+    /**
+     * Get an element's index status from a bulk lookup of its site and element type
+     *
+     * Gives the same statuses as [[getElementIndexStatus()]], for listing many
+     * elements at once, such as the index status column of element indexes. The
+     * first call for a site and element type looks up every element's status with
+     * [[getIndexStatusElementIds()]] and the documents without content; later calls
+     * in the request don't query Elasticsearch.
+     *
+     * @param Element $element The element to check
+     * @return string One of: 'indexed', 'partial', 'not_indexed', 'outdated'
+     * @since 4.2.0
+     */
+    public function getBulkElementIndexStatus(Element $element): string
+    {
+        $elementType = get_class($element);
+        $cacheKey = "$element->siteId:$elementType";
+
+        if (!isset($this->bulkIndexStatuses[$cacheKey])) {
+            $statuses = $this->getIndexStatusElementIds($element->siteId, $elementType);
+            $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($element->siteId, $elementType);
+
+            $this->bulkIndexStatuses[$cacheKey] = [
+                'indexed' => array_flip($statuses['indexed']),
+                'outdated' => array_flip($statuses['outdated']),
+                'withoutContent' => array_flip($this->getElementIdsWithoutContent($indexName, $element->siteId, $elementType, $statuses['indexed'])),
+            ];
+        }
+
+        $statuses = $this->bulkIndexStatuses[$cacheKey];
+
+        if (isset($statuses['outdated'][$element->id])) {
+            return 'outdated';
+        }
+
+        if (!isset($statuses['indexed'][$element->id])) {
+            return 'not_indexed';
+        }
+
+        if (isset($statuses['withoutContent'][$element->id]) && $this->shouldHaveFrontendContent($element)) {
+            return 'partial';
+        }
+
+        return 'indexed';
+    }
+
+    /**
+     * Compare an element's indexed document with the document it would be indexed with now
+     *
+     * Used by the element sidebar's "View indexed document" modal. Fields are compared
+     * one by one; the frontend content field and summary can only be shown as indexed,
+     * since frontend content isn't fetched for the comparison. Each searchable field is
+     * also checked against the indexed searchable content, and the reasons the index is
+     * partial, outdated or missing are listed.
+     *
+     * @param Element $element The element to compare
+     * @return array{status: string, indexed: bool, fields: array, searchableFields: array, reasons: array}
+     * @throws Exception
+     * @since 4.2.0
+     */
+    public function getIndexedDocumentComparison(Element $element): array
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        $searchableFieldName = $settings->searchableContentFieldName ?: 'content';
+        $frontendFieldName = $settings->frontendContentFieldName ?: 'content_fetch';
+
+        $record = $this->getElementIndex($element);
+        $indexed = $record->source ?? null;
+        $status = $this->getElementIndexStatus($element);
+        $preview = SearchWithElastic::getInstance()->elementIndexer->previewElementDocument($element);
+        $current = $preview['document'];
+
+        // Only fetched at index time, so there's nothing current to compare them with
+        $indexOnlyFields = [$frontendFieldName, 'summary'];
+
+        $fields = [];
+        foreach (array_unique(array_merge(array_keys($current), array_keys($indexed ?? []))) as $name) {
+            $indexedValue = $indexed[$name] ?? null;
+            $currentValue = $current[$name] ?? null;
+
+            if (in_array($name, $indexOnlyFields, true)) {
+                $change = 'not_compared';
+            } elseif ($indexed === null || !array_key_exists($name, $indexed)) {
+                $change = 'added';
+            } elseif (!array_key_exists($name, $current)) {
+                $change = 'removed';
+            } else {
+                $change = $indexedValue == $currentValue ? 'unchanged' : 'changed';
+            }
+
+            $fields[] = [
+                'name' => $name,
+                'indexed' => $indexedValue,
+                'current' => in_array($name, $indexOnlyFields, true) ? null : $currentValue,
+                'change' => $change,
+            ];
+        }
+
+        $indexedContent = mb_strtolower((string)($indexed[$searchableFieldName] ?? ''));
+        $searchableFields = [];
+        foreach ($preview['searchableFields'] as $handle => $fieldData) {
+            $keywords = trim((string)($fieldData['keywords'] ?? ''));
+            $searchableFields[] = [
+                'handle' => $handle,
+                'keywords' => $keywords,
+                'inIndex' => $keywords === '' || ($indexed !== null && str_contains($indexedContent, mb_strtolower($keywords))),
+            ];
+        }
+
+        $reasons = [];
+
+        if ($indexed === null) {
+            $reasons[] = [
+                'type' => 'not_indexed',
+                'message' => $preview['shouldIndex']
+                    ? Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The element has no document in the index. Re-index it to add it.')
+                    : Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The element isn\'t indexed: {reason}', ['reason' => $preview['skipReason']]),
+            ];
+        } else {
+            if ($status === 'outdated') {
+                $reasons[] = [
+                    'type' => 'outdated',
+                    'message' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The element was updated after it was last indexed, so the index holds an older version.'),
+                ];
+            }
+
+            if ($preview['usesFrontendFetching'] && empty($indexed[$frontendFieldName])) {
+                $reasons[] = [
+                    'type' => 'frontend_fetch_failed',
+                    'message' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Frontend content should have been fetched from {url}, but the indexed document has none. The page probably didn\'t respond with content when the element was indexed; check that it loads and look for fetch errors in the logs.', ['url' => $element->getUrl()]),
+                ];
+            }
+
+            if ($preview['usesSearchableContent']) {
+                $hasKeywords = !empty(array_filter($searchableFields, static fn(array $field) => $field['keywords'] !== ''));
+
+                if (!$hasKeywords) {
+                    $reasons[] = [
+                        'type' => 'no_searchable_fields',
+                        'message' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'None of the element\'s fields are searchable or they are all empty, so the {field} field has no content. Mark the fields as searchable in their field layout.', ['field' => $searchableFieldName]),
+                    ];
+                } elseif (empty($indexed[$searchableFieldName])) {
+                    $reasons[] = [
+                        'type' => 'searchable_content_missing',
+                        'message' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The element has searchable field content, but the indexed {field} field is empty. Re-index the element to add it.', ['field' => $searchableFieldName]),
+                    ];
+                }
+            }
+
+            if ($status === 'partial' && empty($reasons)) {
+                $reasons[] = [
+                    'type' => 'missing_content',
+                    'message' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The indexed document has no content field, so only its title and attributes can be found.'),
+                ];
+            }
+        }
+
+        return [
+            'status' => $status,
+            'indexed' => $indexed !== null,
+            'fields' => $fields,
+            'searchableFields' => $searchableFields,
+            'reasons' => $reasons,
+        ];
     }
 
     /**
@@ -276,7 +554,7 @@ class ElasticsearchService extends Component
      * Advanced search in Elasticsearch with fuzzy matching and field selection
      *
      * @param string $query The search query
-     * @param array<string, mixed> $options Search options including fuzzy, fields, siteId, size, useDirectQuery
+     * @param array<string, mixed> $options Search options including fuzzy, fields, siteId, size, from, useDirectQuery
      * @return array<string, mixed> The search results
      * @throws SiteNotFoundException
      * @since 4.0.0
@@ -288,6 +566,7 @@ class ElasticsearchService extends Component
         $fuzzy = $options['fuzzy'] ?? true;
         $fields = $options['fields'] ?? ['title', 'content'];
         $size = $options['size'] ?? 50;
+        $from = $options['from'] ?? 0;
         $useDirectQuery = $options['useDirectQuery'] ?? false;
         $searchType = $options['searchType'] ?? null;
 
@@ -330,6 +609,26 @@ class ElasticsearchService extends Component
             $fuzzy = $searchParams['fuzzy'] ?? $fuzzy;
             $fields = $searchParams['fields'] ?? $fields;
             $size = $searchParams['size'] ?? $size;
+            $from = $searchParams['from'] ?? $from;
+
+            // Check if we need to return the full response structure
+            // This includes queries with aggregations, post_filter, or size: 0
+            $hasAggregations = isset($options['aggs']) || isset($options['aggregations']);
+            $hasPostFilter = isset($options['post_filter']);
+            $isAggregationOnly = isset($options['size']) && $options['size'] === 0;
+
+            // Pinned results take the first places, so the page is cut from the top hits once they're merged in
+            $pinnedHits = [];
+            $pageFrom = (int)$from;
+            $pageSize = (int)$size;
+            if (!$hasAggregations && !$hasPostFilter && !$isAggregationOnly && is_string($searchQuery) && $searchQuery !== '') {
+                $pinnedHits = SearchWithElastic::getInstance()->pinnedResults->getPinnedHits($searchQuery, $siteId, $indexName);
+
+                if ($pinnedHits) {
+                    $from = 0;
+                    $size = $pageFrom + $pageSize + count($pinnedHits);
+                }
+            }
 
             // Check if options contain a direct Elasticsearch query or if direct query mode is requested
             if (isset($options['query']) || isset($options['aggs'])) {
@@ -393,7 +692,8 @@ class ElasticsearchService extends Component
 
                 // Prepare search options
                 $searchOptions = [
-                    'size' => $size
+                    'size' => $size,
+                    'from' => $from
                 ];
 
                 // Add highlighting if configured
@@ -429,6 +729,9 @@ class ElasticsearchService extends Component
                     if (!isset($body['size'])) {
                         $body['size'] = $size;
                     }
+                    if (!isset($body['from'])) {
+                        $body['from'] = $from;
+                    }
 
                     $searchParams = [
                         'index' => $indexName,
@@ -439,6 +742,7 @@ class ElasticsearchService extends Component
                     $searchParams = [
                         'index' => $indexName,
                         'size' => $size,
+                        'from' => $from,
                         'body' => [
                             'query' => $queryResult
                         ]
@@ -466,12 +770,6 @@ class ElasticsearchService extends Component
                 $response = ElasticsearchDirectService::search($searchParams);
             }
 
-            // Check if we need to return the full response structure
-            // This includes queries with aggregations, post_filter, or size: 0
-            $hasAggregations = isset($options['aggs']) || isset($options['aggregations']);
-            $hasPostFilter = isset($options['post_filter']);
-            $isAggregationOnly = isset($options['size']) && $options['size'] === 0;
-
             // Always return full structure when aggregations are requested
             if ($hasAggregations || $hasPostFilter || $isAggregationOnly) {
                 // Log what we're returning
@@ -500,6 +798,12 @@ class ElasticsearchService extends Component
 
             Craft::info("Search returned " . count($hits) . " results", __METHOD__);
 
+            // Put the pinned results for the query first
+            if ($pinnedHits) {
+                $hits = SearchWithElastic::getInstance()->pinnedResults->applyPinnedResults($hits, $pinnedHits, $pageFrom, $pageSize);
+                Craft::info('Pinned ' . count($pinnedHits) . " results for query: $searchQuery", __METHOD__);
+            }
+
             // Apply result formatter callback if configured
             if ($settings->resultFormatterCallback && is_callable($settings->resultFormatterCallback)) {
                 $validator = SearchWithElastic::getInstance()->callbackValidator;
@@ -542,94 +846,549 @@ class ElasticsearchService extends Component
         }
     }
 
-
     /**
-     * Get basic index information for debugging
+     * Faceted search with term and range filters
      *
-     * @param int|string $indexOrSiteId Index name (string) or site ID (integer) - required
-     * @return array Index information including existence and document count
+     * Builds its parameters with the aggregation, filter and range template
+     * helpers of [[ElasticsearchQueryBuilder]] and runs them through the search
+     * template service, so field names and values are sanitized like any other
+     * template search. Each facet's counts ignore the facet's own filter, so
+     * several values of the same facet can be selected at once.
+     *
+     * @param string|null $query The search query (null or empty to list everything)
+     * @param array<string, mixed> $options Search options: siteId, fields, fuzzy, size, from, plus
+     *        `facets` (name => ['field' => ..., 'type' => 'terms'|'range', 'size' => ...]),
+     *        `filters` (field => value or values) and `ranges` (field => ['min' => ..., 'max' => ...])
+     * @return array{hits: array, total: int, facets: array} Hits, total hit count and facet values
+     * @throws SiteNotFoundException
+     * @since 4.2.0
      */
-    public function getIndexStats(int|string $indexOrSiteId): array
+    public function facetedSearch(?string $query = null, array $options = []): array
     {
+        $siteId = $options['siteId'] ?? Craft::$app->getSites()->getCurrentSite()->id;
+        $emptyResult = ['hits' => [], 'total' => 0, 'facets' => []];
+
+        // Fire a 'beforeSearch' event
+        $event = new SearchEvent([
+            'query' => $query,
+            'params' => $options,
+            'siteId' => $siteId,
+        ]);
+
+        if ($this->hasEventHandlers(self::EVENT_BEFORE_SEARCH)) {
+            $this->trigger(self::EVENT_BEFORE_SEARCH, $event);
+        }
+
+        if ($event->skipDefaultSearch) {
+            return $emptyResult;
+        }
+
+        $searchQuery = is_string($event->query) ? trim($event->query) : '';
+        $options = $event->params;
+        $facets = $options['facets'] ?? [];
+
         try {
             $connection = SearchWithElastic::getConnection();
+            $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId);
 
-            // Determine if parameter is index name or site ID
-            if (is_string($indexOrSiteId)) {
-                // Direct index name provided
-                $indexName = $indexOrSiteId;
-                $siteId = null; // Cannot determine site ID from index name
-            } elseif (is_int($indexOrSiteId)) {
-                // Site ID provided
-                $siteId = $indexOrSiteId;
-                $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId);
+            if (!$connection->createCommand()->indexExists($indexName)) {
+                Craft::warning("Search index '$indexName' does not exist for site $siteId", __METHOD__);
+                return $emptyResult;
+            }
+
+            $templateService = SearchWithElastic::getInstance()->searchTemplates;
+            $templateService->initializeTemplates();
+            $queryBuilder = new ElasticsearchQueryBuilder();
+
+            // Range facets are stats aggregations, which give the bounds for range sliders
+            $aggregationFacets = [];
+            foreach ($facets as $name => $facet) {
+                $aggregationFacets[$name] = array_merge($facet, [
+                    'type' => ($facet['type'] ?? 'terms') === 'range' ? 'stats' : 'terms',
+                ]);
+            }
+
+            $params = array_merge(
+                $queryBuilder->buildAggregationTemplateParams($aggregationFacets),
+                $queryBuilder->buildFilterTemplateParams($options['filters'] ?? [])
+            );
+
+            $params['ranges'] = [];
+            foreach ($options['ranges'] ?? [] as $field => $range) {
+                $params['ranges'][] = $queryBuilder->buildRangeTemplateParams($field, $range['min'] ?? null, $range['max'] ?? null);
+            }
+
+            if ($searchQuery !== '') {
+                $params = array_merge($params, $templateService->buildTemplateParameters(
+                    $searchQuery,
+                    $options['fields'] ?? ['title', 'content'],
+                    ['fuzzy' => $options['fuzzy'] ?? true]
+                ));
+            }
+
+            if (!empty($facets)) {
+                $templateId = SearchTemplates::TEMPLATE_AGGREGATION_SEARCH;
+            } elseif (!empty($params['filters']) || !empty($params['ranges'])) {
+                $templateId = SearchTemplates::TEMPLATE_FILTERED_SEARCH;
             } else {
-                throw new \InvalidArgumentException('Index name (string) or site ID (integer) is required');
+                $templateId = SearchTemplates::TEMPLATE_BASIC_SEARCH;
             }
 
-            // Check if our specific index exists
-            $indexExists = $connection->createCommand()->indexExists($indexName);
+            Craft::info("Faceted search on index '$indexName' with template '$templateId' and query: " . $searchQuery, __METHOD__);
 
+            $response = $templateService->executeTemplateSearch($templateId, $params, $indexName, [
+                'size' => $options['size'] ?? 20,
+                'from' => $options['from'] ?? 0,
+                'applyQueryOptions' => true,
+            ]);
+
+            $total = $response['hits']['total'] ?? 0;
             $result = [
-                'exists' => $indexExists,
-                'indexName' => $indexName,
-                'documentCount' => 0
+                'hits' => $response['hits']['hits'] ?? [],
+                'total' => (int)(is_array($total) ? ($total['value'] ?? 0) : $total),
+                'facets' => [],
             ];
 
-            // Only include siteId in result if it was provided/determinable
-            if ($siteId !== null) {
-                $result['siteId'] = $siteId;
-            }
-
-            // If index exists, try to get document count and additional stats
-            if ($indexExists) {
-                try {
-                    $countResponse = $connection->get([$indexName, '_count']);
-                    $result['documentCount'] = isset($countResponse['count']) ? (int)$countResponse['count'] : 0;
+            foreach ($facets as $name => $facet) {
+                $aggregation = $response['aggregations'][$name] ?? null;
+                if ($aggregation === null) {
+                    continue;
+                }
 
-                    // Get index settings for additional info
-                    try {
-                        $settingsResponse = $connection->get([$indexName, '_settings']);
-                        if (isset($settingsResponse[$indexName]['settings']['index'])) {
-                            $indexSettings = $settingsResponse[$indexName]['settings']['index'];
-                            $result['settings'] = [
-                                'numberOfShards' => $indexSettings['number_of_shards'] ?? null,
-                                'numberOfReplicas' => $indexSettings['number_of_replicas'] ?? null,
-                                'creationDate' => isset($indexSettings['creation_date'])
-                                    ? date('Y-m-d H:i:s', $indexSettings['creation_date'] / 1000)
-                                    : null
-                            ];
-                        }
-                    } catch (Exception $e) {
-                        $result['settingsError'] = $e->getMessage();
-                    }
-                } catch (Exception $e) {
-                    $result['countError'] = $e->getMessage();
+                if (($facet['type'] ?? 'terms') === 'range') {
+                    $result['facets'][$name] = [
+                        'field' => $facet['field'],
+                        'type' => 'range',
+                        'min' => $aggregation['min'] ?? null,
+                        'max' => $aggregation['max'] ?? null,
+                    ];
+                } else {
+                    $result['facets'][$name] = [
+                        'field' => $facet['field'],
+                        'type' => 'terms',
+                        'buckets' => array_map(static fn(array $bucket) => [
+                            'value' => $bucket['key_as_string'] ?? $bucket['key'],
+                            'count' => $bucket['doc_count'],
+                        ], $aggregation['buckets'] ?? []),
+                    ];
                 }
             }
 
+            // Fire an 'afterSearch' event
+            if ($this->hasEventHandlers(self::EVENT_AFTER_SEARCH)) {
+                $event->params['results'] = $result;
+                $this->trigger(self::EVENT_AFTER_SEARCH, $event);
+            }
+
             return $result;
         } catch (Exception $e) {
-            Craft::error('Failed to get index info: ' . $e->getMessage(), __METHOD__);
-            return [
-                'exists' => false,
-                'error' => $e->getMessage(),
-                'indexName' => $indexName ?? null,
-                'siteId' => $siteId ?? null
-            ];
+            Craft::error('Elasticsearch faceted search error: ' . $e->getMessage(), __METHOD__);
+            return $emptyResult;
         }
     }
 
     /**
-     * Get statistics for all Craft-related indexes
+     * Federated search across several sites and element type indexes
      *
-     * @return array Array of index statistics for all Craft indexes
+     * Searches every index the given sites and element types are stored in with a
+     * single `_msearch` request. Scores aren't comparable between indexes, so each
+     * hit's score is divided by the best score of its index before the hits are
+     * merged, and each hit is tagged with the site and element type it came from.
+     *
+     * @param string|null $query The search query (null or empty to list everything)
+     * @param array<string, mixed> $options Search options: fields, fuzzy, size (default 20), from, plus
+     *        `siteIds` (default the current site) and `elementTypes` (class names or reference handles,
+     *        default every type in the sites' indexes)
+     * @return array{hits: array, total: int, sources: array} Merged hits, total hit count and each index searched
+     *         with its site, element types, hit count, best score and error, if any
+     * @throws SiteNotFoundException
+     * @since 4.2.0
      */
-    public function getAllIndexStats(): array
+    public function federatedSearch(?string $query = null, array $options = []): array
     {
-        try {
-            $connection = SearchWithElastic::getConnection();
-            $allIndexes = $this->getAllCraftIndexes($connection);
+        $siteIds = array_map('intval', (array)($options['siteIds'] ?? [Craft::$app->getSites()->getCurrentSite()->id]));
+        $emptyResult = ['hits' => [], 'total' => 0, 'sources' => []];
+
+        // Fire a 'beforeSearch' event; only a single-site search has a site ID
+        $event = new SearchEvent([
+            'query' => $query,
+            'params' => $options,
+            'siteId' => count($siteIds) === 1 ? reset($siteIds) : null,
+        ]);
+
+        if ($this->hasEventHandlers(self::EVENT_BEFORE_SEARCH)) {
+            $this->trigger(self::EVENT_BEFORE_SEARCH, $event);
+        }
+
+        if ($event->skipDefaultSearch) {
+            return $emptyResult;
+        }
+
+        $searchQuery = is_string($event->query) ? trim($event->query) : '';
+        $options = $event->params;
+        $fields = $options['fields'] ?? ['title', 'content'];
+        $size = (int)($options['size'] ?? 20);
+        $from = (int)($options['from'] ?? 0);
+
+        try {
+            $sources = $this->getFederatedSources($siteIds, (array)($options['elementTypes'] ?? []));
+            if (empty($sources)) {
+                return $emptyResult;
+            }
+
+            $templateService = SearchWithElastic::getInstance()->searchTemplates;
+            $templateService->initializeTemplates();
+
+            $params = $searchQuery !== ''
+                ? $templateService->buildTemplateParameters($searchQuery, $fields, ['fuzzy' => $options['fuzzy'] ?? true])
+                : [];
+
+            $searchOptions = [
+                // Every index returns enough hits to fill the requested page once merged
+                'size' => $from + $size,
+                'from' => 0,
+                'applyQueryOptions' => true,
+            ];
+
+            $settings = SearchWithElastic::getInstance()->getSettings();
+            if (!empty($settings->highlight['pre_tags']) || !empty($settings->highlight['post_tags'])) {
+                $searchOptions['highlight'] = [
+                    'pre_tags' => [$settings->highlight['pre_tags']],
+                    'post_tags' => [$settings->highlight['post_tags']],
+                    'fields' => array_fill_keys($fields, new \stdClass()),
+                ];
+            }
+
+            $requests = [];
+            foreach ($sources as $source) {
+                $request = $templateService->renderTemplateSearch(SearchTemplates::TEMPLATE_BASIC_SEARCH, $params, $source['index'], $searchOptions);
+
+                // Element types are filtered on the rendered query, as template parameters can't hold class names
+                if (!empty($source['elementTypes'])) {
+                    $request['body']['query'] = [
+                        'bool' => [
+                            'must' => [$request['body']['query']],
+                            'filter' => [['terms' => ['elementType' => $source['elementTypes']]]],
+                        ],
+                    ];
+                }
+
+                $requests[] = $request;
+            }
+
+            Craft::info('Federated search on indexes ' . implode(', ', array_column($sources, 'index')) . ' with query: ' . $searchQuery, __METHOD__);
+
+            $responses = ElasticsearchDirectService::msearch($requests);
+            if (empty($responses)) {
+                throw new SearchException('The multi search request failed');
+            }
+
+            $hits = [];
+            $total = 0;
+            foreach ($sources as $i => &$source) {
+                $response = $responses[$i] ?? [];
+                $sourceTotal = $response['hits']['total'] ?? 0;
+                $source['total'] = (int)(is_array($sourceTotal) ? ($sourceTotal['value'] ?? 0) : $sourceTotal);
+                $source['maxScore'] = $response['hits']['max_score'] ?? null;
+                $source['error'] = isset($response['error']) ? ($response['error']['reason'] ?? json_encode($response['error'])) : null;
+
+                if ($source['error'] !== null) {
+                    Craft::warning("Federated search on index '{$source['index']}' failed: {$source['error']}", __METHOD__);
+                }
+
+                $total += $source['total'];
+
+                foreach ($response['hits']['hits'] ?? [] as $rank => $hit) {
+                    $hit['highlight'] = $hit['highlight'] ?? [];
+                    $hit['_siteId'] = $hit['_source']['siteId'] ?? $source['siteId'];
+                    $hit['_elementType'] = $hit['_source']['elementType'] ?? null;
+                    $hit['_sourceIndex'] = $source['index'];
+                    $hit['_normalizedScore'] = $source['maxScore'] ? ($hit['_score'] ?? 0) / $source['maxScore'] : 0;
+                    $hits[] = ['hit' => $hit, 'rank' => $rank, 'source' => $i];
+                }
+            }
+            unset($source);
+
+            // Best normalized score first, then the order within each index, then the order of the indexes
+            usort($hits, static fn(array $a, array $b) => [$b['hit']['_normalizedScore'], $a['rank'], $a['source']]
+                <=> [$a['hit']['_normalizedScore'], $b['rank'], $b['source']]);
+
+            $result = [
+                'hits' => array_column(array_slice($hits, $from, $size), 'hit'),
+                'total' => $total,
+                'sources' => $sources,
+            ];
+
+            // Fire an 'afterSearch' event
+            if ($this->hasEventHandlers(self::EVENT_AFTER_SEARCH)) {
+                $event->params['results'] = $result;
+                $this->trigger(self::EVENT_AFTER_SEARCH, $event);
+            }
+
+            return $result;
+        } catch (Exception $e) {
+            Craft::error('Elasticsearch federated search error: ' . $e->getMessage(), __METHOD__);
+            return $emptyResult;
+        }
+    }
+
+    /**
+     * Run a search template with explanations for the search playground
+     *
+     * Builds the template parameters the same way as the template search path, but
+     * with the fields, boosts and fuzziness given, and returns the rendered request
+     * along with each hit's score, highlights and Elasticsearch `explain` output.
+     * Search events aren't fired, so playground searches don't affect event handlers.
+     *
+     * @param string $query The search query
+     * @param array<string, mixed> $options Options: siteId, templateId, fields, boosts (field => boost), fuzzy, size (default 10)
+     * @return array{request: array, total: int, took: int|null, hits: array} The rendered request and the ranked hits
+     * @throws SearchException if the index doesn't exist or the search fails
+     * @throws SiteNotFoundException
+     * @since 4.2.0
+     */
+    public function explainSearch(string $query, array $options = []): array
+    {
+        $siteId = $options['siteId'] ?? Craft::$app->getSites()->getCurrentSite()->id;
+        $templateId = $options['templateId'] ?? SearchTemplates::TEMPLATE_BOOSTED_SEARCH;
+        $fields = $options['fields'] ?? ['title', 'content'];
+        $queryBuilder = new ElasticsearchQueryBuilder();
+
+        $connection = SearchWithElastic::getConnection();
+        $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId);
+
+        if (!$connection->createCommand()->indexExists($indexName)) {
+            throw new SearchException("Search index '$indexName' does not exist for site $siteId");
+        }
+
+        $templateService = SearchWithElastic::getInstance()->searchTemplates;
+        $templateService->initializeTemplates();
+
+        $fuzzy = (bool)($options['fuzzy'] ?? false);
+        $params = $templateService->buildTemplateParameters($query, $fields, [
+            'fuzzy' => $fuzzy,
+            'fuzziness' => 'AUTO',
+            'boosts' => $options['boosts'] ?? $queryBuilder->getFieldBoosts($fields),
+        ]);
+
+        $searchOptions = [
+            'size' => $options['size'] ?? 10,
+            'from' => 0,
+            'explain' => true,
+            'boostFields' => true,
+            'applyQueryOptions' => true,
+            'highlight' => [
+                'pre_tags' => ['<mark>'],
+                'post_tags' => ['</mark>'],
+                'fields' => array_fill_keys($fields, new \stdClass()),
+            ],
+        ];
+
+        try {
+            $request = $templateService->renderTemplateSearch($templateId, $params, $indexName, $searchOptions);
+            $response = $queryBuilder->executeTemplateSearch($indexName, $templateId, $params, $searchOptions);
+        } catch (Exception $e) {
+            Craft::error('Search playground error: ' . $e->getMessage(), __METHOD__);
+            throw new SearchException($e->getMessage(), 0, $e);
+        }
+
+        $hits = [];
+        foreach ($response['hits']['hits'] ?? [] as $hit) {
+            $source = $hit['_source'] ?? [];
+            $hits[] = [
+                'id' => $hit['_id'] ?? null,
+                'score' => $hit['_score'] ?? null,
+                'elementId' => $source['elementId'] ?? null,
+                'elementType' => $source['elementType'] ?? null,
+                'title' => $source['title'] ?? null,
+                'url' => $source['url'] ?? null,
+                'highlight' => array_filter($hit['highlight'] ?? []),
+                'explanation' => $hit['_explanation'] ?? null,
+            ];
+        }
+
+        $total = $response['hits']['total'] ?? 0;
+
+        return [
+            'request' => $request,
+            'total' => (int)(is_array($total) ? ($total['value'] ?? 0) : $total),
+            'took' => $response['took'] ?? null,
+            'hits' => $hits,
+        ];
+    }
+
+    /**
+     * Get autocomplete suggestions for a partial query
+     *
+     * Matches the query as a prefix against the `suggest` field, which holds each
+     * element's title and the values of the `suggestFields` setting. Indexes created
+     * before the field was added need a Reset & Index before they return suggestions.
+     *
+     * @param string $query The partial query
+     * @param array<string, mixed> $options Options: siteId, size (default 8)
+     * @return array List of suggestions, each with text, elementId, elementType and url
+     * @throws SiteNotFoundException
+     * @since 4.2.0
+     */
+    public function suggest(string $query, array $options = []): array
+    {
+        $query = trim(mb_substr($query, 0, 100));
+        if ($query === '') {
+            return [];
+        }
+
+        $siteId = $options['siteId'] ?? Craft::$app->getSites()->getCurrentSite()->id;
+        $size = $options['size'] ?? 8;
+
+        try {
+            $connection = SearchWithElastic::getConnection();
+            $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId);
+
+            if (!$connection->createCommand()->indexExists($indexName)) {
+                Craft::warning("Search index '$indexName' does not exist for site $siteId", __METHOD__);
+                return [];
+            }
+
+            $body = [
+                'size' => $size,
+                '_source' => ['elementId', 'elementType', 'title', 'url', 'suggest'],
+                'query' => [
+                    'multi_match' => [
+                        'query' => $query,
+                        'type' => 'bool_prefix',
+                        'fields' => ['suggest', 'suggest._2gram', 'suggest._3gram'],
+                    ],
+                ],
+            ];
+            $response = $connection->post([$indexName, '_search'], [], json_encode($body, JSON_THROW_ON_ERROR));
+        } catch (Exception $e) {
+            Craft::error('Elasticsearch suggest error: ' . $e->getMessage(), __METHOD__);
+            return [];
+        }
+
+        // Words of the query, the last of which may be incomplete
+        $words = preg_split('/\s+/u', mb_strtolower($query));
+        $suggestions = [];
+
+        foreach ($response['hits']['hits'] ?? [] as $hit) {
+            $source = $hit['_source'] ?? [];
+            $values = (array)($source['suggest'] ?? []);
+            $text = $source['title'] ?? '';
+
+            // Suggest the value that matched, which is the title unless a suggestField matched instead
+            foreach ($values as $value) {
+                $lower = mb_strtolower((string)$value);
+                $matches = array_filter($words, static fn(string $word) => mb_strpos($lower, $word) !== false);
+                if (count($matches) === count($words)) {
+                    $text = (string)$value;
+                    break;
+                }
+            }
+
+            if ($text === '') {
+                continue;
+            }
+
+            $suggestions[] = [
+                'text' => $text,
+                'elementId' => $source['elementId'] ?? null,
+                'elementType' => $source['elementType'] ?? null,
+                'url' => $source['url'] ?? null,
+            ];
+        }
+
+        return $suggestions;
+    }
+
+    /**
+     * Get basic index information for debugging
+     *
+     * @param int|string $indexOrSiteId Index name (string) or site ID (integer) - required
+     * @return array Index information including existence and document count
+     */
+    public function getIndexStats(int|string $indexOrSiteId): array
+    {
+        try {
+            $connection = SearchWithElastic::getConnection();
+
+            // Determine if parameter is index name or site ID
+            if (is_string($indexOrSiteId)) {
+                // Direct index name provided
+                $indexName = $indexOrSiteId;
+                $siteId = null; // Cannot determine site ID from index name
+            } elseif (is_int($indexOrSiteId)) {
+                // Site ID provided
+                $siteId = $indexOrSiteId;
+                $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($siteId);
+            } else {
+                throw new \InvalidArgumentException('Index name (string) or site ID (integer) is required');
+            }
+
+            // Check if our specific index exists
+            $indexExists = $connection->createCommand()->indexExists($indexName);
+
+            $result = [
+                'exists' => $indexExists,
+                'indexName' => $indexName,
+                'documentCount' => 0
+            ];
+
+            // Only include siteId in result if it was provided/determinable
+            if ($siteId !== null) {
+                $result['siteId'] = $siteId;
+            }
+
+            // If index exists, try to get document count and additional stats
+            if ($indexExists) {
+                try {
+                    $countResponse = $connection->get([$indexName, '_count']);
+                    $result['documentCount'] = isset($countResponse['count']) ? (int)$countResponse['count'] : 0;
+
+                    // Get index settings for additional info
+                    try {
+                        $settingsResponse = $connection->get([$indexName, '_settings']);
+                        // Settings are keyed by the index behind the alias
+                        $settingsResponse = $settingsResponse[$indexName] ?? (is_array($settingsResponse) ? reset($settingsResponse) : null);
+                        if (isset($settingsResponse['settings']['index'])) {
+                            $indexSettings = $settingsResponse['settings']['index'];
+                            $result['settings'] = [
+                                'numberOfShards' => $indexSettings['number_of_shards'] ?? null,
+                                'numberOfReplicas' => $indexSettings['number_of_replicas'] ?? null,
+                                'creationDate' => isset($indexSettings['creation_date'])
+                                    ? date('Y-m-d H:i:s', $indexSettings['creation_date'] / 1000)
+                                    : null
+                            ];
+                        }
+                    } catch (Exception $e) {
+                        $result['settingsError'] = $e->getMessage();
+                    }
+                } catch (Exception $e) {
+                    $result['countError'] = $e->getMessage();
+                }
+            }
+
+            return $result;
+        } catch (Exception $e) {
+            Craft::error('Failed to get index info: ' . $e->getMessage(), __METHOD__);
+            return [
+                'exists' => false,
+                'error' => $e->getMessage(),
+                'indexName' => $indexName ?? null,
+                'siteId' => $siteId ?? null
+            ];
+        }
+    }
+
+    /**
+     * Get statistics for all Craft-related indexes
+     *
+     * @return array Array of index statistics for all Craft indexes
+     */
+    public function getAllIndexStats(): array
+    {
+        try {
+            $connection = SearchWithElastic::getConnection();
+            $allIndexes = $this->getAllCraftIndexes($connection);
 
             $result = [
                 'totalIndexes' => count($allIndexes),
@@ -813,6 +1572,201 @@ class ElasticsearchService extends Component
     public function getIndexableElementModels(array $siteIds = null, array $elementTypes = [], string $reindexMode = 'reset'): array
     {
         $models = [];
+
+        foreach ($this->getIndexableElementQueries($siteIds, $elementTypes) as [$site, , $query]) {
+            foreach ($query->all() as $element) {
+                if ($this->shouldIncludeElement($element, $reindexMode)) {
+                    $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($element, $site->id);
+                }
+            }
+        }
+
+        return $models;
+    }
+
+    /**
+     * Preview what a reindex would do without changing anything
+     *
+     * Uses the same site and element type filtering as [[getIndexableElementModels()]]
+     * and counts, per site and element type, how many elements would be created,
+     * updated or skipped. Statuses are looked up in bulk with [[getIndexStatusElementIds()]].
+     *
+     * A reset doesn't delete anything up front: it rebuilds each of the site's indexes
+     * into a new versioned index and swaps the alias once it's filled, keeping the old
+     * version for rollback. Its `delete` count is the documents that won't be carried
+     * over because their element is no longer indexable.
+     *
+     * @param array|null $siteIds Site IDs to include, or null for all sites
+     * @param array $elementTypes Element types to include
+     * @param string $reindexMode Reindex mode: 'reset', 'all', 'missing', 'updated', 'missing-updated'
+     * @return array Counts keyed by site ID, plus totals and the indexes a reset would rebuild,
+     *               each with its `alias` and the `current` index behind it
+     * @throws Exception
+     * @since 4.2.0
+     */
+    public function getReindexPreview(array $siteIds = null, array $elementTypes = [], string $reindexMode = 'reset'): array
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $emptyCounts = ['create' => 0, 'update' => 0, 'skip' => 0, 'delete' => 0];
+        $preview = [
+            'mode' => $reindexMode,
+            'sites' => [],
+            'totals' => $emptyCounts,
+            'indexesToRebuild' => [],
+        ];
+
+        foreach ($this->getIndexableElementQueries($siteIds, $elementTypes) as [$site, $typeName, $query]) {
+            if (!isset($preview['sites'][$site->id])) {
+                $preview['sites'][$site->id] = [
+                    'siteId' => $site->id,
+                    'siteName' => $site->name,
+                    'totals' => $emptyCounts,
+                    'types' => [],
+                ];
+
+                // A reset rebuilds all of the site's indexes, including element types that aren't selected
+                if ($reindexMode === 'reset') {
+                    foreach ($indexManagement->getAllIndexNames($site->id) as $alias) {
+                        $preview['indexesToRebuild'][] = [
+                            'alias' => $alias,
+                            'current' => $indexManagement->getLiveIndexName($alias),
+                        ];
+                    }
+                }
+            }
+
+            $counts = $emptyCounts;
+            $elementClass = $query::elementType();
+            $statuses = $this->getIndexStatusElementIds($site->id, $elementClass);
+            $statuses = [
+                'indexed' => array_flip($statuses['indexed']),
+                'outdated' => array_flip($statuses['outdated']),
+            ];
+            $indexedElements = 0;
+
+            foreach ($query->ids() as $elementId) {
+                $counts[$this->getReindexAction((int)$elementId, $statuses, $reindexMode)]++;
+
+                if (isset($statuses['indexed'][$elementId]) || isset($statuses['outdated'][$elementId])) {
+                    $indexedElements++;
+                }
+            }
+
+            if ($reindexMode === 'reset') {
+                $documentCount = $this->countIndexedDocuments(
+                    $indexManagement->getIndexName($site->id, $elementClass),
+                    $site->id,
+                    $elementClass
+                );
+                $counts['delete'] = max(0, $documentCount - $indexedElements);
+            }
+
+            $preview['sites'][$site->id]['types'][$typeName] = $counts;
+
+            foreach ($counts as $action => $count) {
+                $preview['sites'][$site->id]['totals'][$action] += $count;
+                $preview['totals'][$action] += $count;
+            }
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Get the health of every index the plugin writes to
+     *
+     * Covers each index from [[IndexManagementService::getAllIndexNames()]] for every
+     * site, comparing its documents with the indexable Craft elements that map to it.
+     * Statuses are looked up in bulk with [[getIndexStatusElementIds()]], and only the
+     * elements whose document has no content are loaded to tell partial indexes apart.
+     *
+     * @return array The indexes, each with the index behind its alias, its document and
+     *               Craft counts, store size, health, when its documents were last
+     *               indexed and missing, outdated and partial counts
+     * @throws Exception
+     * @since 4.2.0
+     */
+    public function getIndexHealth(): array
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $catIndexes = $this->getCatIndexes();
+        $indexes = [];
+
+        foreach (Craft::$app->sites->getAllSites() as $site) {
+            foreach ($indexManagement->getAllIndexNames($site->id) as $indexName) {
+                $liveIndexName = $indexManagement->getLiveIndexName($indexName);
+                $cat = $liveIndexName !== null ? ($catIndexes[$liveIndexName] ?? null) : null;
+
+                $indexes[$indexName] = [
+                    'indexName' => $indexName,
+                    'liveIndex' => $liveIndexName,
+                    'siteId' => $site->id,
+                    'siteName' => $site->name,
+                    'elementTypes' => [],
+                    'exists' => $cat !== null,
+                    'health' => $cat['health'] ?? null,
+                    'status' => $cat['status'] ?? null,
+                    'size' => $cat['store.size'] ?? null,
+                    'documentCount' => (int)($cat['docs.count'] ?? 0),
+                    'craftCount' => 0,
+                    'missing' => 0,
+                    'outdated' => 0,
+                    'partial' => 0,
+                    'lastIndexed' => $cat !== null ? $this->getLastIndexedDate($indexName) : null,
+                ];
+            }
+        }
+
+        foreach ($this->getIndexableElementQueries(null, []) as [$site, $typeName, $query]) {
+            $indexName = $indexManagement->getIndexName($site->id, $query::elementType());
+            if (!isset($indexes[$indexName])) {
+                continue;
+            }
+
+            $indexes[$indexName]['elementTypes'][] = $typeName;
+
+            $statuses = $this->getIndexStatusElementIds($site->id, $query::elementType());
+            $indexed = array_flip($statuses['indexed']);
+            $outdated = array_flip($statuses['outdated']);
+            $indexedIds = [];
+
+            foreach ($query->ids() as $elementId) {
+                $indexes[$indexName]['craftCount']++;
+
+                if (isset($outdated[$elementId])) {
+                    $indexes[$indexName]['outdated']++;
+                } elseif (!isset($indexed[$elementId])) {
+                    $indexes[$indexName]['missing']++;
+                } else {
+                    $indexedIds[] = (int)$elementId;
+                }
+            }
+
+            $partialIds = $this->getElementIdsWithoutContent($indexName, $site->id, $query::elementType(), $indexedIds);
+            if (!empty($partialIds)) {
+                foreach ($query->clone()->id($partialIds)->all() as $element) {
+                    if ($this->shouldHaveFrontendContent($element)) {
+                        $indexes[$indexName]['partial']++;
+                    }
+                }
+            }
+        }
+
+        return [
+            'indexes' => array_values($indexes),
+            'checkedAt' => (new DateTime())->format(DATE_ATOM),
+        ];
+    }
+
+    /**
+     * Get the queries for the indexable elements of each selected site and element type
+     *
+     * @param array|null $siteIds Site IDs to include, or null for all sites
+     * @param array $elementTypes Element types to include, keyed by site ID
+     * @return array List of `[Site, element type name, IndexableElementQuery]` tuples
+     */
+    private function getIndexableElementQueries(?array $siteIds, array $elementTypes): array
+    {
         if ($siteIds) {
             $sites = [];
             foreach ($siteIds as $siteId) {
@@ -825,6 +1779,9 @@ class ElasticsearchService extends Component
             $sites = Craft::$app->sites->getAllSites();
         }
 
+        $queries = [];
+        $queryService = SearchWithElastic::getInstance()->queries;
+
         foreach ($sites as $site) {
             $siteElementTypes = $this->getElementTypesForSite($site->id, $elementTypes);
 
@@ -855,56 +1812,234 @@ class ElasticsearchService extends Component
 
             // Get entries if requested
             if ($shouldProcessType('entries')) {
-                $entryQuery = SearchWithElastic::getInstance()->queries->getIndexableEntryQuery($site->id);
-                foreach ($entryQuery->all() as $entry) {
-                    if ($this->shouldIncludeElement($entry, $reindexMode)) {
-                        $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($entry, $site->id);
-                    }
-                }
+                $queries[] = [$site, 'entries', $queryService->getIndexableEntryQuery($site->id)];
             }
 
             // Get assets if requested
             if ($shouldProcessType('assets')) {
-                $assetQuery = SearchWithElastic::getInstance()->queries->getIndexableAssetQuery($site->id);
-                foreach ($assetQuery->all() as $asset) {
-                    if ($this->shouldIncludeElement($asset, $reindexMode)) {
-                        $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($asset, $site->id);
-                    }
-                }
+                $queries[] = [$site, 'assets', $queryService->getIndexableAssetQuery($site->id)];
             }
 
             // Get categories if requested
             if ($shouldProcessType('categories')) {
-                $categoryQuery = SearchWithElastic::getInstance()->queries->getIndexableCategoryQuery($site->id);
-                foreach ($categoryQuery->all() as $category) {
-                    if ($this->shouldIncludeElement($category, $reindexMode)) {
-                        $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($category, $site->id);
-                    }
-                }
+                $queries[] = [$site, 'categories', $queryService->getIndexableCategoryQuery($site->id)];
             }
 
             // Get commerce products if available and requested
             if ($shouldProcessType('products') && Craft::$app->plugins->isPluginInstalled('commerce')) {
-                $productQuery = SearchWithElastic::getInstance()->queries->getIndexableProductQuery($site->id);
-                foreach ($productQuery->all() as $product) {
-                    if ($this->shouldIncludeElement($product, $reindexMode)) {
-                        $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($product, $site->id);
-                    }
-                }
+                $queries[] = [$site, 'products', $queryService->getIndexableProductQuery($site->id)];
             }
 
             // Get digital products if available and requested
             if ($shouldProcessType('digitalProducts') && Craft::$app->plugins->isPluginInstalled('digital-products')) {
-                $digitalProductQuery = SearchWithElastic::getInstance()->queries->getIndexableDigitalProductQuery($site->id);
-                foreach ($digitalProductQuery->all() as $digitalProduct) {
-                    if ($this->shouldIncludeElement($digitalProduct, $reindexMode)) {
-                        $models[] = SearchWithElastic::getInstance()->models->createIndexableElementModel($digitalProduct, $site->id);
-                    }
+                $queries[] = [$site, 'digitalProducts', $queryService->getIndexableDigitalProductQuery($site->id)];
+            }
+        }
+
+        return $queries;
+    }
+
+    /**
+     * Get the indexes a federated search covers
+     *
+     * Without element types, every index of each site is searched as a whole.
+     * Otherwise the element types are grouped by the index they are stored in,
+     * so each index is searched once for all of its types.
+     *
+     * @param int[] $siteIds The site IDs to search
+     * @param string[] $elementTypes Element class names or reference handles
+     * @return array List of sources, each with index, siteId and elementTypes
+     */
+    private function getFederatedSources(array $siteIds, array $elementTypes): array
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+
+        $classNames = [];
+        foreach ($elementTypes as $elementType) {
+            $className = is_subclass_of($elementType, ElementInterface::class)
+                ? $elementType
+                : Craft::$app->getElements()->getElementTypeByRefHandle($elementType);
+
+            if ($className === null) {
+                Craft::warning("Unknown element type '$elementType' in federated search", __METHOD__);
+                continue;
+            }
+
+            $classNames[] = $className;
+        }
+
+        // Asked for element types, none of which exist
+        if (!empty($elementTypes) && empty($classNames)) {
+            return [];
+        }
+
+        $sources = [];
+        foreach (array_unique($siteIds) as $siteId) {
+            if (Craft::$app->getSites()->getSiteById($siteId) === null) {
+                Craft::warning("Unknown site $siteId in federated search", __METHOD__);
+                continue;
+            }
+
+            if (empty($classNames)) {
+                foreach ($indexManagement->getAllIndexNames($siteId) as $indexName) {
+                    $sources[$indexName] = ['index' => $indexName, 'siteId' => $siteId, 'elementTypes' => []];
                 }
+                continue;
+            }
+
+            foreach (array_unique($classNames) as $className) {
+                $indexName = $indexManagement->getIndexName($siteId, $className);
+                $sources[$indexName] ??= ['index' => $indexName, 'siteId' => $siteId, 'elementTypes' => []];
+                $sources[$indexName]['elementTypes'][] = $className;
             }
         }
 
-        return $models;
+        return array_values($sources);
+    }
+
+    /**
+     * Count the documents of an element type in an index
+     *
+     * @param string $indexName The index to count documents in
+     * @param int $siteId The site ID
+     * @param string $elementType The element class name
+     * @return int The number of documents, or 0 if the index doesn't exist
+     */
+    private function countIndexedDocuments(string $indexName, int $siteId, string $elementType): int
+    {
+        try {
+            $connection = SearchWithElastic::getConnection();
+            if (!$connection->createCommand()->indexExists($indexName)) {
+                return 0;
+            }
+
+            $body = [
+                'query' => [
+                    'bool' => [
+                        'must' => [
+                            ['term' => ['siteId' => $siteId]],
+                            ['term' => ['elementType' => $elementType]],
+                        ],
+                    ],
+                ],
+            ];
+            $response = $connection->post([$indexName, '_count'], [], json_encode($body, JSON_THROW_ON_ERROR));
+
+            return isset($response['count']) ? (int)$response['count'] : 0;
+        } catch (Exception $e) {
+            Craft::warning("Failed to count documents in $indexName: " . $e->getMessage(), __METHOD__);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the `_cat/indices` entry of every index on the cluster
+     *
+     * @return array The entries keyed by index name
+     */
+    private function getCatIndexes(): array
+    {
+        $indexes = [];
+
+        try {
+            $response = SearchWithElastic::getConnection()->get(['_cat', 'indices'], ['format' => 'json']);
+            foreach ($response as $index) {
+                if (isset($index['index'])) {
+                    $indexes[$index['index']] = $index;
+                }
+            }
+        } catch (Exception $e) {
+            Craft::warning('Failed to list indexes: ' . $e->getMessage(), __METHOD__);
+        }
+
+        return $indexes;
+    }
+
+    /**
+     * Get when a document was last written to an index
+     *
+     * Read from the `indexedAt` date stored on each document. Documents indexed
+     * before it was added don't have one, so the date is null until they are reindexed.
+     *
+     * @param string $indexName The index to check
+     * @return string|null The date, or null if no document has an indexed date or the index can't be queried
+     */
+    private function getLastIndexedDate(string $indexName): ?string
+    {
+        try {
+            $body = [
+                'size' => 0,
+                'aggs' => [
+                    'lastIndexed' => ['max' => ['field' => 'indexedAt']],
+                ],
+            ];
+            $response = SearchWithElastic::getConnection()->post([$indexName, '_search'], [], json_encode($body, JSON_THROW_ON_ERROR));
+
+            return $response['aggregations']['lastIndexed']['value_as_string'] ?? null;
+        } catch (Exception $e) {
+            Craft::warning("Failed to get the last indexed date of $indexName: " . $e->getMessage(), __METHOD__);
+            return null;
+        }
+    }
+
+    /**
+     * Get the elements among the given ones whose indexed document has no content
+     *
+     * The bulk counterpart of the document check in [[isPartialIndex()]]. Documents
+     * are matched when their `content` field holds no terms, which covers empty strings.
+     *
+     * @param string $indexName The index to check
+     * @param int $siteId The site ID
+     * @param string $elementType The element class name
+     * @param int[] $elementIds The elements to consider
+     * @return int[] The element IDs
+     */
+    private function getElementIdsWithoutContent(string $indexName, int $siteId, string $elementType, array $elementIds): array
+    {
+        if (empty($elementIds) || !SearchWithElastic::getInstance()->getSettings()->enableFrontendFetching) {
+            return [];
+        }
+
+        $candidates = array_flip($elementIds);
+        $matches = [];
+
+        try {
+            $body = [
+                'size' => 1000,
+                '_source' => ['elementId'],
+                'query' => [
+                    'bool' => [
+                        'filter' => [
+                            ['term' => ['siteId' => $siteId]],
+                            ['term' => ['elementType' => $elementType]],
+                        ],
+                        'must_not' => [
+                            ['wildcard' => ['content' => ['value' => '*']]],
+                        ],
+                    ],
+                ],
+                'sort' => [['elementId' => 'asc']],
+            ];
+
+            // Page through the documents with search_after, which isn't limited by max_result_window
+            do {
+                $response = SearchWithElastic::getConnection()->post([$indexName, '_search'], [], json_encode($body, JSON_THROW_ON_ERROR));
+                $hits = $response['hits']['hits'] ?? [];
+
+                foreach ($hits as $hit) {
+                    $elementId = (int)($hit['_source']['elementId'] ?? 0);
+                    if (isset($candidates[$elementId])) {
+                        $matches[] = $elementId;
+                    }
+                }
+
+                $body['search_after'] = end($hits)['sort'] ?? null;
+            } while (count($hits) === $body['size'] && $body['search_after'] !== null);
+        } catch (Exception $e) {
+            Craft::warning("Failed to get the documents without content of $indexName: " . $e->getMessage(), __METHOD__);
+        }
+
+        return $matches;
     }
 
     /**
@@ -960,6 +2095,40 @@ class ElasticsearchService extends Component
         }
     }
 
+    /**
+     * Determine what a reindex would do with an element
+     *
+     * Follows the same rules as [[shouldIncludeElement()]], from a bulk status lookup.
+     *
+     * @param int $elementId The element ID
+     * @param array $statuses The indexed and outdated element IDs from [[getIndexStatusElementIds()]], as keys
+     * @param string $reindexMode The reindex mode
+     * @return string One of: 'create', 'update', 'skip'
+     */
+    private function getReindexAction(int $elementId, array $statuses, string $reindexMode): string
+    {
+        if ($reindexMode === 'reset') {
+            // The new index starts empty, so every element is indexed from scratch
+            return 'create';
+        }
+
+        $isOutdated = isset($statuses['outdated'][$elementId]);
+        $isIndexed = $isOutdated || isset($statuses['indexed'][$elementId]);
+
+        $include = match ($reindexMode) {
+            'missing' => !$isIndexed,
+            'updated' => $isOutdated,
+            'missing-updated' => !$isIndexed || $isOutdated,
+            default => true,
+        };
+
+        if (!$include) {
+            return 'skip';
+        }
+
+        return $isIndexed ? 'update' : 'create';
+    }
+
     /**
      * Build fields array with boost values for Elasticsearch multi_match query
      *
@@ -76,7 +76,129 @@ class ElementIndexerService extends Component
      */
     public function indexElement(Element $element): IndexingResult
     {
-        $connection = SearchWithElastic::getConnection();
+        $operation = $this->prepareIndexOperation($element);
+        if ($operation instanceof IndexingResult) {
+            return $operation;
+        }
+
+        try {
+            // Use potentially modified document data from event
+            $event = $operation['event'];
+            $connection = SearchWithElastic::getConnection();
+            foreach (SearchWithElastic::getInstance()->indexManagement->getWriteIndexNames($operation['indexName']) as $indexName) {
+                $connection->createCommand()->insert($indexName, '_doc', $event->documentData, $operation['documentId']);
+            }
+
+            return $this->completeIndexOperation($operation);
+        } catch (\Exception $e) {
+            return $this->createIndexingFailure($element, $e->getMessage(), $e);
+        }
+    }
+
+    /**
+     * Index several elements in Elasticsearch with a single bulk request
+     *
+     * Each element goes through the same checks and events as [[indexElement()]],
+     * but the documents are written with the `_bulk` API so large reindexes need
+     * far fewer round trips. A failure for one document doesn't affect the others.
+     *
+     * @param Element[] $elements The elements to index
+     * @return IndexingResult[] The indexing results, with the same keys as `$elements`
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    public function indexElements(array $elements): array
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $results = [];
+        $operations = [];
+        $positions = [];
+        $position = 0;
+        $body = '';
+
+        foreach ($elements as $key => $element) {
+            try {
+                $operation = $this->prepareIndexOperation($element);
+            } catch (\Exception $e) {
+                $results[$key] = $this->createIndexingFailure($element, $e->getMessage(), $e);
+                continue;
+            }
+
+            if ($operation instanceof IndexingResult) {
+                $results[$key] = $operation;
+                continue;
+            }
+
+            // A document that can't be encoded (e.g. invalid UTF-8) only fails its own element
+            try {
+                $document = json_encode($operation['event']->documentData, JSON_THROW_ON_ERROR);
+            } catch (\JsonException $e) {
+                $results[$key] = $this->createIndexingFailure($element, $e->getMessage(), $e);
+                continue;
+            }
+
+            $operations[$key] = $operation;
+
+            // During an index rebuild, each document also goes to the new index
+            foreach ($indexManagement->getWriteIndexNames($operation['indexName']) as $indexName) {
+                $positions[$key][] = $position++;
+                $body .= json_encode(['index' => ['_index' => $indexName, '_id' => $operation['documentId']]], JSON_THROW_ON_ERROR) . "\n";
+                $body .= $document . "\n";
+            }
+        }
+
+        if (!empty($operations)) {
+            try {
+                $response = SearchWithElastic::getConnection()->post(['_bulk'], [], $body);
+                $items = $response['items'] ?? [];
+            } catch (\Exception $e) {
+                foreach ($operations as $key => $operation) {
+                    $results[$key] = $this->createIndexingFailure($operation['element'], $e->getMessage(), $e);
+                }
+                $operations = [];
+                $items = [];
+            }
+
+            // Bulk response items come back in the same order as the operations were sent
+            foreach (array_keys($operations) as $key) {
+                $item = null;
+                foreach ($positions[$key] as $itemPosition) {
+                    $item = $items[$itemPosition]['index'] ?? null;
+                    if ($item === null || isset($item['error'])) {
+                        break;
+                    }
+                }
+
+                if ($item === null) {
+                    $results[$key] = $this->createIndexingFailure($operations[$key]['element'], 'No result returned by the bulk request');
+                } elseif (isset($item['error'])) {
+                    $error = is_array($item['error'])
+                        ? trim(($item['error']['type'] ?? '') . ': ' . ($item['error']['reason'] ?? ''), ': ')
+                        : (string)$item['error'];
+                    $results[$key] = $this->createIndexingFailure($operations[$key]['element'], $error);
+                } else {
+                    $results[$key] = $this->completeIndexOperation($operations[$key]);
+                }
+            }
+        }
+
+        // Keep the results in the same order as the elements
+        return array_replace(array_intersect_key($elements, $results), $results);
+    }
+
+    /**
+     * Check an element and prepare its document for indexing
+     *
+     * Fires the `beforeIndexElement` event. When the element is skipped, or an event
+     * handler takes over the indexing, the final result is returned instead.
+     *
+     * @param Element $element The element to index
+     * @return IndexingResult|array The final result, or the operation to send to Elasticsearch
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    protected function prepareIndexOperation(Element $element): IndexingResult|array
+    {
         $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($element->siteId, get_class($element));
 
         // Check if element should be indexed
@@ -100,9 +222,6 @@ class ElementIndexerService extends Component
         // Prepare document for indexing
         $result = $this->prepareElementDocument($element, $model);
         $document = $result['document'];
-        $frontendFetchAttempted = $result['frontendFetchAttempted'];
-        $frontendFetchSuccess = $result['frontendFetchSuccess'];
-        $frontendFetchDebugInfo = $result['frontendFetchDebugInfo'] ?? [];
 
         // Fire a 'beforeIndexElement' event
         $event = new IndexElementEvent([
@@ -123,71 +242,104 @@ class ElementIndexerService extends Component
             );
         }
 
-        try {
-            // Use potentially modified document data from event
-            $documentId = $element->id . '_' . $element->siteId;
-            $response = $connection->createCommand()->insert($indexName, '_doc', $event->documentData, $documentId);
+        return [
+            'element' => $element,
+            'event' => $event,
+            'indexName' => $indexName,
+            'documentId' => $element->id . '_' . $element->siteId,
+            'frontendFetchAttempted' => $result['frontendFetchAttempted'],
+            'frontendFetchSuccess' => $result['frontendFetchSuccess'],
+            'frontendFetchDebugInfo' => $result['frontendFetchDebugInfo'] ?? [],
+        ];
+    }
 
-            // Update local record
-            $this->updateElementRecord($element, $documentId);
+    /**
+     * Finish indexing an element once its document has been written
+     *
+     * Updates the local record, fires the `afterIndexElement` event and works out
+     * whether the element was fully or only partially indexed.
+     *
+     * @param array $operation The operation returned by [[prepareIndexOperation()]]
+     * @return IndexingResult The indexing result
+     * @since 4.2.0
+     */
+    protected function completeIndexOperation(array $operation): IndexingResult
+    {
+        $element = $operation['element'];
 
-            Craft::info("Indexed element $element->id in site $element->siteId", __METHOD__);
+        // Update local record
+        $this->updateElementRecord($element, $operation['documentId']);
 
-            // Fire an 'afterIndexElement' event
-            if ($this->hasEventHandlers(self::EVENT_AFTER_INDEX_ELEMENT)) {
-                $this->trigger(self::EVENT_AFTER_INDEX_ELEMENT, $event);
-            }
+        Craft::info("Indexed element $element->id in site $element->siteId", __METHOD__);
 
-            // Determine if this is a partial index
-            if ($frontendFetchAttempted && !$frontendFetchSuccess) {
-                $result = IndexingResult::partial(
-                    'Frontend content fetching failed',
-                    Craft::t('search-with-elastic', 'Element indexed with basic fields only - frontend content fetch failed')
-                );
-                $result->frontendFetchAttempted = true;
-                $result->frontendFetchSuccess = false;
-                $this->setFrontendFetchDebugInfo($result, $frontendFetchDebugInfo);
-                return $result;
-            }
+        // Fire an 'afterIndexElement' event
+        if ($this->hasEventHandlers(self::EVENT_AFTER_INDEX_ELEMENT)) {
+            $this->trigger(self::EVENT_AFTER_INDEX_ELEMENT, $operation['event']);
+        }
 
-            $result = IndexingResult::success(
-                Craft::t('search-with-elastic', 'Element successfully indexed')
+        // Determine if this is a partial index
+        if ($operation['frontendFetchAttempted'] && !$operation['frontendFetchSuccess']) {
+            $result = IndexingResult::partial(
+                'Frontend content fetching failed',
+                Craft::t('search-with-elastic', 'Element indexed with basic fields only - frontend content fetch failed')
             );
-            $result->frontendFetchAttempted = $frontendFetchAttempted;
-            $result->frontendFetchSuccess = $frontendFetchSuccess;
-            $this->setFrontendFetchDebugInfo($result, $frontendFetchDebugInfo);
+            $result->frontendFetchAttempted = true;
+            $result->frontendFetchSuccess = false;
+            $this->setFrontendFetchDebugInfo($result, $operation['frontendFetchDebugInfo']);
             return $result;
+        }
 
-        } catch (\Exception $e) {
-            // Log detailed error information
-            $errorDetails = [
-                'elementId' => $element->id,
-                'elementType' => get_class($element),
-                'siteId' => $element->siteId,
-                'title' => $element->title ?? 'No title',
-                'error' => $e->getMessage(),
-                'trace' => $e->getTraceAsString(),
-                'file' => $e->getFile(),
-                'line' => $e->getLine()
-            ];
-
-            Craft::error("Failed to index element $element->id: " . json_encode($errorDetails, JSON_PRETTY_PRINT), __METHOD__);
+        $result = IndexingResult::success(
+            Craft::t('search-with-elastic', 'Element successfully indexed')
+        );
+        $result->frontendFetchAttempted = $operation['frontendFetchAttempted'];
+        $result->frontendFetchSuccess = $operation['frontendFetchSuccess'];
+        $this->setFrontendFetchDebugInfo($result, $operation['frontendFetchDebugInfo']);
+        return $result;
+    }
 
-            // Include more context in the error message
-            $detailedError = sprintf(
-                "%s (Element: %s, Type: %s, Site: %s)",
-                $e->getMessage(),
-                $element->id,
-                basename(str_replace('\\', '/', get_class($element))),
-                $element->siteId
-            );
+    /**
+     * Log an indexing failure and create the failed result for it
+     *
+     * @param Element $element The element that failed to index
+     * @param string $error The error message
+     * @param \Throwable|null $exception The exception that caused the failure, if any
+     * @return IndexingResult The failed indexing result
+     * @since 4.2.0
+     */
+    protected function createIndexingFailure(Element $element, string $error, ?\Throwable $exception = null): IndexingResult
+    {
+        // Log detailed error information
+        $errorDetails = [
+            'elementId' => $element->id,
+            'elementType' => get_class($element),
+            'siteId' => $element->siteId,
+            'title' => $element->title ?? 'No title',
+            'error' => $error,
+        ];
 
-            return IndexingResult::failed(
-                'Indexing failed',
-                Craft::t('search-with-elastic', 'Failed to index element: {error}', ['error' => $detailedError]),
-                $detailedError
-            );
+        if ($exception !== null) {
+            $errorDetails['trace'] = $exception->getTraceAsString();
+            $errorDetails['file'] = $exception->getFile();
+            $errorDetails['line'] = $exception->getLine();
         }
+
+        Craft::error("Failed to index element $element->id: " . json_encode($errorDetails, JSON_PRETTY_PRINT), __METHOD__);
+
+        // Include more context in the error message
+        $detailedError = sprintf(
+            "%s (Element: %s, Type: %s, Site: %s)",
+            $error,
+            $element->id,
+            basename(str_replace('\\', '/', get_class($element))),
+            $element->siteId
+        );
+
+        return IndexingResult::failed(
+            'Indexing failed',
+            Craft::t('search-with-elastic', 'Failed to index element: {error}', ['error' => $detailedError]),
+            $detailedError
+        );
     }
 
     /**
@@ -227,14 +379,19 @@ class ElementIndexerService extends Component
             $sites = Craft::$app->sites->getAllSites();
 
             foreach ($sites as $site) {
-                $indexName = SearchWithElastic::getInstance()->indexManagement->getIndexName($site->id);
+                $indexManagement = SearchWithElastic::getInstance()->indexManagement;
                 $documentId = $element->id . '_' . $site->id;
 
-                try {
-                    $connection->createCommand()->delete($indexName, '_doc', $documentId);
-                    $deletedCount++;
-                } catch (\Exception) {
-                    // Document might not exist in this index, continue with next site
+                // During an index rebuild the document may already be in the new index too
+                foreach ($indexManagement->getWriteIndexNames($indexManagement->getIndexName($site->id)) as $i => $indexName) {
+                    try {
+                        $connection->createCommand()->delete($indexName, '_doc', $documentId);
+                        if ($i === 0) {
+                            $deletedCount++;
+                        }
+                    } catch (\Exception) {
+                        // Document might not exist in this index, continue with next site
+                    }
                 }
             }
 
@@ -404,16 +561,80 @@ class ElementIndexerService extends Component
         return true;
     }
 
+    /**
+     * Build the document an element would be indexed with now, without writing it
+     *
+     * Frontend content isn't fetched, so the frontend content field and the summary
+     * are left out of the document.
+     *
+     * @param Element $element The element to preview
+     * @return array Array with the document, the searchable fields data, whether the element
+     *         would be indexed (and why not), and whether it uses searchable content and frontend fetching
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    public function previewElementDocument(Element $element): array
+    {
+        $model = SearchWithElastic::getInstance()->models->createIndexableElementModel($element, $element->siteId);
+        $result = $this->prepareElementDocument($element, $model, false);
+        $shouldIndex = $this->shouldIndexElement($element);
+
+        return [
+            'document' => $result['document'],
+            'searchableFields' => $result['searchableFields'],
+            'shouldIndex' => $shouldIndex,
+            'skipReason' => $shouldIndex ? null : $this->getSkipReason($element),
+            'usesSearchableContent' => $this->shouldUseSearchableContent($element),
+            'usesFrontendFetching' => $this->shouldUseFrontendFetching($element) && $element->getUrl() !== null,
+        ];
+    }
+
+    /**
+     * Fetch an element's frontend content without indexing it
+     *
+     * @param Element $element The element to fetch content for
+     * @return array Array with 'attempted', 'success', 'content' and 'debugInfo' keys, and the fetch time in milliseconds under 'time'
+     * @since 4.2.0
+     */
+    public function previewFrontendContent(Element $element): array
+    {
+        $startTime = microtime(true);
+        $result = $this->fetchFrontendContent($element);
+        $result['time'] = round((microtime(true) - $startTime) * 1000, 2);
+
+        return $result;
+    }
+
+    /**
+     * Build the searchable content field value from extracted searchable fields
+     *
+     * @param array $searchableFieldsData Fields returned by SearchableFieldsIndexer::extractSearchableFields()
+     * @return string The keywords of every field, space-separated
+     * @since 4.2.0
+     */
+    public function getSearchableContent(array $searchableFieldsData): string
+    {
+        $allKeywords = [];
+        foreach ($searchableFieldsData as $fieldData) {
+            if (isset($fieldData['keywords']) && $fieldData['keywords'] !== '') {
+                $allKeywords[] = $fieldData['keywords'];
+            }
+        }
+
+        return implode(' ', $allKeywords);
+    }
+
     /**
      * Prepare element document for indexing
      *
      * @param Element $element The element to prepare
      * @param object $model The indexable element model
-     * @return array Array with document, frontendFetchAttempted, and frontendFetchSuccess
+     * @param bool $fetchFrontendContent Whether to fetch the element's frontend content
+     * @return array Array with document, searchableFields, frontendFetchAttempted, and frontendFetchSuccess
      * @throws InvalidConfigException
      * @since 4.0.0
      */
-    protected function prepareElementDocument(Element $element, object $model): array
+    protected function prepareElementDocument(Element $element, object $model, bool $fetchFrontendContent = true): array
     {
         $document = [
             'elementId' => $element->id,
@@ -424,6 +645,7 @@ class ElementIndexerService extends Component
             'status' => $element->status ?? 'enabled',
             'dateCreated' => $element->dateCreated?->format('c'),
             'dateUpdated' => $element->dateUpdated?->format('c'),
+            'indexedAt' => date('c'),
             'enabled' => $element->enabled ?? true,
             'archived' => $element->archived ?? false,
         ];
@@ -439,8 +661,12 @@ class ElementIndexerService extends Component
         // Add extra fields from plugin settings
         $this->addExtraFields($element, $document);
 
+        // Collect the values offered as autocomplete suggestions
+        $this->addSuggestField($document);
+
         $settings = SearchWithElastic::getInstance()->getSettings();
         $fetchResult = ['attempted' => false, 'success' => false, 'debugInfo' => []];
+        $searchableFieldsData = [];
 
         // Determine field names from settings
         $searchableFieldName = $settings->searchableContentFieldName ?: 'content';
@@ -456,14 +682,9 @@ class ElementIndexerService extends Component
                 if (!empty($searchableFieldsData)) {
                     // Don't store raw searchableFields to avoid Elasticsearch mapping conflicts
                     // Just aggregate all keywords for the searchable content field
-                    $allKeywords = [];
-                    foreach ($searchableFieldsData as $fieldData) {
-                        if (isset($fieldData['keywords']) && $fieldData['keywords'] !== '') {
-                            $allKeywords[] = $fieldData['keywords'];
-                        }
-                    }
-                    if (!empty($allKeywords)) {
-                        $document[$searchableFieldName] = implode(' ', $allKeywords);
+                    $searchableContent = $this->getSearchableContent($searchableFieldsData);
+                    if ($searchableContent !== '') {
+                        $document[$searchableFieldName] = $searchableContent;
                     }
 
                     // Optionally store a simplified field list for debugging
@@ -491,7 +712,7 @@ class ElementIndexerService extends Component
         }
 
         // Check if frontend content should be fetched for this element
-        if ($this->shouldUseFrontendFetching($element)) {
+        if ($fetchFrontendContent && $this->shouldUseFrontendFetching($element)) {
             $frontendResult = $this->fetchFrontendContent($element);
             if ($frontendResult['success'] && !empty($frontendResult['content'])) {
                 $document[$frontendFieldName] = $frontendResult['content'];
@@ -508,6 +729,7 @@ class ElementIndexerService extends Component
 
         return [
             'document' => $document,
+            'searchableFields' => $searchableFieldsData,
             'frontendFetchAttempted' => $fetchResult['attempted'],
             'frontendFetchSuccess' => $fetchResult['success'],
             'frontendFetchDebugInfo' => $fetchResult['debugInfo'] ?? []
@@ -1021,6 +1243,33 @@ class ElementIndexerService extends Component
         }
     }
 
+    /**
+     * Add the autocomplete suggestion values to the document
+     *
+     * Suggestions are the title plus the values of the fields listed in the
+     * `suggestFields` setting, so those fields must be added to the document first.
+     *
+     * @param array $document The document array to add the field to (passed by reference)
+     * @since 4.2.0
+     */
+    protected function addSuggestField(array &$document): void
+    {
+        $suggestions = [];
+        $fields = array_merge(['title'], SearchWithElastic::getInstance()->getSettings()->suggestFields);
+
+        foreach ($fields as $field) {
+            foreach ((array)($document[$field] ?? []) as $value) {
+                if (is_scalar($value) && trim((string)$value) !== '') {
+                    $suggestions[] = mb_substr(trim((string)$value), 0, 200);
+                }
+            }
+        }
+
+        if (!empty($suggestions)) {
+            $document['suggest'] = array_values(array_unique($suggestions));
+        }
+    }
+
     /**
      * Remove element record from local database after deletion
      *
@@ -16,8 +16,10 @@ use craft\base\ElementInterface;
 use craft\helpers\ArrayHelper;
 use pennebaker\searchwithelastic\events\connection\ErrorEvent;
 use pennebaker\searchwithelastic\events\indexing\IndexManagementEvent;
+use pennebaker\searchwithelastic\exceptions\IndexingException;
 use pennebaker\searchwithelastic\helpers\ElasticsearchHelper;
 use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\validators\AnalysisValidator;
 use yii\elasticsearch\Exception;
 
 /**
@@ -38,6 +40,135 @@ class IndexManagementService extends Component
     public const EVENT_BEFORE_RECREATE_INDEX = 'beforeRecreateIndex';
     public const EVENT_AFTER_RECREATE_INDEX = 'afterRecreateIndex';
 
+    /**
+     * @since 4.2.0
+     */
+    public const EVENT_BEFORE_SWAP_INDEX = 'beforeSwapIndex';
+
+    /**
+     * @since 4.2.0
+     */
+    public const EVENT_AFTER_SWAP_INDEX = 'afterSwapIndex';
+
+    /**
+     * Separator between an index alias and the version of the index behind it
+     *
+     * @since 4.2.0
+     */
+    public const VERSION_SEPARATOR = '_v';
+
+    /**
+     * Seconds a process reuses the index rebuilds it read from Elasticsearch before reading them again
+     */
+    private const REBUILDS_READ_INTERVAL = 5;
+
+    /**
+     * Seconds after which a rebuild that hasn't finished is given up on as orphaned
+     */
+    private const REBUILD_EXPIRES_AFTER = 86400;
+
+    /**
+     * Seconds an Elasticsearch `_reindex` task may run before it is cancelled
+     */
+    private const TASK_TIMEOUT = 3600;
+
+    /**
+     * Token filter chains equivalent to the built-in language analyzers, used when a
+     * site has synonyms or stopwords. Synonyms go after the `normalize` filters and
+     * the stopwords before the `stem` filters.
+     */
+    private const LANGUAGE_ANALYSIS = [
+        'english' => [
+            'filter' => [
+                'english_possessive_stemmer' => ['type' => 'stemmer', 'language' => 'possessive_english'],
+                'english_stemmer' => ['type' => 'stemmer', 'language' => 'english'],
+            ],
+            'normalize' => ['english_possessive_stemmer', 'lowercase'],
+            'stopwords' => '_english_',
+            'stem' => ['english_stemmer'],
+        ],
+        'french' => [
+            'filter' => [
+                'french_elision' => ['type' => 'elision', 'articles_case' => true, 'articles' => ['l', 'm', 't', 'qu', 'n', 's', 'j', 'd', 'c', 'jusqu', 'quoiqu', 'lorsqu', 'puisqu']],
+                'french_stemmer' => ['type' => 'stemmer', 'language' => 'light_french'],
+            ],
+            'normalize' => ['french_elision', 'lowercase'],
+            'stopwords' => '_french_',
+            'stem' => ['french_stemmer'],
+        ],
+        'german' => [
+            'filter' => [
+                'german_stemmer' => ['type' => 'stemmer', 'language' => 'light_german'],
+            ],
+            'normalize' => ['lowercase'],
+            'stopwords' => '_german_',
+            'stem' => ['german_normalization', 'german_stemmer'],
+        ],
+        'spanish' => [
+            'filter' => [
+                'spanish_stemmer' => ['type' => 'stemmer', 'language' => 'light_spanish'],
+            ],
+            'normalize' => ['lowercase'],
+            'stopwords' => '_spanish_',
+            'stem' => ['spanish_stemmer'],
+        ],
+        'italian' => [
+            'filter' => [
+                'italian_elision' => ['type' => 'elision', 'articles' => ['c', 'l', 'all', 'dall', 'dell', 'nell', 'sull', 'coll', 'pell', 'gl', 'agl', 'dagl', 'degl', 'negl', 'sugl', 'un', 'm', 't', 's', 'v', 'd']],
+                'italian_stemmer' => ['type' => 'stemmer', 'language' => 'light_italian'],
+            ],
+            'normalize' => ['italian_elision', 'lowercase'],
+            'stopwords' => '_italian_',
+            'stem' => ['italian_stemmer'],
+        ],
+        'portuguese' => [
+            'filter' => [
+                'portuguese_stemmer' => ['type' => 'stemmer', 'language' => 'light_portuguese'],
+            ],
+            'normalize' => ['lowercase'],
+            'stopwords' => '_portuguese_',
+            'stem' => ['portuguese_stemmer'],
+        ],
+        'russian' => [
+            'filter' => [
+                'russian_stemmer' => ['type' => 'stemmer', 'language' => 'russian'],
+            ],
+            'normalize' => ['lowercase'],
+            'stopwords' => '_russian_',
+            'stem' => ['russian_stemmer'],
+        ],
+        'arabic' => [
+            'filter' => [
+                'arabic_stemmer' => ['type' => 'stemmer', 'language' => 'arabic'],
+            ],
+            'normalize' => ['lowercase', 'decimal_digit'],
+            'stopwords' => '_arabic_',
+            'stem' => ['arabic_normalization', 'arabic_stemmer'],
+        ],
+        'cjk' => [
+            'filter' => [],
+            'normalize' => ['cjk_width', 'lowercase'],
+            'stopwords' => '_english_',
+            'stem' => ['cjk_bigram'],
+        ],
+        'standard' => [
+            'filter' => [],
+            'normalize' => ['lowercase'],
+            'stopwords' => null,
+            'stem' => [],
+        ],
+    ];
+
+    /**
+     * @var array|null The index rebuilds read from Elasticsearch, keyed by alias
+     */
+    private ?array $rebuilds = null;
+
+    /**
+     * @var int When the index rebuilds were read from Elasticsearch
+     */
+    private int $rebuildsReadAt = 0;
+
     /**
      * Generates the Elasticsearch index name for a specific site and element type.
      *
@@ -99,6 +230,8 @@ class IndexManagementService extends Component
     /**
      * Creates an Elasticsearch index for the specified site with appropriate configuration.
      *
+     * The index is created as a versioned index with the site's index name as its alias.
+     *
      * @param int $siteId The site ID
      * @throws Exception When index creation fails
      * @throws \Exception When other errors occur during index creation
@@ -134,10 +267,10 @@ class IndexManagementService extends Component
         }
 
         try {
-            // Use potentially modified config from event
-            $connection->createCommand()->createIndex($indexName, $event->indexConfig);
+            // Use potentially modified config from event, creating a versioned index behind the alias
+            $versionedIndexName = $this->createVersionedIndex($indexName, $event->indexConfig, true);
 
-            \Craft::info("Created Elasticsearch index: $indexName", __METHOD__);
+            \Craft::info("Created Elasticsearch index: $versionedIndexName (alias $indexName)", __METHOD__);
 
             // Fire an 'afterCreateIndex' event
             if ($this->hasEventHandlers(self::EVENT_AFTER_CREATE_INDEX)) {
@@ -156,6 +289,9 @@ class IndexManagementService extends Component
     /**
      * Removes the Elasticsearch index for the specified site.
      *
+     * Deletes the index the site's alias points to. Earlier versions kept for
+     * rollback are removed by the next rebuild once they fall out of retention.
+     *
      * @param int $siteId The site ID
      * @throws \Exception When index removal fails
      */
@@ -188,7 +324,10 @@ class IndexManagementService extends Component
         }
 
         try {
-            $connection->createCommand()->deleteIndex($indexName);
+            // Delete the index behind the alias; older versions are left for rollback
+            foreach ($this->getAliasTargets($indexName) ?: [$indexName] as $liveIndexName) {
+                $connection->createCommand()->deleteIndex($liveIndexName);
+            }
 
             \Craft::info("Removed Elasticsearch index: $indexName", __METHOD__);
 
@@ -260,6 +399,512 @@ class IndexManagementService extends Component
         }
     }
 
+    /**
+     * Starts rebuilding the indexes of a site behind their aliases.
+     *
+     * A fresh versioned index is created for each of the site's index names while
+     * the live indexes keep serving searches. Until [[finishIndexRebuild()]] swaps
+     * them in, every document written to a live index is also written to its new
+     * index (see [[getWriteIndexNames()]]), so edits made during the rebuild aren't
+     * lost. Index names with nothing behind them yet get their alias straight away.
+     *
+     * The rebuild is recorded in the `_meta` of its new index, so every web node
+     * knows about it and it survives cache clears. A rebuild that isn't finished
+     * within a day is orphaned: documents are no longer written to it, and it is
+     * listed by [[getOrphanedRebuilds()]] to be deleted.
+     *
+     * @param int $siteId The site ID
+     * @return array The new indexes, each with `alias`, `index` and whether it is already `live`
+     * @throws \Exception When an index can't be created
+     * @since 4.2.0
+     */
+    public function startIndexRebuild(int $siteId): array
+    {
+        $connection = SearchWithElastic::getConnection();
+        $indexConfig = $this->getIndexConfiguration($siteId);
+        $rebuilds = $this->getAllRebuilds();
+        $indexes = [];
+
+        try {
+            foreach ($this->getAllIndexNames($siteId) as $alias) {
+                // Replace the index of an earlier rebuild that never finished
+                if (isset($rebuilds[$alias])) {
+                    $this->deleteIndexIfExists($rebuilds[$alias]['index']);
+                }
+
+                $isLive = !$connection->createCommand()->indexExists($alias);
+                $config = $indexConfig;
+
+                if (!$isLive) {
+                    $config['mappings']['_meta']['rebuild'] = [
+                        'alias' => $alias,
+                        'siteId' => $siteId,
+                        'startedAt' => time(),
+                    ];
+                }
+
+                $indexName = $this->createVersionedIndex($alias, $config, $isLive);
+
+                $indexes[] = ['alias' => $alias, 'index' => $indexName, 'live' => $isLive];
+                \Craft::info("Started rebuilding $alias into $indexName", __METHOD__);
+            }
+        } finally {
+            $this->clearRebuildsCache();
+        }
+
+        return $indexes;
+    }
+
+    /**
+     * Finishes rebuilding the indexes of a site by swapping their aliases.
+     *
+     * Each new index is refreshed and its document count compared with the live
+     * index's. When it holds fewer than the `indexSwapMinDocumentRatio` setting's
+     * share of the live documents, the swap is skipped and the live index is left
+     * as it was; the new index is kept for inspection until it falls out of
+     * retention. Otherwise the alias is moved to the new index in one atomic
+     * `_aliases` request and versions beyond the `indexVersionsToKeep` setting are
+     * deleted. An index that isn't an alias yet (from before aliases were used) is
+     * replaced by the alias in the same request, so it can't be rolled back to.
+     *
+     * @param int $siteId The site ID
+     * @return array A result per rebuilt index, with `alias`, `index`, `previous`, `documentCount`,
+     *               `liveDocumentCount`, whether it was `swapped` and the `error` if it wasn't
+     * @since 4.2.0
+     */
+    public function finishIndexRebuild(int $siteId): array
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        $results = [];
+
+        foreach ($this->getAllRebuilds() as $alias => $rebuild) {
+            if ($rebuild['siteId'] !== $siteId) {
+                continue;
+            }
+
+            // Edits stopped going to an orphaned rebuild's index, so it can't be swapped in
+            if ($this->isRebuildExpired($rebuild)) {
+                $this->deleteIndexIfExists($rebuild['index']);
+                $this->clearRebuildsCache();
+
+                $results[] = [
+                    'alias' => $alias,
+                    'index' => $rebuild['index'],
+                    'previous' => $this->getLiveIndexName($alias),
+                    'documentCount' => 0,
+                    'liveDocumentCount' => 0,
+                    'swapped' => false,
+                    'error' => \Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The rebuild of {alias} took over a day and its new index was deleted. The live index was kept.', [
+                        'alias' => $alias,
+                    ]),
+                ];
+                continue;
+            }
+
+            $result = [
+                'alias' => $alias,
+                'index' => $rebuild['index'],
+                'previous' => $this->getLiveIndexName($alias),
+                'documentCount' => 0,
+                'liveDocumentCount' => 0,
+                'swapped' => false,
+                'error' => null,
+            ];
+
+            try {
+                $connection = SearchWithElastic::getConnection();
+                $connection->post([$rebuild['index'], '_refresh']);
+
+                $result['documentCount'] = $this->countDocuments($rebuild['index']);
+                $result['liveDocumentCount'] = $result['previous'] ? $this->countDocuments($alias) : 0;
+
+                $minimum = (int)ceil($result['liveDocumentCount'] * $settings->indexSwapMinDocumentRatio);
+                if ($result['documentCount'] < $minimum || ($result['documentCount'] === 0 && $result['liveDocumentCount'] > 0)) {
+                    $result['error'] = \Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The new index {index} has {count} documents, the live index has {liveCount}. The live index was kept.', [
+                        'index' => $rebuild['index'],
+                        'count' => $result['documentCount'],
+                        'liveCount' => $result['liveDocumentCount'],
+                    ]);
+                    \Craft::warning("Index $alias not swapped: " . $result['error'], __METHOD__);
+                } else {
+                    $result['swapped'] = $this->swapIndex($siteId, $alias, $rebuild['index'], $result['previous']);
+                }
+            } catch (\Exception $e) {
+                $result['error'] = $e->getMessage();
+                \Craft::error("Failed to swap index $alias to {$rebuild['index']}: " . $e->getMessage(), __METHOD__);
+            }
+
+            // Only stop writing to the new index once the alias has moved, so no edit falls in between
+            $this->clearRebuildMarker($rebuild['index']);
+
+            if ($result['swapped']) {
+                $this->pruneIndexVersions($alias);
+            }
+
+            $results[] = $result;
+        }
+
+        return $results;
+    }
+
+    /**
+     * Abandons the index rebuilds of a site, deleting their new indexes.
+     *
+     * The live indexes are left untouched.
+     *
+     * @param int $siteId The site ID
+     * @since 4.2.0
+     */
+    public function abandonIndexRebuild(int $siteId): void
+    {
+        foreach ($this->getAllRebuilds() as $alias => $rebuild) {
+            if ($rebuild['siteId'] === $siteId) {
+                $this->deleteIndexIfExists($rebuild['index']);
+                \Craft::info("Abandoned rebuilding $alias into {$rebuild['index']}", __METHOD__);
+            }
+        }
+
+        $this->clearRebuildsCache();
+    }
+
+    /**
+     * Returns the index rebuilds that were given up on without being finished or abandoned.
+     *
+     * These are left behind when the browser tab or job running a "Reset & Index"
+     * run goes away. Their new indexes no longer receive documents and can be
+     * deleted with [[abandonOrphanedRebuilds()]].
+     *
+     * @return array The rebuilds, each with `alias`, `index`, `siteId` and `startedAt`
+     * @since 4.2.0
+     */
+    public function getOrphanedRebuilds(): array
+    {
+        $orphaned = [];
+
+        foreach ($this->getAllRebuilds() as $alias => $rebuild) {
+            if ($this->isRebuildExpired($rebuild)) {
+                $orphaned[] = ['alias' => $alias] + $rebuild;
+            }
+        }
+
+        return $orphaned;
+    }
+
+    /**
+     * Deletes the new indexes of the orphaned index rebuilds.
+     *
+     * @return int The number of rebuilds abandoned
+     * @since 4.2.0
+     */
+    public function abandonOrphanedRebuilds(): int
+    {
+        $orphaned = $this->getOrphanedRebuilds();
+
+        foreach ($orphaned as $rebuild) {
+            $this->deleteIndexIfExists($rebuild['index']);
+            \Craft::info("Abandoned orphaned rebuild of {$rebuild['alias']} into {$rebuild['index']}", __METHOD__);
+        }
+
+        $this->clearRebuildsCache();
+
+        return count($orphaned);
+    }
+
+    /**
+     * Returns the IDs of the sites with an index rebuild in progress.
+     *
+     * @return int[]
+     * @since 4.2.0
+     */
+    public function getRebuildingSiteIds(): array
+    {
+        return array_values(array_unique(array_column($this->getRebuilds(), 'siteId')));
+    }
+
+    /**
+     * Returns the indexes a document written to an index should go to.
+     *
+     * That's the index itself, plus the new index being built for it while a
+     * rebuild is in progress.
+     *
+     * @param string $indexName The index name, as returned by [[getIndexName()]]
+     * @return string[]
+     * @since 4.2.0
+     */
+    public function getWriteIndexNames(string $indexName): array
+    {
+        $rebuild = $this->getRebuilds()[$indexName] ?? null;
+
+        return $rebuild ? [$indexName, $rebuild['index']] : [$indexName];
+    }
+
+    /**
+     * Moves an alias back to the version before the one it points to.
+     *
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @return array The swap, with `alias`, `index` (the version now live) and `previous`
+     * @throws IndexingException When there is no earlier version to go back to
+     * @throws \Exception When the swap fails
+     * @since 4.2.0
+     */
+    public function rollbackIndex(string $alias): array
+    {
+        $liveIndexName = $this->getLiveIndexName($alias);
+        $target = null;
+
+        // Versions are listed newest first, so the first one older than the live index is the one before it
+        foreach ($this->getIndexVersions($alias) as $version) {
+            if ($liveIndexName !== null && strcmp($version['index'], $liveIndexName) < 0) {
+                $target = $version['index'];
+                break;
+            }
+        }
+
+        if ($liveIndexName === null || $liveIndexName === $alias || $target === null) {
+            throw new IndexingException(\Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'There is no earlier version of {alias} to roll back to.', [
+                'alias' => $alias,
+            ]));
+        }
+
+        $siteId = (int)substr($alias, strrpos($alias, '_') + 1);
+        $this->swapIndex($siteId, $alias, $target, $liveIndexName);
+
+        return ['alias' => $alias, 'index' => $target, 'previous' => $liveIndexName];
+    }
+
+    /**
+     * Returns the versions of an index, newest first.
+     *
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @return array The versions, each with `index`, `documentCount`, `createdAt` and whether it is `live`
+     * @since 4.2.0
+     */
+    public function getIndexVersions(string $alias): array
+    {
+        $liveIndexName = $this->getLiveIndexName($alias);
+        $versions = [];
+
+        try {
+            $response = SearchWithElastic::getConnection()->get(
+                ['_cat', 'indices', $alias . self::VERSION_SEPARATOR . '*'],
+                ['format' => 'json', 'h' => 'index,docs.count,creation.date']
+            );
+
+            foreach ($response ?: [] as $index) {
+                if (!isset($index['index']) || !$this->isVersionOf($index['index'], $alias)) {
+                    continue;
+                }
+
+                $versions[] = [
+                    'index' => $index['index'],
+                    'documentCount' => (int)($index['docs.count'] ?? 0),
+                    'createdAt' => isset($index['creation.date']) ? date(DATE_ATOM, (int)($index['creation.date'] / 1000)) : null,
+                    'live' => $index['index'] === $liveIndexName,
+                ];
+            }
+        } catch (\Exception $e) {
+            \Craft::warning("Failed to list the versions of $alias: " . $e->getMessage(), __METHOD__);
+        }
+
+        // The version suffix is a timestamp, so names sort by age
+        usort($versions, static fn(array $a, array $b) => strcmp($b['index'], $a['index']));
+
+        return $versions;
+    }
+
+    /**
+     * Returns the synonym rules and stopwords configured for a site.
+     *
+     * @param int $siteId The site ID
+     * @return array{synonyms: string[], stopwords: string[]} Synonym rules in the Solr format
+     *               Elasticsearch's synonym filters take, and stopwords
+     * @since 4.2.0
+     */
+    public function getAnalysisRules(int $siteId): array
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        $site = \Craft::$app->sites->getSiteById($siteId);
+
+        // Rules set in the configuration file haven't been through validation
+        $analysis = $settings->normalizeAnalysis($settings->analysis);
+        $siteAnalysis = $site ? ($analysis[$site->uid] ?? $analysis[$site->handle] ?? []) : [];
+
+        $synonyms = [];
+        foreach ($siteAnalysis['synonyms'] ?? [] as $rule) {
+            $terms = implode(', ', AnalysisValidator::parseTerms($rule['terms']));
+            $replacement = implode(', ', AnalysisValidator::parseTerms($rule['replacement']));
+
+            if ($terms !== '') {
+                $synonyms[] = $replacement !== '' ? "$terms => $replacement" : $terms;
+            }
+        }
+
+        return [
+            'synonyms' => $synonyms,
+            // The stop filter runs after the lowercase filter and compares words as they are
+            'stopwords' => array_values(array_unique(array_map('mb_strtolower', array_column($siteAnalysis['stopwords'] ?? [], 'word')))),
+        ];
+    }
+
+    /**
+     * Returns whether a site has synonyms or stopwords.
+     *
+     * @param int $siteId The site ID
+     * @return bool
+     * @since 4.2.0
+     */
+    public function hasCustomAnalysis(int $siteId): bool
+    {
+        return $this->getAnalysisHash($this->getAnalysisRules($siteId)) !== null;
+    }
+
+    /**
+     * Returns the IDs of the sites whose indexes were built with other synonyms or stopwords than the current ones.
+     *
+     * @return int[]
+     * @throws \Exception When the indexes can't be checked
+     * @since 4.2.0
+     */
+    public function getOutdatedAnalysisSiteIds(): array
+    {
+        $connection = SearchWithElastic::getConnection();
+        $siteIds = [];
+
+        foreach (\Craft::$app->sites->getAllSiteIds() as $siteId) {
+            $hash = $this->getAnalysisHash($this->getAnalysisRules($siteId));
+
+            foreach ($this->getAllIndexNames($siteId) as $alias) {
+                if (!$connection->createCommand()->indexExists($alias)) {
+                    continue;
+                }
+
+                // The mapping is keyed by the index behind the alias
+                $mapping = $connection->get([$alias, '_mapping']);
+                $mapping = is_array($mapping) ? reset($mapping) : null;
+
+                if (($mapping['mappings']['_meta']['analysisHash'] ?? null) !== $hash) {
+                    $siteIds[] = $siteId;
+                    break;
+                }
+            }
+        }
+
+        return $siteIds;
+    }
+
+    /**
+     * Rebuilds the indexes of a site from their own documents, to apply changed synonyms or stopwords.
+     *
+     * New versions are created with the current analysis settings and filled by
+     * Elasticsearch's `_reindex` API from the live indexes, without rendering any
+     * element again, then swapped in as with [[finishIndexRebuild()]]. Documents
+     * written while the copy runs go to both indexes and aren't overwritten by it.
+     *
+     * @param int $siteId The site ID
+     * @param callable|null $onProgress Called with the progress, from 0 to 1
+     * @return array The swap results, from [[finishIndexRebuild()]]
+     * @throws \Exception When an index can't be created or copied; the live indexes are kept
+     * @since 4.2.0
+     */
+    public function reanalyzeSiteIndexes(int $siteId, ?callable $onProgress = null): array
+    {
+        $connection = SearchWithElastic::getConnection();
+        $rebuilds = $this->startIndexRebuild($siteId);
+
+        try {
+            foreach ($rebuilds as $i => $rebuild) {
+                // An index that didn't exist yet went live straight away, empty
+                if ($rebuild['live']) {
+                    continue;
+                }
+
+                $response = $connection->post(['_reindex'], ['wait_for_completion' => 'false'], json_encode([
+                    'conflicts' => 'proceed',
+                    'source' => ['index' => $rebuild['alias']],
+                    'dest' => ['index' => $rebuild['index'], 'op_type' => 'create'],
+                ], JSON_THROW_ON_ERROR));
+
+                $this->waitForTask($response['task'], static function (float $progress) use ($onProgress, $i, $rebuilds) {
+                    if ($onProgress !== null) {
+                        $onProgress(($i + $progress) / count($rebuilds));
+                    }
+                });
+            }
+        } catch (\Exception $e) {
+            $this->abandonIndexRebuild($siteId);
+            throw $e;
+        }
+
+        return $this->finishIndexRebuild($siteId);
+    }
+
+    /**
+     * Restores an index into a new version and swaps it in.
+     *
+     * The new version is created with the given settings and mappings and filled
+     * by `$load`. Once it is loaded, it is refreshed and the alias moved to it, and
+     * versions beyond the `indexVersionsToKeep` setting are deleted. If `$load`
+     * throws, the new version is deleted and the live index kept.
+     *
+     * @param int $siteId The site ID the index belongs to
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @param array $indexConfig The index configuration, with `settings` and `mappings`
+     * @param callable $load Called with the name of the new index to write its documents
+     * @return array The swap, with `alias`, `index`, `previous`, `documentCount` and whether it was
+     *               `swapped`, which a `beforeSwapIndex` event handler can prevent
+     * @throws \Exception When the index can't be created, loaded or swapped in
+     * @since 4.2.0
+     */
+    public function restoreIndex(int $siteId, string $alias, array $indexConfig, callable $load): array
+    {
+        $indexName = $this->createVersionedIndex($alias, $indexConfig, false);
+
+        try {
+            $load($indexName);
+            SearchWithElastic::getConnection()->post([$indexName, '_refresh']);
+
+            $result = [
+                'alias' => $alias,
+                'index' => $indexName,
+                'previous' => $this->getLiveIndexName($alias),
+                'documentCount' => $this->countDocuments($indexName),
+            ];
+
+            $result['swapped'] = $this->swapIndex($siteId, $alias, $indexName, $result['previous']);
+        } catch (\Exception $e) {
+            $this->deleteIndexIfExists($indexName);
+            throw $e;
+        }
+
+        if ($result['swapped']) {
+            $this->pruneIndexVersions($alias);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Returns the name of the index an alias points to.
+     *
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @return string|null The index behind the alias, the name itself if it is a
+     *                     plain index from before aliases were used, or null if neither exists
+     * @since 4.2.0
+     */
+    public function getLiveIndexName(string $alias): ?string
+    {
+        $targets = $this->getAliasTargets($alias);
+        if (!empty($targets)) {
+            return $targets[0];
+        }
+
+        try {
+            return SearchWithElastic::getConnection()->createCommand()->indexExists($alias) ? $alias : null;
+        } catch (\Exception) {
+            return null;
+        }
+    }
+
     /**
      * Generates the Elasticsearch index configuration including mappings and settings for a site.
      *
@@ -287,33 +932,99 @@ class IndexManagementService extends Component
         ];
 
         $analyzer = $analyzerMap[substr($language, 0, 2)] ?? 'standard';
+        $analysisRules = $this->getAnalysisRules($siteId);
+        $analysisHash = $this->getAnalysisHash($analysisRules);
 
-        // Build properties dynamically based on what element types are actually indexed
-        $properties = $this->buildDynamicMappingProperties($analyzer);
+        if ($analysisHash !== null) {
+            // Synonyms and stopwords need custom analyzers, which text fields use by name
+            $analysis = $this->buildAnalysisSettings($analyzer, $analysisRules);
+            $properties = $this->buildDynamicMappingProperties('default', 'default_search');
+        } else {
+            $analysis = [
+                'analyzer' => [
+                    'default' => [
+                        'type' => $analyzer
+                    ]
+                ]
+            ];
+            // Build properties dynamically based on what element types are actually indexed
+            $properties = $this->buildDynamicMappingProperties($analyzer);
+        }
 
         $config = [
             'settings' => [
                 'number_of_shards' => 1,
                 'number_of_replicas' => 0,
-                'analysis' => [
-                    'analyzer' => [
-                        'default' => [
-                            'type' => $analyzer
-                        ]
-                    ]
-                ]
+                'analysis' => $analysis
             ],
             'mappings' => [
                 'properties' => $properties
             ]
         ];
 
+        // Lets getOutdatedAnalysisSiteIds() tell which indexes were built with other rules
+        if ($analysisHash !== null) {
+            $config['mappings']['_meta'] = ['analysisHash' => $analysisHash];
+        }
+
         // Add extra fields mappings from plugin settings
         $this->addExtraFieldsMappings($config, $analyzer);
 
         return $config;
     }
 
+    /**
+     * Builds the analysis settings of an index with synonyms or stopwords.
+     *
+     * The `default` analyzer, used when indexing, reproduces the language analyzer
+     * with the stopwords added. The `default_search` analyzer adds the synonyms,
+     * which Elasticsearch only supports as a graph at search time.
+     *
+     * @param string $analyzer The built-in language analyzer of the site
+     * @param array $rules The synonym rules and stopwords, from [[getAnalysisRules()]]
+     * @return array The analysis settings
+     * @since 4.2.0
+     */
+    protected function buildAnalysisSettings(string $analyzer, array $rules): array
+    {
+        $language = self::LANGUAGE_ANALYSIS[$analyzer] ?? self::LANGUAGE_ANALYSIS['standard'];
+        $filters = $language['filter'];
+        $stopFilters = [];
+
+        if ($language['stopwords'] !== null) {
+            $filters['language_stopwords'] = ['type' => 'stop', 'stopwords' => $language['stopwords']];
+            $stopFilters[] = 'language_stopwords';
+        }
+
+        if (!empty($rules['stopwords'])) {
+            $filters['custom_stopwords'] = ['type' => 'stop', 'stopwords' => $rules['stopwords']];
+            $stopFilters[] = 'custom_stopwords';
+        }
+
+        $searchFilters = $language['normalize'];
+        if (!empty($rules['synonyms'])) {
+            // Lenient so a rule Elasticsearch can't parse is skipped rather than failing the index creation
+            $filters['custom_synonyms'] = ['type' => 'synonym_graph', 'synonyms' => $rules['synonyms'], 'lenient' => true];
+            $searchFilters[] = 'custom_synonyms';
+        }
+
+        return [
+            'filter' => $filters,
+            'analyzer' => [
+                'default' => [
+                    'type' => 'custom',
+                    'tokenizer' => 'standard',
+                    'filter' => array_merge($language['normalize'], $stopFilters, $language['stem']),
+                ],
+                'default_search' => [
+                    'type' => 'custom',
+                    'tokenizer' => 'standard',
+                    'filter' => array_merge($searchFilters, $stopFilters, $language['stem']),
+                ],
+            ],
+        ];
+    }
+
     /**
      * Adds custom field mappings from plugin settings to the index configuration.
      *
@@ -342,6 +1053,119 @@ class IndexManagementService extends Component
         }
     }
 
+    /**
+     * Creates a new version of an index.
+     *
+     * @param string $alias The index name the version is for
+     * @param array $indexConfig The index configuration
+     * @param bool $addAlias Whether to point the alias at the new index straight away
+     * @return string The name of the new index
+     * @throws \Exception When the index can't be created
+     * @since 4.2.0
+     */
+    protected function createVersionedIndex(string $alias, array $indexConfig, bool $addAlias): string
+    {
+        $command = SearchWithElastic::getConnection()->createCommand();
+
+        // Versions are named after their creation time; add a counter for versions created within the same second
+        $indexName = $alias . self::VERSION_SEPARATOR . gmdate('YmdHis');
+        for ($i = 2; $command->indexExists($indexName); $i++) {
+            $indexName = $alias . self::VERSION_SEPARATOR . gmdate('YmdHis') . '_' . $i;
+        }
+
+        if ($addAlias) {
+            $indexConfig['aliases'] = [$alias => new \stdClass()];
+        }
+
+        $command->createIndex($indexName, $indexConfig);
+
+        return $indexName;
+    }
+
+    /**
+     * Points an alias at another index in a single atomic request.
+     *
+     * Fires the `beforeSwapIndex` and `afterSwapIndex` events.
+     *
+     * @param int $siteId The site ID the index belongs to
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @param string $indexName The index to point the alias at
+     * @param string|null $liveIndexName The index the alias points to now, or a plain index with the alias's name
+     * @return bool Whether the alias was moved
+     * @throws \Exception When the swap fails
+     * @since 4.2.0
+     */
+    protected function swapIndex(int $siteId, string $alias, string $indexName, ?string $liveIndexName): bool
+    {
+        $event = new IndexManagementEvent([
+            'siteId' => $siteId,
+            'indexName' => $alias,
+            'versionedIndexName' => $indexName,
+            'operation' => 'swap',
+            'indexExisted' => $liveIndexName !== null,
+        ]);
+
+        if ($this->hasEventHandlers(self::EVENT_BEFORE_SWAP_INDEX)) {
+            $this->trigger(self::EVENT_BEFORE_SWAP_INDEX, $event);
+        }
+
+        if ($event->skipDefaultOperation) {
+            return false;
+        }
+
+        $actions = [['add' => ['index' => $indexName, 'alias' => $alias]]];
+
+        if ($liveIndexName === $alias) {
+            // A plain index from before aliases were used has to go for the alias to take its name
+            $actions[] = ['remove_index' => ['index' => $alias]];
+        } else {
+            foreach ($this->getAliasTargets($alias) as $target) {
+                if ($target !== $indexName) {
+                    $actions[] = ['remove' => ['index' => $target, 'alias' => $alias]];
+                }
+            }
+        }
+
+        SearchWithElastic::getConnection()->post(['_aliases'], [], json_encode(['actions' => $actions], JSON_THROW_ON_ERROR));
+
+        \Craft::info("Swapped index $alias from " . ($liveIndexName ?? 'nothing') . " to $indexName", __METHOD__);
+
+        if ($this->hasEventHandlers(self::EVENT_AFTER_SWAP_INDEX)) {
+            $this->trigger(self::EVENT_AFTER_SWAP_INDEX, $event);
+        }
+
+        return true;
+    }
+
+    /**
+     * Deletes the versions of an index beyond the `indexVersionsToKeep` setting.
+     *
+     * The live version and the new index of a rebuild in progress are never deleted.
+     *
+     * @param string $alias The index name, as returned by [[getIndexName()]]
+     * @since 4.2.0
+     */
+    protected function pruneIndexVersions(string $alias): void
+    {
+        $keep = SearchWithElastic::getInstance()->getSettings()->indexVersionsToKeep;
+        $rebuildIndexName = $this->getRebuilds()[$alias]['index'] ?? null;
+        $kept = 0;
+
+        foreach ($this->getIndexVersions($alias) as $version) {
+            if ($version['live'] || $version['index'] === $rebuildIndexName) {
+                continue;
+            }
+
+            if ($kept < $keep) {
+                $kept++;
+                continue;
+            }
+
+            $this->deleteIndexIfExists($version['index']);
+            \Craft::info("Deleted old index version {$version['index']}", __METHOD__);
+        }
+    }
+
     /**
      * Triggers appropriate error events for specific Elasticsearch exceptions.
      *
@@ -360,14 +1184,244 @@ class IndexManagementService extends Component
         }
     }
 
+    /**
+     * Returns a hash of a site's synonym rules and stopwords, stored in the mapping of its indexes.
+     *
+     * @param array $rules The rules, from [[getAnalysisRules()]]
+     * @return string|null The hash, or null if there are no rules
+     */
+    private function getAnalysisHash(array $rules): ?string
+    {
+        if (empty($rules['synonyms']) && empty($rules['stopwords'])) {
+            return null;
+        }
+
+        return md5(json_encode($rules, JSON_THROW_ON_ERROR));
+    }
+
+    /**
+     * Waits for an Elasticsearch task to complete.
+     *
+     * A task still running after [[TASK_TIMEOUT]] seconds is cancelled.
+     *
+     * @param string $taskId The task ID
+     * @param callable $onProgress Called with the task's progress, from 0 to 1
+     * @throws IndexingException When the task failed or took too long
+     * @throws \Exception When the task can't be checked
+     */
+    private function waitForTask(string $taskId, callable $onProgress): void
+    {
+        $connection = SearchWithElastic::getConnection();
+        $deadline = time() + self::TASK_TIMEOUT;
+
+        do {
+            if (time() >= $deadline) {
+                try {
+                    $connection->post(['_tasks', $taskId, '_cancel']);
+                } catch (\Exception $e) {
+                    \Craft::warning("Failed to cancel task $taskId: " . $e->getMessage(), __METHOD__);
+                }
+
+                throw new IndexingException(\Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Copying the documents took longer than {minutes} minutes and was cancelled.', [
+                    'minutes' => self::TASK_TIMEOUT / 60,
+                ]));
+            }
+
+            sleep(1);
+            $task = $connection->get(['_tasks', $taskId]);
+            $status = $task['task']['status'] ?? [];
+
+            if (!empty($status['total'])) {
+                $onProgress(min(1, (($status['created'] ?? 0) + ($status['version_conflicts'] ?? 0)) / $status['total']));
+            }
+        } while (empty($task['completed']));
+
+        $reason = $task['error']['reason'] ?? $task['response']['failures'][0]['cause']['reason'] ?? null;
+        if ($reason !== null) {
+            throw new IndexingException(\Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Copying the documents failed: {reason}', ['reason' => $reason]));
+        }
+    }
+
+    /**
+     * Get the indexes an alias points to
+     *
+     * @param string $alias The alias
+     * @return string[] The index names, or an empty array if the alias doesn't exist
+     */
+    private function getAliasTargets(string $alias): array
+    {
+        try {
+            $response = SearchWithElastic::getConnection()->get(['_alias', $alias]);
+        } catch (\Exception) {
+            // A plain index with the alias's name makes the lookup fail
+            return [];
+        }
+
+        return is_array($response) ? array_keys($response) : [];
+    }
+
+    /**
+     * Check whether an index is a version of an alias
+     *
+     * Guards against aliases that are a prefix of others, e.g. `craft-elements_1` and `craft-elements_1_v2`.
+     *
+     * @param string $indexName The index name
+     * @param string $alias The alias
+     * @return bool
+     */
+    private function isVersionOf(string $indexName, string $alias): bool
+    {
+        return (bool)preg_match('/^' . preg_quote($alias . self::VERSION_SEPARATOR, '/') . '\d{14}(_\d+)?$/', $indexName);
+    }
+
+    /**
+     * Count the documents in an index
+     *
+     * @param string $indexName The index or alias
+     * @return int
+     * @throws \Exception When the count fails
+     */
+    private function countDocuments(string $indexName): int
+    {
+        $response = SearchWithElastic::getConnection()->get([$indexName, '_count']);
+
+        return (int)($response['count'] ?? 0);
+    }
+
+    /**
+     * Delete an index, ignoring indexes that don't exist
+     *
+     * @param string $indexName The index name
+     */
+    private function deleteIndexIfExists(string $indexName): void
+    {
+        try {
+            $command = SearchWithElastic::getConnection()->createCommand();
+            if ($command->indexExists($indexName)) {
+                $command->deleteIndex($indexName);
+            }
+        } catch (\Exception $e) {
+            \Craft::warning("Failed to delete index $indexName: " . $e->getMessage(), __METHOD__);
+        }
+    }
+
+    /**
+     * Get the index rebuilds in progress, leaving out orphaned ones
+     *
+     * @return array The rebuilds keyed by alias, each with `index`, `siteId` and `startedAt`
+     */
+    private function getRebuilds(): array
+    {
+        return array_filter($this->getAllRebuilds(), fn(array $rebuild) => !$this->isRebuildExpired($rebuild));
+    }
+
+    /**
+     * Get the index rebuilds that haven't been finished or abandoned
+     *
+     * Rebuilds are read from the `rebuild` entry in the `_meta` of their new
+     * indexes. They aren't kept in the data cache, which isn't shared between web
+     * nodes with a file cache: every request reads them again, so a document is
+     * never written to a rebuild index that was swapped or abandoned on another
+     * node. A long-running process, such as a queue worker, reuses them for a few
+     * seconds at most.
+     *
+     * @return array The rebuilds keyed by alias, each with `index`, `siteId` and `startedAt`
+     */
+    private function getAllRebuilds(): array
+    {
+        if ($this->rebuilds !== null && $this->rebuildsReadAt > time() - self::REBUILDS_READ_INTERVAL) {
+            return $this->rebuilds;
+        }
+
+        $rebuilds = [];
+        $pattern = SearchWithElastic::getInstance()->getSettings()->indexPrefix . '*' . self::VERSION_SEPARATOR . '*';
+
+        try {
+            $response = SearchWithElastic::getConnection()->get([$pattern, '_mapping'], ['filter_path' => '*.mappings._meta.rebuild']);
+
+            foreach ($response ?: [] as $indexName => $mapping) {
+                $rebuild = $mapping['mappings']['_meta']['rebuild'] ?? null;
+                if (!isset($rebuild['alias'], $rebuild['siteId']) || !$this->isVersionOf($indexName, $rebuild['alias'])) {
+                    continue;
+                }
+
+                // A swapped index whose marker couldn't be cleared is live, not rebuilding
+                if ($this->getLiveIndexName($rebuild['alias']) === $indexName) {
+                    continue;
+                }
+
+                // Keep the newest when an earlier rebuild's index was left behind
+                if (isset($rebuilds[$rebuild['alias']]) && strcmp($rebuilds[$rebuild['alias']]['index'], $indexName) > 0) {
+                    continue;
+                }
+
+                $rebuilds[$rebuild['alias']] = [
+                    'index' => $indexName,
+                    'siteId' => (int)$rebuild['siteId'],
+                    'startedAt' => (int)($rebuild['startedAt'] ?? 0),
+                ];
+            }
+        } catch (\Exception $e) {
+            \Craft::warning('Failed to look up the index rebuilds in progress: ' . $e->getMessage(), __METHOD__);
+            return [];
+        }
+
+        $this->rebuilds = $rebuilds;
+        $this->rebuildsReadAt = time();
+
+        return $rebuilds;
+    }
+
+    /**
+     * Check whether a rebuild was started too long ago to still be running
+     *
+     * @param array $rebuild The rebuild, from [[getAllRebuilds()]]
+     * @return bool
+     */
+    private function isRebuildExpired(array $rebuild): bool
+    {
+        return $rebuild['startedAt'] < time() - self::REBUILD_EXPIRES_AFTER;
+    }
+
+    /**
+     * Remove the rebuild marker from the `_meta` of an index that has finished rebuilding
+     *
+     * @param string $indexName The index name
+     */
+    private function clearRebuildMarker(string $indexName): void
+    {
+        try {
+            $connection = SearchWithElastic::getConnection();
+            $mapping = $connection->get([$indexName, '_mapping']);
+            $meta = $mapping[$indexName]['mappings']['_meta'] ?? [];
+            unset($meta['rebuild']);
+
+            // _meta is replaced as a whole, so its other entries are written back
+            $connection->put([$indexName, '_mapping'], [], json_encode(['_meta' => $meta ?: new \stdClass()], JSON_THROW_ON_ERROR));
+        } catch (\Exception $e) {
+            \Craft::warning("Failed to clear the rebuild marker of $indexName: " . $e->getMessage(), __METHOD__);
+        }
+
+        $this->clearRebuildsCache();
+    }
+
+    /**
+     * Forget the index rebuilds read by this process, so they are read from Elasticsearch again
+     */
+    private function clearRebuildsCache(): void
+    {
+        $this->rebuilds = null;
+    }
+
     /**
      * Build dynamic mapping properties based on what element types are configured for indexing
      *
      * @param string $analyzer The analyzer to use for text fields
+     * @param string|null $searchAnalyzer The analyzer to search text fields with, if not the same
      * @return array The mapping properties array
      * @since 4.0.0
      */
-    private function buildDynamicMappingProperties(string $analyzer): array
+    private function buildDynamicMappingProperties(string $analyzer, ?string $searchAnalyzer = null): array
     {
         $settings = SearchWithElastic::getInstance()->getSettings();
 
@@ -383,10 +1437,16 @@ class IndexManagementService extends Component
                     'keyword' => ['type' => 'keyword']
                 ]
             ],
+            // Prefix suggestions for the autocomplete endpoint: titles plus the configured suggestFields
+            'suggest' => [
+                'type' => 'search_as_you_type',
+                'analyzer' => $analyzer
+            ],
             'slug' => ['type' => 'keyword'],
             'status' => ['type' => 'keyword'],
             'dateCreated' => ['type' => 'date'],
             'dateUpdated' => ['type' => 'date'],
+            'indexedAt' => ['type' => 'date'],
             'enabled' => ['type' => 'boolean'],
             'archived' => ['type' => 'boolean'],
         ];
@@ -420,6 +1480,15 @@ class IndexManagementService extends Component
             ];
         }
 
+        // The suggest field keeps the index analyzer: synonym graphs can't feed its shingle subfields
+        if ($searchAnalyzer !== null) {
+            foreach ($properties as $fieldName => $mapping) {
+                if (($mapping['type'] ?? null) === 'text') {
+                    $properties[$fieldName]['search_analyzer'] = $searchAnalyzer;
+                }
+            }
+        }
+
         // Only add searchScore if it's used in extraFields
         if ($this->isFieldUsedInExtraFields('searchScore')) {
             $properties['searchScore'] = ElasticsearchHelper::FLOAT_FIELD_MAPPING;
@@ -0,0 +1,584 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\services;
+
+use Craft;
+use craft\base\Component;
+use craft\helpers\FileHelper;
+use craft\helpers\StringHelper;
+use Generator;
+use pennebaker\searchwithelastic\exceptions\IndexingException;
+use pennebaker\searchwithelastic\jobs\ImportSnapshotJob;
+use pennebaker\searchwithelastic\SearchWithElastic;
+
+/**
+ * The Index Snapshot service exports the indexes to an NDJSON snapshot and imports them back.
+ *
+ * A snapshot holds a header line listing its indexes, then for each index a line
+ * with its settings and mappings followed by a line per document. Importing one
+ * restores each index into a new version behind its alias, like a "Reset & Index"
+ * run, so moving an indexed dataset between environments doesn't need a reindex.
+ *
+ * An instance of the service is available via [[\pennebaker\searchwithelastic\SearchWithElastic::getInstance()|`SearchWithElastic::getInstance()->indexSnapshots`]].
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class IndexSnapshotService extends Component
+{
+    /**
+     * Version of the snapshot format
+     *
+     * @since 4.2.0
+     */
+    public const FORMAT_VERSION = 1;
+
+    // Snapshot import statuses
+    public const STATUS_QUEUED = 'queued';
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_COMPLETED = 'completed';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Number of documents read from or written to Elasticsearch per request
+     */
+    private const BATCH_SIZE = 500;
+
+    /**
+     * How long Elasticsearch keeps the search context of an export between batches
+     */
+    private const SCROLL_TIMEOUT = '5m';
+
+    /**
+     * Index settings that are carried over; the rest are specific to the cluster the index was created in
+     */
+    private const PORTABLE_SETTINGS = ['number_of_shards', 'number_of_replicas', 'analysis'];
+
+    /**
+     * Cache key for the status of the current snapshot import
+     */
+    private const IMPORT_CACHE_KEY = 'search-with-elastic-snapshot-import';
+
+    /**
+     * Seconds the status of an import is kept
+     */
+    private const IMPORT_CACHE_DURATION = 86400;
+
+    /**
+     * Seconds without progress after which a running import is considered dead
+     */
+    private const IMPORT_STALE_AFTER = 1800;
+
+    /**
+     * Exports the live indexes of every site to a snapshot.
+     *
+     * Documents are read with the scroll API and written as they come, so a
+     * snapshot of any size can be streamed to a file or a response.
+     *
+     * @param resource $stream The stream to write the snapshot to
+     * @param callable|null $onProgress Called with the number of documents exported and the total
+     * @return array The export, with its `indexes` (each with `name`, `siteId` and `documentCount`) and `documentCount`
+     * @throws \Exception When an index can't be read
+     * @since 4.2.0
+     */
+    public function export($stream, ?callable $onProgress = null): array
+    {
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $connection = SearchWithElastic::getConnection();
+        $indexes = [];
+
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            foreach ($indexManagement->getAllIndexNames($site->id) as $alias) {
+                $liveIndexName = $indexManagement->getLiveIndexName($alias);
+                if ($liveIndexName === null) {
+                    continue;
+                }
+
+                $indexes[] = [
+                    'name' => $alias,
+                    'siteId' => $site->id,
+                    'siteUid' => $site->uid,
+                    'liveIndexName' => $liveIndexName,
+                    'documentCount' => (int)($connection->get([$alias, '_count'])['count'] ?? 0),
+                ];
+            }
+        }
+
+        $total = array_sum(array_column($indexes, 'documentCount'));
+        $this->writeLine($stream, [
+            'type' => 'snapshot',
+            'version' => self::FORMAT_VERSION,
+            'indexPrefix' => SearchWithElastic::getInstance()->getSettings()->indexPrefix,
+            'createdAt' => date(DATE_ATOM),
+            'indexes' => array_map(static fn(array $index) => array_diff_key($index, ['liveIndexName' => true]), $indexes),
+            'documentCount' => $total,
+        ]);
+
+        $exported = 0;
+        foreach ($indexes as $index) {
+            $this->writeLine($stream, [
+                'type' => 'index',
+                'name' => $index['name'],
+                'siteId' => $index['siteId'],
+                'siteUid' => $index['siteUid'],
+                'config' => $this->getPortableIndexConfig($index['liveIndexName']),
+            ]);
+
+            foreach ($this->scrollDocuments($index['name']) as $hits) {
+                foreach ($hits as $hit) {
+                    $this->writeLine($stream, [
+                        'type' => 'document',
+                        'id' => $hit['_id'],
+                        'source' => $hit['_source'] ?? [],
+                    ]);
+                }
+
+                $exported += count($hits);
+                if ($onProgress !== null) {
+                    $onProgress($exported, $total);
+                }
+            }
+        }
+
+        Craft::info("Exported $exported documents from " . count($indexes) . ' indexes', __METHOD__);
+
+        return [
+            'indexes' => array_map(static fn(array $index) => [
+                'name' => $index['name'],
+                'siteId' => $index['siteId'],
+                'documentCount' => $index['documentCount'],
+            ], $indexes),
+            'documentCount' => $exported,
+        ];
+    }
+
+    /**
+     * Imports a snapshot, restoring each of its indexes into a new version.
+     *
+     * An index is only imported for a site with the same ID and UID as the one it
+     * was exported from, and only if the index is configured in this environment.
+     * Its documents are written with the bulk API, and the alias is swapped to the
+     * new version once they all are; if any document fails, the new version is
+     * deleted and the live index kept.
+     *
+     * @param resource $stream The stream to read the snapshot from
+     * @param string|null $indexPrefix The index prefix to rename the indexes to, replacing the
+     *                                 snapshot's, e.g. the current `indexPrefix` setting; null keeps their names
+     * @param callable|null $onProgress Called with the number of documents imported and the total
+     * @return array A result per index in the snapshot, with `source` (its name in the snapshot),
+     *               `alias`, `index`, `previous`, `documentCount`, whether it was `swapped` and the `error` if it wasn't
+     * @throws IndexingException When the stream isn't a snapshot
+     * @since 4.2.0
+     */
+    public function import($stream, ?string $indexPrefix = null, ?callable $onProgress = null): array
+    {
+        $lines = $this->readLines($stream);
+        $header = $lines->current();
+
+        if (($header['type'] ?? null) !== 'snapshot') {
+            throw new IndexingException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The file isn\'t a Search with Elastic snapshot.'));
+        }
+        if (($header['version'] ?? null) !== self::FORMAT_VERSION) {
+            throw new IndexingException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Snapshots of version {version} aren\'t supported.', [
+                'version' => $header['version'] ?? '?',
+            ]));
+        }
+
+        $indexManagement = SearchWithElastic::getInstance()->indexManagement;
+        $total = (int)($header['documentCount'] ?? 0);
+        $imported = 0;
+        $results = [];
+
+        $lines->next();
+        while ($lines->valid()) {
+            $line = $lines->current();
+            $lines->next();
+
+            if (($line['type'] ?? null) !== 'index') {
+                continue;
+            }
+
+            $alias = $this->renameIndex($line['name'], (string)($header['indexPrefix'] ?? ''), $indexPrefix);
+            $result = [
+                'source' => $line['name'],
+                'alias' => $alias,
+                'index' => null,
+                'previous' => null,
+                'documentCount' => 0,
+                'swapped' => false,
+                'error' => $this->checkImportTarget($alias, (int)$line['siteId'], (string)($line['siteUid'] ?? '')),
+            ];
+
+            if ($result['error'] !== null) {
+                // Skip the index's documents
+                while ($lines->valid() && ($lines->current()['type'] ?? null) === 'document') {
+                    $lines->next();
+                }
+
+                Craft::warning("Snapshot index {$line['name']} not imported: {$result['error']}", __METHOD__);
+                $results[] = $result;
+                continue;
+            }
+
+            // Empty objects come back from JSON as empty arrays, which Elasticsearch rejects as mappings
+            $config = $line['config'] ?? [];
+            if (empty($config['mappings'])) {
+                unset($config['mappings']);
+            }
+
+            try {
+                $result = array_merge($result, $indexManagement->restoreIndex((int)$line['siteId'], $alias, $config, function (string $indexName) use ($lines, &$imported, $total, $onProgress) {
+                    $batch = [];
+
+                    while ($lines->valid() && ($lines->current()['type'] ?? null) === 'document') {
+                        $batch[] = $lines->current();
+                        $lines->next();
+
+                        if (count($batch) === self::BATCH_SIZE || !$lines->valid() || ($lines->current()['type'] ?? null) !== 'document') {
+                            $this->bulkIndex($indexName, $batch);
+                            $imported += count($batch);
+                            $batch = [];
+
+                            if ($onProgress !== null) {
+                                $onProgress($imported, $total);
+                            }
+                        }
+                    }
+                }));
+
+                if (!$result['swapped']) {
+                    $result['error'] = Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The swap was prevented by an event handler.');
+                }
+            } catch (\Exception $e) {
+                $result['error'] = $e->getMessage();
+                Craft::error("Failed to import snapshot index {$line['name']} into $alias: " . $e->getMessage(), __METHOD__);
+
+                // Skip the rest of the index's documents
+                while ($lines->valid() && ($lines->current()['type'] ?? null) === 'document') {
+                    $lines->next();
+                }
+            }
+
+            $results[] = $result;
+        }
+
+        Craft::info("Imported $imported documents into " . count(array_filter(array_column($results, 'swapped'))) . ' indexes', __METHOD__);
+
+        return $results;
+    }
+
+    /**
+     * Queues the import of an uploaded snapshot.
+     *
+     * The file is deleted once it has been imported, so it must be somewhere the
+     * queue runner can read it, such as [[getUploadPath()]].
+     *
+     * @param string $filePath The path of the snapshot file
+     * @param string|null $indexPrefix The index prefix to rename the indexes to, see [[import()]]
+     * @return array The status of the new import
+     * @since 4.2.0
+     */
+    public function startImport(string $filePath, ?string $indexPrefix): array
+    {
+        $importId = StringHelper::randomString(12);
+
+        // Write the status before pushing so a queue runner picking the job up straight away can find it
+        $status = [
+            'importId' => $importId,
+            'jobId' => null,
+            'filePath' => $filePath,
+            'status' => self::STATUS_QUEUED,
+            'total' => 0,
+            'processed' => 0,
+            'indexes' => [],
+            'error' => null,
+            'queuedAt' => time(),
+            'startedAt' => null,
+            'finishedAt' => null,
+            'updatedAt' => time(),
+        ];
+        Craft::$app->cache->set(self::IMPORT_CACHE_KEY, $status, self::IMPORT_CACHE_DURATION);
+
+        $jobId = Craft::$app->queue->push(new ImportSnapshotJob([
+            'importId' => $importId,
+            'filePath' => $filePath,
+            'indexPrefix' => $indexPrefix,
+        ]));
+
+        return $this->updateImportStatus($importId, ['jobId' => $jobId]) ?? $status;
+    }
+
+    /**
+     * Returns the directory uploaded snapshots are kept in until they are imported.
+     *
+     * It's in Craft's storage path rather than the temp path, so a queue runner on
+     * another web node can read it when storage is shared.
+     *
+     * @return string The directory path
+     * @throws \yii\base\Exception When the directory can't be created
+     * @since 4.2.0
+     */
+    public function getUploadPath(): string
+    {
+        $path = Craft::$app->getPath()->getStoragePath() . '/search-with-elastic/imports';
+        FileHelper::createDirectory($path);
+
+        return $path;
+    }
+
+    /**
+     * Returns the status of the current or most recent snapshot import.
+     *
+     * An import whose job left the queue or stopped making progress without
+     * finishing is marked as failed, and its snapshot file deleted.
+     *
+     * @return array|null The import status, or null if no import has been started
+     * @since 4.2.0
+     */
+    public function getImportStatus(): ?array
+    {
+        $status = Craft::$app->cache->get(self::IMPORT_CACHE_KEY);
+        if (!is_array($status) || !in_array($status['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING], true)) {
+            return is_array($status) ? $status : null;
+        }
+
+        $stale = $status['status'] === self::STATUS_RUNNING && $status['updatedAt'] < time() - self::IMPORT_STALE_AFTER;
+        if (!$stale && !SearchWithElastic::getInstance()->reindexQueueManagement->isJobStopped($status['jobId'])) {
+            return $status;
+        }
+
+        Craft::warning("Snapshot import {$status['importId']} stopped without finishing", __METHOD__);
+        $this->deleteUpload($status['filePath'] ?? null);
+
+        return $this->updateImportStatus($status['importId'], [
+            'status' => self::STATUS_FAILED,
+            'error' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The import job stopped before the import finished. Check the queue and the logs, then upload the snapshot again.'),
+            'finishedAt' => time(),
+        ]) ?? $status;
+    }
+
+    /**
+     * Deletes an uploaded snapshot file.
+     *
+     * @param string|null $filePath The path of the snapshot file
+     * @since 4.2.0
+     */
+    public function deleteUpload(?string $filePath): void
+    {
+        if ($filePath !== null && file_exists($filePath)) {
+            unlink($filePath);
+        }
+    }
+
+    /**
+     * Returns whether a snapshot import is queued or in progress.
+     *
+     * @return bool
+     * @since 4.2.0
+     */
+    public function isImportActive(): bool
+    {
+        $status = $this->getImportStatus();
+
+        return $status !== null && in_array($status['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING], true);
+    }
+
+    /**
+     * Updates the status of a snapshot import.
+     *
+     * @param string $importId The import to update
+     * @param array $changes The status values to change
+     * @return array|null The updated status, or null if the import is no longer the current one
+     * @since 4.2.0
+     */
+    public function updateImportStatus(string $importId, array $changes): ?array
+    {
+        $status = Craft::$app->cache->get(self::IMPORT_CACHE_KEY);
+        if (!is_array($status) || $status['importId'] !== $importId) {
+            return null;
+        }
+
+        $status = array_merge($status, $changes, ['updatedAt' => time()]);
+        Craft::$app->cache->set(self::IMPORT_CACHE_KEY, $status, self::IMPORT_CACHE_DURATION);
+
+        return $status;
+    }
+
+    /**
+     * Get the settings and mappings of an index that can be used to create it in another cluster
+     *
+     * @param string $indexName The index name
+     * @return array The index configuration, with `settings` and `mappings`
+     * @throws \Exception When the index can't be read
+     */
+    private function getPortableIndexConfig(string $indexName): array
+    {
+        $connection = SearchWithElastic::getConnection();
+
+        // Both responses are keyed by the index name
+        $settings = $connection->get([$indexName, '_settings']);
+        $settings = reset($settings)['settings']['index'] ?? [];
+        $mappings = $connection->get([$indexName, '_mapping']);
+        $mappings = reset($mappings)['mappings'] ?? [];
+
+        return [
+            'settings' => array_intersect_key($settings, array_flip(self::PORTABLE_SETTINGS)),
+            'mappings' => $mappings ?: new \stdClass(),
+        ];
+    }
+
+    /**
+     * Read the documents of an index in batches with the scroll API
+     *
+     * @param string $indexName The index or alias
+     * @return Generator<array> Batches of hits
+     * @throws \Exception When the index can't be read
+     */
+    private function scrollDocuments(string $indexName): Generator
+    {
+        $connection = SearchWithElastic::getConnection();
+        $response = $connection->post([$indexName, '_search'], ['scroll' => self::SCROLL_TIMEOUT], json_encode([
+            'size' => self::BATCH_SIZE,
+            'sort' => ['_doc'],
+        ], JSON_THROW_ON_ERROR));
+        $scrollId = $response['_scroll_id'] ?? null;
+
+        try {
+            while (!empty($response['hits']['hits'])) {
+                yield $response['hits']['hits'];
+
+                $response = $connection->post(['_search', 'scroll'], [], json_encode([
+                    'scroll' => self::SCROLL_TIMEOUT,
+                    'scroll_id' => $scrollId,
+                ], JSON_THROW_ON_ERROR));
+                $scrollId = $response['_scroll_id'] ?? $scrollId;
+            }
+        } finally {
+            if ($scrollId !== null) {
+                try {
+                    $connection->delete(['_search', 'scroll'], [], json_encode(['scroll_id' => [$scrollId]], JSON_THROW_ON_ERROR));
+                } catch (\Exception $e) {
+                    Craft::warning("Failed to clear the scroll of $indexName: " . $e->getMessage(), __METHOD__);
+                }
+            }
+        }
+    }
+
+    /**
+     * Write documents to an index with the bulk API
+     *
+     * @param string $indexName The index name
+     * @param array $documents Document lines of a snapshot
+     * @throws IndexingException When a document couldn't be written
+     * @throws \Exception When the request fails
+     */
+    private function bulkIndex(string $indexName, array $documents): void
+    {
+        $body = '';
+        foreach ($documents as $document) {
+            $body .= json_encode(['index' => ['_index' => $indexName, '_id' => $document['id']]], JSON_THROW_ON_ERROR) . "\n";
+            $body .= json_encode($document['source'] ?: new \stdClass(), JSON_THROW_ON_ERROR) . "\n";
+        }
+
+        $response = SearchWithElastic::getConnection()->post(['_bulk'], [], $body);
+        if (empty($response['errors'])) {
+            return;
+        }
+
+        foreach ($response['items'] ?? [] as $item) {
+            if (isset($item['index']['error'])) {
+                throw new IndexingException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Document {id} couldn\'t be imported: {reason}', [
+                    'id' => $item['index']['_id'] ?? '?',
+                    'reason' => $item['index']['error']['reason'] ?? $item['index']['error']['type'] ?? '',
+                ]));
+            }
+        }
+    }
+
+    /**
+     * Check whether a snapshot index can be imported into an index of this environment
+     *
+     * @param string $alias The index name it would be imported as
+     * @param int $siteId The ID of the site it was exported from
+     * @param string $siteUid The UID of the site it was exported from
+     * @return string|null The reason it can't be imported, or null if it can
+     */
+    private function checkImportTarget(string $alias, int $siteId, string $siteUid): ?string
+    {
+        $site = Craft::$app->getSites()->getSiteById($siteId, true);
+
+        if ($site === null || ($siteUid !== '' && $site->uid !== $siteUid)) {
+            return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Site {siteId} doesn\'t exist in this environment.', ['siteId' => $siteId]);
+        }
+
+        if (!in_array($alias, SearchWithElastic::getInstance()->indexManagement->getAllIndexNames($siteId), true)) {
+            return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The index {index} isn\'t configured in this environment.', ['index' => $alias]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace the index prefix of a snapshot index name
+     *
+     * @param string $name The index name in the snapshot
+     * @param string $snapshotPrefix The index prefix the snapshot was exported with
+     * @param string|null $indexPrefix The prefix to replace it with, or null to keep the name
+     * @return string The index name
+     */
+    private function renameIndex(string $name, string $snapshotPrefix, ?string $indexPrefix): string
+    {
+        if ($indexPrefix === null || !str_starts_with($name, $snapshotPrefix)) {
+            return $name;
+        }
+
+        return $indexPrefix . substr($name, strlen($snapshotPrefix));
+    }
+
+    /**
+     * Read the lines of a snapshot
+     *
+     * @param resource $stream The stream to read
+     * @return Generator<array> The decoded lines, skipping blank ones
+     * @throws IndexingException When a line isn't valid JSON
+     */
+    private function readLines($stream): Generator
+    {
+        $number = 0;
+
+        while (($line = fgets($stream)) !== false) {
+            $number++;
+            if (trim($line) === '') {
+                continue;
+            }
+
+            $decoded = json_decode($line, true);
+            if (!is_array($decoded)) {
+                throw new IndexingException(Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Line {number} of the snapshot isn\'t valid JSON.', ['number' => $number]));
+            }
+
+            yield $decoded;
+        }
+    }
+
+    /**
+     * Write a line to a snapshot
+     *
+     * @param resource $stream The stream to write to
+     * @param array $line The line
+     * @throws \JsonException When the line can't be encoded
+     */
+    private function writeLine($stream, array $line): void
+    {
+        fwrite($stream, json_encode($line, JSON_THROW_ON_ERROR | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n");
+    }
+}
@@ -0,0 +1,403 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\services;
+
+use Craft;
+use craft\base\Component;
+use craft\db\Table;
+use craft\helpers\DateTimeHelper;
+use craft\helpers\Db;
+use craft\helpers\StringHelper;
+use DateTime;
+
+/**
+ * Pinned Results Service
+ *
+ * Manages the pinned results ("best bets") of each site: rules that put chosen
+ * elements first, in a fixed order, when a search matches the rule's terms,
+ * whatever their relevance score. Rules are stored in the project config under
+ * `searchWithElastic.pinnedResults`, with site and element UIDs so they can be
+ * deployed between environments, and can be limited to a period.
+ *
+ * Each rule matches its comma-separated terms against the query, ignoring case
+ * and repeated whitespace:
+ * - `exact`: the query is one of the terms
+ * - `contains`: the query contains one of the terms as whole words
+ * - `pattern`: the query matches one of the terms, where `*` stands for any text
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class PinnedResultsService extends Component
+{
+    /**
+     * @var string Project config path of the pinned results rules
+     * @since 4.2.0
+     */
+    public const CONFIG_KEY = 'searchWithElastic.pinnedResults';
+
+    /**
+     * @var string Match queries equal to one of the terms
+     * @since 4.2.0
+     */
+    public const MATCH_EXACT = 'exact';
+
+    /**
+     * @var string Match queries containing one of the terms as whole words
+     * @since 4.2.0
+     */
+    public const MATCH_CONTAINS = 'contains';
+
+    /**
+     * @var string Match queries against terms with `*` wildcards
+     * @since 4.2.0
+     */
+    public const MATCH_PATTERN = 'pattern';
+
+    /**
+     * @var int Most elements a rule can pin
+     */
+    private const MAX_ELEMENTS_PER_RULE = 10;
+
+    /**
+     * @var array|null Rules loaded from the project config during this request
+     */
+    private ?array $rules = null;
+
+    /**
+     * Get the pinned results rules
+     *
+     * @param int|null $siteId Site to get the rules of, or null for all sites
+     * @return array Rules in their order, each with uid, siteId, terms, match, elementIds, startDate, endDate and sortOrder
+     * @since 4.2.0
+     */
+    public function getRules(?int $siteId = null): array
+    {
+        if ($this->rules === null) {
+            $this->rules = $this->loadRules();
+        }
+
+        if ($siteId === null) {
+            return $this->rules;
+        }
+
+        return array_values(array_filter($this->rules, static fn(array $rule) => $rule['siteId'] === $siteId));
+    }
+
+    /**
+     * Normalize submitted rules
+     *
+     * Drops rows without terms or elements and accepts element IDs given as strings
+     * and dates in any format [[DateTimeHelper::toDateTime()]] understands, taken to
+     * be in the system time zone.
+     *
+     * @param array $rules Submitted rules, each with uid, terms, match, elementIds, startDate and endDate
+     * @return array The normalized rules
+     * @since 4.2.0
+     */
+    public function normalizeRules(array $rules): array
+    {
+        $normalized = [];
+
+        foreach ($rules as $rule) {
+            if (!is_array($rule)) {
+                continue;
+            }
+
+            $terms = implode(', ', $this->splitTerms((string)($rule['terms'] ?? '')));
+            $elementIds = array_values(array_unique(array_filter(array_map('intval', (array)($rule['elementIds'] ?? [])))));
+
+            if ($terms === '' && empty($elementIds)) {
+                continue;
+            }
+
+            $uid = (string)($rule['uid'] ?? '');
+
+            $normalized[] = [
+                'uid' => StringHelper::isUUID($uid) ? $uid : StringHelper::UUID(),
+                'terms' => $terms,
+                'match' => in_array($rule['match'] ?? null, [self::MATCH_EXACT, self::MATCH_CONTAINS, self::MATCH_PATTERN], true) ? $rule['match'] : self::MATCH_EXACT,
+                'elementIds' => $elementIds,
+                'startDate' => !empty($rule['startDate']) ? (DateTimeHelper::toDateTime($rule['startDate'], true) ?: null) : null,
+                'endDate' => !empty($rule['endDate']) ? (DateTimeHelper::toDateTime($rule['endDate'], true) ?: null) : null,
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Validate normalized rules
+     *
+     * @param array $rules Rules from normalizeRules()
+     * @return string[] The errors, prefixed with the row they are in
+     * @since 4.2.0
+     */
+    public function validateRules(array $rules): array
+    {
+        $errors = [];
+
+        foreach ($rules as $i => $rule) {
+            $row = $i + 1;
+
+            if ($rule['terms'] === '') {
+                $errors[] = Craft::t('search-with-elastic', 'Row {row}: Enter the query terms to pin elements for.', ['row' => $row]);
+            }
+
+            if (empty($rule['elementIds'])) {
+                $errors[] = Craft::t('search-with-elastic', 'Row {row}: Choose the elements to pin.', ['row' => $row]);
+            } elseif (count($rule['elementIds']) > self::MAX_ELEMENTS_PER_RULE) {
+                $errors[] = Craft::t('search-with-elastic', 'Row {row}: A rule can pin at most {max} elements.', ['row' => $row, 'max' => self::MAX_ELEMENTS_PER_RULE]);
+            }
+
+            if ($rule['startDate'] && $rule['endDate'] && $rule['endDate'] <= $rule['startDate']) {
+                $errors[] = Craft::t('search-with-elastic', 'Row {row}: The end date must be after the start date.', ['row' => $row]);
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Save the rules of a site to the project config, replacing its previous rules
+     *
+     * @param int $siteId The site the rules apply to
+     * @param array $rules Normalized and validated rules, in their order
+     * @return bool Whether the rules were saved
+     * @since 4.2.0
+     */
+    public function saveRules(int $siteId, array $rules): bool
+    {
+        $site = Craft::$app->getSites()->getSiteById($siteId);
+        if ($site === null) {
+            return false;
+        }
+
+        $projectConfig = Craft::$app->getProjectConfig();
+        $elementUids = Db::uidsByIds(Table::ELEMENTS, array_merge([], ...array_column($rules, 'elementIds')));
+
+        $savedUids = [];
+        foreach ($rules as $sortOrder => $rule) {
+            $projectConfig->set(self::CONFIG_KEY . '.' . $rule['uid'], [
+                'site' => $site->uid,
+                'terms' => $rule['terms'],
+                'match' => $rule['match'],
+                'elements' => array_values(array_filter(array_map(static fn(int $id) => $elementUids[$id] ?? null, $rule['elementIds']))),
+                'startDate' => $rule['startDate'] ? DateTimeHelper::toIso8601($rule['startDate']) : null,
+                'endDate' => $rule['endDate'] ? DateTimeHelper::toIso8601($rule['endDate']) : null,
+                'sortOrder' => $sortOrder + 1,
+            ], "Save pinned results for “{$site->name}”");
+            $savedUids[] = $rule['uid'];
+        }
+
+        // Remove the site's rules that were deleted
+        foreach ($projectConfig->get(self::CONFIG_KEY) ?? [] as $uid => $config) {
+            if (($config['site'] ?? null) === $site->uid && !in_array($uid, $savedUids, true)) {
+                $projectConfig->remove(self::CONFIG_KEY . '.' . $uid, "Delete pinned results for “{$site->name}”");
+            }
+        }
+
+        $this->rules = null;
+
+        return true;
+    }
+
+    /**
+     * Get the elements pinned for a query
+     *
+     * @param string $query The search query
+     * @param int $siteId The site searched
+     * @return int[] The IDs of the pinned elements, in the order of the matching rules
+     * @since 4.2.0
+     */
+    public function getPinnedElementIds(string $query, int $siteId): array
+    {
+        $query = $this->normalizeText($query);
+        if ($query === '') {
+            return [];
+        }
+
+        $now = new DateTime();
+        $elementIds = [];
+
+        foreach ($this->getRules($siteId) as $rule) {
+            if (($rule['startDate'] && $rule['startDate'] > $now) || ($rule['endDate'] && $rule['endDate'] <= $now)) {
+                continue;
+            }
+
+            if ($this->matchesQuery($rule, $query)) {
+                array_push($elementIds, ...$rule['elementIds']);
+            }
+        }
+
+        return array_values(array_unique($elementIds));
+    }
+
+    /**
+     * Get the pinned results for a query, in their pinned order
+     *
+     * The pinned elements are looked up in the index searched, so only elements that
+     * are indexed appear, and are flagged with `_pinned`.
+     *
+     * @param string $query The search query
+     * @param int $siteId The site searched
+     * @param string $indexName The index searched
+     * @return array The pinned hits
+     * @since 4.2.0
+     */
+    public function getPinnedHits(string $query, int $siteId, string $indexName): array
+    {
+        $elementIds = $this->getPinnedElementIds($query, $siteId);
+        if (empty($elementIds)) {
+            return [];
+        }
+
+        $response = ElasticsearchDirectService::search([
+            'index' => $indexName,
+            'size' => count($elementIds),
+            'body' => [
+                'query' => [
+                    'bool' => [
+                        'filter' => [
+                            ['terms' => ['elementId' => $elementIds]],
+                        ],
+                    ],
+                ],
+            ],
+        ]);
+
+        $pinnedHits = [];
+        foreach ($response['hits']['hits'] ?? [] as $hit) {
+            $hit['_pinned'] = true;
+            $pinnedHits[(int)($hit['_source']['elementId'] ?? 0)] = $hit;
+        }
+
+        $orderedHits = [];
+        foreach ($elementIds as $elementId) {
+            if (isset($pinnedHits[$elementId])) {
+                $orderedHits[] = $pinnedHits[$elementId];
+            }
+        }
+
+        return $orderedHits;
+    }
+
+    /**
+     * Put pinned results before the hits of a search and cut out a page
+     *
+     * The hits must start at the first hit and reach past the end of the page by the
+     * number of pinned hits, so the page is still full once the pinned elements are
+     * left out of them. Pinned hits take the first places, and later pages carry on
+     * where the earlier ones stopped.
+     *
+     * @param array $hits The hits of the search, from the first one
+     * @param array $pinnedHits The pinned hits, from [[getPinnedHits()]]
+     * @param int $from The offset of the page
+     * @param int $size The size of the page
+     * @return array The page of hits, with the pinned results first
+     * @since 4.2.0
+     */
+    public function applyPinnedResults(array $hits, array $pinnedHits, int $from, int $size): array
+    {
+        $pinnedIds = array_map(static fn(array $hit) => (int)($hit['_source']['elementId'] ?? 0), $pinnedHits);
+        $hits = array_filter($hits, static fn(array $hit) => !in_array((int)($hit['_source']['elementId'] ?? 0), $pinnedIds, true));
+
+        return array_slice(array_merge($pinnedHits, array_values($hits)), $from, $size);
+    }
+
+    /**
+     * Load the rules from the project config
+     *
+     * @return array The rules, sorted by site and order
+     */
+    private function loadRules(): array
+    {
+        $config = Craft::$app->getProjectConfig()->get(self::CONFIG_KEY) ?? [];
+
+        $elementUids = [];
+        foreach ($config as $ruleConfig) {
+            array_push($elementUids, ...($ruleConfig['elements'] ?? []));
+        }
+        $elementIds = Db::idsByUids(Table::ELEMENTS, array_unique($elementUids));
+
+        $rules = [];
+        foreach ($config as $uid => $ruleConfig) {
+            $site = Craft::$app->getSites()->getSiteByUid($ruleConfig['site'] ?? '');
+            if ($site === null) {
+                continue;
+            }
+
+            $rules[] = [
+                'uid' => $uid,
+                'siteId' => $site->id,
+                'terms' => $ruleConfig['terms'] ?? '',
+                'match' => $ruleConfig['match'] ?? self::MATCH_EXACT,
+                'elementIds' => array_values(array_filter(array_map(static fn(string $elementUid) => $elementIds[$elementUid] ?? null, $ruleConfig['elements'] ?? []))),
+                'startDate' => !empty($ruleConfig['startDate']) ? (DateTimeHelper::toDateTime($ruleConfig['startDate']) ?: null) : null,
+                'endDate' => !empty($ruleConfig['endDate']) ? (DateTimeHelper::toDateTime($ruleConfig['endDate']) ?: null) : null,
+                'sortOrder' => (int)($ruleConfig['sortOrder'] ?? 0),
+            ];
+        }
+
+        usort($rules, static fn(array $a, array $b) => [$a['siteId'], $a['sortOrder']] <=> [$b['siteId'], $b['sortOrder']]);
+
+        return $rules;
+    }
+
+    /**
+     * Whether a rule matches a query
+     *
+     * @param array $rule The rule
+     * @param string $query The normalized query
+     * @return bool
+     */
+    private function matchesQuery(array $rule, string $query): bool
+    {
+        foreach ($this->splitTerms($rule['terms']) as $term) {
+            $term = $this->normalizeText($term);
+
+            $matches = match ($rule['match']) {
+                self::MATCH_CONTAINS => (bool)preg_match('/(?:^|\s)' . preg_quote($term, '/') . '(?:\s|$)/u', $query),
+                self::MATCH_PATTERN => (bool)preg_match('/^' . str_replace('\*', '.*', preg_quote($term, '/')) . '$/u', $query),
+                default => $term === $query,
+            };
+
+            if ($matches) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Split comma-separated terms
+     *
+     * @param string $terms The terms
+     * @return string[] The non-empty terms
+     */
+    private function splitTerms(string $terms): array
+    {
+        return array_values(array_filter(array_map('trim', explode(',', $terms)), static fn(string $term) => $term !== ''));
+    }
+
+    /**
+     * Lowercase text and collapse its whitespace
+     *
+     * @param string $text The text
+     * @return string The normalized text
+     */
+    private function normalizeText(string $text): string
+    {
+        return trim(mb_strtolower(preg_replace('/\s+/u', ' ', $text)));
+    }
+}
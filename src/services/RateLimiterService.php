@@ -15,6 +15,8 @@ use Craft;
 use craft\base\Component;
 use pennebaker\searchwithelastic\SearchWithElastic;
 use yii\caching\CacheInterface;
+use yii\caching\MemCache;
+use yii\redis\Cache as RedisCache;
 use yii\web\TooManyRequestsHttpException;
 
 /**
@@ -38,6 +40,31 @@ class RateLimiterService extends Component
      */
     private const CACHE_PREFIX = 'searchwithelastic_ratelimit_';
 
+    /**
+     * Cache key prefix for the monitoring data, kept apart from the buckets so no identifier can clash with it
+     */
+    private const MONITOR_CACHE_PREFIX = 'searchwithelastic_ratelimitmonitor_';
+
+    /**
+     * Seconds the per-minute request counts are kept (24 hours)
+     */
+    private const COUNTS_DURATION = 86400;
+
+    /**
+     * Maximum number of identifiers listed by [[getClients()]]
+     */
+    private const MAX_TRACKED_CLIENTS = 1000;
+
+    /**
+     * Number of lists the identifiers are spread over, so each list stays small
+     */
+    private const CLIENT_LIST_SHARDS = 16;
+
+    /**
+     * Seconds before an identifier is added to its list again, to refresh when it was last seen
+     */
+    private const CLIENT_LIST_INTERVAL = 300;
+
     /**
      * @var CacheInterface The cache component
      */
@@ -79,16 +106,17 @@ class RateLimiterService extends Component
 
         // Get current bucket state
         $bucket = $this->getBucket($identifier);
-        
-        // Check if request can be processed
-        if ($bucket['tokens'] >= 1) {
-            // Consume a token
+        $allowed = $bucket['tokens'] >= 1;
+
+        // Consume a token if the request can be processed
+        if ($allowed) {
             $bucket['tokens']--;
-            $this->saveBucket($identifier, $bucket);
-            return true;
         }
 
-        return false;
+        $this->trackRequest($identifier, $bucket, $allowed);
+        $this->saveBucket($identifier, $bucket);
+
+        return $allowed;
     }
 
     /**
@@ -172,16 +200,127 @@ class RateLimiterService extends Component
 
         $cacheKey = $this->getCacheKey($identifier);
         $this->cache->delete($cacheKey);
+
+        $listKey = $this->getClientListKey($identifier);
+        $clients = $this->cache->get($listKey);
+        if (is_array($clients)) {
+            unset($clients[$identifier]);
+            $this->cache->set($listKey, $clients, self::CACHE_DURATION);
+        }
     }
 
     /**
      * Clear all rate limit data
+     *
+     * Deletes the bucket of every identifier that made a request in the last hour.
+     * The per-minute request counts are kept.
      */
     public function clearAll(): void
     {
-        // Since we can't enumerate all keys with a prefix in Yii cache,
-        // we'll rely on TTL expiration for automatic cleanup
-        Craft::info('Rate limit data will expire based on TTL', __METHOD__);
+        foreach (array_keys($this->getTrackedClients()) as $identifier) {
+            $this->cache->delete($this->getCacheKey((string)$identifier));
+        }
+
+        for ($shard = 0; $shard < self::CLIENT_LIST_SHARDS; $shard++) {
+            $this->cache->delete(self::MONITOR_CACHE_PREFIX . 'clients_' . $shard);
+        }
+
+        Craft::info('Cleared all rate limit buckets', __METHOD__);
+    }
+
+    /**
+     * Get the identifiers with an active bucket, most recent request first
+     *
+     * An identifier is throttled while its bucket has less than a token left.
+     *
+     * @return array The clients, each with `identifier`, `ip` (for IP-based identifiers), `remainingTokens`,
+     *               `lastRequestAt`, `requests` and `rejected` since the bucket was created, `lastRejectedAt`,
+     *               `peakPerMinute`, and whether it is `throttled` and `exempt`
+     * @since 4.2.0
+     */
+    public function getClients(): array
+    {
+        $identifiers = array_map('strval', array_keys($this->getTrackedClients()));
+        if (empty($identifiers)) {
+            return [];
+        }
+
+        $cacheKeys = array_map(fn(string $identifier) => $this->getCacheKey($identifier), $identifiers);
+        $buckets = $this->cache->multiGet($cacheKeys);
+        $clients = [];
+
+        foreach ($identifiers as $i => $identifier) {
+            if (!is_array($buckets[$cacheKeys[$i]] ?? null)) {
+                continue;
+            }
+
+            $bucket = $this->refillBucket($buckets[$cacheKeys[$i]]);
+            $clients[] = [
+                'identifier' => $identifier,
+                'ip' => str_starts_with($identifier, 'ip_') ? substr($identifier, 3) : null,
+                'remainingTokens' => max(0, (int) floor($bucket['tokens'])),
+                'lastRequestAt' => (int) ($bucket['last_request'] ?? $buckets[$cacheKeys[$i]]['last_refill']),
+                'requests' => $bucket['requests'] ?? 0,
+                'rejected' => $bucket['rejected'] ?? 0,
+                'lastRejectedAt' => isset($bucket['last_rejected']) ? (int) $bucket['last_rejected'] : null,
+                'peakPerMinute' => $bucket['peak_per_minute'] ?? 0,
+                'throttled' => $bucket['tokens'] < 1,
+                'exempt' => $this->isExempt($identifier),
+            ];
+        }
+
+        usort($clients, static fn(array $a, array $b) => $b['lastRequestAt'] <=> $a['lastRequestAt']);
+
+        return $clients;
+    }
+
+    /**
+     * Get the number of allowed and rejected requests over a period
+     *
+     * Requests are counted per minute and kept for 24 hours. Requests from exempt
+     * IPs, and any made while rate limiting is disabled, aren't counted.
+     *
+     * @param int $minutes Length of the period, up to 1440
+     * @param int $interval Minutes per point of the series
+     * @return array The `series`, oldest first, each point with `date` (ISO 8601), `allowed` and `rejected`,
+     *               and the `totals` of `allowed` and `rejected` requests
+     * @since 4.2.0
+     */
+    public function getRequestCounts(int $minutes = 60, int $interval = 1): array
+    {
+        $minutes = min(intdiv(self::COUNTS_DURATION, 60), max(1, $minutes));
+        $interval = max(1, $interval);
+
+        // Align the points to the interval, ending with the current minute
+        $end = intdiv(time(), 60);
+        $start = $end - $minutes + 1;
+        $start -= $start % $interval;
+
+        $cacheKeys = [];
+        for ($minute = $start; $minute <= $end; $minute++) {
+            foreach (['allowed', 'rejected'] as $type) {
+                $cacheKeys[] = $this->getCountKey($minute, $type);
+            }
+        }
+        $counts = $this->getCounters($cacheKeys);
+
+        $series = [];
+        $totals = ['allowed' => 0, 'rejected' => 0];
+        for ($minute = $start; $minute <= $end; $minute++) {
+            $point = intdiv($minute - $start, $interval);
+            $series[$point] ??= ['date' => date(DATE_ATOM, ($start + $point * $interval) * 60), 'allowed' => 0, 'rejected' => 0];
+
+            foreach (['allowed', 'rejected'] as $type) {
+                $count = $counts[$this->getCountKey($minute, $type)];
+                $series[$point][$type] += $count;
+                $totals[$type] += $count;
+            }
+        }
+
+        return [
+            'series' => array_values($series),
+            'totals' => $totals,
+        ];
     }
 
     /**
@@ -205,6 +344,169 @@ class RateLimiterService extends Component
         return 'ip_' . $request->getUserIP();
     }
 
+    /**
+     * Check if an IP is exempt from rate limiting
+     *
+     * @param string $ip The IP address
+     * @return bool True if it matches one of the `rateLimitExemptIps`
+     * @since 4.2.0
+     */
+    public function isIpExempt(string $ip): bool
+    {
+        return $this->isExempt('ip_' . $ip);
+    }
+
+    /**
+     * Record a rate-limited request in its bucket, the list of clients and the per-minute counts
+     *
+     * The per-minute counts go through [[incrementCounter()]], which is atomic on
+     * Redis and Memcached. A client's shard of the client list is only rewritten
+     * when its bucket is new or every few minutes after, so a concurrent write can
+     * at worst leave a client out until its next listing.
+     *
+     * @param string $identifier The identifier
+     * @param array $bucket The bucket, updated in place
+     * @param bool $allowed Whether the request was allowed
+     */
+    private function trackRequest(string $identifier, array &$bucket, bool $allowed): void
+    {
+        $now = time();
+        $minute = intdiv($now, 60);
+
+        $bucket['last_request'] = $now;
+        $bucket['requests'] = ($bucket['requests'] ?? 0) + 1;
+        if (!$allowed) {
+            $bucket['rejected'] = ($bucket['rejected'] ?? 0) + 1;
+            $bucket['last_rejected'] = $now;
+        }
+
+        // Requests in the bucket's busiest minute, the number to compare with rateLimitRequestsPerMinute
+        $bucket['minute_requests'] = ($bucket['minute'] ?? null) === $minute ? ($bucket['minute_requests'] ?? 0) + 1 : 1;
+        $bucket['minute'] = $minute;
+        $bucket['peak_per_minute'] = max($bucket['peak_per_minute'] ?? 0, $bucket['minute_requests']);
+
+        $this->incrementCounter($this->getCountKey($minute, $allowed ? 'allowed' : 'rejected'), self::COUNTS_DURATION);
+
+        // The lists only have to know which buckets exist, so a client is added when its bucket is new and every few minutes after
+        if (($bucket['listed_at'] ?? 0) < $now - self::CLIENT_LIST_INTERVAL) {
+            $bucket['listed_at'] = $now;
+
+            $listKey = $this->getClientListKey($identifier);
+            $clients = $this->cache->get($listKey) ?: [];
+            $clients[$identifier] = $now;
+            $clients = array_filter($clients, static fn(int $seenAt) => $seenAt > $now - self::CACHE_DURATION);
+            arsort($clients);
+            $clients = array_slice($clients, 0, intdiv(self::MAX_TRACKED_CLIENTS, self::CLIENT_LIST_SHARDS), true);
+            $this->cache->set($listKey, $clients, self::CACHE_DURATION);
+        }
+    }
+
+    /**
+     * Get the identifiers that made a rate-limited request in the last hour
+     *
+     * @return array When each was last seen, keyed by identifier
+     */
+    private function getTrackedClients(): array
+    {
+        $listKeys = [];
+        for ($shard = 0; $shard < self::CLIENT_LIST_SHARDS; $shard++) {
+            $listKeys[] = self::MONITOR_CACHE_PREFIX . 'clients_' . $shard;
+        }
+
+        $clients = [];
+        foreach ($this->cache->multiGet($listKeys) as $list) {
+            if (is_array($list)) {
+                $clients = array_replace($clients, $list);
+            }
+        }
+
+        arsort($clients);
+
+        return $clients;
+    }
+
+    /**
+     * Get the cache key of the list an identifier is tracked in
+     *
+     * @param string $identifier The identifier
+     * @return string The cache key
+     */
+    private function getClientListKey(string $identifier): string
+    {
+        return self::MONITOR_CACHE_PREFIX . 'clients_' . (crc32($identifier) % self::CLIENT_LIST_SHARDS);
+    }
+
+    /**
+     * Get the cache key of the allowed or rejected request count of a minute
+     *
+     * @param int $minute The minute, as a Unix timestamp divided by 60
+     * @param string $type 'allowed' or 'rejected'
+     * @return string The cache key
+     */
+    private function getCountKey(int $minute, string $type): string
+    {
+        return self::MONITOR_CACHE_PREFIX . 'counts_' . $minute . '_' . $type;
+    }
+
+    /**
+     * Add one to a counter shared by every request
+     *
+     * Redis and Memcached increment the counter atomically. Other caches can't, so
+     * concurrent requests may undercount there.
+     *
+     * @param string $key The cache key
+     * @param int $duration Seconds the counter is kept after it is created
+     */
+    private function incrementCounter(string $key, int $duration): void
+    {
+        if ($this->cache instanceof RedisCache) {
+            $cacheKey = $this->cache->buildKey($key);
+            if ((int)$this->cache->redis->executeCommand('INCR', [$cacheKey]) === 1) {
+                $this->cache->redis->executeCommand('EXPIRE', [$cacheKey, $duration]);
+            }
+            return;
+        }
+
+        if ($this->cache instanceof MemCache && $this->cache->useMemcached) {
+            $memcached = $this->cache->getMemcache();
+            $cacheKey = $this->cache->buildKey($key);
+
+            // add() only succeeds for the first request; the others increment the counter it created
+            if ($memcached->increment($cacheKey) === false && !$memcached->add($cacheKey, 1, $duration)) {
+                $memcached->increment($cacheKey);
+            }
+            return;
+        }
+
+        $this->cache->set($key, (int)$this->cache->get($key) + 1, $duration);
+    }
+
+    /**
+     * Read counters written by [[incrementCounter()]]
+     *
+     * @param string[] $keys The cache keys
+     * @return int[] The counts, keyed by cache key; 0 for counters that don't exist
+     */
+    private function getCounters(array $keys): array
+    {
+        if (empty($keys)) {
+            return [];
+        }
+
+        // Atomic counters are stored as plain numbers, which the cache can't unserialize
+        if ($this->cache instanceof RedisCache) {
+            $values = $this->cache->redis->executeCommand('MGET', array_map([$this->cache, 'buildKey'], $keys));
+        } elseif ($this->cache instanceof MemCache && $this->cache->useMemcached) {
+            $cacheKeys = array_map([$this->cache, 'buildKey'], $keys);
+            $found = $this->cache->getMemcache()->getMulti($cacheKeys) ?: [];
+            $values = array_map(static fn(string $cacheKey) => $found[$cacheKey] ?? 0, $cacheKeys);
+        } else {
+            $values = array_values($this->cache->multiGet($keys));
+        }
+
+        return array_combine($keys, array_map('intval', $values));
+    }
+
     /**
      * Check if an identifier is exempt from rate limiting
      *
@@ -284,23 +586,36 @@ class RateLimiterService extends Component
                 'last_refill' => microtime(true),
             ];
         } else {
-            // Refill tokens based on elapsed time
-            $now = microtime(true);
-            $elapsed = $now - $bucket['last_refill'];
-            
-            // Calculate tokens to add (tokens per second * elapsed seconds)
-            $tokensPerSecond = $settings->rateLimitRequestsPerMinute / 60;
-            $tokensToAdd = $elapsed * $tokensPerSecond;
-            
-            // Add tokens up to the maximum (rate limit + burst)
-            $maxTokens = $settings->rateLimitRequestsPerMinute + $settings->rateLimitBurstSize;
-            $bucket['tokens'] = min($maxTokens, $bucket['tokens'] + $tokensToAdd);
-            $bucket['last_refill'] = $now;
+            $bucket = $this->refillBucket($bucket);
         }
         
         return $bucket;
     }
 
+    /**
+     * Refill a bucket's tokens based on the time elapsed since its last refill
+     *
+     * @param array $bucket The bucket data
+     * @return array The refilled bucket
+     */
+    private function refillBucket(array $bucket): array
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        $now = microtime(true);
+        $elapsed = $now - $bucket['last_refill'];
+
+        // Calculate tokens to add (tokens per second * elapsed seconds)
+        $tokensPerSecond = $settings->rateLimitRequestsPerMinute / 60;
+        $tokensToAdd = $elapsed * $tokensPerSecond;
+
+        // Add tokens up to the maximum (rate limit + burst)
+        $maxTokens = $settings->rateLimitRequestsPerMinute + $settings->rateLimitBurstSize;
+        $bucket['tokens'] = min($maxTokens, $bucket['tokens'] + $tokensToAdd);
+        $bucket['last_refill'] = $now;
+
+        return $bucket;
+    }
+
     /**
      * Save the token bucket for an identifier
      *
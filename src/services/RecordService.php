@@ -58,7 +58,8 @@ class RecordService extends Component
                         'updateDate' => $dateUpdated,
                         'elementId' => $element->id,
                         'siteId' => $element->siteId,
-                    ]
+                    ],
+                    'source' => $response['_source'] ?? [],
                 ];
             }
 
@@ -13,8 +13,14 @@ namespace pennebaker\searchwithelastic\services;
 
 use Craft;
 use craft\base\Component;
+use craft\helpers\StringHelper;
+use craft\queue\Queue;
 use pennebaker\searchwithelastic\events\indexing\QueueEvent;
 use pennebaker\searchwithelastic\jobs\IndexElementJob;
+use pennebaker\searchwithelastic\jobs\ReindexJob;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use Throwable;
+use yii\base\NotSupportedException;
 
 /**
  * The Reindex Queue Management service provides APIs for managing reindex queue operations.
@@ -32,6 +38,46 @@ class ReindexQueueManagementService extends Component
     public const EVENT_BEFORE_CLEAR_QUEUE = 'beforeClearQueue';
     public const EVENT_AFTER_CLEAR_QUEUE = 'afterClearQueue';
 
+    // Background reindex run statuses
+    public const STATUS_QUEUED = 'queued';
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_CANCELLING = 'cancelling';
+    public const STATUS_CANCELLED = 'cancelled';
+    public const STATUS_COMPLETED = 'completed';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Maximum number of failed and partial entries kept for a background run
+     *
+     * @since 4.2.0
+     */
+    public const MAX_TRACKED_ENTRIES = 1000;
+
+    /**
+     * Cache key for the background reindex run status
+     */
+    private const BACKGROUND_RUN_CACHE_KEY = 'search-with-elastic-background-reindex';
+
+    /**
+     * Seconds a background reindex run status is kept after its last change
+     */
+    private const BACKGROUND_RUN_CACHE_DURATION = 86400;
+
+    /**
+     * Seconds without progress after which a running background reindex is considered dead
+     */
+    private const BACKGROUND_RUN_STALE_AFTER = 1800;
+
+    /**
+     * Cache key prefix for the status of an element's latest index job
+     */
+    private const ELEMENT_JOB_CACHE_KEY = 'search-with-elastic-element-job';
+
+    /**
+     * Seconds an element's index job status is kept after its last change
+     */
+    private const ELEMENT_JOB_CACHE_DURATION = 3600;
+
     /**
      * Enqueues reindex jobs for multiple indexable element models.
      *
@@ -137,6 +183,307 @@ class ReindexQueueManagementService extends Component
         ];
         Craft::$app->cache->set('search-with-elastic-jobs', $jobs);
 
+        if ($jobId !== null) {
+            Craft::$app->cache->set($this->getElementJobCacheKey($elementId, $siteId), [
+                'jobId' => (string)$jobId,
+                'status' => self::STATUS_QUEUED,
+                'result' => null,
+                'reason' => null,
+                'message' => null,
+                'error' => null,
+                'queuedAt' => time(),
+                'startedAt' => null,
+                'finishedAt' => null,
+            ], self::ELEMENT_JOB_CACHE_DURATION);
+        }
+
         return $jobId;
     }
+
+    /**
+     * Returns the status of the latest index job queued for an element.
+     *
+     * A queued or running job that has left the queue or failed in it without
+     * reporting back, for example because it was released or its worker died, is
+     * returned as failed.
+     *
+     * @param int $elementId The element ID
+     * @param int $siteId The site ID
+     * @return array|null The job status, or null if no job was queued for the element recently
+     * @since 4.2.0
+     */
+    public function getElementJobStatus(int $elementId, int $siteId): ?array
+    {
+        $status = Craft::$app->cache->get($this->getElementJobCacheKey($elementId, $siteId));
+        if (!is_array($status)) {
+            return null;
+        }
+
+        if (in_array($status['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING], true) && $this->isJobStopped($status['jobId'])) {
+            // Only updated if the job still hasn't reported back since the status was read
+            $status = $this->updateElementJobStatus($elementId, $siteId, $status['jobId'], [
+                'status' => self::STATUS_FAILED,
+                'error' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'The index job stopped without reporting back.'),
+                'finishedAt' => time(),
+            ], [self::STATUS_QUEUED, self::STATUS_RUNNING]) ?? $status;
+        }
+
+        return $status;
+    }
+
+    /**
+     * Updates the status of an element's index job.
+     *
+     * Nothing changes if another job has been queued for the element since, so a
+     * superseded job can't overwrite the status of the one the sidebar is waiting for.
+     *
+     * @param int $elementId The element ID
+     * @param int $siteId The site ID
+     * @param string $jobId The job reporting the change
+     * @param array $changes The status values to change
+     * @param string[]|null $fromStatuses Only update a job in one of these statuses, or null for any status
+     * @return array|null The updated status, or null if the job is no longer the element's latest
+     * @since 4.2.0
+     */
+    public function updateElementJobStatus(int $elementId, int $siteId, string $jobId, array $changes, ?array $fromStatuses = null): ?array
+    {
+        $key = $this->getElementJobCacheKey($elementId, $siteId);
+        $status = Craft::$app->cache->get($key);
+        if (!is_array($status) || $status['jobId'] !== $jobId) {
+            return null;
+        }
+
+        if ($fromStatuses !== null && !in_array($status['status'], $fromStatuses, true)) {
+            return $status;
+        }
+
+        $status = array_merge($status, $changes);
+        Craft::$app->cache->set($key, $status, self::ELEMENT_JOB_CACHE_DURATION);
+
+        return $status;
+    }
+
+    /**
+     * Returns the cache key for the status of an element's latest index job.
+     *
+     * @param int $elementId The element ID
+     * @param int $siteId The site ID
+     * @return string
+     */
+    private function getElementJobCacheKey(int $elementId, int $siteId): string
+    {
+        return self::ELEMENT_JOB_CACHE_KEY . ':' . $siteId . ':' . $elementId;
+    }
+
+    /**
+     * Starts a reindex of the given sites and element types on the Craft queue.
+     *
+     * @param int[] $siteIds Site IDs to reindex
+     * @param array $elementTypes Element types to reindex, keyed by site ID
+     * @param string $reindexMode Reindex mode: 'reset', 'all', 'missing', 'updated' or 'missing-updated'
+     * @return array The status of the new background run
+     * @since 4.2.0
+     */
+    public function startBackgroundReindex(array $siteIds, array $elementTypes, string $reindexMode): array
+    {
+        $runId = StringHelper::randomString(12);
+
+        // Write the status before pushing so a queue runner picking the job up straight away can find it
+        $status = [
+            'runId' => $runId,
+            'jobId' => null,
+            'status' => self::STATUS_QUEUED,
+            'reindexMode' => $reindexMode,
+            'siteIds' => $siteIds,
+            'total' => 0,
+            'processed' => 0,
+            'failed' => 0,
+            'partial' => 0,
+            'failedEntries' => [],
+            'partialEntries' => [],
+            'indexes' => [],
+            'error' => null,
+            'queuedAt' => time(),
+            'startedAt' => null,
+            'finishedAt' => null,
+            'updatedAt' => time(),
+        ];
+        Craft::$app->cache->set(self::BACKGROUND_RUN_CACHE_KEY, $status, self::BACKGROUND_RUN_CACHE_DURATION);
+
+        $jobId = Craft::$app->queue->push(new ReindexJob([
+            'runId' => $runId,
+            'siteIds' => $siteIds,
+            'elementTypes' => $elementTypes,
+            'reindexMode' => $reindexMode,
+        ]));
+
+        return $this->updateBackgroundReindexStatus($runId, ['jobId' => $jobId]) ?? $status;
+    }
+
+    /**
+     * Returns the status of the current or most recent background reindex run.
+     *
+     * A run whose job has left the queue, or that hasn't made progress for a while,
+     * without finishing is marked as failed, and the new indexes of a reset run are
+     * deleted, so a job that was killed doesn't block later runs.
+     *
+     * @return array|null The run status, or null if no background run has been started
+     * @since 4.2.0
+     */
+    public function getBackgroundReindexStatus(): ?array
+    {
+        $status = $this->readBackgroundReindexStatus();
+        if ($status === null || !in_array($status['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING, self::STATUS_CANCELLING], true)) {
+            return $status;
+        }
+
+        $stale = $status['status'] !== self::STATUS_QUEUED && $status['updatedAt'] < time() - self::BACKGROUND_RUN_STALE_AFTER;
+        if (!$stale && !$this->isJobStopped($status['jobId'])) {
+            return $status;
+        }
+
+        Craft::warning("Background reindex run {$status['runId']} stopped without finishing", __METHOD__);
+
+        return $this->failBackgroundReindex($status['runId']) ?? $status;
+    }
+
+    /**
+     * Marks a background reindex run as failed, deleting the new indexes of a reset run.
+     *
+     * @param string $runId The run that failed
+     * @param string|null $error The reason it failed, defaulting to its job having stopped
+     * @return array|null The updated status, or null if the run is no longer the current one
+     * @since 4.2.0
+     */
+    public function failBackgroundReindex(string $runId, ?string $error = null): ?array
+    {
+        $status = $this->readBackgroundReindexStatus();
+        if ($status === null || $status['runId'] !== $runId) {
+            return null;
+        }
+
+        if ($status['reindexMode'] === 'reset') {
+            try {
+                foreach ($status['siteIds'] as $siteId) {
+                    SearchWithElastic::getInstance()->indexManagement->abandonIndexRebuild($siteId);
+                }
+            } catch (Throwable $e) {
+                Craft::error("Couldn't delete the new indexes of background reindex run $runId: " . $e->getMessage(), __METHOD__);
+            }
+        }
+
+        return $this->updateBackgroundReindexStatus($runId, [
+            'status' => self::STATUS_FAILED,
+            'error' => $error ?? Craft::t('search-with-elastic', 'The reindex job stopped before the run finished. Check the queue and the logs, then start a new run.'),
+            'finishedAt' => time(),
+        ]);
+    }
+
+    /**
+     * Returns whether a background reindex run is queued or in progress.
+     *
+     * @return bool
+     * @since 4.2.0
+     */
+    public function isBackgroundReindexActive(): bool
+    {
+        $status = $this->getBackgroundReindexStatus();
+
+        return $status !== null && in_array($status['status'], [self::STATUS_QUEUED, self::STATUS_RUNNING, self::STATUS_CANCELLING], true);
+    }
+
+    /**
+     * Updates the status of a background reindex run.
+     *
+     * The status is re-read before the changes are merged in, so a cancellation
+     * requested from the Control Panel isn't overwritten by a progress update.
+     *
+     * @param string $runId The run to update
+     * @param array $changes The status values to change
+     * @return array|null The updated status, or null if the run is no longer the current one
+     * @since 4.2.0
+     */
+    public function updateBackgroundReindexStatus(string $runId, array $changes): ?array
+    {
+        $status = $this->readBackgroundReindexStatus();
+        if ($status === null || $status['runId'] !== $runId) {
+            return null;
+        }
+
+        // Keep a pending cancellation unless the run has finished
+        if ($status['status'] === self::STATUS_CANCELLING && ($changes['status'] ?? null) === self::STATUS_RUNNING) {
+            unset($changes['status']);
+        }
+
+        $status = array_merge($status, $changes, ['updatedAt' => time()]);
+        Craft::$app->cache->set(self::BACKGROUND_RUN_CACHE_KEY, $status, self::BACKGROUND_RUN_CACHE_DURATION);
+
+        return $status;
+    }
+
+    /**
+     * Returns the background reindex run status as it is stored.
+     *
+     * @return array|null
+     */
+    private function readBackgroundReindexStatus(): ?array
+    {
+        $status = Craft::$app->cache->get(self::BACKGROUND_RUN_CACHE_KEY);
+
+        return is_array($status) ? $status : null;
+    }
+
+    /**
+     * Returns whether a job has left the queue, or failed in it.
+     *
+     * @param string|int|null $jobId The job ID
+     * @return bool Whether the job is done or failed; false if the queue can't tell
+     * @since 4.2.0
+     */
+    public function isJobStopped(string|int|null $jobId): bool
+    {
+        if (!$jobId) {
+            return false;
+        }
+
+        $queue = Craft::$app->getQueue();
+
+        try {
+            return $queue->isDone($jobId) || ($queue instanceof Queue && $queue->status($jobId) === Queue::STATUS_FAILED);
+        } catch (NotSupportedException) {
+            return false;
+        }
+    }
+
+    /**
+     * Asks the current background reindex run to stop after the batch it is working on.
+     *
+     * A run that hasn't started yet is cancelled straight away and its job removed from the queue.
+     *
+     * @return array|null The updated status, or null if there is no active run
+     * @since 4.2.0
+     */
+    public function cancelBackgroundReindex(): ?array
+    {
+        if (!$this->isBackgroundReindexActive()) {
+            return null;
+        }
+
+        $status = $this->getBackgroundReindexStatus();
+
+        if ($status['status'] === self::STATUS_QUEUED) {
+            if ($status['jobId']) {
+                Craft::$app->queue->release($status['jobId']);
+            }
+
+            return $this->updateBackgroundReindexStatus($status['runId'], [
+                'status' => self::STATUS_CANCELLED,
+                'finishedAt' => time(),
+            ]);
+        }
+
+        return $this->updateBackgroundReindexStatus($status['runId'], [
+            'status' => self::STATUS_CANCELLING,
+        ]);
+    }
 }
@@ -0,0 +1,529 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\services;
+
+use Craft;
+use craft\base\Component;
+use craft\helpers\StringHelper;
+use craft\web\Request;
+use craft\web\Response;
+use Exception;
+use pennebaker\searchwithelastic\SearchWithElastic;
+
+/**
+ * Search Analytics Service
+ *
+ * Logs the searches visitors make through the public search endpoints and the
+ * template variable, and the results they click, to a dedicated Elasticsearch
+ * index. The report aggregates them into top queries, queries without results
+ * and daily trends, so content editors can find gaps to fill with synonyms or
+ * content.
+ *
+ * Logging is off unless enabled in the plugin settings. Visitors sending a Do
+ * Not Track or Global Privacy Control header aren't logged unless configured
+ * otherwise, and IP addresses are anonymized or left out as configured.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchAnalyticsService extends Component
+{
+    /**
+     * @var string Search made through a public search endpoint
+     * @since 4.2.0
+     */
+    public const SOURCE_API = 'api';
+
+    /**
+     * @var string Search made through the `craft.searchWithElastic` template variable
+     * @since 4.2.0
+     */
+    public const SOURCE_TEMPLATE = 'template';
+
+    /**
+     * @var string Search made through the `searchWithElastic` GraphQL query
+     * @since 4.2.0
+     */
+    public const SOURCE_GRAPHQL = 'graphql';
+
+    /**
+     * @var string Suffix appended to the index prefix to name the analytics index
+     */
+    private const INDEX_SUFFIX = 'search-analytics';
+
+    /**
+     * @var int Longest query stored, in characters
+     */
+    private const MAX_QUERY_LENGTH = 255;
+
+    /**
+     * @var int Most clicks counted for a single search, so a replayed click URL can't skew the click-through rate
+     */
+    private const MAX_CLICKS_PER_SEARCH = 20;
+
+    /**
+     * @var string Cache key remembering that the analytics index exists
+     */
+    private const INDEX_EXISTS_CACHE_KEY = 'search-with-elastic-analytics-index-exists';
+
+    /**
+     * @var int Seconds the analytics index is remembered to exist before it's checked again
+     */
+    private const INDEX_EXISTS_CACHE_DURATION = 3600;
+
+    /**
+     * @var string|null ID of the last search logged during this request
+     */
+    private ?string $lastSearchId = null;
+
+    /**
+     * @var bool Whether the analytics index is known to exist
+     */
+    private bool $indexExists = false;
+
+    /**
+     * @var array Searches logged during this request that are written once its response has been sent, keyed by search ID
+     */
+    private array $pendingSearches = [];
+
+    /**
+     * Get the name of the index searches are logged to
+     *
+     * @return string The index name
+     * @since 4.2.0
+     */
+    public function getIndexName(): string
+    {
+        return SearchWithElastic::getInstance()->getSettings()->indexPrefix . self::INDEX_SUFFIX;
+    }
+
+    /**
+     * Whether searches made during the current request are logged
+     *
+     * @return bool False if analytics are disabled, or the visitor opted out of tracking and that's respected
+     * @since 4.2.0
+     */
+    public function isEnabled(): bool
+    {
+        $settings = SearchWithElastic::getInstance()->getSettings();
+        if (!$settings->searchAnalyticsEnabled) {
+            return false;
+        }
+
+        $request = Craft::$app->getRequest();
+        if ($settings->searchAnalyticsRespectDoNotTrack && $request instanceof Request) {
+            $headers = $request->getHeaders();
+            if ($headers->get('DNT') === '1' || $headers->get('Sec-GPC') === '1') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Log a search
+     *
+     * Searches without query text, such as browsing a faceted search, aren't
+     * logged. On the web, the search is written to the index once the response
+     * has been sent, so logging doesn't slow it down. Logging failures are
+     * reported in the logs and never fail the search.
+     *
+     * @param string|null $query The search query
+     * @param int|null $siteId The site searched, or null for the current site
+     * @param array $results The results, as returned by ElasticsearchService
+     * @param float $startTime When the search started, from `microtime(true)`
+     * @param string $source Where the search was made: self::SOURCE_API, self::SOURCE_TEMPLATE or self::SOURCE_GRAPHQL
+     * @return string|null The search ID clicks are tracked with, or null if the search isn't logged
+     * @since 4.2.0
+     */
+    public function logSearch(?string $query, ?int $siteId, array $results, float $startTime, string $source): ?string
+    {
+        $query = trim((string) $query);
+        if ($query === '' || !$this->isEnabled()) {
+            return null;
+        }
+
+        $query = mb_substr($query, 0, self::MAX_QUERY_LENGTH);
+        $searchId = StringHelper::UUID();
+
+        $document = [
+            'query' => $query,
+            'normalizedQuery' => mb_strtolower(preg_replace('/\s+/u', ' ', $query)),
+            'siteId' => $siteId ?? Craft::$app->getSites()->getCurrentSite()->id,
+            'source' => $source,
+            'resultCount' => $this->countResults($results),
+            'latency' => (int) round((microtime(true) - $startTime) * 1000),
+            'clicks' => 0,
+            'clickedElementIds' => [],
+            'ip' => $this->getVisitorIp(),
+            'timestamp' => gmdate('Y-m-d\TH:i:s\Z'),
+        ];
+
+        $this->lastSearchId = $searchId;
+
+        $response = Craft::$app->getResponse();
+        if (!$response instanceof Response || $response->isSent) {
+            $this->writeSearches([$searchId => $document]);
+            return $searchId;
+        }
+
+        if (empty($this->pendingSearches)) {
+            $response->on(Response::EVENT_AFTER_SEND, function() {
+                // Close the connection first where PHP-FPM allows it, so the visitor doesn't wait for the write
+                if (function_exists('fastcgi_finish_request')) {
+                    fastcgi_finish_request();
+                }
+
+                $searches = $this->pendingSearches;
+                $this->pendingSearches = [];
+                $this->writeSearches($searches);
+            });
+        }
+
+        $this->pendingSearches[$searchId] = $document;
+
+        return $searchId;
+    }
+
+    /**
+     * Log a click on a search result
+     *
+     * @param string $searchId The search ID returned when the search was logged
+     * @param int $elementId ID of the element clicked
+     * @return bool Whether the click was logged
+     * @since 4.2.0
+     */
+    public function logClick(string $searchId, int $elementId): bool
+    {
+        if (!StringHelper::isUUID($searchId) || !$this->isEnabled()) {
+            return false;
+        }
+
+        $script = [
+            'source' => 'if (ctx._source.clicks < params.maxClicks) {'
+                . ' ctx._source.clicks += 1;'
+                . ' if (!ctx._source.clickedElementIds.contains(params.elementId)) { ctx._source.clickedElementIds.add(params.elementId); }'
+                . ' } else { ctx.op = "noop"; }',
+            'params' => [
+                'elementId' => $elementId,
+                'maxClicks' => self::MAX_CLICKS_PER_SEARCH,
+            ],
+        ];
+
+        try {
+            SearchWithElastic::getConnection()->post(
+                [$this->getIndexName(), '_update', $searchId],
+                ['retry_on_conflict' => 3],
+                json_encode(['script' => $script], JSON_THROW_ON_ERROR)
+            );
+        } catch (Exception $e) {
+            // Unknown or purged search IDs end up here too
+            Craft::info("Failed to log click on element $elementId for search $searchId: " . $e->getMessage(), __METHOD__);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the ID of the last search logged during this request
+     *
+     * @return string|null The search ID, or null if no search was logged
+     * @since 4.2.0
+     */
+    public function getLastSearchId(): ?string
+    {
+        return $this->lastSearchId;
+    }
+
+    /**
+     * Get the search analytics report
+     *
+     * @param int|null $siteId Site to report on, or null for all sites
+     * @param int $days Number of days to report on, including today
+     * @param int $limit Number of top queries and queries without results to list
+     * @return array{totals: array, trend: array, topQueries: array, zeroResultQueries: array} The report:
+     *         - `totals`: searches, zeroResults, zeroResultRate, clickThroughRate, averageLatency (ms) and visitors
+     *         - `trend`: searches and zeroResults per day, oldest first
+     *         - `topQueries`: query, searches, averageResults and clickThroughRate, most searched first
+     *         - `zeroResultQueries`: query, searches and lastSearched (ISO 8601), most searched first
+     * @throws Exception If the analytics index can't be queried
+     * @since 4.2.0
+     */
+    public function getReport(?int $siteId = null, int $days = 30, int $limit = 20): array
+    {
+        $report = [
+            'totals' => [
+                'searches' => 0,
+                'zeroResults' => 0,
+                'zeroResultRate' => 0,
+                'clickThroughRate' => 0,
+                'averageLatency' => 0,
+                'visitors' => 0,
+            ],
+            'trend' => [],
+            'topQueries' => [],
+            'zeroResultQueries' => [],
+        ];
+
+        $connection = SearchWithElastic::getConnection();
+        if (!$connection->createCommand()->indexExists($this->getIndexName())) {
+            return $report;
+        }
+
+        $days = max(1, $days);
+        $since = 'now-' . ($days - 1) . 'd/d';
+        $timeZone = Craft::$app->getTimeZone();
+
+        $filters = [['range' => ['timestamp' => ['gte' => $since, 'time_zone' => $timeZone]]]];
+        if ($siteId !== null) {
+            $filters[] = ['term' => ['siteId' => $siteId]];
+        }
+
+        $zeroResults = ['term' => ['resultCount' => 0]];
+        $clicked = ['range' => ['clicks' => ['gt' => 0]]];
+
+        $body = [
+            'size' => 0,
+            'track_total_hits' => true,
+            'query' => ['bool' => ['filter' => $filters]],
+            'aggs' => [
+                'zeroResults' => ['filter' => $zeroResults],
+                'clicked' => ['filter' => $clicked],
+                'latency' => ['avg' => ['field' => 'latency']],
+                'visitors' => ['cardinality' => ['field' => 'ip']],
+                'trend' => [
+                    'date_histogram' => [
+                        'field' => 'timestamp',
+                        'calendar_interval' => 'day',
+                        'time_zone' => $timeZone,
+                        'format' => 'yyyy-MM-dd',
+                        'min_doc_count' => 0,
+                        'extended_bounds' => ['min' => $since, 'max' => 'now/d'],
+                    ],
+                    'aggs' => [
+                        'zeroResults' => ['filter' => $zeroResults],
+                    ],
+                ],
+                'topQueries' => [
+                    'terms' => ['field' => 'normalizedQuery', 'size' => $limit],
+                    'aggs' => [
+                        'averageResults' => ['avg' => ['field' => 'resultCount']],
+                        'clicked' => ['filter' => $clicked],
+                    ],
+                ],
+                'zeroResultQueries' => [
+                    'filter' => $zeroResults,
+                    'aggs' => [
+                        'queries' => [
+                            'terms' => ['field' => 'normalizedQuery', 'size' => $limit],
+                            'aggs' => [
+                                'lastSearched' => ['max' => ['field' => 'timestamp']],
+                            ],
+                        ],
+                    ],
+                ],
+            ],
+        ];
+
+        $response = $connection->post([$this->getIndexName(), '_search'], [], json_encode($body, JSON_THROW_ON_ERROR));
+        $aggregations = $response['aggregations'] ?? [];
+
+        $searches = (int) ($response['hits']['total']['value'] ?? 0);
+        $zeroResultCount = (int) ($aggregations['zeroResults']['doc_count'] ?? 0);
+
+        $report['totals'] = [
+            'searches' => $searches,
+            'zeroResults' => $zeroResultCount,
+            'zeroResultRate' => $searches ? $zeroResultCount / $searches : 0,
+            'clickThroughRate' => $searches ? ($aggregations['clicked']['doc_count'] ?? 0) / $searches : 0,
+            'averageLatency' => (int) round($aggregations['latency']['value'] ?? 0),
+            'visitors' => (int) ($aggregations['visitors']['value'] ?? 0),
+        ];
+
+        foreach ($aggregations['trend']['buckets'] ?? [] as $bucket) {
+            $report['trend'][] = [
+                'date' => $bucket['key_as_string'],
+                'searches' => $bucket['doc_count'],
+                'zeroResults' => $bucket['zeroResults']['doc_count'],
+            ];
+        }
+
+        foreach ($aggregations['topQueries']['buckets'] ?? [] as $bucket) {
+            $report['topQueries'][] = [
+                'query' => $bucket['key'],
+                'searches' => $bucket['doc_count'],
+                'averageResults' => round($bucket['averageResults']['value'] ?? 0, 1),
+                'clickThroughRate' => $bucket['clicked']['doc_count'] / $bucket['doc_count'],
+            ];
+        }
+
+        foreach ($aggregations['zeroResultQueries']['queries']['buckets'] ?? [] as $bucket) {
+            $report['zeroResultQueries'][] = [
+                'query' => $bucket['key'],
+                'searches' => $bucket['doc_count'],
+                'lastSearched' => $bucket['lastSearched']['value_as_string'] ?? null,
+            ];
+        }
+
+        return $report;
+    }
+
+    /**
+     * Delete logged searches older than the configured retention period
+     *
+     * Called on garbage collection. The deletion runs in the background on the
+     * Elasticsearch cluster.
+     *
+     * @return void
+     * @since 4.2.0
+     */
+    public function purgeExpiredSearches(): void
+    {
+        $retentionDays = SearchWithElastic::getInstance()->getSettings()->searchAnalyticsRetentionDays;
+        if ($retentionDays <= 0) {
+            return;
+        }
+
+        try {
+            $connection = SearchWithElastic::getConnection();
+            if (!$connection->createCommand()->indexExists($this->getIndexName())) {
+                Craft::$app->getCache()->delete(self::INDEX_EXISTS_CACHE_KEY);
+                return;
+            }
+
+            $connection->post(
+                [$this->getIndexName(), '_delete_by_query'],
+                ['conflicts' => 'proceed', 'wait_for_completion' => 'false'],
+                json_encode([
+                    'query' => ['range' => ['timestamp' => ['lt' => "now-{$retentionDays}d/d"]]],
+                ], JSON_THROW_ON_ERROR)
+            );
+        } catch (Exception $e) {
+            Craft::warning('Failed to purge expired searches: ' . $e->getMessage(), __METHOD__);
+        }
+    }
+
+    /**
+     * Count the results of a search
+     *
+     * @param array $results The results, as returned by ElasticsearchService
+     * @return int The total hit count where the search returns one, otherwise the number of hits returned
+     */
+    private function countResults(array $results): int
+    {
+        if (array_key_exists('total', $results)) {
+            $total = $results['total'];
+            return (int) (is_array($total) ? ($total['value'] ?? 0) : $total);
+        }
+
+        return count($results);
+    }
+
+    /**
+     * Get the visitor's IP address, as configured to be stored
+     *
+     * @return string|null The full or anonymized IP address, or null if IP addresses aren't stored
+     */
+    private function getVisitorIp(): ?string
+    {
+        $ipMode = SearchWithElastic::getInstance()->getSettings()->searchAnalyticsIpMode;
+        $request = Craft::$app->getRequest();
+
+        if ($ipMode === 'none' || !$request instanceof Request) {
+            return null;
+        }
+
+        $ip = $request->getUserIP();
+        if ($ip === null || filter_var($ip, FILTER_VALIDATE_IP) === false) {
+            return null;
+        }
+
+        $packed = inet_pton($ip);
+
+        if ($ipMode === 'anonymize') {
+            // Keep the network part only: the first 3 bytes of an IPv4 address, the first 6 of an IPv6 address
+            $packed = strlen($packed) === 4
+                ? substr($packed, 0, 3) . "\0"
+                : substr($packed, 0, 6) . str_repeat("\0", 10);
+        }
+
+        return inet_ntop($packed);
+    }
+
+    /**
+     * Write logged searches to the analytics index
+     *
+     * @param array $searches The search documents, keyed by search ID
+     * @return void
+     */
+    private function writeSearches(array $searches): void
+    {
+        try {
+            $this->ensureIndex();
+
+            foreach ($searches as $searchId => $document) {
+                SearchWithElastic::getConnection()->post(
+                    [$this->getIndexName(), '_doc', $searchId],
+                    [],
+                    json_encode($document, JSON_THROW_ON_ERROR)
+                );
+            }
+        } catch (Exception $e) {
+            Craft::warning('Failed to log search: ' . $e->getMessage(), __METHOD__);
+        }
+    }
+
+    /**
+     * Create the analytics index if it doesn't exist yet
+     *
+     * Its existence is cached across requests, so searches don't check it every time.
+     *
+     * @return void
+     * @throws Exception If the index can't be checked or created
+     */
+    private function ensureIndex(): void
+    {
+        if ($this->indexExists || Craft::$app->getCache()->get(self::INDEX_EXISTS_CACHE_KEY)) {
+            return;
+        }
+
+        $command = SearchWithElastic::getConnection()->createCommand();
+        if (!$command->indexExists($this->getIndexName())) {
+            $command->createIndex($this->getIndexName(), [
+                'settings' => [
+                    'number_of_shards' => 1,
+                    'number_of_replicas' => 0,
+                ],
+                'mappings' => [
+                    'dynamic' => 'strict',
+                    'properties' => [
+                        'query' => ['type' => 'keyword'],
+                        'normalizedQuery' => ['type' => 'keyword'],
+                        'siteId' => ['type' => 'integer'],
+                        'source' => ['type' => 'keyword'],
+                        'resultCount' => ['type' => 'integer'],
+                        'latency' => ['type' => 'integer'],
+                        'clicks' => ['type' => 'integer'],
+                        'clickedElementIds' => ['type' => 'integer'],
+                        'ip' => ['type' => 'ip'],
+                        'timestamp' => ['type' => 'date'],
+                    ],
+                ],
+            ]);
+        }
+
+        $this->indexExists = true;
+        Craft::$app->getCache()->set(self::INDEX_EXISTS_CACHE_KEY, true, self::INDEX_EXISTS_CACHE_DURATION);
+    }
+}
@@ -126,35 +126,7 @@ class SearchTemplateService extends Component
         $sanitizedParams = $this->sanitizeParameters($params);
 
         try {
-            $connection = SearchWithElastic::getConnection();
-
-            // Build the search request
-            // For Elasticsearch 7+, template search has a specific structure
-            // The template ID and params go in body, but size, highlight etc are top-level
-            $searchParams = [
-                'index' => $indexName,
-                'body' => [
-                    'id' => $templateId,
-                    'params' => $sanitizedParams
-                ]
-            ];
-
-            // Add optional parameters at the top level (not in body)
-            if (isset($options['size'])) {
-                $searchParams['size'] = (int)$options['size'];
-            }
-            if (isset($options['from'])) {
-                $searchParams['from'] = (int)$options['from'];
-            }
-            if (isset($options['highlight'])) {
-                $searchParams['highlight'] = $options['highlight'];
-            }
-            if (isset($options['sort'])) {
-                $searchParams['sort'] = $options['sort'];
-            }
-            if (isset($options['aggs'])) {
-                $searchParams['aggs'] = $options['aggs'];
-            }
+            $searchParams = $this->buildSearchParams($templateId, $sanitizedParams, $indexName, $options);
 
             // Execute the template search using direct service to bypass Yii2 issues
             // For templates, we need to use the search template endpoint
@@ -167,6 +139,86 @@ class SearchTemplateService extends Component
         }
     }
 
+    /**
+     * Render the request a template search would send to Elasticsearch, without running it
+     *
+     * Takes the same arguments as executeTemplateSearch() and returns the index, URL
+     * parameters and body of the `_search` request, after sanitizing, boosting,
+     * filtering and highlighting have been applied.
+     *
+     * @param string $templateId The template identifier to use
+     * @param array $params The parameters to pass to the template
+     * @param string $indexName The index to search
+     * @param array $options Additional search options (size, from, highlight, explain, boostFields, applyQueryOptions, etc.)
+     * @return array The request, with 'index', 'params' and 'body' keys
+     * @throws Exception if the template doesn't exist
+     * @since 4.2.0
+     */
+    public function renderTemplateSearch(string $templateId, array $params, string $indexName, array $options = []): array
+    {
+        if (!$this->templatesInitialized) {
+            $this->initializeTemplates();
+        }
+
+        if (!$this->templateExists($templateId)) {
+            throw new Exception("Search template '$templateId' does not exist");
+        }
+
+        $searchParams = $this->buildSearchParams($templateId, $this->sanitizeParameters($params), $indexName, $options);
+
+        return ElasticsearchDirectService::buildRequest($this->buildDirectTemplateRequest($searchParams));
+    }
+
+    /**
+     * Build the template search request from sanitized parameters and search options
+     *
+     * @param string $templateId The template identifier
+     * @param array $sanitizedParams The sanitized template parameters
+     * @param string $indexName The index to search
+     * @param array $options Additional search options
+     * @return array The search request
+     */
+    private function buildSearchParams(string $templateId, array $sanitizedParams, string $indexName, array $options): array
+    {
+        // For Elasticsearch 7+, template search has a specific structure
+        // The template ID and params go in body, but size, highlight etc are top-level
+        $searchParams = [
+            'index' => $indexName,
+            'body' => [
+                'id' => $templateId,
+                'params' => $sanitizedParams
+            ]
+        ];
+
+        // Add optional parameters at the top level (not in body)
+        if (isset($options['size'])) {
+            $searchParams['size'] = (int)$options['size'];
+        }
+        if (isset($options['from'])) {
+            $searchParams['from'] = (int)$options['from'];
+        }
+        if (isset($options['highlight'])) {
+            $searchParams['highlight'] = $options['highlight'];
+        }
+        if (isset($options['sort'])) {
+            $searchParams['sort'] = $options['sort'];
+        }
+        if (isset($options['aggs'])) {
+            $searchParams['aggs'] = $options['aggs'];
+        }
+        if (!empty($options['explain'])) {
+            $searchParams['explain'] = true;
+        }
+        if (!empty($options['boostFields'])) {
+            $searchParams['boostFields'] = true;
+        }
+        if (!empty($options['applyQueryOptions'])) {
+            $searchParams['applyQueryOptions'] = true;
+        }
+
+        return $searchParams;
+    }
+
     /**
      * Check if a template exists
      *
@@ -246,9 +298,10 @@ class SearchTemplateService extends Component
      * Sanitize parameters to prevent injection attacks
      *
      * @param array $params The parameters to sanitize
+     * @param bool $escape Whether to escape query string syntax in string values
      * @return array The sanitized parameters
      */
-    protected function sanitizeParameters(array $params): array
+    protected function sanitizeParameters(array $params, bool $escape = true): array
     {
         $sanitized = [];
 
@@ -258,9 +311,11 @@ class SearchTemplateService extends Component
             
             // Sanitize the value based on type
             if (is_string($value)) {
-                $sanitized[$sanitizedKey] = $this->sanitizeStringParameter($value);
+                $sanitized[$sanitizedKey] = $this->sanitizeStringParameter($value, $escape);
             } elseif (is_array($value)) {
-                $sanitized[$sanitizedKey] = array_map([$this, 'sanitizeStringParameter'], $value);
+                // Nested lists like aggregations are sanitized the same way; filter values are
+                // matched exactly with `terms`, so they aren't escaped for the query string syntax
+                $sanitized[$sanitizedKey] = $this->sanitizeParameters($value, $escape && $sanitizedKey !== 'filters');
             } elseif (is_numeric($value)) {
                 $sanitized[$sanitizedKey] = $value;
             } elseif (is_bool($value)) {
@@ -278,9 +333,10 @@ class SearchTemplateService extends Component
      * Sanitize a string parameter value
      *
      * @param mixed $value The value to sanitize
+     * @param bool $escape Whether to escape query string syntax
      * @return string The sanitized string
      */
-    protected function sanitizeStringParameter(mixed $value): string
+    protected function sanitizeStringParameter(mixed $value, bool $escape = true): string
     {
         if (!is_string($value)) {
             return '';
@@ -297,6 +353,10 @@ class SearchTemplateService extends Component
             $value = substr($value, 0, 1000);
         }
 
+        if (!$escape) {
+            return $value;
+        }
+
         // Escape special characters for Elasticsearch
         // These are characters that have special meaning in Elasticsearch query syntax
         $specialChars = ['\\', '"', '*', '?'];
@@ -408,33 +468,197 @@ class SearchTemplateService extends Component
      * @return array
      */
     private function executeDirectTemplateSearch(array $searchParams): array
+    {
+        $response = ElasticsearchDirectService::search($this->buildDirectTemplateRequest($searchParams));
+
+        // Unwrap the filter aggregations so callers get the usual buckets or stats per aggregation
+        foreach ($response['aggregations'] ?? [] as $name => $aggregation) {
+            if (isset($aggregation['values'])) {
+                $response['aggregations'][$name] = $aggregation['values'];
+            }
+        }
+
+        return $response;
+    }
+
+    /**
+     * Convert a template search request into a direct search request
+     *
+     * The template's fuzziness and the `highlight` and `sort` search options are only
+     * applied with the `applyQueryOptions` search option, as set by faceted, federated
+     * and playground searches, so other template searches run as before.
+     *
+     * @param array $searchParams
+     * @return array
+     */
+    private function buildDirectTemplateRequest(array $searchParams): array
     {
         // Template search has id/params which don't work with regular search
         // Convert to a simple match_all query for now
         $simpleParams = [
             'index' => $searchParams['index'],
             'size' => $searchParams['size'] ?? 20,
+            'from' => $searchParams['from'] ?? 0,
             'body' => [
                 'query' => [
                     'match_all' => new \stdClass()
                 ]
             ]
         ];
+
+        $applyQueryOptions = !empty($searchParams['applyQueryOptions']);
+
+        if ($applyQueryOptions && isset($searchParams['highlight'])) {
+            $simpleParams['highlight'] = $searchParams['highlight'];
+        }
+        if ($applyQueryOptions && isset($searchParams['sort'])) {
+            $simpleParams['body']['sort'] = $searchParams['sort'];
+        }
+        if (!empty($searchParams['explain'])) {
+            $simpleParams['body']['explain'] = true;
+        }
         
         // If we have the actual query text in params, use it
         if (isset($searchParams['body']['params']['query_text'])) {
             $queryText = $searchParams['body']['params']['query_text'];
             $searchFields = $searchParams['body']['params']['search_fields'] ?? ['title', 'content'];
+            $fieldBoosts = $searchParams['body']['params']['field_boosts'] ?? [];
             
+            // Boosts only apply when asked for, as by the search playground, so other searches rank as before
             $simpleParams['body']['query'] = [
                 'multi_match' => [
                     'query' => $queryText,
-                    'fields' => $searchFields,
+                    'fields' => !empty($searchParams['boostFields'])
+                        ? $this->applyFieldBoosts((array)$searchFields, (array)$fieldBoosts)
+                        : $searchFields,
                     'type' => 'best_fields'
                 ]
             ];
+
+            if ($applyQueryOptions && !empty($searchParams['body']['params']['fuzziness'])) {
+                $simpleParams['body']['query']['multi_match']['fuzziness'] = $searchParams['body']['params']['fuzziness'];
+            }
         }
-        
-        return ElasticsearchDirectService::search($simpleParams);
+
+        $filterClauses = $this->buildFilterClauses($searchParams['body']['params'] ?? []);
+        $aggregations = $searchParams['body']['params']['aggregations'] ?? [];
+
+        if (empty($aggregations)) {
+            if ($filterClauses) {
+                $simpleParams['body']['query'] = [
+                    'bool' => [
+                        'must' => [$simpleParams['body']['query']],
+                        'filter' => array_values($filterClauses)
+                    ]
+                ];
+            }
+
+            return $simpleParams;
+        }
+
+        // Filters go in a post_filter so each facet can count its values as if its own filter
+        // wasn't applied, which lets several values of the same facet be selected at once
+        if ($filterClauses) {
+            $simpleParams['body']['post_filter'] = ['bool' => ['filter' => array_values($filterClauses)]];
+        }
+
+        $simpleParams['body']['aggs'] = [];
+        foreach ($aggregations as $aggregation) {
+            $name = $aggregation['name'] ?? '';
+            $field = $aggregation['field'] ?? '';
+            $type = ($aggregation['type'] ?? 'terms') === 'stats' ? 'stats' : 'terms';
+
+            if ($name === '' || !$this->isValidFieldName($field)) {
+                Craft::warning("Skipping invalid aggregation '$name' on field '$field'", __METHOD__);
+                continue;
+            }
+
+            $agg = [$type => ['field' => $field]];
+            if ($type === 'terms') {
+                $agg['terms']['size'] = min(100, max(1, (int)($aggregation['size'] ?? 10)));
+            }
+
+            $otherFilters = array_values(array_diff_key($filterClauses, [$field => true]));
+            $simpleParams['body']['aggs'][$name] = [
+                'filter' => $otherFilters ? ['bool' => ['filter' => $otherFilters]] : ['match_all' => new \stdClass()],
+                'aggs' => ['values' => $agg]
+            ];
+        }
+
+        return $simpleParams;
+    }
+
+    /**
+     * Add the `field^boost` suffix to search fields that have a boost other than 1
+     *
+     * Only used when the `boostFields` search option is set, as by the search playground.
+     * Boost keys went through sanitizeParameters(), which strips dots and dashes from
+     * keys, so fields are matched against their sanitized names.
+     *
+     * @param array $fields The search fields
+     * @param array $boosts Boosts keyed by sanitized field name
+     * @return array The search fields with their boosts
+     */
+    private function applyFieldBoosts(array $fields, array $boosts): array
+    {
+        $boosted = [];
+
+        foreach ($fields as $field) {
+            $key = preg_replace('/[^a-zA-Z0-9_]/', '', (string)$field);
+            $boost = isset($boosts[$key]) && is_numeric($boosts[$key]) ? (float)$boosts[$key] : 1.0;
+
+            $boosted[] = str_contains((string)$field, '^') || $boost === 1.0 ? $field : $field . '^' . $boost;
+        }
+
+        return $boosted;
+    }
+
+    /**
+     * Build filter clauses from term filter and range template parameters
+     *
+     * Values of the same field are combined with OR, and different fields with AND.
+     *
+     * @param array $params The template parameters
+     * @return array Filter clauses keyed by field name
+     */
+    private function buildFilterClauses(array $params): array
+    {
+        $terms = [];
+        foreach ($params['filters'] ?? [] as $filter) {
+            $field = $filter['field'] ?? '';
+            if (!$this->isValidFieldName($field) || !isset($filter['value']) || $filter['value'] === '') {
+                continue;
+            }
+
+            $terms[$field][] = $filter['value'];
+        }
+
+        $clauses = [];
+        foreach ($terms as $field => $values) {
+            $clauses[$field] = ['terms' => [$field => array_values(array_unique($values))]];
+        }
+
+        foreach ($params['ranges'] ?? [] as $range) {
+            $field = $range['field_name'] ?? '';
+            $bounds = array_intersect_key($range, ['gte' => true, 'lte' => true]);
+            if (!$this->isValidFieldName($field) || empty($bounds)) {
+                continue;
+            }
+
+            $clauses[$field] = ['range' => [$field => $bounds]];
+        }
+
+        return $clauses;
+    }
+
+    /**
+     * Check that a field name is safe to use in a query
+     *
+     * @param mixed $field The field name
+     * @return bool True if the field name only contains letters, numbers, underscores, dashes and dots
+     */
+    private function isValidFieldName(mixed $field): bool
+    {
+        return is_string($field) && preg_match('/^[a-zA-Z0-9_.\-]{1,100}$/', $field) === 1;
     }
 }
\ No newline at end of file
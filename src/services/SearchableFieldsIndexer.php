@@ -67,6 +67,12 @@ class SearchableFieldsIndexer extends Component
      */
     const EVENT_TRANSFORM_FIELD_DATA = 'transformFieldData';
 
+    /**
+     * @var array|null Field and data before the transform event of each extracted field, keyed by element ID and
+     * field handle, while an element is being inspected
+     */
+    private ?array $inspectedFields = null;
+
     /**
      * Extract all searchable fields from an element
      *
@@ -129,6 +135,107 @@ class SearchableFieldsIndexer extends Component
         return $searchableData;
     }
     
+    /**
+     * Inspect the searchable fields extracted from an element
+     *
+     * Extracts the element's searchable fields as indexing does and describes each
+     * one for the Control Panel's Searchable Fields Inspector: its keywords, its
+     * Elasticsearch mapping, the data that will be indexed and, when a
+     * EVENT_TRANSFORM_FIELD_DATA handler changed it, the data before the event.
+     * Fields of Matrix, Neo and Super Table blocks are nested under their blocks.
+     *
+     * @param ElementInterface $element The element to inspect
+     * @param array $config Extraction configuration, as for extractSearchableFields()
+     * @return array The field tree under 'fields', the extracted data under 'data' and the extraction time in milliseconds under 'time'
+     * @since 4.2.0
+     */
+    public function inspectSearchableFields(ElementInterface $element, array $config = []): array
+    {
+        $this->inspectedFields = [];
+
+        try {
+            $startTime = microtime(true);
+            $searchableData = $this->extractSearchableFields($element, $config);
+            $time = (microtime(true) - $startTime) * 1000;
+            $inspectedFields = $this->inspectedFields;
+        } finally {
+            $this->inspectedFields = null;
+        }
+
+        $fields = [];
+        foreach ($searchableData as $handle => $data) {
+            if (is_array($data)) {
+                $fields[] = $this->buildInspectionNode((string)$handle, $data, $element->id, $inspectedFields);
+            }
+        }
+
+        return [
+            'fields' => $fields,
+            'data' => $searchableData,
+            'time' => round($time, 2),
+        ];
+    }
+
+    /**
+     * Describe an extracted field for the Searchable Fields Inspector
+     *
+     * @param string $handle The field or attribute handle
+     * @param array $data The extracted field data
+     * @param int|null $elementId ID of the element the field belongs to
+     * @param array $inspectedFields Fields recorded during extraction, keyed by element ID and field handle
+     * @return array
+     * @since 4.2.0
+     */
+    private function buildInspectionNode(string $handle, array $data, ?int $elementId, array $inspectedFields): array
+    {
+        $inspected = $inspectedFields[$elementId . ':' . $handle] ?? null;
+        $value = $data['value'] ?? null;
+
+        $node = [
+            'handle' => $handle,
+            'name' => $data['field_name'] ?? $handle,
+            'type' => $data['field_type'] ?? ($data['type'] ?? null),
+            'searchable' => !empty($data['searchable']),
+            'keywords' => $this->extractKeywords($data['keywords'] ?? ''),
+            'mapping' => $inspected ? $this->getFieldMapping($inspected['field']) : null,
+            'value' => $value,
+            'beforeEvent' => $inspected && $inspected['beforeEvent'] !== $data ? $inspected['beforeEvent'] : null,
+            'blocks' => [],
+        ];
+
+        // Matrix, Neo and Super Table values are lists of blocks with their own fields
+        if (is_array($value) && array_is_list($value) && $value !== []) {
+            $isBlockList = true;
+            foreach ($value as $block) {
+                if (!is_array($block) || !isset($block['fields']) || !is_array($block['fields'])) {
+                    $isBlockList = false;
+                    break;
+                }
+            }
+
+            if ($isBlockList) {
+                foreach ($value as $i => $block) {
+                    $blockFields = [];
+                    foreach ($block['fields'] as $blockHandle => $blockData) {
+                        if (is_array($blockData)) {
+                            $blockFields[] = $this->buildInspectionNode((string)$blockHandle, $blockData, $block['id'] ?? null, $inspectedFields);
+                        }
+                    }
+
+                    $node['blocks'][] = [
+                        'id' => $block['id'] ?? null,
+                        'type' => $block['typeHandle'] ?? null,
+                        'position' => $i + 1,
+                        'fields' => $blockFields,
+                    ];
+                }
+                $node['value'] = null;
+            }
+        }
+
+        return $node;
+    }
+
     /**
      * Extract native element attributes
      *
@@ -246,6 +353,13 @@ class SearchableFieldsIndexer extends Component
         // Transform based on field type
         $transformedData = $this->transformFieldData($field, $value, $keywords, $element);
         
+        if ($this->inspectedFields !== null) {
+            $this->inspectedFields[$element->id . ':' . $field->handle] = [
+                'field' => $field,
+                'beforeEvent' => $transformedData,
+            ];
+        }
+        
         // Fire transform event
         if ($this->hasEventHandlers(self::EVENT_TRANSFORM_FIELD_DATA)) {
             $event = new FieldDataTransformEvent([
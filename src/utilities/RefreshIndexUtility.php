@@ -114,6 +114,7 @@ class RefreshIndexUtility extends Utility
 
         $view->registerAssetBundle(CpAssetBundle::class);
         $view->registerJs('new Craft.SearchWithElasticUtility(\'search-with-elastic-utility\');');
+        $view->registerJs('new Craft.SearchWithElasticSnapshots(\'search-with-elastic-snapshots\');');
 
         // Build list of sites with their available element types and counts
         $sitesWithElementTypes = [];
@@ -121,6 +122,8 @@ class RefreshIndexUtility extends Utility
             $sitesWithElementTypes[] = [
                 'id' => $site->id,
                 'name' => $site->name,
+                'handle' => $site->handle,
+                'indexName' => SearchWithElastic::getInstance()->indexManagement->getIndexName($site->id),
                 'elementTypes' => self::getAvailableElementTypes($site->id)
             ];
         }
@@ -132,6 +135,9 @@ class RefreshIndexUtility extends Utility
                 'inSync'                     => SearchWithElastic::getInstance()->elasticsearch->isIndexInSync(),
                 'sites'                      => ArrayHelper::map(Craft::$app->sites->getAllSites(), 'id', 'name'),
                 'sitesWithElementTypes'      => $sitesWithElementTypes,
+                'maxConcurrency'             => SearchWithElastic::getInstance()->getSettings()->reindexMaxConcurrency,
+                'indexPrefix'                => SearchWithElastic::getInstance()->getSettings()->indexPrefix,
+                'orphanedRebuilds'           => SearchWithElastic::getInstance()->indexManagement->getOrphanedRebuilds(),
                 'notConnectedWarningMessage' => Craft::t(
                     SearchWithElastic::PLUGIN_HANDLE,
                     'Could not connect to the elasticsearch instance. Please check the {pluginSettingsLink}.',
@@ -0,0 +1,113 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\validators;
+
+use Craft;
+use pennebaker\searchwithelastic\SearchWithElastic;
+
+/**
+ * Synonym Rule and Stopword Validator
+ *
+ * Validates the synonym rules and stopwords configured per site, which are
+ * passed to Elasticsearch's `synonym_graph` and `stop` token filters:
+ * - A rule without a replacement lists at least two equivalent terms
+ * - A rule with a replacement maps one or more terms to it (`terms => replacement`)
+ * - Terms are separated by commas and cannot contain "=>", "\" or "#"
+ * - A stopword is a single word
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class AnalysisValidator
+{
+    /**
+     * Validates a synonym rule
+     *
+     * @param string $terms Comma-separated terms
+     * @param string $replacement Comma-separated terms the terms are replaced with, or empty for equivalent terms
+     * @return array Array of error messages, empty if valid
+     * @since 4.2.0
+     */
+    public static function validateSynonymRule(string $terms, string $replacement = ''): array
+    {
+        $errors = [];
+        $termList = self::parseTerms($terms);
+
+        if (empty($termList)) {
+            $errors[] = self::translate('Synonym rule has no terms.');
+            return $errors;
+        }
+
+        // Characters with a meaning in the Solr synonym format
+        if (preg_match('/=>|[\\\\#]/', $terms . ' ' . $replacement)) {
+            $errors[] = self::translate('Synonym rule "{rule}" cannot contain "=>", "\\" or "#".', ['rule' => $terms]);
+        }
+
+        if (trim($replacement) === '' && count($termList) < 2) {
+            $errors[] = self::translate('Synonym rule "{rule}" needs at least two terms, or a replacement.', ['rule' => $terms]);
+        }
+
+        if (trim($replacement) !== '' && empty(self::parseTerms($replacement))) {
+            $errors[] = self::translate('The replacement for synonym rule "{rule}" has no terms.', ['rule' => $terms]);
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validates a stopword
+     *
+     * @param string $word The stopword
+     * @return array Array of error messages, empty if valid
+     * @since 4.2.0
+     */
+    public static function validateStopword(string $word): array
+    {
+        if (preg_match('/[\s,]/u', trim($word))) {
+            return [self::translate('Stopword "{word}" must be a single word.', ['word' => $word])];
+        }
+
+        return [];
+    }
+
+    /**
+     * Splits a comma-separated list of synonym terms
+     *
+     * @param string $terms Comma-separated terms
+     * @return string[] The trimmed, non-empty terms
+     * @since 4.2.0
+     */
+    public static function parseTerms(string $terms): array
+    {
+        return array_values(array_filter(array_map('trim', explode(',', $terms)), static fn(string $term) => $term !== ''));
+    }
+
+    /**
+     * Translates a message, falling back to the raw message if Craft is not available
+     *
+     * @param string $message The message to translate
+     * @param array $params Parameters for the message placeholders
+     * @return string The translated message
+     * @since 4.2.0
+     */
+    private static function translate(string $message, array $params = []): string
+    {
+        if (class_exists('Craft') && defined('pennebaker\searchwithelastic\SearchWithElastic::PLUGIN_HANDLE')) {
+            return Craft::t(SearchWithElastic::PLUGIN_HANDLE, $message, $params);
+        }
+
+        return strtr($message, array_combine(
+            array_map(static fn(string $key) => '{' . $key . '}', array_keys($params)),
+            array_values($params)
+        ));
+    }
+}
@@ -13,7 +13,13 @@ namespace pennebaker\searchwithelastic\variables;
 
 use Craft;
 use craft\errors\SiteNotFoundException;
+use craft\helpers\Json;
+use craft\helpers\UrlHelper;
+use craft\web\View;
+use pennebaker\searchwithelastic\resources\SearchClientAssetBundle;
 use pennebaker\searchwithelastic\SearchWithElastic;
+use pennebaker\searchwithelastic\services\SearchAnalyticsService;
+use yii\base\InvalidConfigException;
 use yii\web\TooManyRequestsHttpException;
 
 /**
@@ -42,15 +48,23 @@ class SearchVariable
     {
         // Apply rate limiting if enabled
         $this->checkRateLimit();
-        
-        return SearchWithElastic::getInstance()->elasticsearch->search($query, $siteId);
+
+        $startTime = microtime(true);
+        $results = SearchWithElastic::getInstance()->elasticsearch->search($query, $siteId);
+        $this->logSearch($query, $siteId, $results, $startTime);
+
+        return $results;
     }
 
     /**
      * Perform an advanced search with additional options like fuzzy matching and field selection
      *
+     * With `siteIds` or `elementTypes` in the options, the search is federated across
+     * the indexes of those sites and element types, and returns the merged hits, the
+     * total and the hit count of each index.
+     *
      * @param string|null $query The search query string (null for aggregation-only queries)
-     * @param array $options Search options (fuzzy, fields, siteId, size)
+     * @param array $options Search options (fuzzy, fields, siteId, size, from, siteIds, elementTypes)
      * @return array Search results with formatted elements and highlighting
      * @throws SiteNotFoundException
      * @throws TooManyRequestsHttpException if rate limit exceeded
@@ -60,8 +74,115 @@ class SearchVariable
     {
         // Apply rate limiting if enabled
         $this->checkRateLimit();
-        
-        return SearchWithElastic::getInstance()->elasticsearch->advancedSearch($query ?? '', $options);
+
+        $startTime = microtime(true);
+        $elasticsearch = SearchWithElastic::getInstance()->elasticsearch;
+
+        if (!empty($options['siteIds']) || !empty($options['elementTypes'])) {
+            if (empty($options['siteIds']) && isset($options['siteId'])) {
+                $options['siteIds'] = [$options['siteId']];
+            }
+
+            $results = $elasticsearch->federatedSearch($query, $options);
+            $siteIds = (array)($options['siteIds'] ?? []);
+            $this->logSearch($query, count($siteIds) === 1 ? reset($siteIds) : null, $results, $startTime);
+
+            return $results;
+        }
+
+        $results = $elasticsearch->advancedSearch($query ?? '', $options);
+        $this->logSearch($query, $options['siteId'] ?? null, $results, $startTime);
+
+        return $results;
+    }
+
+    /**
+     * Perform a faceted search with term and range filters
+     *
+     * @param string|null $query The search query string (null to list everything)
+     * @param array $options Search options (facets, filters, ranges, fuzzy, fields, siteId, size, from)
+     * @return array Hits, the total hit count and the buckets or bounds of each facet
+     * @throws SiteNotFoundException
+     * @throws TooManyRequestsHttpException if rate limit exceeded
+     * @since 4.2.0
+     */
+    public function facetedSearch(?string $query = null, array $options = []): array
+    {
+        // Apply rate limiting if enabled
+        $this->checkRateLimit();
+
+        $startTime = microtime(true);
+        $result = SearchWithElastic::getInstance()->elasticsearch->facetedSearch($query, $options);
+        $this->logSearch($query, $options['siteId'] ?? null, $result, $startTime);
+
+        return $result;
+    }
+
+    /**
+     * Get autocomplete suggestions for a partial query
+     *
+     * @param string $query The text typed so far
+     * @param array $options Options (siteId, size)
+     * @return array Suggestions, each with text, elementId, elementType and url
+     * @throws SiteNotFoundException
+     * @throws TooManyRequestsHttpException if rate limit exceeded
+     * @since 4.2.0
+     */
+    public function suggest(string $query, array $options = []): array
+    {
+        // Apply rate limiting if enabled
+        $this->checkRateLimit();
+
+        return SearchWithElastic::getInstance()->elasticsearch->suggest($query, $options);
+    }
+
+    /**
+     * Get the URL of a search result that records the click for the search analytics
+     *
+     * Links to the result through the click endpoint, which logs the click
+     * against the last search made on the page and redirects to the result:
+     *
+     * ```twig
+     * {% for hit in craft.searchWithElastic.search(query) %}
+     *     <a href="{{ craft.searchWithElastic.clickUrl(hit) }}">{{ hit._source.title }}</a>
+     * {% endfor %}
+     * ```
+     *
+     * @param array $hit A hit returned by search(), searchExtra() or facetedSearch()
+     * @param string|null $searchId ID of the search the hit is from, or null for the last search made on the page
+     * @return string|null The tracking URL, or the hit's own URL if the search wasn't logged
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    public function clickUrl(array $hit, ?string $searchId = null): ?string
+    {
+        $url = $hit['_source']['url'] ?? null;
+        $elementId = $hit['_source']['elementId'] ?? null;
+        $searchId = $searchId ?? SearchWithElastic::getInstance()->searchAnalytics->getLastSearchId();
+
+        if ($url === null || $elementId === null || $searchId === null) {
+            return $url;
+        }
+
+        return UrlHelper::siteUrl('search-with-elastic/click', [
+            'searchId' => $searchId,
+            'elementId' => $elementId,
+            'redirect' => Craft::$app->getSecurity()->hashData($url),
+        ]);
+    }
+
+    /**
+     * Get the ID of the last search logged on this page
+     *
+     * Pass it to the JavaScript search client's `trackClick()` to record clicks
+     * on results rendered by the template.
+     *
+     * @return string|null The search ID, or null if search analytics are disabled or no search was logged
+     * @since 4.2.0
+     */
+    public function getLastSearchId(): ?string
+    {
+        return SearchWithElastic::getInstance()->searchAnalytics->getLastSearchId();
     }
 
     /**
@@ -139,6 +260,59 @@ class SearchVariable
         ];
     }
 
+    /**
+     * Register the frontend JavaScript search client on the current page
+     *
+     * Publishes the client script and configures it with the site's search
+     * endpoint, site ID and CSRF token, so `SearchWithElastic.client()` can be
+     * used without any setup:
+     *
+     * ```twig
+     * {% do craft.searchWithElastic.registerClient({ debounce: 250 }) %}
+     * ```
+     *
+     * @param array $options Client defaults that override the site's (endpoint, siteId, debounce, maxRetries, maxRetryDelay)
+     * @return void
+     * @throws SiteNotFoundException
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    public function registerClient(array $options = []): void
+    {
+        $view = Craft::$app->getView();
+        $view->registerAssetBundle(SearchClientAssetBundle::class);
+
+        $config = array_merge([
+            'endpoint' => UrlHelper::siteUrl('search-with-elastic'),
+            'siteId' => Craft::$app->getSites()->getCurrentSite()->id,
+            'csrfToken' => Craft::$app->getConfig()->getGeneral()->enableCsrfProtection
+                ? Craft::$app->getRequest()->getCsrfToken()
+                : null,
+        ], $options);
+
+        $view->registerJs('SearchWithElastic.configure(' . Json::encode($config) . ');', View::POS_END);
+    }
+
+    /**
+     * Log a search made through the template variable
+     *
+     * @param string|null $query The search query
+     * @param mixed $siteId The site searched, or null for the current site
+     * @param array $results The results, as returned by ElasticsearchService
+     * @param float $startTime When the search started, from `microtime(true)`
+     * @return void
+     */
+    private function logSearch(?string $query, mixed $siteId, array $results, float $startTime): void
+    {
+        SearchWithElastic::getInstance()->searchAnalytics->logSearch(
+            $query,
+            $siteId !== null ? (int) $siteId : null,
+            $results,
+            $startTime,
+            SearchAnalyticsService::SOURCE_TEMPLATE
+        );
+    }
+
     /**
      * Check if the current request should be rate limited
      *
@@ -0,0 +1,188 @@
+<?php
+/**
+ * Search w/Elastic plugin for Craft CMS 4.x
+ *
+ * Provides high-performance search across all content types with real-time
+ * indexing, advanced querying, and production reliability.
+ *
+ * @link https://www.pennebaker.com
+ * @copyright Copyright (c) 2025 Pennebaker
+ */
+
+namespace pennebaker\searchwithelastic\widgets;
+
+use Craft;
+use craft\base\Widget;
+use craft\helpers\Html;
+use craft\helpers\UrlHelper;
+use pennebaker\searchwithelastic\resources\CpAssetBundle;
+use pennebaker\searchwithelastic\SearchWithElastic;
+use Twig\Error\LoaderError;
+use Twig\Error\RuntimeError;
+use Twig\Error\SyntaxError;
+use yii\base\Exception;
+use yii\base\InvalidConfigException;
+
+/**
+ * Dashboard widget summarizing the search analytics
+ *
+ * Shows the searches, no-result rate and click-through rate of a period, the
+ * searches per day, and the queries that found nothing most often, with a link
+ * to the full report.
+ *
+ * @author Pennebaker
+ * @since 4.2.0
+ */
+class SearchAnalyticsWidget extends Widget
+{
+    /**
+     * @var int|null Site to report on, or null for all sites
+     * @since 4.2.0
+     */
+    public ?int $siteId = null;
+
+    /**
+     * @var int Number of days to report on
+     * @since 4.2.0
+     */
+    public int $days = 7;
+
+    /**
+     * @var int Number of queries without results to list
+     * @since 4.2.0
+     */
+    public int $limit = 5;
+
+    /**
+     * Get the display name of this widget
+     *
+     * @return string The display name shown when adding widgets
+     * @since 4.2.0
+     */
+    public static function displayName(): string
+    {
+        return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Search Analytics');
+    }
+
+    /**
+     * Get the path to the widget's SVG icon
+     *
+     * @return string|null The path to the widget SVG icon
+     * @since 4.2.0
+     */
+    public static function icon(): ?string
+    {
+        return Craft::getAlias('@pennebaker/searchwithelastic/icon-mask.svg');
+    }
+
+    /**
+     * Whether the current user can add this widget
+     *
+     * @return bool True if the user may view the search analytics
+     * @since 4.2.0
+     */
+    public static function isSelectable(): bool
+    {
+        return parent::isSelectable() && Craft::$app->getUser()->checkPermission('search-with-elastic:view-search-analytics');
+    }
+
+    /**
+     * @inheritdoc
+     * @since 4.2.0
+     */
+    protected function defineRules(): array
+    {
+        $rules = parent::defineRules();
+        $rules[] = [['siteId'], 'integer'];
+        $rules[] = [['days'], 'in', 'range' => [7, 30, 90]];
+        $rules[] = [['limit'], 'integer', 'min' => 1, 'max' => 20];
+
+        return $rules;
+    }
+
+    /**
+     * Get the widget's title
+     *
+     * @return string|null The title, naming the site if the widget reports on one
+     * @since 4.2.0
+     */
+    public function getTitle(): ?string
+    {
+        $site = $this->siteId ? Craft::$app->getSites()->getSiteById($this->siteId) : null;
+        if ($site) {
+            return Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Search Analytics – {site}', ['site' => $site->name]);
+        }
+
+        return self::displayName();
+    }
+
+    /**
+     * Get the widget's settings HTML
+     *
+     * @return string|null The rendered settings form
+     * @throws LoaderError
+     * @throws RuntimeError
+     * @throws SyntaxError
+     * @throws Exception
+     * @since 4.2.0
+     */
+    public function getSettingsHtml(): ?string
+    {
+        $sites = [['value' => '', 'label' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'All sites')]];
+        foreach (Craft::$app->getSites()->getAllSites() as $site) {
+            $sites[] = ['value' => $site->id, 'label' => $site->name];
+        }
+
+        $periods = [];
+        foreach ([7, 30, 90] as $period) {
+            $periods[] = ['value' => $period, 'label' => Craft::t(SearchWithElastic::PLUGIN_HANDLE, 'Last {num} days', ['num' => $period])];
+        }
+
+        return Craft::$app->getView()->renderTemplate('search-with-elastic/cp/widgets/analytics-settings', [
+            'widget' => $this,
+            'sites' => $sites,
+            'periods' => $periods,
+        ]);
+    }
+
+    /**
+     * Get the widget's body HTML
+     *
+     * @return string|null The rendered summary, or null if the user may not view the search analytics
+     * @throws LoaderError
+     * @throws RuntimeError
+     * @throws SyntaxError
+     * @throws Exception
+     * @throws InvalidConfigException
+     * @since 4.2.0
+     */
+    public function getBodyHtml(): ?string
+    {
+        if (!Craft::$app->getUser()->checkPermission('search-with-elastic:view-search-analytics')) {
+            return null;
+        }
+
+        $view = Craft::$app->getView();
+        $view->registerAssetBundle(CpAssetBundle::class);
+
+        $report = null;
+        $error = null;
+        try {
+            $report = SearchWithElastic::getInstance()->searchAnalytics->getReport($this->siteId, $this->days, $this->limit);
+        } catch (\Exception $e) {
+            Craft::error('Failed to get the search analytics report: ' . $e->getMessage(), __METHOD__);
+            $error = $e->getMessage();
+        }
+
+        return $view->renderTemplate('search-with-elastic/cp/widgets/analytics', [
+            'chartId' => Html::id('search-analytics-widget-chart-' . $this->id),
+            'report' => $report,
+            'error' => $error,
+            'reportUrl' => UrlHelper::cpUrl('search-with-elastic/analytics', array_filter([
+                'siteId' => $this->siteId,
+                'days' => $this->days,
+            ])),
+            'isEnabled' => SearchWithElastic::getInstance()->getSettings()->searchAnalyticsEnabled,
+        ]);
+    }
+}